@@ -0,0 +1,336 @@
+/**
+ * @fileoverview Admin Cache Management API
+ *
+ * Lets operators inspect and purge the Redis response cache without waiting
+ * for TTLs or rotating the Redis instance, e.g. after the programs catalog
+ * changes. Every request needs an admin key (see lib/adminAuth.js) and every
+ * purge is recorded in the audit log.
+ *
+ * Routes (all under /api/admin/cache):
+ * - GET ?namespace=programs[&match=nurs*][&version=1][&cursor=0][&count=100] - list keys
+ *   with SCAN; the current schema version unless one is given (0 for unversioned keys)
+ * - GET ?key=<cache key>[&data=true] - view an entry with its TTL and size
+ * - GET ?view=audit[&limit=50] - recent admin actions
+ * - GET ?view=metrics[&window=1h][&resolution=minute|hour][&namespace=programs][&series=true]
+ *   - cache metrics over a window from Redis, plus this instance's L1/L2 counters
+ * - GET ?view=versions[&namespace=programs] - live schema versions with their key
+ *   counts and cleanup progress
+ * - GET - list of cache namespaces with their cache policies (and per-collection overrides)
+ * - DELETE ?namespace=programs[&pattern=nurs*] - purge a namespace or a glob within it
+ * - DELETE ?query=nursing[&namespace=programs] - purge everything cached for a query term
+ * - DELETE ?all=true - purge every cache namespace
+ *
+ * @author Victor Chimenti
+ * @version 1.4.2
+ * @module api/admin/cache
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+const commonUtils = require("../../lib/commonUtils");
+const { ApiError, sendErrorFor } = require("../../lib/errorResponse");
+const { requireAdmin } = require("../../lib/adminAuth");
+const { recordAudit, getAuditLog } = require("../../lib/auditLog");
+const {
+    listCacheKeys,
+    inspectCacheEntry,
+    purgeCache,
+    isCacheKey,
+    getCacheMetrics,
+    getCacheTtls,
+    CACHE_NAMESPACES,
+} = require("../../lib/cacheService");
+const { getCacheMetricsWindow, flushCacheMetrics } = require("../../lib/cacheMetrics");
+const { getNamespaceVersions } = require("../../lib/cacheVersions");
+const { getCachePolicy, getCollectionPolicies, getBypassRule } = require("../../lib/cachePolicy");
+
+/**
+ * Service name used in logs
+ * @type {string}
+ * @constant
+ * @private
+ */
+const SERVICE = "admin-cache";
+
+/**
+ * Characters allowed in glob patterns: key characters plus * ? [ ]
+ * @type {RegExp}
+ * @constant
+ * @private
+ */
+const GLOB_PATTERN = /^[\w*?[\]\-:.|~]{1,200}$/;
+
+/**
+ * Gets a single string query parameter
+ *
+ * @param {Object} query - req.query
+ * @param {string} name - Parameter name
+ * @returns {string|undefined} Value
+ * @private
+ */
+function getParam(query, name) {
+    const value = query?.[name];
+    if (value === undefined) return undefined;
+    if (Array.isArray(value) || typeof value !== "string") {
+        throw new ApiError("INVALID_PARAM", `${name} must be given once`, { details: { param: name } });
+    }
+    return value;
+}
+
+/**
+ * Validates a namespace parameter
+ *
+ * @param {string} namespace - Requested namespace
+ * @returns {string} The namespace
+ * @throws {ApiError} When the namespace is unknown
+ * @private
+ */
+function checkNamespace(namespace) {
+    if (!CACHE_NAMESPACES.includes(namespace)) {
+        throw new ApiError("INVALID_PARAM", `namespace must be one of: ${CACHE_NAMESPACES.join(", ")}`, {
+            details: { param: "namespace", allowed: CACHE_NAMESPACES },
+        });
+    }
+    return namespace;
+}
+
+/**
+ * Validates a glob parameter
+ *
+ * @param {string} name - Parameter name
+ * @param {string} value - Glob
+ * @returns {string} The glob
+ * @throws {ApiError} When the glob contains unsupported characters
+ * @private
+ */
+function checkGlob(name, value) {
+    if (!GLOB_PATTERN.test(value)) {
+        throw new ApiError("INVALID_PARAM", `${name} may only contain key characters and * ? [ ]`, {
+            details: { param: name },
+        });
+    }
+    return value;
+}
+
+/**
+ * Reads cache metrics over the requested window, with each namespace's TTLs
+ * so hit ratios can be compared with them
+ *
+ * @param {Object} query - req.query
+ * @returns {Promise<Object>} Metrics
+ * @throws {ApiError} When a parameter is invalid
+ * @private
+ */
+async function getMetrics(query) {
+    const namespace = getParam(query, "namespace");
+    const namespaces = namespace !== undefined ? [checkNamespace(namespace)] : CACHE_NAMESPACES;
+
+    // Include this instance's buffered counters
+    await flushCacheMetrics();
+
+    let metrics;
+    try {
+        metrics = await getCacheMetricsWindow({
+            window: getParam(query, "window") || "1h",
+            resolution: getParam(query, "resolution"),
+            namespaces,
+            series: getParam(query, "series") === "true",
+        });
+    } catch (error) {
+        if (error.code !== "INVALID_WINDOW") throw error;
+        throw new ApiError("INVALID_PARAM", "window must look like 15m, 6h or 7d (at most 30d); resolution must be minute (up to 26h) or hour", {
+            details: { params: ["window", "resolution"] },
+        });
+    }
+
+    for (const name of namespaces) {
+        metrics.namespaces[name].ttls = getCacheTtls(name);
+    }
+
+    return { ...metrics, instance: getCacheMetrics() };
+}
+
+/**
+ * Handles GET: key listing, entry inspection, audit log, metrics or overview
+ *
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Response body
+ * @private
+ */
+async function handleGet(req) {
+    const key = getParam(req.query, "key");
+    if (key !== undefined) {
+        if (!isCacheKey(key)) {
+            throw new ApiError("INVALID_PARAM", "key must be a cache key", { details: { param: "key" } });
+        }
+
+        const entry = await inspectCacheEntry(key);
+        if (!entry) {
+            throw new ApiError("NOT_FOUND", "No cache entry for this key", { details: { key } });
+        }
+
+        if (getParam(req.query, "data") !== "true") {
+            delete entry.data;
+        }
+        return { entry };
+    }
+
+    const view = getParam(req.query, "view");
+    if (view === "audit") {
+        return { audit: await getAuditLog(getParam(req.query, "limit")) };
+    }
+    if (view === "metrics") {
+        return { metrics: await getMetrics(req.query) };
+    }
+    if (view === "versions") {
+        const namespace = getParam(req.query, "namespace");
+        return {
+            versions: await getNamespaceVersions(namespace !== undefined ? [checkNamespace(namespace)] : CACHE_NAMESPACES),
+        };
+    }
+
+    const namespace = getParam(req.query, "namespace");
+    if (namespace !== undefined) {
+        const count = parseInt(getParam(req.query, "count") || "100", 10);
+        const cursor = getParam(req.query, "cursor") || "0";
+        if (!/^\d+$/.test(cursor)) {
+            throw new ApiError("INVALID_PARAM", "cursor must be a number", { details: { param: "cursor" } });
+        }
+        const version = getParam(req.query, "version");
+        if (version !== undefined && !/^\d{1,6}$/.test(version)) {
+            throw new ApiError("INVALID_PARAM", "version must be a number", { details: { param: "version" } });
+        }
+
+        return {
+            namespace: checkNamespace(namespace),
+            ...(await listCacheKeys(namespace, {
+                match: checkGlob("match", getParam(req.query, "match") || "*"),
+                version: version !== undefined ? parseInt(version, 10) : undefined,
+                cursor,
+                count: Math.min(Math.max(count || 100, 1), 1000),
+            })),
+        };
+    }
+
+    return {
+        namespaces: CACHE_NAMESPACES,
+        policies: Object.fromEntries(CACHE_NAMESPACES.map((name) => {
+            const collections = getCollectionPolicies(name);
+            const policy = getCachePolicy(name);
+            return [name, Object.keys(collections).length > 0 ? { ...policy, collections } : policy];
+        })),
+        bypass: getBypassRule(),
+    };
+}
+
+/**
+ * Builds the purge target from the query and checks it is deliberate
+ *
+ * @param {Object} query - req.query
+ * @returns {Object} Target for cacheService.purgeCache
+ * @throws {ApiError} When the target is missing or invalid
+ * @private
+ */
+function getPurgeTarget(query) {
+    const namespace = getParam(query, "namespace");
+    const pattern = getParam(query, "pattern");
+    const term = getParam(query, "query");
+    const all = getParam(query, "all") === "true";
+
+    if (namespace === undefined && term === undefined && !all) {
+        throw new ApiError("INVALID_PARAM", "Give a namespace, a query term, or all=true", {
+            details: { params: ["namespace", "query", "all"] },
+        });
+    }
+    if (pattern !== undefined && term !== undefined) {
+        throw new ApiError("INVALID_PARAM", "Use either pattern or query, not both", {
+            details: { params: ["pattern", "query"] },
+        });
+    }
+    if (pattern !== undefined && namespace === undefined) {
+        throw new ApiError("INVALID_PARAM", "pattern needs a namespace", { details: { param: "namespace" } });
+    }
+
+    const target = {};
+    if (namespace !== undefined) target.namespace = checkNamespace(namespace);
+    if (pattern !== undefined) target.pattern = checkGlob("pattern", pattern);
+    // purgeCache checks the query term itself
+    if (term !== undefined) target.query = term;
+    return target;
+}
+
+/**
+ * Handles DELETE: purges and records the purge in the audit log
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} actor - Authenticated admin
+ * @param {string} requestId - Request ID for tracking
+ * @returns {Promise<Object>} Response body
+ * @private
+ */
+async function handleDelete(req, actor, requestId) {
+    const target = getPurgeTarget(req.query);
+    const audit = {
+        action: "cache.purge",
+        actor: actor.name,
+        requestId,
+        clientIp: commonUtils.extractClientIp(req),
+        target,
+    };
+
+    try {
+        const result = await purgeCache(target, requestId);
+        await recordAudit({ ...audit, result: { deleted: result.deleted } });
+        return { purged: result.deleted, target, patterns: result.patterns };
+    } catch (error) {
+        await recordAudit({ ...audit, result: { error: error.message } });
+        if (error.code !== "INVALID_QUERY_TERM") throw error;
+        const message = error.minLength
+            ? `query must be at least ${error.minLength} characters`
+            : "query must contain letters or digits";
+        throw new ApiError("INVALID_PARAM", message, {
+            details: { param: "query", minLength: error.minLength },
+        });
+    }
+}
+
+// Export a single function as required by Vercel
+module.exports = async (req, res) => {
+    const requestId = commonUtils.getRequestId(req);
+
+    commonUtils.logEvent("info", "request_received", SERVICE, {
+        requestId,
+        method: req.method,
+        path: req.url,
+        clientIp: commonUtils.extractClientIp(req), // Will be redacted in standard logs
+    });
+
+    try {
+        if (req.method !== "GET" && req.method !== "DELETE") {
+            res.setHeader("Allow", "GET, DELETE");
+            throw new ApiError("METHOD_NOT_ALLOWED");
+        }
+
+        const actor = requireAdmin(req, SERVICE, requestId);
+        const body = req.method === "DELETE"
+            ? await handleDelete(req, actor, requestId)
+            : await handleGet(req);
+
+        res.setHeader("X-Request-ID", requestId);
+        res.setHeader("Cache-Control", "no-store");
+        res.status(200).json({ ...body, requestId });
+    } catch (error) {
+        if (error instanceof ApiError && error.code === "UNAUTHORIZED") {
+            res.setHeader("WWW-Authenticate", 'Bearer realm="admin"');
+        }
+
+        commonUtils.formatError(error, SERVICE, "admin_cache_failed", requestId);
+        sendErrorFor(
+            res,
+            error.code === "CACHE_UNAVAILABLE"
+                ? new ApiError("UPSTREAM_UNAVAILABLE", "The cache is not available")
+                : error,
+            { requestId }
+        );
+    }
+};
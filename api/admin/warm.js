@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Admin Cache Warming API
+ *
+ * Starts a cache warming run from the analytics top queries (see
+ * lib/cacheWarmer.js), e.g. right after a Redis rotation or purge. Needs an
+ * admin key (see lib/adminAuth.js); every run is recorded in the audit log.
+ *
+ * A run stops starting new queries when the time budget is used up, so it
+ * fits in one serverless invocation. Entries already warmed are fresh on the
+ * next call, so calling again until `complete` is true finishes the job.
+ *
+ * Route: POST /api/admin/warm
+ * - handlers=suggest,suggestPeople,suggestPrograms (default: all)
+ * - limit=100 (top queries per handler, 1-500)
+ * - days=7 (analytics window, 1-30)
+ * - rate=5 (Funnelback requests per second, up to 10)
+ * - concurrency=2 (requests in flight, 1-4)
+ * - force=true (refresh entries that are still fresh)
+ *
+ * @author Victor Chimenti
+ * @version 1.0.1
+ * @module api/admin/warm
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+const commonUtils = require("../../lib/commonUtils");
+const { ApiError, sendErrorFor } = require("../../lib/errorResponse");
+const { requireAdmin } = require("../../lib/adminAuth");
+const { recordAudit } = require("../../lib/auditLog");
+const { warmCache, WARMABLE_HANDLERS, WARM_DEFAULTS } = require("../../lib/cacheWarmer");
+
+/**
+ * Service name used in logs
+ * @type {string}
+ * @constant
+ * @private
+ */
+const SERVICE = "admin-warm";
+
+/**
+ * Time a run may spend starting new queries, in milliseconds
+ * @type {number}
+ * @constant
+ * @private
+ */
+const WARM_TIME_BUDGET_MS = parseInt(process.env.CACHE_WARM_TIME_BUDGET_MS, 10) || 50000;
+
+/**
+ * Allowed ranges for the numeric parameters
+ * @type {Object<string, {min: number, max: number, integer: boolean}>}
+ * @constant
+ * @private
+ */
+const NUMERIC_LIMITS = {
+    limit: { min: 1, max: 500, integer: true },
+    days: { min: 1, max: 30, integer: true },
+    rate: { min: 0.1, max: 10, integer: false },
+    concurrency: { min: 1, max: 4, integer: true },
+};
+
+/**
+ * Number of queries between progress log lines
+ * @type {number}
+ * @constant
+ * @private
+ */
+const PROGRESS_LOG_INTERVAL = 25;
+
+/**
+ * Builds warming options from the query and checks they are in range
+ *
+ * @param {Object} query - req.query
+ * @returns {Object} Options for cacheWarmer.warmCache
+ * @throws {ApiError} When a parameter is invalid
+ * @private
+ */
+function getWarmOptions(query = {}) {
+    const options = { force: query.force === "true" };
+
+    if (query.handlers !== undefined) {
+        const handlers = String(query.handlers).split(",").map((name) => name.trim()).filter(Boolean);
+        const unknown = handlers.filter((name) => !WARMABLE_HANDLERS[name]);
+        if (handlers.length === 0 || unknown.length > 0) {
+            throw new ApiError("INVALID_PARAM", `handlers must be any of: ${Object.keys(WARMABLE_HANDLERS).join(", ")}`, {
+                details: { param: "handlers", allowed: Object.keys(WARMABLE_HANDLERS) },
+            });
+        }
+        options.handlers = handlers;
+    }
+
+    for (const [name, { min, max, integer }] of Object.entries(NUMERIC_LIMITS)) {
+        if (query[name] === undefined) {
+            options[name] = Math.min(WARM_DEFAULTS[name], max);
+            continue;
+        }
+
+        const value = Number(query[name]);
+        if (!Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+            throw new ApiError("INVALID_PARAM", `${name} must be a number from ${min} to ${max}`, {
+                details: { param: name, min, max },
+            });
+        }
+        options[name] = value;
+    }
+
+    return options;
+}
+
+/**
+ * Maps warmer errors to the shared error codes
+ *
+ * @param {Error} error - Error thrown by the warmer
+ * @returns {Error} Error to send
+ * @private
+ */
+function toApiError(error) {
+    if (error.code === "WARM_IN_PROGRESS") {
+        return new ApiError("CONFLICT", "A cache warming run is already in progress");
+    }
+    if (error.code === "CACHE_UNAVAILABLE") {
+        return new ApiError("UPSTREAM_UNAVAILABLE", "The cache is not available");
+    }
+    return error;
+}
+
+// Export a single function as required by Vercel
+module.exports = async (req, res) => {
+    const requestId = commonUtils.getRequestId(req);
+
+    commonUtils.logEvent("info", "request_received", SERVICE, {
+        requestId,
+        method: req.method,
+        path: req.url,
+        clientIp: commonUtils.extractClientIp(req), // Will be redacted in standard logs
+    });
+
+    try {
+        if (req.method !== "POST") {
+            res.setHeader("Allow", "POST");
+            throw new ApiError("METHOD_NOT_ALLOWED");
+        }
+
+        const actor = requireAdmin(req, SERVICE, requestId);
+        const options = getWarmOptions(req.query);
+        const audit = {
+            action: "cache.warm",
+            actor: actor.name,
+            requestId,
+            clientIp: commonUtils.extractClientIp(req),
+            target: options,
+        };
+
+        let report;
+        try {
+            report = await warmCache({
+                ...options,
+                requestId,
+                deadline: Date.now() + WARM_TIME_BUDGET_MS,
+                onProgress(progress) {
+                    if (progress.done % PROGRESS_LOG_INTERVAL === 0 || progress.done === progress.total) {
+                        commonUtils.logEvent("info", "cache_warm_progress", SERVICE, { requestId, ...progress });
+                    }
+                },
+            });
+        } catch (error) {
+            await recordAudit({ ...audit, result: { error: error.message } });
+            throw error;
+        }
+
+        await recordAudit({
+            ...audit,
+            result: { totals: report.totals, complete: report.complete, stoppedReason: report.stoppedReason },
+        });
+
+        res.setHeader("X-Request-ID", requestId);
+        res.setHeader("Cache-Control", "no-store");
+        res.status(200).json({ report, requestId });
+    } catch (error) {
+        if (error instanceof ApiError && error.code === "UNAUTHORIZED") {
+            res.setHeader("WWW-Authenticate", 'Bearer realm="admin"');
+        }
+
+        commonUtils.formatError(error, SERVICE, "admin_warm_failed", requestId);
+        sendErrorFor(res, toApiError(error), { requestId });
+    }
+};
@@ -9,20 +9,21 @@
  * - Standardized CORS handling
  * - Enhanced session ID management
  * - Detailed structured logging
- * - Comprehensive error handling
+ * - Comprehensive error handling with the shared error envelope
  * - GeoIP integration
  * - Standardized analytics schema
  *
  * @author Victor Chimenti
- * @version 3.1.0
+ * @version 3.2.0
  * @module api/analytics/click
- * @lastModified 2025-04-30
+ * @lastModified 2026-10-19
  */
 
 // api/analytics/click.js
 module.exports = async (req, res) => {
     // Use common utilities for consistent IP extraction
     const commonUtils = require("../../lib/commonUtils");
+    const { sendError, sendErrorFor } = require("../../lib/errorResponse");
 
     // CRITICAL: Extract the true end-user IP with highest priority
     const clientIp = commonUtils.extractClientIp(req);
@@ -56,7 +57,7 @@ module.exports = async (req, res) => {
             requestId,
             method: req.method,
         });
-        return res.status(405).send("Method Not Allowed");
+        return sendError(res, "METHOD_NOT_ALLOWED", { requestId });
     }
 
     try {
@@ -148,9 +149,10 @@ module.exports = async (req, res) => {
                 requestId,
                 receivedFields: Object.keys(clickData),
             });
-            return res.status(400).json({
-                error: "Missing required field: originalQuery/query",
-                receivedFields: Object.keys(clickData),
+            return sendError(res, "INVALID_REQUEST", {
+                message: "Missing required field: originalQuery/query",
+                details: { receivedFields: Object.keys(clickData) },
+                requestId,
             });
         }
 
@@ -159,9 +161,10 @@ module.exports = async (req, res) => {
                 requestId,
                 receivedFields: Object.keys(clickData),
             });
-            return res.status(400).json({
-                error: "Missing required field: clickedUrl/url",
-                receivedFields: Object.keys(clickData),
+            return sendError(res, "INVALID_REQUEST", {
+                message: "Missing required field: clickedUrl/url",
+                details: { receivedFields: Object.keys(clickData) },
+                requestId,
             });
         }
 
@@ -272,7 +275,7 @@ module.exports = async (req, res) => {
         });
     } catch (error) {
         // Handle errors using common utils
-        const errorInfo = commonUtils.formatError(
+        commonUtils.formatError(
             error,
             "click-analytics",
             "click_recording_failed",
@@ -289,11 +292,7 @@ module.exports = async (req, res) => {
             },
         });
 
-        // Provide more detailed error for troubleshooting
-        res.status(errorInfo.status).json({
-            error: error.message,
-            requestId: requestId,
-            type: error.name,
-        });
+        // Details stay in the logs; the client gets the error envelope
+        sendErrorFor(res, error, { requestId });
     }
 };
@@ -10,20 +10,21 @@
  * - Standardized CORS handling
  * - Enhanced session ID management
  * - Detailed structured logging
- * - Comprehensive error handling
+ * - Comprehensive error handling with the shared error envelope
  * - Standardized analytics schema
  * - Efficient batch processing
  * 
  * @author Victor Chimenti
- * @version 3.0.0
+ * @version 3.1.0
  * @module api/analytics/clicksBatch
- * @lastModified 2025-04-30
+ * @lastModified 2026-10-19
  */
 
 // api/analytics/clicksBatch.js
 module.exports = async (req, res) => {
     // Use common utilities for consistent IP extraction
     const commonUtils = require("../../lib/commonUtils");
+    const { sendError, sendErrorFor } = require('../../lib/errorResponse');
     const clientIp = commonUtils.extractClientIp(req);
     const requestId = commonUtils.getRequestId(req);
 
@@ -53,7 +54,7 @@ module.exports = async (req, res) => {
             requestId,
             method: req.method
         });
-        return res.status(405).send('Method Not Allowed');
+        return sendError(res, 'METHOD_NOT_ALLOWED', { requestId });
     }
 
     try {
@@ -81,8 +82,8 @@ module.exports = async (req, res) => {
                 dataType: typeof clicksData,
                 isArray: Array.isArray(clicksData)
             });
-            return res.status(400).json({
-                error: 'Invalid batch format. Expected non-empty array.',
+            return sendError(res, 'INVALID_REQUEST', {
+                message: 'Invalid batch format. Expected non-empty array.',
                 requestId
             });
         }
@@ -175,7 +176,7 @@ module.exports = async (req, res) => {
         });
     } catch (error) {
         // Handle errors using common utils
-        const errorInfo = commonUtils.formatError(error, 'clicks-batch-analytics', 'batch_processing_failed', requestId);
+        commonUtils.formatError(error, 'clicks-batch-analytics', 'batch_processing_failed', requestId);
 
         // Log additional context for debugging
         commonUtils.logEvent('error', 'request_failed', 'clicks-batch-analytics', {
@@ -187,11 +188,7 @@ module.exports = async (req, res) => {
             }
         });
 
-        // Provide more detailed error for troubleshooting
-        res.status(errorInfo.status).json({
-            error: error.message,
-            requestId: requestId,
-            type: error.name
-        });
+        // Details stay in the logs; the client gets the error envelope
+        sendErrorFor(res, error, { requestId });
     }
 };
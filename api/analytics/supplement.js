@@ -10,19 +10,20 @@
  * - Standardized CORS handling
  * - Enhanced session ID management
  * - Detailed structured logging
- * - Comprehensive error handling
+ * - Comprehensive error handling with the shared error envelope
  * - Standardized analytics schema
  *
  * @author Victor Chimenti
- * @version 3.1.0
+ * @version 3.2.0
  * @module api/analytics/supplement
- * @lastModified 2025-04-30
+ * @lastModified 2026-10-19
  */
 
 // api/analytics/supplement.js
 module.exports = async (req, res) => {
     // Use common utilities for consistent IP extraction
     const commonUtils = require("../../lib/commonUtils");
+    const { sendError, sendErrorFor } = require("../../lib/errorResponse");
 
     // CRITICAL: Extract the true end-user IP with highest priority
     const clientIp = commonUtils.extractClientIp(req);
@@ -56,7 +57,7 @@ module.exports = async (req, res) => {
             requestId,
             method: req.method,
         });
-        return res.status(405).send("Method Not Allowed");
+        return sendError(res, "METHOD_NOT_ALLOWED", { requestId });
     }
 
     try {
@@ -84,7 +85,11 @@ module.exports = async (req, res) => {
                 requestId,
                 receivedFields: Object.keys(data),
             });
-            return res.status(400).json({ error: "No query provided" });
+            return sendError(res, "INVALID_REQUEST", {
+                message: "No query provided",
+                details: { receivedFields: Object.keys(data) },
+                requestId,
+            });
         }
 
         // Extract session information
@@ -244,7 +249,10 @@ module.exports = async (req, res) => {
                 requestId,
                 query: data.query,
             });
-            return res.status(500).json({ error: "Failed to record analytics data" });
+            return sendError(res, "INTERNAL_ERROR", {
+                message: "Failed to record analytics data",
+                requestId,
+            });
         }
 
         commonUtils.logEvent(
@@ -266,7 +274,7 @@ module.exports = async (req, res) => {
         });
     } catch (error) {
         // Handle errors using common utils
-        const errorInfo = commonUtils.formatError(
+        commonUtils.formatError(
             error,
             "supplement-analytics",
             "supplement_recording_failed",
@@ -283,11 +291,7 @@ module.exports = async (req, res) => {
             },
         });
 
-        // Provide more detailed error for troubleshooting
-        res.status(errorInfo.status).json({
-            error: error.message,
-            requestId: requestId,
-            type: error.name,
-        });
+        // Details stay in the logs; the client gets the error envelope
+        sendErrorFor(res, error, { requestId });
     }
 };
@@ -1,35 +1,31 @@
 /**
  * @fileoverview Dedicated Search Results Proxy Server - Enhanced with Analytics
  *
- * Handles specific search result requests for the Funnelback integration.
- * Enhanced with consistent IP tracking, session management, and improved analytics.
+ * Handles specific search result requests for the Funnelback integration and
+ * returns Funnelback's partial HTML. The request lifecycle (IP tracking,
+ * sessions, caching, analytics, errors) is run by the shared handler
+ * pipeline; this file declares what is specific to HTML search results.
  *
  * Features:
- * - CORS handling with standardized headers
+ * - Declared on the shared handler pipeline (lib/handlerPipeline.js)
  * - Search-specific parameter management
- * - Detailed logging using common utilities
  * - Enhanced analytics with consistent schema
  * - Click-through attribution
  * - Session tracking with consistent ID management
  * - GeoIP-based location tracking
- * - Consistent IP extraction across all request types
+ * - Redis caching of result pages with a facet-aware key (lib/searchCachePolicy.js)
+ * - Stale cache fallback when Funnelback is unavailable
+ * - Allowlisted collection, profile and parameter forwarding
  *
  * @author Victor Chimenti
  * @namespace searchHandler
- * @version 5.1.0
+ * @version 6.1.2
  * @license MIT
- * @lastModified 2025-04-30
+ * @lastModified 2026-10-19
  */
 
-const axios = require("axios");
-const { getLocationData } = require("../lib/geoIpService");
-const { recordQuery } = require("../lib/queryAnalytics");
-const commonUtils = require("../lib/commonUtils");
-const {
-    createStandardAnalyticsData,
-    createRequestAnalytics,
-    logAnalyticsData,
-} = require("../lib/schemaHandler");
+const { createHandler } = require("../lib/handlerPipeline");
+const { createSearchCache } = require("../lib/searchCachePolicy");
 
 /**
  * Extracts the number of results from an HTML response
@@ -50,237 +46,25 @@ function extractResultCount(htmlContent) {
     return 0;
 }
 
-/**
- * Handler for dedicated search requests.
- *
- * @param {Object} req - Express request object
- * @param {Object} req.query - Query parameters from the request
- * @param {Object} req.headers - Request headers
- * @param {string} req.method - HTTP method of the request
- * @param {Object} res - Express response object
- * @returns {Promise<void>}
- */
-async function handler(req, res) {
-    const startTime = Date.now();
-    const requestId = commonUtils.getRequestId(req);
-
-    // CRITICAL: Extract the true end-user IP with highest priority
-    const clientIp = commonUtils.extractClientIp(req);
-
-    // Log full IP information for debugging including all potential IP sources
-    commonUtils.logFullIpInfo(req, "search-handler", requestId);
-
-    // Standard log with redacted IP (for security/privacy)
-    commonUtils.logEvent("info", "request_received", "search-handler", {
-        requestId,
-        path: req.path,
-        query: req.query.query || null,
-        clientIp, // Will be redacted in standard logs
-    });
-
-    // Extract session information
-    const sessionInfo = commonUtils.extractSessionInfo(req);
-    commonUtils.logSessionHandling(req, sessionInfo, "search-handler", requestId);
-
-    // Set CORS headers
-    commonUtils.setCorsHeaders(res);
-
-    // Handle OPTIONS requests
-    if (req.method === "OPTIONS") {
-        commonUtils.logEvent("info", "options_request", "search-handler", {
-            requestId,
-        });
-        res.status(200).end();
-        return;
-    }
-
-    try {
-        const funnelbackUrl =
-            "https://dxp-us-search.funnelback.squiz.cloud/s/search.html";
-
-        // Get location data based on the ACTUAL USER IP - Critical for consistency
-        let locationData = null;
-        try {
-            // Use true user IP for location lookup, not server/edge IPs
-            locationData = await getLocationData(clientIp);
-            commonUtils.logEvent(
-                "debug",
-                "location_data_retrieved",
-                "search-handler",
-                {
-                    requestId,
-                    clientIp: clientIp, // Log which IP was used for lookup
-                    location: {
-                        city: locationData.city,
-                        region: locationData.region,
-                        country: locationData.country,
-                    },
-                }
-            );
-        } catch (geoError) {
-            commonUtils.logEvent("warn", "location_data_failed", "search-handler", {
-                requestId,
-                error: geoError.message,
-            });
-            // Set default empty location data
-            locationData = {
-                city: null,
-                region: null,
-                country: null,
-                timezone: null,
-            };
-        }
-
-        // CRITICAL: Create outgoing headers with the TRUE USER IP in X-Forwarded-For
-        // This ensures Funnelback gets the actual client IP, not our server IP
-        const funnelbackHeaders = {
-            Accept: "text/html",
-            // Essential for Funnelback location detection - must be end user IP
-            "X-Forwarded-For": clientIp,
-            // Additional headers for our own tracking across service boundaries
-            "X-Original-Client-Ip": clientIp,
-            "X-Real-Ip": clientIp,
-            // Forward location data if already determined
-            "X-Geo-City": locationData.city || "",
-            "X-Geo-Region": locationData.region || "",
-            "X-Geo-Country": locationData.country || "",
-            "X-Geo-Timezone": locationData.timezone || "",
-            "X-Request-ID": requestId,
-        };
-
-        // Log detailed headers for debugging
-        console.log(`- Outgoing Headers to Funnelback:`, {
-            funnelbackHeaders,
-        });
-
-        // Log outgoing request with IP verification
-        commonUtils.logEvent("info", "outgoing_request", "search-handler", {
-            requestId,
-            url: funnelbackUrl,
-            query: req.query.query || "",
-            outgoingClientIp: clientIp, // Log which IP we're sending
-        });
-
-        const response = await axios.get(funnelbackUrl, {
-            params: req.query,
-            headers: funnelbackHeaders,
-        });
-
-        // Log successful response
-        commonUtils.logEvent("info", "funnelback_response", "search-handler", {
-            requestId,
-            status: response.status,
-            contentLength: response.data?.length || 0,
-        });
-
-        // Extract the result count from the HTML response
-        const resultCount = extractResultCount(response.data);
-        const processingTime = Date.now() - startTime;
-
-        // Record analytics data
-        try {
-            commonUtils.logEvent("info", "recording_analytics", "search-handler", {
-                requestId,
-                query: req.query.query,
-                resultCount,
-            });
-
-            if (process.env.MONGODB_URI) {
-                // Create base analytics data from request
-                const baseData = createRequestAnalytics(
-                    req,
-                    locationData,
-                    "search",
-                    startTime
-                );
-
-                // Add search-specific data
-                const analyticsData = {
-                    ...baseData,
-                    resultCount: resultCount,
-                    hasResults: resultCount > 0,
-                    enrichmentData: {
-                        searchParams: req.query,
-                        resultCount: resultCount,
-                        responseTime: processingTime,
-                    },
-                };
-
-                // Standardize and validate data
-                const standardData = createStandardAnalyticsData(analyticsData);
-
-                // Log analytics data (excluding sensitive information)
-                logAnalyticsData(standardData, "search-handler");
-
-                // Record the analytics
-                try {
-                    const recordResult = await recordQuery(standardData);
-                    commonUtils.logEvent("info", "analytics_recorded", "search-handler", {
-                        requestId,
-                        success: !!recordResult,
-                        recordId: recordResult?._id?.toString(),
-                    });
-                } catch (recordError) {
-                    commonUtils.logEvent(
-                        "error",
-                        "analytics_record_error",
-                        "search-handler",
-                        {
-                            requestId,
-                            error: recordError.message,
-                        }
-                    );
-                }
-            } else {
-                commonUtils.logEvent("info", "analytics_skipped", "search-handler", {
-                    requestId,
-                    reason: "mongodb_uri_not_defined",
-                });
-            }
-        } catch (analyticsError) {
-            commonUtils.logEvent("error", "analytics_error", "search-handler", {
-                requestId,
-                error: analyticsError.message,
-            });
-        }
-
-        // Log complete response
-        commonUtils.logEvent("info", "request_completed", "search-handler", {
-            requestId,
-            status: response.status,
-            processingTime: `${processingTime}ms`,
-            resultCount: resultCount,
-        });
-
-        // Send response to client with request ID
-        res.setHeader("X-Request-ID", requestId);
-        res.send(response.data);
-    } catch (error) {
-        // Handle errors using common utils
-        const errorInfo = commonUtils.formatError(
-            error,
-            "search-handler",
-            "search_request_failed",
-            requestId
-        );
-
-        // Log additional context for debugging
-        commonUtils.logEvent("error", "request_failed", "search-handler", {
-            requestId,
-            query: req.query.query,
-            status: error.response?.status || 500,
-            errorDetails: {
-                message: error.message,
-                responseStatus: error.response?.status,
-                axiosError: error.isAxiosError,
-            },
-        });
-
-        // Send error response
-        res
-            .status(errorInfo.status)
-            .send("Search error: " + (error.response?.data || error.message));
-    }
-}
-
-module.exports = handler;
+// Export a single function as required by Vercel
+module.exports = createHandler({
+    name: "search",
+    service: "search-handler",
+    upstream: "search.html",
+    responseType: "html",
+    resultCount: (body) => extractResultCount(body),
+    analytics: (ctx) => ({
+        enrichmentData: {
+            searchParams: ctx.req.query,
+            resultCount: extractResultCount(ctx.body),
+            responseTime: Date.now() - ctx.startTime,
+            cacheHit: ctx.cache.hit,
+            cacheState: ctx.cache.state,
+            cacheSet: ctx.cache.stored || false,
+        },
+    }),
+    // Every search is recorded before the page is sent
+    analyticsBeforeResponse: true,
+    // Shares cached pages with server.js (same namespace and key)
+    cache: createSearchCache(),
+});
@@ -0,0 +1,72 @@
+/**
+ * @fileoverview JSON Search Results Handler for Funnelback Search Integration
+ *
+ * Handles full search requests against Funnelback's search.json endpoint and
+ * returns a normalized, documented JSON schema so React and mobile clients no
+ * longer need to scrape the partial HTML served by /proxy/funnelback/search.
+ * The request lifecycle (IP tracking, sessions, caching, analytics, errors) is
+ * run by the shared handler pipeline.
+ *
+ * Features:
+ * - Declared on the shared handler pipeline (lib/handlerPipeline.js)
+ * - Redis caching for improved performance
+ * - Stale cache fallback when Funnelback is unavailable
+ * - Allowlisted collection, profile, paging and facet parameters
+ * - Cleaned titles, URLs, summaries and metadata
+ * - Facets, pagination, spelling suggestion and best bets
+ * - Enhanced analytics with standardized approach
+ *
+ * @author Victor Chimenti
+ * @version 1.2.0
+ * @namespace searchResults
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+const { createHandler } = require("../lib/handlerPipeline");
+const { formatSearchResults } = require("../lib/searchResultFormatter");
+
+/**
+ * Maps a results response to its analytics fields
+ *
+ * @param {Object} ctx - Pipeline context
+ * @returns {Object} Search-specific analytics data
+ */
+function resultsAnalytics(ctx) {
+    const totalResults = ctx.body?.pagination?.totalResults || 0;
+
+    return {
+        resultCount: totalResults,
+        hasResults: totalResults > 0,
+        enrichmentData: {
+            searchParams: ctx.req.query,
+            totalResults,
+            queryTime: ctx.body?.queryTime || 0,
+            page: ctx.body?.pagination?.currentPage || 1,
+            spellingSuggestion: ctx.body?.spelling?.suggestion || null,
+            bestBetCount: ctx.body?.bestBets?.length || 0,
+            topResults: (ctx.body?.results || []).slice(0, 3).map((result) => ({
+                title: result.title,
+                url: result.url,
+            })),
+            cacheHit: ctx.cache.hit,
+            cacheState: ctx.cache.state,
+            cacheSet: ctx.cache.stored || false,
+        },
+    };
+}
+
+// Export a single function as required by Vercel
+module.exports = createHandler({
+    name: "searchResults",
+    service: "search-results",
+    upstream: "search.json",
+    // Reshape the raw search.json payload into the documented schema
+    format: (data, ctx) => formatSearchResults(data, ctx.params),
+    resultCount: (body) => body?.results?.length || 0,
+    analytics: resultsAnalytics,
+    cache: {
+        namespace: "results",
+        staleBody: (data) => ({ ...data, stale: true }),
+    },
+});
@@ -2,48 +2,29 @@
  * @fileoverview Suggestion Handler for Funnelback Search Integration
  *
  * Handles autocomplete suggestion requests for the Funnelback integration.
- * Provides real-time search suggestions as users type, with structured logging
- * for Vercel serverless environment. Enhanced with consistent IP tracking,
- * session management, and improved error handling.
+ * Provides real-time search suggestions as users type. The request lifecycle
+ * (IP tracking, sessions, caching, analytics, errors) is run by the shared
+ * handler pipeline; this file declares what is specific to suggestions.
  *
  * Features:
- * - Consistent IP tracking using commonUtils
- * - CORS handling for Seattle University domain
+ * - Declared on the shared handler pipeline (lib/handlerPipeline.js)
  * - Redis Caching for improved performance and reduced latency
- * - Structured JSON logging for Vercel
- * - Request/Response tracking with detailed headers
- * - Query parameter tracking
+ * - Stale cache fallback when Funnelback is unavailable; the response stays
+ *   an array, so a stale one is flagged by the X-Cache-Stale header only
+ * - Allowlisted collection, profile and parameter forwarding
+ * - Tab metadata enrichment for each suggestion
  * - Session-based analytics tracking
  * - Enrichment data recording
- * - Comprehensive error handling with detailed logging
- * - Query analytics integration
  *
  * @author Victor Chimenti
- * @version 5.1.0
+ * @version 6.1.1
  * @namespace suggestionHandler
  * @license MIT
- * @lastModified 2025-04-30
+ * @lastModified 2026-10-19
  */
 
-const axios = require("axios");
-const { getLocationData } = require("../lib/geoIpService");
-const { recordQuery } = require("../lib/queryAnalytics");
 const commonUtils = require("../lib/commonUtils");
-const {
-    createStandardAnalyticsData,
-    createRequestAnalytics,
-    logAnalyticsData,
-} = require("../lib/schemaHandler");
-const {
-    getCachedData,
-    setCachedData,
-    isCachingEnabled,
-    logCacheCheck,
-    logCacheHit,
-    logCacheMiss,
-    logCacheError,
-    logCacheSet,
-} = require("../lib/cacheService");
+const { createHandler } = require("../lib/handlerPipeline");
 
 /**
  * Enriches suggestions with metadata based on content and tab parameters
@@ -108,417 +89,41 @@ function enrichSuggestions(suggestions, query, requestId) {
 }
 
 /**
- * Records analytics data for the query
+ * Maps a suggestion response to its analytics fields
  *
- * @param {Object} req - The request object
- * @param {Object} locationData - Geo location data
- * @param {number} startTime - Request start time
- * @param {Array} enrichedResponse - The response data
- * @param {boolean} cacheHit - Whether the response was served from cache
- * @param {boolean} cacheResult - Whether the response was cached successfully
- * @param {string} requestId - Request ID for tracking
- * @returns {Promise<Object>} Analytics record result
+ * @param {Object} ctx - Pipeline context
+ * @returns {Object} Suggestion-specific analytics data
  */
-async function recordQueryAnalytics(
-    req,
-    locationData,
-    startTime,
-    enrichedResponse,
-    cacheHit,
-    cacheResult,
-    requestId
-) {
-    try {
-        if (!process.env.MONGODB_URI) {
-            commonUtils.logEvent("info", "analytics_skipped", "suggest-handler", {
-                requestId,
-                reason: "mongodb_uri_not_configured",
-            });
-            return null;
-        }
-
-        // Create base analytics data from request
-        const baseData = createRequestAnalytics(
-            req,
-            locationData,
-            "suggest",
-            startTime
-        );
-
-        // Add suggestion-specific data
-        const analyticsData = {
-            ...baseData,
-            resultCount: enrichedResponse ? enrichedResponse.length : 0,
-            hasResults: enrichedResponse && enrichedResponse.length > 0,
-            cacheHit,
-            cacheSet: cacheResult,
-            enrichmentData: {
-                totalSuggestions: enrichedResponse ? enrichedResponse.length : 0,
-                suggestionsData: enrichedResponse
-                    ? enrichedResponse.map((s) => ({
-                        display: s.display || "",
-                        tabs: s.metadata?.tabs || [],
-                    }))
-                    : [],
-                cacheHit: cacheHit || false,
-                cacheSet: cacheResult || false,
-            },
-        };
-
-        // Standardize and validate data
-        const standardData = createStandardAnalyticsData(analyticsData);
-
-        // Log analytics data (excluding sensitive information)
-        logAnalyticsData(standardData, "suggest-handler");
-
-        // Record in database
-        try {
-            const recordResult = await recordQuery(standardData);
-
-            commonUtils.logEvent("info", "analytics_recorded", "suggest-handler", {
-                requestId,
-                recordId: recordResult?._id?.toString(),
-                success: !!recordResult,
-            });
-
-            return recordResult;
-        } catch (recordError) {
-            commonUtils.logEvent(
-                "error",
-                "analytics_record_failed",
-                "suggest-handler",
-                {
-                    requestId,
-                    error: recordError.message,
-                    query: req.query.query,
-                }
-            );
-            return null;
-        }
-    } catch (analyticsError) {
-        commonUtils.logEvent(
-            "error",
-            "analytics_processing_failed",
-            "suggest-handler",
-            {
-                requestId,
-                error: analyticsError.message,
-                stack: analyticsError.stack,
-            }
-        );
-        return null;
-    }
-}
-
-/**
- * Handler for suggestion requests to Funnelback search service
- * Enhanced with consistent IP tracking, session management, and error handling
- *
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @returns {Promise<void>}
- */
-async function handler(req, res) {
-    const startTime = Date.now();
-    const requestId = commonUtils.getRequestId(req);
-
-    // CRITICAL: Extract the true end-user IP with highest priority
-    const clientIp = commonUtils.extractClientIp(req);
-
-    // Log full IP information for debugging including all potential IP sources
-    commonUtils.logFullIpInfo(req, "suggest-handler", requestId);
-
-    // Standard log with redacted IP (for security/privacy)
-    commonUtils.logEvent("info", "request_received", "suggest-handler", {
-        requestId,
-        path: req.path,
-        query: req.query.query || req.query.partial_query,
-        clientIp, // Will be redacted in standard logs
-    });
-
-    // Set CORS headers
-    commonUtils.setCorsHeaders(res);
-
-    // Handle OPTIONS requests
-    if (req.method === "OPTIONS") {
-        commonUtils.logEvent("info", "options_request", "suggest-handler", {
-            requestId,
-        });
-        res.status(200).end();
-        return;
-    }
-
-    // Extract session information
-    const sessionInfo = commonUtils.extractSessionInfo(req);
-    commonUtils.logSessionHandling(
-        req,
-        sessionInfo,
-        "suggest-handler",
-        requestId
-    );
-
-    // Check caching capability
-    let cachingEnabled = false;
-    try {
-        cachingEnabled = await isCachingEnabled();
-    } catch (cacheError) {
-        commonUtils.logEvent("warn", "cache_check_failed", "suggest-handler", {
-            requestId,
-            error: cacheError.message,
-        });
-    }
-
-    // Only use caching for queries with 3 or more characters
-    const canUseCache =
-        cachingEnabled &&
-        (req.query.query || req.query.partial_query) &&
-        (req.query.query?.length >= 3 || req.query.partial_query?.length >= 3);
-
-    // Log cache parameters
-    commonUtils.logEvent("debug", "cache_parameters", "suggest-handler", {
-        requestId,
-        cachingEnabled,
-        queryExists: !!(req.query.query || req.query.partial_query),
-        queryLength:
-            req.query.query?.length || req.query.partial_query?.length || 0,
-        canUseCache,
-    });
-
-    // Create stable variables for tracking
-    const willUseCache = canUseCache;
-    let cacheHit = false;
-    let enrichedResponse = null;
-    let cacheResult = null;
-
-    // Get location data based on the ACTUAL USER IP - Critical for consistency
-    let locationData = null;
-    try {
-        // Use true user IP for location lookup, not server/edge IPs
-        locationData = await getLocationData(clientIp);
-        commonUtils.logEvent(
-            "debug",
-            "location_data_retrieved",
-            "suggest-handler",
-            {
-                requestId,
-                clientIp: clientIp, // Log which IP was used for lookup
-                location: {
-                    city: locationData.city,
-                    region: locationData.region,
-                    country: locationData.country,
-                },
-            }
-        );
-    } catch (geoError) {
-        commonUtils.logEvent("warn", "location_data_failed", "suggest-handler", {
-            requestId,
-            error: geoError.message,
-        });
-        // Use default empty location data
-        locationData = {
-            city: null,
-            region: null,
-            country: null,
-            timezone: null,
-        };
-    }
-
-    // Try to get data from cache first
-    if (canUseCache) {
-        try {
-            const cachedData = await getCachedData(
-                "suggestions",
-                req.query,
-                requestId
-            );
-
-            if (cachedData) {
-                cacheHit = true;
-                enrichedResponse = cachedData;
-
-                // Calculate processing time
-                const processingTime = Date.now() - startTime;
-
-                // Log cache hit with standard event logging
-                commonUtils.logEvent("info", "cache_hit", "suggest-handler", {
-                    requestId,
-                    status: 200,
-                    processingTime: `${processingTime}ms`,
-                    suggestionsCount: enrichedResponse.length || 0,
-                    query: req.query.query || req.query.partial_query,
-                });
-
-                // Send cached response
-                res.setHeader("Content-Type", "application/json");
-                res.setHeader("X-Request-ID", requestId);
-                res.json(enrichedResponse);
-
-                // Record analytics in background
-                recordQueryAnalytics(
-                    req,
-                    locationData,
-                    startTime,
-                    enrichedResponse,
-                    true,
-                    null,
-                    requestId
-                );
-
-                return; // Exit early since response already sent
-            } else {
-                commonUtils.logEvent("debug", "cache_miss", "suggest-handler", {
-                    requestId,
-                    query: req.query.query || req.query.partial_query,
-                });
-            }
-        } catch (cacheError) {
-            commonUtils.logEvent("error", "cache_error", "suggest-handler", {
-                requestId,
-                error: cacheError.message,
-            });
-        }
-    }
-
-    try {
-        const funnelbackUrl =
-            "https://dxp-us-search.funnelback.squiz.cloud/s/suggest.json";
-
-        // CRITICAL: Create outgoing headers with the TRUE USER IP in X-Forwarded-For
-        // This ensures Funnelback gets the actual client IP, not our server IP
-        const funnelbackHeaders = {
-            Accept: "text/html",
-            // Essential for Funnelback location detection - must be end user IP
-            "X-Forwarded-For": clientIp,
-            // Additional headers for our own tracking across service boundaries
-            "X-Original-Client-Ip": clientIp,
-            "X-Real-Ip": clientIp,
-            // Forward location data if already determined
-            "X-Geo-City": locationData.city || "",
-            "X-Geo-Region": locationData.region || "",
-            "X-Geo-Country": locationData.country || "",
-            "X-Geo-Timezone": locationData.timezone || "",
-            "X-Request-ID": requestId,
-        };
-
-        // Log outgoing request with IP verification
-        commonUtils.logEvent("info", "outgoing_request", "suggest-handler", {
-            requestId,
-            url: funnelbackUrl,
-            query: req.query.query || req.query.partial_query,
-            outgoingClientIp: clientIp, // Log which IP we're sending
-        });
-
-        // Log detailed headers for debugging
-        console.log(`- Outgoing Headers to Funnelback:`, {
-            funnelbackHeaders,
-        });
-
-        // Make request to Funnelback with proper IP forwarding
-        const response = await axios.get(funnelbackUrl, {
-            params: req.query,
-            headers: funnelbackHeaders,
-        });
-
-        // Log successful response
-        commonUtils.logEvent("info", "funnelback_response", "suggest-handler", {
-            requestId,
-            status: response.status,
-            resultCount: Array.isArray(response.data) ? response.data.length : 0,
-        });
-
-        // Ensure response data is an array (handle API inconsistencies)
-        const responseData = Array.isArray(response.data) ? response.data : [];
-
-        // Enrich suggestions with metadata
-        enrichedResponse = enrichSuggestions(responseData, req.query, requestId);
-
-        // Check if we should cache the results
-        if (willUseCache && enrichedResponse && enrichedResponse.length > 0) {
-            try {
-                cacheResult = await setCachedData(
-                    "suggestions",
-                    req.query,
-                    enrichedResponse,
-                    requestId
-                );
-
-                commonUtils.logEvent("debug", "cache_set_result", "suggest-handler", {
-                    requestId,
-                    success: cacheResult,
-                    itemCount: enrichedResponse.length,
-                });
-            } catch (cacheSetError) {
-                commonUtils.logEvent("error", "cache_set_error", "suggest-handler", {
-                    requestId,
-                    error: cacheSetError.message,
-                });
-                cacheResult = false;
-            }
-        } else {
-            commonUtils.logEvent("debug", "cache_skipped", "suggest-handler", {
-                requestId,
-                willUseCache,
-                resultCount: enrichedResponse?.length || 0,
-            });
-        }
-
-        // Process time for this request
-        const processingTime = Date.now() - startTime;
-
-        // Log complete response
-        commonUtils.logEvent("info", "request_completed", "suggest-handler", {
-            requestId,
-            status: response.status,
-            processingTime: `${processingTime}ms`,
-            suggestionsCount: enrichedResponse.length || 0,
-            query: req.query.query || req.query.partial_query,
-            cacheHit: false,
-        });
-
-        // Send response to client with request ID
-        res.setHeader("Content-Type", "application/json");
-        res.setHeader("X-Request-ID", requestId);
-        res.json(enrichedResponse);
-
-        // Record analytics in background
-        recordQueryAnalytics(
-            req,
-            locationData,
-            startTime,
-            enrichedResponse,
-            false,
-            cacheResult,
-            requestId
-        );
-    } catch (error) {
-        // Handle errors comprehensively
-        const errorInfo = commonUtils.formatError(
-            error,
-            "suggest-handler",
-            "suggestion_request_failed",
-            requestId
-        );
-
-        // Log additional context for debugging
-        commonUtils.logEvent("error", "request_failed", "suggest-handler", {
-            requestId,
-            query: req.query.query || req.query.partial_query,
-            status: error.response?.status || 500,
-            errorDetails: {
-                message: error.message,
-                responseStatus: error.response?.status,
-                axiosError: error.isAxiosError,
-            },
-        });
-
-        // Send error response
-        res.status(errorInfo.status).json({
-            error: "Suggestion error",
-            message: error.message,
-            requestId: requestId,
-        });
-    }
+function suggestionAnalytics(ctx) {
+    const suggestions = ctx.body || [];
+
+    return {
+        enrichmentData: {
+            totalSuggestions: suggestions.length,
+            suggestionsData: suggestions.map((s) => ({
+                display: s.display || "",
+                tabs: s.metadata?.tabs || [],
+            })),
+            cacheHit: ctx.cache.hit,
+            cacheState: ctx.cache.state,
+            cacheSet: ctx.cache.stored || false,
+        },
+    };
 }
 
 // Export a single function as required by Vercel
-module.exports = handler;
+module.exports = createHandler({
+    name: "suggest",
+    service: "suggest-handler",
+    upstream: "suggest.json",
+    queryParams: ["query", "partial_query"],
+    // Ensure response data is an array (handle API inconsistencies)
+    format: (data, ctx) =>
+        enrichSuggestions(Array.isArray(data) ? data : [], ctx.req.query, ctx.requestId),
+    resultCount: (body) => body?.length || 0,
+    analytics: suggestionAnalytics,
+    // No staleBody: an array cannot carry a stale flag without changing shape
+    cache: {
+        namespace: "suggestions",
+    },
+});
@@ -1,47 +1,31 @@
 /**
  * @fileoverview Suggestion Handler for Funnelback Search Integration (People)
  *
- * Handles autocomplete suggestion requests for faculty and staff searches with
- * structured logging for Vercel serverless environment. Returns detailed information
- * including affiliation, college, department, and position data.
- * Enhanced with consistent IP tracking, session management, and improved error handling.
+ * Handles autocomplete suggestion requests for faculty and staff searches.
+ * Returns detailed information including affiliation, college, department, and
+ * position data. The request lifecycle (IP tracking, sessions, caching, analytics,
+ * errors) is run by the shared handler pipeline; this file declares what is
+ * specific to people search.
  *
  * Features:
- * - Consistent IP tracking using commonUtils
+ * - Declared on the shared handler pipeline (lib/handlerPipeline.js)
  * - Redis caching for fast response times
- * - CORS handling for Seattle University domain
- * - Structured JSON logging for Vercel
- * - Request/Response tracking with detailed headers
+ * - Stale cache fallback when Funnelback is unavailable; the response stays
+ *   an array, so a stale one is flagged by the X-Cache-Stale header only
+ * - Allowlisted parameter forwarding (internal sessionId is not sent upstream)
  * - Enhanced response format with rich metadata
  * - Title cleaning and formatting
- * - Comprehensive error handling with detailed logging
  * - Analytics integration
+ * - Longer prefixes answered from a cached shorter prefix, filtered on name and department
  *
  * @author Victor Chimenti
- * @version 5.1.0
+ * @version 6.2.2
  * @namespace suggestPeople
- * @lastmodified 2025-04-30
+ * @lastmodified 2026-10-19
  * @license MIT
  */
 
-const axios = require("axios");
-const { getLocationData } = require("../lib/geoIpService");
-const { recordQuery } = require("../lib/queryAnalytics");
-const commonUtils = require("../lib/commonUtils");
-const {
-    createStandardAnalyticsData,
-    createRequestAnalytics,
-    logAnalyticsData,
-} = require("../lib/schemaHandler");
-const {
-    getCachedData,
-    setCachedData,
-    isCachingEnabled,
-    logCacheHit,
-    logCacheMiss,
-    logCacheError,
-    logCacheSet,
-} = require("../lib/cacheService");
+const { createHandler } = require("../lib/handlerPipeline");
 
 /**
  * Cleans a title string by removing HTML tags and taking only the first part before any pipe character
@@ -57,442 +41,94 @@ function cleanTitle(title = "") {
 }
 
 /**
- * Records analytics data for people search
+ * Formats Funnelback results into people suggestions
  *
- * @param {Object} req - The request object
- * @param {Object} locationData - Geo location data
- * @param {number} startTime - Request start time
- * @param {Array} formattedResults - The formatted results
- * @param {boolean} cacheHit - Whether response was served from cache
- * @param {boolean} cacheResult - Whether caching was successful
- * @param {string} requestId - Request ID for tracking
- * @returns {Promise<Object>} The result of the analytics recording
+ * This body is what the people namespace caches: when its shape changes, bump
+ * NAMESPACE_SCHEMA_VERSIONS.people in lib/cacheKey.js so old entries are not served.
+ *
+ * @param {Object} data - Parsed search.json response
+ * @returns {Array<Object>} People with affiliation, position, department and college
  */
-async function recordQueryAnalytics(
-    req,
-    locationData,
-    startTime,
-    formattedResults,
-    cacheHit,
-    cacheResult,
-    requestId
-) {
-    try {
-        if (!process.env.MONGODB_URI) {
-            commonUtils.logEvent("info", "analytics_skipped", "suggest-people", {
-                requestId,
-                reason: "mongodb_uri_not_configured",
-            });
-            return null;
-        }
-
-        // Create base analytics data from request
-        const baseData = createRequestAnalytics(
-            req,
-            locationData,
-            "suggestPeople",
-            startTime
-        );
-
-        // Add people-specific data
-        const analyticsData = {
-            ...baseData,
-            resultCount: formattedResults ? formattedResults.length : 0,
-            hasResults: formattedResults && formattedResults.length > 0,
-            cacheHit,
-            cacheSet: cacheResult,
-            isStaffTab: true,
-            tabs: ["Faculty & Staff"],
-            enrichmentData: {
-                resultCount: formattedResults ? formattedResults.length : 0,
-                staffData: formattedResults
-                    ? formattedResults.slice(0, 3).map((staff) => ({
-                        title: staff.title || "",
-                        position: staff.position || staff.affiliation || "",
-                        department: staff.department || staff.college || "",
-                        url: staff.url || "",
-                    }))
-                    : [],
-                cacheHit: cacheHit || false,
-                cacheSet: cacheResult || false,
-            },
+function formatPeople(data) {
+    return (data?.response?.resultPacket?.results || []).map((result) => {
+        const affiliation = result.listMetadata?.affiliation?.[0]
+            ? cleanTitle(result.listMetadata.affiliation[0])
+            : null;
+        const position = result.listMetadata?.peoplePosition?.[0]
+            ? cleanTitle(result.listMetadata.peoplePosition[0])
+            : null;
+        const department = result.listMetadata?.peopleDepartment?.[0]
+            ? cleanTitle(result.listMetadata.peopleDepartment[0])
+            : null;
+        const college = result.listMetadata?.college?.[0]
+            ? cleanTitle(result.listMetadata.college[0])
+            : null;
+
+        return {
+            title: cleanTitle(result.title) || "",
+            affiliation: affiliation,
+            position: position,
+            department: department,
+            college: college,
+            url: result.liveUrl || "",
+            image: result.listMetadata?.image?.[0] || null,
         };
-
-        // Standardize and validate data
-        const standardData = createStandardAnalyticsData(analyticsData);
-
-        // Log analytics data (excluding sensitive information)
-        logAnalyticsData(standardData, "suggest-people");
-
-        // Record in database
-        try {
-            const recordResult = await recordQuery(standardData);
-
-            commonUtils.logEvent("info", "analytics_recorded", "suggest-people", {
-                requestId,
-                recordId: recordResult?._id?.toString(),
-                success: !!recordResult,
-            });
-
-            return recordResult;
-        } catch (recordError) {
-            commonUtils.logEvent(
-                "error",
-                "analytics_record_failed",
-                "suggest-people",
-                {
-                    requestId,
-                    error: recordError.message,
-                    query: req.query.query,
-                }
-            );
-            return null;
-        }
-    } catch (analyticsError) {
-        commonUtils.logEvent(
-            "error",
-            "analytics_processing_failed",
-            "suggest-people",
-            {
-                requestId,
-                error: analyticsError.message,
-                stack: analyticsError.stack,
-            }
-        );
-        return null;
-    }
+    });
 }
 
 /**
- * Handler for people/faculty/staff suggestion requests to Funnelback
- * Enhanced with consistent IP tracking, session management, and error handling
+ * Narrows a cached shorter-prefix response to the people matching the full
+ * query by name or department. The response stays an array; X-Cache-Prefix
+ * tells the client it came from a prefix.
  *
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
+ * @param {Array<Object>} body - Cached people for the prefix
+ * @param {function(Array<string|null>): boolean} matches - Query matcher
+ * @returns {Array<Object>} People for the full query
  */
-async function handler(req, res) {
-    const startTime = Date.now();
-    const requestId = commonUtils.getRequestId(req);
-
-    // CRITICAL: Extract the true end-user IP with highest priority
-    const clientIp = commonUtils.extractClientIp(req);
-
-    // Log full IP information for debugging including all potential IP sources
-    commonUtils.logFullIpInfo(req, "suggest-people", requestId);
-
-    // Standard log with redacted IP (for security/privacy)
-    commonUtils.logEvent("info", "request_received", "suggest-people", {
-        requestId,
-        path: req.path,
-        query: req.query.query,
-        clientIp, // Will be redacted in standard logs
-    });
-
-    // Extract session information
-    const sessionInfo = commonUtils.extractSessionInfo(req);
-    commonUtils.logSessionHandling(req, sessionInfo, "suggest-people", requestId);
-
-    // Set CORS headers
-    commonUtils.setCorsHeaders(res);
-
-    // Handle OPTIONS requests
-    if (req.method === "OPTIONS") {
-        commonUtils.logEvent("info", "options_request", "suggest-people", {
-            requestId,
-        });
-        res.status(200).end();
-        return;
-    }
-
-    // Check caching capability
-    let cachingEnabled = false;
-    try {
-        cachingEnabled = await isCachingEnabled();
-    } catch (cacheError) {
-        commonUtils.logEvent("warn", "cache_check_failed", "suggest-people", {
-            requestId,
-            error: cacheError.message,
-        });
-    }
-
-    // Only use caching for queries with 3 or more characters
-    const canUseCache =
-        cachingEnabled && req.query.query && req.query.query.length >= 3;
-
-    // Log cache parameters
-    commonUtils.logEvent("debug", "cache_parameters", "suggest-people", {
-        requestId,
-        cachingEnabled,
-        queryExists: !!req.query.query,
-        queryLength: req.query.query?.length || 0,
-        canUseCache,
-    });
-
-    let cacheHit = false;
-    let cacheResult = null;
-    let formattedResults = null;
-
-    // Get location data based on the ACTUAL USER IP - Critical for consistency
-    let locationData = null;
-    try {
-        // Use true user IP for location lookup, not server/edge IPs
-        locationData = await getLocationData(clientIp);
-        commonUtils.logEvent("debug", "location_data_retrieved", "suggest-people", {
-            requestId,
-            clientIp: clientIp, // Log which IP was used for lookup
-            location: {
-                city: locationData.city,
-                region: locationData.region,
-                country: locationData.country,
-            },
-        });
-    } catch (geoError) {
-        commonUtils.logEvent("warn", "location_data_failed", "suggest-people", {
-            requestId,
-            error: geoError.message,
-        });
-        // Use default empty location data
-        locationData = {
-            city: null,
-            region: null,
-            country: null,
-            timezone: null,
-        };
-    }
-
-    // Try to get data from cache first
-    if (canUseCache) {
-        try {
-            const cachedData = await getCachedData("people", req.query, requestId);
-            if (cachedData) {
-                cacheHit = true;
-                formattedResults = cachedData;
-
-                // Calculate processing time
-                const processingTime = Date.now() - startTime;
-
-                // Log cache hit with standard event logging
-                commonUtils.logEvent("info", "cache_hit", "suggest-people", {
-                    requestId,
-                    status: 200,
-                    processingTime: `${processingTime}ms`,
-                    resultCount: formattedResults.length || 0,
-                    query: req.query.query,
-                });
-
-                // Send cached response
-                res.setHeader("Content-Type", "application/json");
-                res.setHeader("X-Request-ID", requestId);
-                res.send(formattedResults);
-
-                // Record analytics in background
-                recordQueryAnalytics(
-                    req,
-                    locationData,
-                    startTime,
-                    formattedResults,
-                    true,
-                    null,
-                    requestId
-                );
-
-                return; // Exit early since response already sent
-            } else {
-                commonUtils.logEvent("debug", "cache_miss", "suggest-people", {
-                    requestId,
-                    query: req.query.query,
-                });
-            }
-        } catch (cacheError) {
-            commonUtils.logEvent("error", "cache_error", "suggest-people", {
-                requestId,
-                error: cacheError.message,
-            });
-        }
-    }
-
-    try {
-        const funnelbackUrl =
-            "https://dxp-us-search.funnelback.squiz.cloud/s/search.json";
-
-        // Keep params for logging
-        const params = new URLSearchParams();
-        params.append("form", "partial");
-        params.append("profile", "_default");
-        params.append("query", req.query.query || "");
-        params.append("f.Tabs|seattleu|Eds-staff", "Faculty & Staff");
-        params.append("collection", "seattleu~sp-search");
-        params.append("num_ranks", "5");
-
-        // Use correctly encoded queryString for request
-        const queryString = [
-            "form=partial",
-            "profile=_default",
-            `query=${encodeURIComponent(req.query.query || "")}`,
-            "f.Tabs%7Cseattleu%7Eds-staff=Faculty+%26+Staff",
-            "collection=seattleu~sp-search",
-            "num_ranks=5",
-        ].join("&");
-
-        const url = `${funnelbackUrl}?${queryString}`;
-
-        // CRITICAL: Create outgoing headers with the TRUE USER IP in X-Forwarded-For
-        // This ensures Funnelback gets the actual client IP, not our server IP
-        const funnelbackHeaders = {
-            Accept: "text/html",
-            // Essential for Funnelback location detection - must be end user IP
-            "X-Forwarded-For": clientIp,
-            // Additional headers for our own tracking across service boundaries
-            "X-Original-Client-Ip": clientIp,
-            "X-Real-Ip": clientIp,
-            // Forward location data if already determined
-            "X-Geo-City": locationData.city || "",
-            "X-Geo-Region": locationData.region || "",
-            "X-Geo-Country": locationData.country || "",
-            "X-Geo-Timezone": locationData.timezone || "",
-            "X-Request-ID": requestId,
-        };
-
-        // Log outgoing request with IP verification
-        commonUtils.logEvent("info", "outgoing_request", "suggest-people", {
-            requestId,
-            url: url,
-            query: req.query.query || "",
-            outgoingClientIp: clientIp, // Log which IP we're sending
-        });
-
-        // Log detailed headers for debugging
-        console.log(`- Outgoing Headers to Funnelback:`, {
-            funnelbackHeaders,
-        });
-
-        // Make request to Funnelback with proper IP forwarding
-        const response = await axios.get(url, {
-            headers: funnelbackHeaders,
-        });
-
-        // Log successful response
-        commonUtils.logEvent("info", "funnelback_response", "suggest-people", {
-            requestId,
-            status: response.status,
-            resultCount: response.data?.response?.resultPacket?.results?.length || 0,
-        });
-
-        // Format and prepare response
-        formattedResults = (
-            response.data?.response?.resultPacket?.results || []
-        ).map((result) => {
-            // Extract and clean metadata fields
-            const affiliation = result.listMetadata?.affiliation?.[0]
-                ? cleanTitle(result.listMetadata.affiliation[0])
-                : null;
-            const position = result.listMetadata?.peoplePosition?.[0]
-                ? cleanTitle(result.listMetadata.peoplePosition[0])
-                : null;
-            const department = result.listMetadata?.peopleDepartment?.[0]
-                ? cleanTitle(result.listMetadata.peopleDepartment[0])
-                : null;
-            const college = result.listMetadata?.college?.[0]
-                ? cleanTitle(result.listMetadata.college[0])
-                : null;
-
-            return {
-                title: cleanTitle(result.title) || "",
-                affiliation: affiliation,
-                position: position,
-                department: department,
-                college: college,
-                url: result.liveUrl || "",
-                image: result.listMetadata?.image?.[0] || null,
-            };
-        });
-
-        // Check if we should cache the results
-        if (canUseCache && formattedResults && formattedResults.length > 0) {
-            try {
-                cacheResult = await setCachedData(
-                    "people",
-                    req.query,
-                    formattedResults,
-                    requestId
-                );
-
-                commonUtils.logEvent("debug", "cache_set_result", "suggest-people", {
-                    requestId,
-                    success: cacheResult,
-                    itemCount: formattedResults.length,
-                });
-            } catch (cacheSetError) {
-                commonUtils.logEvent("error", "cache_set_error", "suggest-people", {
-                    requestId,
-                    error: cacheSetError.message,
-                });
-                cacheResult = false;
-            }
-        } else {
-            commonUtils.logEvent("debug", "cache_skipped", "suggest-people", {
-                requestId,
-                canUseCache,
-                resultCount: formattedResults?.length || 0,
-            });
-        }
-
-        // Process time for this request
-        const processingTime = Date.now() - startTime;
-
-        // Log complete response
-        commonUtils.logEvent("info", "request_completed", "suggest-people", {
-            requestId,
-            status: response.status,
-            processingTime: `${processingTime}ms`,
-            resultCount: formattedResults.length || 0,
-            query: req.query.query,
-            cacheHit: false,
-        });
-
-        // Send response to client with request ID
-        res.setHeader("Content-Type", "application/json");
-        res.setHeader("X-Request-ID", requestId);
-        res.send(formattedResults);
-
-        // Record analytics in background
-        recordQueryAnalytics(
-            req,
-            locationData,
-            startTime,
-            formattedResults,
-            false,
-            cacheResult,
-            requestId
-        );
-    } catch (error) {
-        // Handle errors comprehensively
-        const errorInfo = commonUtils.formatError(
-            error,
-            "suggest-people",
-            "people_suggestion_request_failed",
-            requestId
-        );
-
-        // Log additional context for debugging
-        commonUtils.logEvent("error", "request_failed", "suggest-people", {
-            requestId,
-            query: req.query.query,
-            status: error.response?.status || 500,
-            errorDetails: {
-                message: error.message,
-                responseStatus: error.response?.status,
-                axiosError: error.isAxiosError,
-            },
-        });
+function filterPeopleByPrefix(body, matches) {
+    return (body || []).filter((person) => matches([person.title, person.department]));
+}
 
-        // Send error response
-        res.status(errorInfo.status).json({
-            error: "People search error",
-            message: error.message,
-            requestId: requestId,
-        });
-    }
+/**
+ * Maps a people response to its analytics fields
+ *
+ * @param {Object} ctx - Pipeline context
+ * @returns {Object} People-specific analytics data
+ */
+function peopleAnalytics(ctx) {
+    const people = ctx.body || [];
+
+    return {
+        isStaffTab: true,
+        tabs: ["Faculty & Staff"],
+        enrichmentData: {
+            resultCount: people.length,
+            staffData: people.slice(0, 3).map((staff) => ({
+                title: staff.title || "",
+                position: staff.position || staff.affiliation || "",
+                department: staff.department || staff.college || "",
+                url: staff.url || "",
+            })),
+            cacheHit: ctx.cache.hit,
+            cacheState: ctx.cache.state,
+            cacheSet: ctx.cache.stored || false,
+        },
+    };
 }
 
-module.exports = handler;
+// Export a single function as required by Vercel
+module.exports = createHandler({
+    name: "suggestPeople",
+    service: "suggest-people",
+    upstream: "search.json",
+    // Funnelback expects the query parameter even when it is empty
+    upstreamParams: (ctx) => ({ query: "", ...ctx.params }),
+    format: formatPeople,
+    resultCount: (body) => body?.length || 0,
+    analytics: peopleAnalytics,
+    // No staleBody: an array cannot carry a stale flag without changing shape
+    cache: {
+        namespace: "people",
+        prefixReuse: { filter: filterPeopleByPrefix },
+    },
+});
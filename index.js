@@ -0,0 +1,447 @@
+/**
+ * @fileoverview Local Express Server for Funnelback Proxy
+ *
+ * Runs the whole proxy as a plain Node process so it can be started and
+ * debugged on a laptop or a Linux VM without the Vercel CLI. The server
+ * mirrors the Vercel deployment: handlers are mounted on the paths declared
+ * in vercel.json and the edge middleware runs in front of them.
+ *
+ * Features:
+ * - Mounts every api/ handler using the rewrites in vercel.json
+ * - Default /api/<name> routes for handlers without a rewrite (Vercel filesystem routing)
+ * - Applies the custom headers declared in vercel.json
+ * - Runs middleware.js (rate limiting, IP preservation, session IDs) before the handlers
+ * - Vercel-compatible query string and body parsing
+ * - Graceful shutdown on SIGINT/SIGTERM
+ *
+ * Two listeners are used, matching the edge/origin split on Vercel: the public
+ * edge server runs the middleware and forwards to an origin Express app bound
+ * to loopback on an ephemeral port.
+ *
+ * Usage: npm start (PORT and HOST may be set in .env)
+ *
+ * @author Victor Chimenti
+ * @version 1.1.0
+ * @namespace localServer
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { Readable } = require('stream');
+const { pathToFileURL } = require('url');
+const express = require('express');
+const { sendError } = require('./lib/errorResponse');
+
+const ROOT_DIR = __dirname;
+const API_DIR = path.join(ROOT_DIR, 'api');
+const PORT = parseInt(process.env.PORT, 10) || 3000;
+const HOST = process.env.HOST || '0.0.0.0';
+
+/**
+ * Request headers that describe the inbound connection rather than the
+ * request itself. Node's fetch rejects several of them, so they are dropped
+ * before the request is handed to the middleware.
+ * @type {Array<string>}
+ * @constant
+ * @private
+ */
+const HOP_BY_HOP_HEADERS = [
+    'connection',
+    'keep-alive',
+    'proxy-connection',
+    'transfer-encoding',
+    'te',
+    'trailer',
+    'upgrade'
+];
+
+/**
+ * Logs an event for the local server in the structured format used elsewhere
+ *
+ * @param {string} level - Log level ('info', 'warn', 'error')
+ * @param {string} event - Event name
+ * @param {Object} [data] - Additional data to include
+ * @private
+ */
+function logServerEvent(level, event, data = {}) {
+    console.log(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        service: 'local-server',
+        level,
+        event,
+        ...data
+    }));
+}
+
+/**
+ * Reads and parses vercel.json from the project root
+ *
+ * @returns {Object} The Vercel configuration
+ */
+function loadVercelConfig() {
+    const configPath = path.join(ROOT_DIR, 'vercel.json');
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+}
+
+/**
+ * Lists handler files under api/ with the route Vercel serves them on
+ * by default (api/analytics/click.js -> /api/analytics/click)
+ *
+ * @param {string} [dir] - Directory to scan
+ * @param {string} [routePrefix] - Route prefix for the directory
+ * @returns {Array<{route: string, file: string}>} Discovered handlers
+ */
+function listApiHandlers(dir = API_DIR, routePrefix = '/api') {
+    const handlers = [];
+
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+
+        if (entry.isDirectory()) {
+            handlers.push(...listApiHandlers(fullPath, `${routePrefix}/${entry.name}`));
+        } else if (entry.isFile() && path.extname(entry.name) === '.js') {
+            handlers.push({
+                route: `${routePrefix}/${path.basename(entry.name, '.js')}`,
+                file: fullPath
+            });
+        }
+    }
+
+    return handlers;
+}
+
+/**
+ * Loads a handler module and adapts it to Express so rejected promises
+ * reach the error handler instead of becoming unhandled rejections
+ *
+ * @param {string} file - Absolute path of the handler module
+ * @returns {Function} Express route handler
+ */
+function loadHandler(file) {
+    const handler = require(file);
+
+    if (typeof handler !== 'function') {
+        throw new Error(`Handler ${path.relative(ROOT_DIR, file)} does not export a function`);
+    }
+
+    return (req, res, next) => {
+        Promise.resolve(handler(req, res)).catch(next);
+    };
+}
+
+/**
+ * Compiles a Vercel path pattern to a RegExp. Covers the forms used in
+ * vercel.json and the middleware matcher: named segments (":id"), catch-all
+ * segments ("/:path*") and raw regex groups ("(.*)"). Express 4 no longer
+ * accepts regex groups in string paths, so routes are mounted with the
+ * compiled expression instead.
+ *
+ * @param {string} pattern - Path pattern (e.g. "/proxy/:path*")
+ * @returns {RegExp} Equivalent regular expression
+ */
+function compilePathPattern(pattern) {
+    const source = pattern
+        .split(/(\([^)]*\))/)
+        .map((part) => {
+            if (part.startsWith('(')) return part;
+            return part
+                .replace(/[.+?^${}|[\]\\]/g, '\\$&')
+                .replace(/\/:\w+\*/g, '(?:/.*)?')
+                .replace(/:\w+/g, '[^/]+');
+        })
+        .join('');
+
+    return new RegExp(`^${source}/?$`);
+}
+
+/**
+ * Creates the origin Express app that serves the API handlers
+ *
+ * @param {Object} vercelConfig - Parsed vercel.json
+ * @returns {Object} Express application
+ */
+function createOriginApp(vercelConfig) {
+    const app = express();
+
+    // Vercel parses query strings without bracket expansion
+    app.set('query parser', 'simple');
+    app.disable('x-powered-by');
+
+    // Vercel's body helpers: JSON, form, text and raw buffers by content type
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: false }));
+    app.use(express.text());
+    app.use(express.raw({ type: 'application/octet-stream' }));
+
+    // Custom headers declared in vercel.json
+    for (const rule of vercelConfig.headers || []) {
+        app.all(compilePathPattern(rule.source), (req, res, next) => {
+            rule.headers.forEach(({ key, value }) => res.setHeader(key, value));
+            next();
+        });
+    }
+
+    const handlerCache = new Map();
+    const getHandler = (file) => {
+        if (!handlerCache.has(file)) {
+            handlerCache.set(file, loadHandler(file));
+        }
+        return handlerCache.get(file);
+    };
+
+    // Rewrites take precedence over filesystem routes, as on Vercel
+    for (const rewrite of vercelConfig.rewrites || []) {
+        const file = path.join(ROOT_DIR, rewrite.destination);
+        app.all(compilePathPattern(rewrite.source), getHandler(file));
+        logServerEvent('info', 'route_mounted', {
+            route: rewrite.source,
+            handler: rewrite.destination,
+            source: 'rewrite'
+        });
+    }
+
+    for (const { route, file } of listApiHandlers()) {
+        app.all(compilePathPattern(route), getHandler(file));
+        logServerEvent('info', 'route_mounted', {
+            route,
+            handler: path.relative(ROOT_DIR, file),
+            source: 'filesystem'
+        });
+    }
+
+    app.use((req, res) => {
+        sendError(res, 'NOT_FOUND', {
+            requestId: req.headers['x-request-id'] || null,
+            details: { path: req.path }
+        });
+    });
+
+    app.use((err, req, res, next) => {
+        logServerEvent('error', 'handler_error', {
+            path: req.path,
+            requestId: req.headers['x-request-id'] || null,
+            error: err.message
+        });
+
+        if (!res.headersSent) {
+            sendError(res, 'INTERNAL_ERROR', {
+                requestId: req.headers['x-request-id'] || null
+            });
+        }
+    });
+
+    return app;
+}
+
+/**
+ * Buffers the body of an incoming Node request
+ *
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {Promise<Buffer|null>} The body, or null when empty
+ * @private
+ */
+async function readBody(req) {
+    const chunks = [];
+    for await (const chunk of req) {
+        chunks.push(chunk);
+    }
+    return chunks.length > 0 ? Buffer.concat(chunks) : null;
+}
+
+/**
+ * Converts an incoming Node request into a Fetch API Request
+ *
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {Promise<Request>} Equivalent Fetch API request
+ * @private
+ */
+async function toFetchRequest(req) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const headers = new Headers();
+
+    for (const [key, value] of Object.entries(req.headers)) {
+        if (HOP_BY_HOP_HEADERS.includes(key)) continue;
+        if (Array.isArray(value)) {
+            value.forEach((v) => headers.append(key, v));
+        } else if (value !== undefined) {
+            headers.set(key, value);
+        }
+    }
+
+    // The local socket address stands in for Vercel's client IP headers
+    if (!headers.has('x-forwarded-for') && req.socket.remoteAddress) {
+        headers.set('x-forwarded-for', req.socket.remoteAddress);
+    }
+
+    const hasBody = req.method !== 'GET' && req.method !== 'HEAD';
+
+    return new Request(url, {
+        method: req.method,
+        headers,
+        body: hasBody ? await readBody(req) : null,
+        duplex: 'half'
+    });
+}
+
+/**
+ * Writes a Fetch API Response to a Node response
+ *
+ * @param {Response} response - Response from the middleware
+ * @param {http.ServerResponse} res - Outgoing Node response
+ * @private
+ */
+function sendFetchResponse(response, res) {
+    res.statusCode = response.status;
+    response.headers.forEach((value, key) => {
+        if (key === 'set-cookie') return;
+        res.setHeader(key, value);
+    });
+
+    const cookies = response.headers.getSetCookie();
+    if (cookies.length > 0) {
+        res.setHeader('set-cookie', cookies);
+    }
+
+    if (response.body) {
+        Readable.fromWeb(response.body).pipe(res);
+    } else {
+        res.end();
+    }
+}
+
+/**
+ * Creates the public edge server that runs middleware.js before forwarding
+ * requests to the origin app
+ *
+ * @param {string} originUrl - Base URL of the origin app
+ * @param {Object} middlewareModule - The imported middleware.js module
+ * @returns {http.Server} The edge HTTP server (not yet listening)
+ */
+function createEdgeServer(originUrl, middlewareModule) {
+    const { processRequest, config = {} } = middlewareModule;
+    const matchers = (config.matcher || []).map(compilePathPattern);
+
+    /**
+     * Sends a request to the origin app, keeping its path and query
+     *
+     * @param {Request} request - Request to forward
+     * @returns {Promise<Response>} Origin response
+     */
+    const forward = (request) => {
+        const source = new URL(request.url);
+        const target = new URL(`${source.pathname}${source.search}`, originUrl);
+
+        return fetch(target, {
+            method: request.method,
+            headers: request.headers,
+            body: request.body,
+            redirect: 'manual',
+            duplex: 'half'
+        });
+    };
+
+    return http.createServer(async (req, res) => {
+        try {
+            const request = await toFetchRequest(req);
+            const { pathname } = new URL(request.url);
+            const useMiddleware = matchers.some((matcher) => matcher.test(pathname));
+
+            const response = useMiddleware
+                ? await processRequest(request, forward)
+                : await forward(request);
+
+            sendFetchResponse(response, res);
+        } catch (error) {
+            logServerEvent('error', 'edge_error', {
+                path: req.url,
+                error: error.message
+            });
+
+            if (!res.headersSent) {
+                res.statusCode = 502;
+                res.setHeader('Content-Type', 'application/json');
+            }
+            res.end(JSON.stringify({ error: 'Bad gateway' }));
+        }
+    });
+}
+
+/**
+ * Starts listening on the given port and host
+ *
+ * @param {http.Server} server - Server to start
+ * @param {number} port - Port (0 for an ephemeral port)
+ * @param {string} host - Interface to bind
+ * @returns {Promise<http.Server>} The listening server
+ * @private
+ */
+function listen(server, port, host) {
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            server.off('error', reject);
+            resolve(server);
+        });
+    });
+}
+
+/**
+ * Starts the origin and edge servers
+ *
+ * @param {Object} [options] - Startup options
+ * @param {number} [options.port] - Public port
+ * @param {string} [options.host] - Public interface
+ * @returns {Promise<{edge: http.Server, origin: http.Server, close: Function}>} Running servers
+ */
+async function start({ port = PORT, host = HOST } = {}) {
+    const vercelConfig = loadVercelConfig();
+    const middlewareModule = await import(pathToFileURL(path.join(ROOT_DIR, 'middleware.js')).href);
+
+    const originApp = createOriginApp(vercelConfig);
+    const origin = await listen(http.createServer(originApp), 0, '127.0.0.1');
+    const originUrl = `http://127.0.0.1:${origin.address().port}`;
+
+    const edge = await listen(createEdgeServer(originUrl, middlewareModule), port, host);
+
+    logServerEvent('info', 'server_started', {
+        url: `http://${host === '0.0.0.0' ? 'localhost' : host}:${edge.address().port}`,
+        origin: originUrl
+    });
+
+    const close = () => Promise.all([
+        new Promise((resolve) => edge.close(resolve)),
+        new Promise((resolve) => origin.close(resolve))
+    ]);
+
+    return { edge, origin, close };
+}
+
+if (require.main === module) {
+    start()
+        .then(({ close }) => {
+            const shutdown = (signal) => {
+                logServerEvent('info', 'server_stopping', { signal });
+                close().then(() => process.exit(0));
+            };
+            process.on('SIGINT', shutdown);
+            process.on('SIGTERM', shutdown);
+        })
+        .catch((error) => {
+            logServerEvent('error', 'server_start_failed', { error: error.message });
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    start,
+    createOriginApp,
+    createEdgeServer,
+    listApiHandlers,
+    compilePathPattern,
+    loadVercelConfig
+};
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Admin Authentication for Operational Endpoints
+ *
+ * Protects the admin endpoints (cache management and similar tools) with
+ * API keys taken from the environment. Each key has a name, which is what
+ * audit logs record as the actor. Admin endpoints are disabled when no key
+ * is configured.
+ *
+ * Keys are read from:
+ * - ADMIN_API_KEYS: comma-separated name:key pairs (e.g. "ops:abc123,ci:def456")
+ * - ADMIN_API_KEY: a single key, recorded as actor "admin"
+ *
+ * Clients send the key as `Authorization: Bearer <key>` or `X-Admin-Key: <key>`.
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @namespace adminAuth
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+const crypto = require('crypto');
+const commonUtils = require('./commonUtils');
+const { ApiError } = require('./errorResponse');
+
+/**
+ * Reads the configured admin keys
+ *
+ * @returns {Array<{name: string, key: string}>} Configured keys
+ * @private
+ */
+function getAdminKeys() {
+    const keys = (process.env.ADMIN_API_KEYS || '')
+        .split(',')
+        .map((entry) => entry.trim())
+        .filter(Boolean)
+        .map((entry) => {
+            const separator = entry.indexOf(':');
+            return separator > 0
+                ? { name: entry.slice(0, separator), key: entry.slice(separator + 1) }
+                : { name: 'admin', key: entry };
+        });
+
+    if (process.env.ADMIN_API_KEY) {
+        keys.push({ name: 'admin', key: process.env.ADMIN_API_KEY });
+    }
+
+    return keys.filter(({ key }) => key.length > 0);
+}
+
+/**
+ * Extracts the key a client sent
+ *
+ * @param {Object} req - Express request object
+ * @returns {string|null} The key, or null when none was sent
+ * @private
+ */
+function getRequestKey(req) {
+    const authorization = req.headers?.authorization || '';
+    const bearer = authorization.match(/^Bearer\s+(.+)$/i);
+    if (bearer) return bearer[1].trim();
+
+    return req.headers?.['x-admin-key'] || null;
+}
+
+/**
+ * Compares two keys in constant time
+ *
+ * @param {string} expected - Configured key
+ * @param {string} actual - Key sent by the client
+ * @returns {boolean} Whether they match
+ * @private
+ */
+function keysMatch(expected, actual) {
+    const expectedHash = crypto.createHash('sha256').update(expected).digest();
+    const actualHash = crypto.createHash('sha256').update(actual).digest();
+    return crypto.timingSafeEqual(expectedHash, actualHash);
+}
+
+/**
+ * Checks whether admin endpoints are enabled
+ *
+ * @returns {boolean} Whether at least one admin key is configured
+ */
+function isAdminEnabled() {
+    return getAdminKeys().length > 0;
+}
+
+/**
+ * Authenticates an admin request
+ *
+ * @param {Object} req - Express request object
+ * @returns {{name: string}|null} The actor, or null when the key is missing or wrong
+ */
+function authenticateAdmin(req) {
+    const requestKey = getRequestKey(req);
+    if (!requestKey) return null;
+
+    // Check every key so the time taken does not reveal which one matched
+    let actor = null;
+    for (const { name, key } of getAdminKeys()) {
+        if (keysMatch(key, requestKey) && !actor) {
+            actor = { name };
+        }
+    }
+
+    return actor;
+}
+
+/**
+ * Requires an authenticated admin for a request
+ *
+ * @param {Object} req - Express request object
+ * @param {string} service - Service name used in logs
+ * @param {string} [requestId] - Request ID for tracking
+ * @returns {{name: string}} The actor
+ * @throws {ApiError} UNAUTHORIZED when admin access is disabled or the key is wrong
+ */
+function requireAdmin(req, service, requestId = null) {
+    if (!isAdminEnabled()) {
+        commonUtils.logEvent('warn', 'admin_disabled', service, { requestId });
+        throw new ApiError('UNAUTHORIZED', 'Admin access is not configured');
+    }
+
+    const actor = authenticateAdmin(req);
+    if (!actor) {
+        commonUtils.logEvent('warn', 'admin_auth_failed', service, {
+            requestId,
+            clientIp: commonUtils.extractClientIp(req),
+            keySent: Boolean(getRequestKey(req))
+        });
+        throw new ApiError('UNAUTHORIZED');
+    }
+
+    return actor;
+}
+
+module.exports = {
+    requireAdmin,
+    authenticateAdmin,
+    isAdminEnabled
+};
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Audit Log for Admin Actions
+ *
+ * Records admin actions that change shared state (cache purges and similar)
+ * so they can be reviewed later. Each entry is written as a structured log
+ * line and kept in a capped Redis list that the admin endpoints can read.
+ *
+ * Features:
+ * - One entry per action: who, what, when, from where, and the outcome
+ * - Capped Redis list (newest first), so the log never grows unbounded
+ * - Structured log line for every entry, even when Redis is unavailable
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @namespace auditLog
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+const { getRedisClient } = require('./redisClient');
+const commonUtils = require('./commonUtils');
+
+/**
+ * Redis list holding audit entries
+ * @type {string}
+ * @constant
+ */
+const AUDIT_LOG_KEY = 'audit:admin';
+
+/**
+ * Maximum number of entries kept in Redis
+ * @type {number}
+ * @constant
+ */
+const AUDIT_LOG_MAX_ENTRIES = 1000;
+
+/**
+ * Records an admin action
+ *
+ * @param {Object} entry - Audit entry
+ * @param {string} entry.action - Action name (e.g. 'cache.purge')
+ * @param {string} entry.actor - Name of the admin key used
+ * @param {string} [entry.requestId] - Request ID for tracking
+ * @param {string} [entry.clientIp] - Client IP (redacted in standard logs)
+ * @param {Object} [entry.target] - What the action applied to
+ * @param {Object} [entry.result] - Outcome (e.g. number of keys deleted)
+ * @returns {Promise<boolean>} Whether the entry was stored in Redis
+ */
+async function recordAudit(entry) {
+    const record = {
+        timestamp: new Date().toISOString(),
+        ...entry
+    };
+
+    commonUtils.logEvent('info', 'admin_audit', 'audit-log', record);
+
+    try {
+        const redis = await getRedisClient();
+        if (!redis || !redis.isReady) return false;
+
+        await redis.lPush(AUDIT_LOG_KEY, JSON.stringify(record));
+        await redis.lTrim(AUDIT_LOG_KEY, 0, AUDIT_LOG_MAX_ENTRIES - 1);
+        return true;
+    } catch (error) {
+        commonUtils.logEvent('error', 'admin_audit_store_failed', 'audit-log', {
+            requestId: entry.requestId,
+            action: entry.action,
+            error: error.message
+        });
+        return false;
+    }
+}
+
+/**
+ * Reads the most recent audit entries
+ *
+ * @param {number} [limit=50] - Maximum number of entries
+ * @returns {Promise<Array<Object>>} Entries, newest first
+ */
+async function getAuditLog(limit = 50) {
+    const redis = await getRedisClient();
+    if (!redis || !redis.isReady) return [];
+
+    const count = Math.min(Math.max(parseInt(limit, 10) || 50, 1), AUDIT_LOG_MAX_ENTRIES);
+    const entries = await redis.lRange(AUDIT_LOG_KEY, 0, count - 1);
+
+    return entries.map((raw) => {
+        try {
+            return JSON.parse(raw);
+        } catch (parseError) {
+            return { raw };
+        }
+    });
+}
+
+module.exports = {
+    recordAudit,
+    getAuditLog,
+    AUDIT_LOG_KEY,
+    AUDIT_LOG_MAX_ENTRIES
+};
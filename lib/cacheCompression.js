@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Compression of Large Cached Values
+ *
+ * Program suggestions and search pages are large, long-lived cache entries.
+ * cacheService passes every serialized value through this module before
+ * writing it to Redis: values over a size threshold are compressed, and
+ * smaller ones are stored as they are.
+ *
+ * Compressed values are strings of the form `<marker>:<base64>`, where the
+ * marker names the format (`gz1` for gzip, `br1` for brotli). Plain values
+ * are JSON and never start with a marker, so both kinds can live side by
+ * side and the format can be changed without flushing Redis.
+ *
+ * Features:
+ * - gzip or brotli, chosen with CACHE_COMPRESSION (or 'none')
+ * - Size threshold, CACHE_COMPRESSION_THRESHOLD bytes
+ * - Kept plain when compression does not make the value smaller
+ * - Transparent decoding of every format, whatever is configured for writes
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @namespace cacheCompression
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+/**
+ * Supported formats: marker and compress/decompress functions
+ * @type {Object<string, {marker: string, compress: Function, decompress: Function}>}
+ * @constant
+ */
+const COMPRESSION_FORMATS = {
+    gzip: {
+        marker: 'gz1',
+        compress: (buffer) => promisify(zlib.gzip)(buffer, { level: 6 }),
+        decompress: promisify(zlib.gunzip)
+    },
+    br: {
+        marker: 'br1',
+        // Quality 5 keeps writes fast; the default (11) is meant for static assets
+        compress: (buffer) => promisify(zlib.brotliCompress)(buffer, {
+            params: {
+                [zlib.constants.BROTLI_PARAM_QUALITY]: 5,
+                [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT
+            }
+        }),
+        decompress: promisify(zlib.brotliDecompress)
+    }
+};
+
+/**
+ * Default compression settings, overridable through the environment
+ * @type {{format: string, threshold: number}}
+ * @constant
+ */
+const COMPRESSION_DEFAULTS = {
+    format: 'br',
+    threshold: 2048
+};
+
+/**
+ * Pattern matching a compressed value's marker
+ * @type {RegExp}
+ * @constant
+ * @private
+ */
+const MARKER_PATTERN = /^([a-z]{2}\d):/;
+
+/**
+ * Gets the configured compression settings
+ *
+ * @returns {{format: string, threshold: number}} Format ('gzip', 'br' or 'none') and threshold in bytes
+ */
+function getCompressionSettings() {
+    const format = (process.env.CACHE_COMPRESSION || COMPRESSION_DEFAULTS.format).trim().toLowerCase();
+    const threshold = parseInt(process.env.CACHE_COMPRESSION_THRESHOLD, 10);
+
+    return {
+        format: COMPRESSION_FORMATS[format] ? format : 'none',
+        threshold: Number.isFinite(threshold) && threshold >= 0 ? threshold : COMPRESSION_DEFAULTS.threshold
+    };
+}
+
+/**
+ * Encodes a serialized value for Redis, compressing it when it is over the
+ * threshold and compression makes it smaller
+ *
+ * @param {string} value - Serialized (JSON) value
+ * @returns {Promise<{value: string, encoding: string, rawBytes: number, storedBytes: number}>}
+ *   Value to store, the format used ('gzip', 'br' or 'none') and both sizes
+ */
+async function encodeCacheValue(value) {
+    const rawBytes = Buffer.byteLength(value, 'utf8');
+    const plain = { value, encoding: 'none', rawBytes, storedBytes: rawBytes };
+    const { format, threshold } = getCompressionSettings();
+
+    if (format === 'none' || rawBytes < threshold) return plain;
+
+    const { marker, compress } = COMPRESSION_FORMATS[format];
+    const encoded = `${marker}:${(await compress(Buffer.from(value, 'utf8'))).toString('base64')}`;
+    const storedBytes = Buffer.byteLength(encoded, 'utf8');
+
+    return storedBytes < rawBytes
+        ? { value: encoded, encoding: format, rawBytes, storedBytes }
+        : plain;
+}
+
+/**
+ * Decodes a value read from Redis, whichever format it was written in
+ *
+ * @param {string} stored - Value from Redis
+ * @returns {Promise<{value: string, encoding: string, rawBytes: number, storedBytes: number}>}
+ *   Serialized (JSON) value, the format it was stored in and both sizes
+ * @throws {Error} When the marker is unknown or the data is corrupt
+ */
+async function decodeCacheValue(stored) {
+    const storedBytes = Buffer.byteLength(stored, 'utf8');
+    const match = stored.match(MARKER_PATTERN);
+    if (!match) {
+        return { value: stored, encoding: 'none', rawBytes: storedBytes, storedBytes };
+    }
+
+    const encoding = Object.keys(COMPRESSION_FORMATS)
+        .find((name) => COMPRESSION_FORMATS[name].marker === match[1]);
+    if (!encoding) {
+        throw new Error(`Unknown cache value format: ${match[1]}`);
+    }
+
+    const buffer = await COMPRESSION_FORMATS[encoding].decompress(
+        Buffer.from(stored.slice(match[0].length), 'base64')
+    );
+    return { value: buffer.toString('utf8'), encoding, rawBytes: buffer.length, storedBytes };
+}
+
+module.exports = {
+    encodeCacheValue,
+    decodeCacheValue,
+    getCompressionSettings,
+    COMPRESSION_FORMATS,
+    COMPRESSION_DEFAULTS
+};
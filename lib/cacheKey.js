@@ -0,0 +1,294 @@
+/**
+ * @fileoverview Canonical Cache Keys for Funnelback Proxy Caches
+ *
+ * Turns request parameters into a canonical form before they are used as a
+ * cache key, so "Nursing", "nursing " and requests carrying tracking or
+ * cache-buster parameters share one entry. Keys are a readable prefix plus a
+ * hash of the canonical parameters, which keeps them short and lets them be
+ * listed by namespace and query term.
+ *
+ * Every namespace carries the version of the response shape its handler
+ * caches. The version is part of the key, so bumping it when a handler's
+ * output format changes makes old-shape entries unreachable at once; they
+ * are removed lazily by cacheVersions.
+ * Features:
+ * - Per-namespace allowlist of the parameters that change the response,
+ *   including those a handler reads without forwarding them upstream
+ * - Registry defaults and fixed values applied first, so leaving a parameter
+ *   out and sending the value it defaults to share one key
+ * - Unicode normalization (NFC) and whitespace collapsing for every value
+ * - Case folding for free-text parameters
+ * - Order-independent array parameters
+ * - Per-namespace response schema version
+ * - Key format: <namespace>:v<version>:<query slug>:<hash>
+ *
+ * @author Victor Chimenti
+ * @version 1.2.0
+ * @namespace cacheKey
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+const crypto = require('crypto');
+const { PARAM_REGISTRY, INTERNAL_PARAMS } = require('./paramRegistry');
+
+/**
+ * Free-text search parameters, case folded in every namespace
+ * @type {Array<string>}
+ * @constant
+ */
+const TEXT_PARAMS = ['query', 'partial_query', 'query_and', 'query_or', 'query_not', 'query_phrase'];
+
+/**
+ * Cache namespaces mapped to the paramRegistry entry whose forwarded
+ * parameters make up the key
+ * @type {Object<string, string>}
+ * @constant
+ */
+const NAMESPACE_ENDPOINTS = {
+    suggestions: 'suggest',
+    programs: 'suggestPrograms',
+    people: 'suggestPeople',
+    results: 'searchResults',
+    search: 'search'
+};
+
+/**
+ * Parameters a handler reads to build its response without forwarding them
+ * upstream, kept in the key of its namespace. api/suggest.js adds the tab of
+ * the request (f.Tabs|programMain, f.Tabs|seattleu~ds-staff) to every
+ * suggestion's metadata.
+ * @type {Object<string, Array<RegExp>>}
+ * @constant
+ */
+const RESPONSE_PARAM_PATTERNS = {
+    suggestions: [/^f\.Tabs\|/]
+};
+
+/**
+ * Response schema version of each namespace. Bump a namespace's version
+ * whenever the body its handler caches changes shape (for example the
+ * program or people objects built in suggestPrograms.js/suggestPeople.js).
+ * @type {Object<string, number>}
+ * @constant
+ */
+const NAMESPACE_SCHEMA_VERSIONS = {
+    suggestions: 1,
+    programs: 1,
+    people: 1,
+    results: 1,
+    search: 1
+};
+
+/**
+ * Parameters that never change a response, dropped in namespaces without an
+ * allowlist: tracking tags and common cache busters
+ * @type {Array<RegExp>}
+ * @constant
+ */
+const IGNORED_PARAM_PATTERNS = [/^utm_/i, /^(?:fbclid|gclid|msclkid)$/i, /^(?:_|cb|cachebust(?:er)?|ts|_t)$/i];
+
+/**
+ * Length of the readable query slug in a key
+ * @type {number}
+ * @constant
+ * @private
+ */
+const MAX_SLUG_LENGTH = 32;
+
+/**
+ * Number of hex characters of the SHA-256 hash kept in a key
+ * @type {number}
+ * @constant
+ * @private
+ */
+const HASH_LENGTH = 20;
+
+/**
+ * Pattern of a key's version segment
+ * @type {RegExp}
+ * @constant
+ * @private
+ */
+const VERSION_SEGMENT_PATTERN = /^v(\d+)$/;
+
+/**
+ * Gets the current schema version of a namespace
+ *
+ * @param {string} namespace - Cache namespace
+ * @returns {number} Version, 1 for namespaces without one
+ */
+function getSchemaVersion(namespace) {
+    return NAMESPACE_SCHEMA_VERSIONS[namespace] || 1;
+}
+
+/**
+ * Checks whether a parameter is part of the key for a namespace
+ *
+ * @param {string} namespace - Cache namespace
+ * @param {string} name - Parameter name
+ * @returns {boolean} Whether the parameter is kept
+ * @private
+ */
+function isKeyParam(namespace, name) {
+    if (INTERNAL_PARAMS.includes(name)) return false;
+    if ((RESPONSE_PARAM_PATTERNS[namespace] || []).some((pattern) => pattern.test(name))) return true;
+
+    const policy = PARAM_REGISTRY[NAMESPACE_ENDPOINTS[namespace]];
+    if (!policy) {
+        return !IGNORED_PARAM_PATTERNS.some((pattern) => pattern.test(name));
+    }
+
+    return name in (policy.fixed || {}) ||
+        policy.params.includes(name) ||
+        (policy.patterns || []).some((pattern) => pattern.test(name));
+}
+
+/**
+ * Normalizes one value: NFC, collapsed whitespace, and case folding for text parameters
+ *
+ * @param {string} name - Parameter name
+ * @param {*} value - Raw value
+ * @returns {string} Canonical value
+ * @private
+ */
+function canonicalizeValue(name, value) {
+    const text = String(value ?? '').normalize('NFC').replace(/\s+/g, ' ').trim();
+    return TEXT_PARAMS.includes(name) ? text.toLowerCase() : text;
+}
+
+/**
+ * Applies the registry defaults and fixed values of a namespace's endpoint,
+ * as sanitizeParams does before the upstream call
+ *
+ * @param {string} namespace - Cache namespace
+ * @param {Object} params - Request parameters
+ * @returns {Object} Parameters as sent upstream, plus any response parameters
+ * @private
+ */
+function applyRegistryValues(namespace, params) {
+    const policy = PARAM_REGISTRY[NAMESPACE_ENDPOINTS[namespace]];
+    if (!policy) return params || {};
+
+    return { ...policy.defaults, ...params, ...policy.fixed };
+}
+
+/**
+ * Builds the canonical parameters for a namespace. Registry defaults and
+ * fixed values are applied first. Empty values are dropped, array values are
+ * sorted, and keys are in sorted order.
+ *
+ * @param {string} namespace - Cache namespace
+ * @param {Object} params - Request parameters
+ * @returns {Object} Canonical parameters
+ */
+function canonicalizeParams(namespace, params = {}) {
+    const canonical = {};
+    const effective = applyRegistryValues(namespace, params);
+
+    for (const name of Object.keys(effective).sort()) {
+        if (!isKeyParam(namespace, name)) continue;
+
+        const raw = effective[name];
+        if (Array.isArray(raw)) {
+            const values = raw.map((item) => canonicalizeValue(name, item)).filter(Boolean).sort();
+            if (values.length > 1) {
+                canonical[name] = values;
+            } else if (values.length === 1) {
+                canonical[name] = values[0];
+            }
+            continue;
+        }
+
+        const value = canonicalizeValue(name, raw);
+        if (value !== '') canonical[name] = value;
+    }
+
+    return canonical;
+}
+
+/**
+ * Turns query text into the readable part of a key
+ *
+ * @param {string} text - Query text
+ * @returns {string} Lower-case letters, digits and dashes, or '' when nothing is left
+ */
+function slugifyQuery(text) {
+    return String(text ?? '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, MAX_SLUG_LENGTH)
+        .replace(/-+$/, '');
+}
+
+/**
+ * Builds the readable part of a key from the first text parameter
+ *
+ * @param {Object} canonical - Canonical parameters
+ * @returns {string} Slug, or '_' when the request has no query text
+ * @private
+ */
+function createSlug(canonical) {
+    const name = TEXT_PARAMS.find((param) => typeof canonical[param] === 'string');
+    return slugifyQuery(name ? canonical[name] : '') || '_';
+}
+
+/**
+ * Builds the cache key for a request
+ *
+ * @param {string} namespace - Cache namespace
+ * @param {Object} params - Request parameters
+ * @returns {{key: string, canonical: Object}} Redis key and the canonical parameters it hashes
+ */
+function buildCacheKey(namespace, params = {}) {
+    const canonical = canonicalizeParams(namespace, params);
+    const hash = crypto
+        .createHash('sha256')
+        .update(`${namespace}\n${JSON.stringify(canonical)}`)
+        .digest('hex')
+        .slice(0, HASH_LENGTH);
+
+    return {
+        key: `${namespace}:v${getSchemaVersion(namespace)}:${createSlug(canonical)}:${hash}`,
+        canonical
+    };
+}
+
+/**
+ * Splits a cache key into its parts. Keys written before namespaces were
+ * versioned (<namespace>:<slug>:<hash>) are reported as version 0.
+ *
+ * @param {string} key - Redis key
+ * @returns {{namespace: string, version: number, slug: string, hash: string}|null}
+ *   Parts, or null when the key is not a cache key
+ */
+function parseCacheKey(key) {
+    const parts = String(key || '').split(':');
+    if (!NAMESPACE_ENDPOINTS[parts[0]]) return null;
+
+    if (parts.length === 4) {
+        const match = parts[1].match(VERSION_SEGMENT_PATTERN);
+        if (!match) return null;
+        return { namespace: parts[0], version: parseInt(match[1], 10), slug: parts[2], hash: parts[3] };
+    }
+    if (parts.length === 3) {
+        return { namespace: parts[0], version: 0, slug: parts[1], hash: parts[2] };
+    }
+    return null;
+}
+
+module.exports = {
+    buildCacheKey,
+    parseCacheKey,
+    getSchemaVersion,
+    canonicalizeParams,
+    slugifyQuery,
+    NAMESPACE_ENDPOINTS,
+    NAMESPACE_SCHEMA_VERSIONS,
+    TEXT_PARAMS,
+    IGNORED_PARAM_PATTERNS,
+    RESPONSE_PARAM_PATTERNS
+};
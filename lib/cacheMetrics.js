@@ -0,0 +1,410 @@
+/**
+ * @fileoverview Persistent Cache Metrics in Redis
+ *
+ * Keeps rolling cache counters per namespace in Redis, so cache behavior can
+ * be reviewed across instances and over time instead of by grepping
+ * CACHE-LOG lines. cacheService records every lookup, write and Redis call
+ * here; the admin cache API reads them back over a window.
+ *
+ * Counters are added up in memory and flushed every few seconds, so a hit
+ * served from the in-memory tier does not cost a Redis write. Each flush adds
+ * to a per-minute bucket (kept 26 hours) and a per-hour bucket (kept 31 days).
+ *
+ * Features:
+ * - Hits (with in-memory and stale hits), misses, sets, errors and timeouts
+ * - Negative (zero-result) hits and sets, and writes skipped as oversized
+ * - Bytes read and written, raw and stored (after compression)
+ * - GET/SET latency histograms, summarized as p50/p95/p99
+ * - Window queries with minute or hour resolution and an optional series
+ *
+ * @author Victor Chimenti
+ * @version 1.1.0
+ * @namespace cacheMetrics
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+const { getRedisClient } = require('./redisClient');
+const { NAMESPACE_ENDPOINTS } = require('./cacheKey');
+
+/**
+ * Counters kept per namespace and bucket
+ * @type {Array<string>}
+ * @constant
+ */
+const METRIC_COUNTERS = [
+    'hits',
+    'l1Hits',
+    'staleHits',
+    'negativeHits',
+    'misses',
+    'sets',
+    'negativeSets',
+    'oversized',
+    'errors',
+    'timeouts',
+    'bytesRead',
+    'bytesWritten',
+    'rawBytesWritten'
+];
+
+/**
+ * Upper bounds of the latency histogram buckets, in milliseconds
+ * @type {Array<number>}
+ * @constant
+ */
+const LATENCY_BUCKETS_MS = [1, 2, 5, 10, 25, 50, 100, 250, 500, 1000, 3000];
+
+/**
+ * Bucket resolutions: key prefix, bucket length and how long buckets are kept
+ * @type {Object<string, {prefix: string, bucketMs: number, retentionSeconds: number}>}
+ * @constant
+ */
+const RESOLUTIONS = {
+    minute: { prefix: 'metrics:cache:m', bucketMs: 60 * 1000, retentionSeconds: 26 * 60 * 60 },
+    hour: { prefix: 'metrics:cache:h', bucketMs: 60 * 60 * 1000, retentionSeconds: 31 * 24 * 60 * 60 }
+};
+
+/**
+ * Longest window served from minute buckets when no resolution is given
+ * @type {number}
+ * @constant
+ * @private
+ */
+const MAX_AUTO_MINUTE_WINDOW_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Longest window that can be requested
+ * @type {number}
+ * @constant
+ * @private
+ */
+const MAX_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * How often buffered counters are written to Redis
+ * @type {number}
+ * @constant
+ * @private
+ */
+const FLUSH_INTERVAL_MS = parseInt(process.env.CACHE_METRICS_FLUSH_MS, 10) || 10000;
+
+/**
+ * Counters not yet written to Redis, by namespace and minute
+ * @type {Map<string, {namespace: string, at: number, fields: Object<string, number>}>}
+ * @private
+ */
+const pending = new Map();
+
+/**
+ * Flush state
+ * @type {{lastFlush: number, flushing: Promise|null, timer: Object|null}}
+ * @private
+ */
+const flushState = { lastFlush: Date.now(), flushing: null, timer: null };
+
+/**
+ * Checks whether metrics are recorded (CACHE_METRICS=off disables them)
+ *
+ * @returns {boolean} Whether metrics are enabled
+ */
+function isMetricsEnabled() {
+    return process.env.CACHE_METRICS !== 'off';
+}
+
+/**
+ * Formats the start of the bucket holding a time
+ *
+ * @param {number} time - Time in ms since epoch
+ * @param {string} resolution - 'minute' or 'hour'
+ * @returns {string} Bucket label, e.g. '2026-10-19T19:02' or '2026-10-19T19'
+ * @private
+ */
+function getBucketLabel(time, resolution) {
+    return new Date(time).toISOString().slice(0, resolution === 'minute' ? 16 : 13);
+}
+
+/**
+ * Gets the histogram field for a latency
+ *
+ * @param {string} operation - 'get' or 'set'
+ * @param {number} durationMs - Latency in milliseconds
+ * @returns {string} Field name, e.g. 'get_le_5' or 'get_le_inf'
+ * @private
+ */
+function getLatencyField(operation, durationMs) {
+    const bound = LATENCY_BUCKETS_MS.find((limit) => durationMs <= limit);
+    return `${operation}_le_${bound ?? 'inf'}`;
+}
+
+/**
+ * Adds to buffered fields for a namespace in the current minute
+ *
+ * @param {string} namespace - Cache namespace
+ * @param {Object<string, number>} fields - Amounts to add
+ * @private
+ */
+function addPending(namespace, fields) {
+    const at = Math.floor(Date.now() / RESOLUTIONS.minute.bucketMs) * RESOLUTIONS.minute.bucketMs;
+    const id = `${namespace}|${at}`;
+    if (!pending.has(id)) {
+        pending.set(id, { namespace, at, fields: {} });
+    }
+
+    const bucket = pending.get(id).fields;
+    for (const [name, amount] of Object.entries(fields)) {
+        if (amount) bucket[name] = (bucket[name] || 0) + amount;
+    }
+
+    scheduleFlush();
+}
+
+/**
+ * Starts the flush timer, and flushes at once when the last flush is overdue
+ * (serverless instances may have been frozen while the timer was due)
+ *
+ * @private
+ */
+function scheduleFlush() {
+    if (!flushState.timer) {
+        flushState.timer = setInterval(() => flushCacheMetrics(), FLUSH_INTERVAL_MS);
+        // Never keep a process (e.g. the warming CLI) alive just for metrics
+        if (flushState.timer.unref) flushState.timer.unref();
+    }
+
+    if (Date.now() - flushState.lastFlush >= FLUSH_INTERVAL_MS) {
+        flushCacheMetrics();
+    }
+}
+
+/**
+ * Records cache counters for a namespace
+ *
+ * @param {string} namespace - Cache namespace
+ * @param {Object<string, number>} counters - Amounts to add, keyed by METRIC_COUNTERS names
+ */
+function recordCacheEvent(namespace, counters) {
+    if (!isMetricsEnabled()) return;
+    addPending(namespace, counters);
+}
+
+/**
+ * Records the latency of a Redis GET or SET for a namespace
+ *
+ * @param {string} namespace - Cache namespace
+ * @param {string} operation - 'get' or 'set'
+ * @param {number} durationMs - Latency in milliseconds
+ */
+function recordCacheLatency(namespace, operation, durationMs) {
+    if (!isMetricsEnabled()) return;
+    addPending(namespace, {
+        [getLatencyField(operation, durationMs)]: 1,
+        [`${operation}_count`]: 1,
+        // Microseconds, as most Redis calls take well under a millisecond
+        [`${operation}_sum_us`]: Math.round(durationMs * 1000)
+    });
+}
+
+/**
+ * Writes buffered counters to their minute and hour buckets. Counters are
+ * dropped when Redis is unavailable; metrics never hold up requests.
+ *
+ * @returns {Promise<boolean>} Whether anything was written
+ */
+async function flushCacheMetrics() {
+    if (flushState.flushing) return flushState.flushing;
+    flushState.lastFlush = Date.now();
+    if (pending.size === 0) return false;
+
+    const buckets = [...pending.values()];
+    pending.clear();
+
+    flushState.flushing = (async () => {
+        try {
+            const redis = await getRedisClient();
+            if (!redis || !redis.isReady) return false;
+
+            const multi = redis.multi();
+            for (const { namespace, at, fields } of buckets) {
+                for (const [resolution, { prefix, retentionSeconds }] of Object.entries(RESOLUTIONS)) {
+                    const key = `${prefix}:${namespace}:${getBucketLabel(at, resolution)}`;
+                    for (const [name, amount] of Object.entries(fields)) {
+                        multi.hIncrBy(key, name, amount);
+                    }
+                    multi.expire(key, retentionSeconds);
+                }
+            }
+            await multi.exec();
+            return true;
+        } catch (error) {
+            console.error('DEBUG - Error flushing cache metrics:', error.message);
+            return false;
+        } finally {
+            flushState.flushing = null;
+        }
+    })();
+
+    return flushState.flushing;
+}
+
+/**
+ * Parses a window such as '15m', '6h' or '7d'
+ *
+ * @param {string} window - Window
+ * @returns {number|null} Length in milliseconds, or null when invalid or over 30 days
+ */
+function parseWindow(window) {
+    const match = String(window || '').match(/^(\d{1,4})([mhd])$/);
+    if (!match) return null;
+
+    const unit = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[match[2]];
+    const length = parseInt(match[1], 10) * unit;
+    return length > 0 && length <= MAX_WINDOW_MS ? length : null;
+}
+
+/**
+ * Estimates a percentile from a latency histogram (upper bound of the bucket
+ * the percentile falls in)
+ *
+ * @param {Object<string, number>} fields - Summed bucket fields
+ * @param {string} operation - 'get' or 'set'
+ * @param {number} percentile - Between 0 and 1
+ * @returns {number|null} Latency in milliseconds (null when there are no samples;
+ *   Infinity is reported as the largest bound)
+ * @private
+ */
+function getPercentile(fields, operation, percentile) {
+    const count = fields[`${operation}_count`] || 0;
+    if (count === 0) return null;
+
+    const target = Math.ceil(count * percentile);
+    let seen = 0;
+    for (const bound of [...LATENCY_BUCKETS_MS, 'inf']) {
+        seen += fields[`${operation}_le_${bound}`] || 0;
+        if (seen >= target) {
+            return bound === 'inf' ? LATENCY_BUCKETS_MS[LATENCY_BUCKETS_MS.length - 1] : bound;
+        }
+    }
+    return null;
+}
+
+/**
+ * Turns summed bucket fields into the reported metrics
+ *
+ * @param {Object<string, number>} fields - Summed fields
+ * @returns {Object} Counters, ratios and latency summaries
+ * @private
+ */
+function summarize(fields) {
+    const summary = {};
+    for (const name of METRIC_COUNTERS) {
+        summary[name] = fields[name] || 0;
+    }
+
+    const lookups = summary.hits + summary.misses;
+    summary.hitRatio = lookups > 0 ? Math.round((summary.hits / lookups) * 1000) / 1000 : null;
+    summary.compressionRatio = summary.bytesWritten > 0
+        ? Math.round((summary.rawBytesWritten / summary.bytesWritten) * 100) / 100
+        : null;
+
+    summary.latency = {};
+    for (const operation of ['get', 'set']) {
+        const count = fields[`${operation}_count`] || 0;
+        summary.latency[operation] = {
+            count,
+            meanMs: count > 0 ? Math.round((fields[`${operation}_sum_us`] || 0) / count / 100) / 10 : null,
+            p50: getPercentile(fields, operation, 0.5),
+            p95: getPercentile(fields, operation, 0.95),
+            p99: getPercentile(fields, operation, 0.99)
+        };
+    }
+
+    return summary;
+}
+
+/**
+ * Reads cache metrics over a window. Counters buffered by running instances
+ * (up to the flush interval) are not included yet.
+ *
+ * @param {Object} [options] - Query options
+ * @param {string} [options.window='1h'] - Window, e.g. '15m', '6h', '7d' (at most 30 days)
+ * @param {string} [options.resolution] - 'minute' or 'hour'; minute up to 6 hours by default
+ * @param {Array<string>} [options.namespaces] - Namespaces (defaults to all cache namespaces)
+ * @param {boolean} [options.series=false] - Include one entry per bucket
+ * @returns {Promise<Object>} Window, resolution and metrics by namespace
+ * @throws {Error} When the window or resolution is invalid (code INVALID_WINDOW),
+ *   or Redis is unavailable (code CACHE_UNAVAILABLE)
+ */
+async function getCacheMetricsWindow({ window = '1h', resolution, namespaces, series = false } = {}) {
+    const windowMs = parseWindow(window);
+    const chosen = resolution || (windowMs && windowMs <= MAX_AUTO_MINUTE_WINDOW_MS ? 'minute' : 'hour');
+    if (!windowMs || !RESOLUTIONS[chosen] ||
+        (chosen === 'minute' && windowMs > RESOLUTIONS.minute.retentionSeconds * 1000)) {
+        const error = new Error('Invalid metrics window or resolution');
+        error.code = 'INVALID_WINDOW';
+        throw error;
+    }
+
+    const redis = await getRedisClient();
+    if (!redis || !redis.isReady) {
+        const error = new Error('Redis is not available');
+        error.code = 'CACHE_UNAVAILABLE';
+        throw error;
+    }
+
+    const { prefix, bucketMs } = RESOLUTIONS[chosen];
+    const to = Date.now();
+    const labels = [];
+    for (let at = Math.floor((to - windowMs) / bucketMs) * bucketMs + bucketMs; at <= to; at += bucketMs) {
+        labels.push(getBucketLabel(at, chosen));
+    }
+
+    const names = namespaces || Object.keys(NAMESPACE_ENDPOINTS);
+    const multi = redis.multi();
+    for (const namespace of names) {
+        labels.forEach((label) => multi.hGetAll(`${prefix}:${namespace}:${label}`));
+    }
+    const replies = await multi.exec();
+
+    const result = {
+        window,
+        resolution: chosen,
+        from: new Date(to - windowMs).toISOString(),
+        to: new Date(to).toISOString(),
+        namespaces: {}
+    };
+
+    names.forEach((namespace, index) => {
+        const totals = {};
+        const points = [];
+
+        labels.forEach((label, offset) => {
+            const fields = {};
+            for (const [name, value] of Object.entries(replies[index * labels.length + offset] || {})) {
+                fields[name] = parseInt(value, 10) || 0;
+                totals[name] = (totals[name] || 0) + fields[name];
+            }
+            if (series) {
+                const { latency, ...counts } = summarize(fields);
+                points.push({ bucket: label, ...counts, getP95: latency.get.p95, setP95: latency.set.p95 });
+            }
+        });
+
+        result.namespaces[namespace] = summarize(totals);
+        if (series) result.namespaces[namespace].series = points;
+    });
+
+    return result;
+}
+
+module.exports = {
+    recordCacheEvent,
+    recordCacheLatency,
+    flushCacheMetrics,
+    getCacheMetricsWindow,
+    parseWindow,
+    isMetricsEnabled,
+    METRIC_COUNTERS,
+    LATENCY_BUCKETS_MS,
+    RESOLUTIONS
+};
@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Declarative Cache Policy per Namespace
+ *
+ * Single source of truth for what each cache namespace may store and for
+ * how long. Rules live in cache.config.json at the project root: a default
+ * policy, overrides per namespace (and per collection within a namespace),
+ * and the bypass rule. cacheService enforces them on every read and write,
+ * so handlers only declare their namespace.
+ *
+ * Features:
+ * - Soft and hard TTL per namespace, with overrides per collection
+ * - Minimum query length below which nothing is read or written
+ * - Maximum entry size (serialized, before compression)
+ * - Negative caching: zero-result responses kept for a short TTL (0 disables it)
+ * - Bypass parameter (nocache) that skips the cache, for admins only by default
+ *
+ * @author Victor Chimenti
+ * @version 1.1.0
+ * @namespace cachePolicy
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+const cacheConfig = require('../cache.config.json');
+const { TEXT_PARAMS } = require('./cacheKey');
+
+/**
+ * Gets the policy of a namespace: the default policy with the namespace's
+ * overrides applied, then those of the request's collection when the
+ * namespace lists it under `collections`
+ *
+ * @param {string} namespace - Cache namespace
+ * @param {Object} [params] - Parameters the cache key is built from
+ * @returns {{ttl: number, softTtl: number, minQueryLength: number, maxEntryBytes: number, negativeTtl: number}}
+ *   TTLs in seconds, sizes in bytes
+ */
+function getCachePolicy(namespace, params = {}) {
+    const { collections, ...overrides } = cacheConfig.namespaces?.[namespace] || {};
+
+    return {
+        ...cacheConfig.default,
+        ...overrides,
+        ...collections?.[params?.collection]
+    };
+}
+
+/**
+ * Gets the policies of the collections a namespace overrides
+ *
+ * @param {string} namespace - Cache namespace
+ * @returns {Object<string, Object>} Policy per collection; empty when there are no overrides
+ */
+function getCollectionPolicies(namespace) {
+    const collections = Object.keys(cacheConfig.namespaces?.[namespace]?.collections || {});
+    return Object.fromEntries(collections.map((collection) => [collection, getCachePolicy(namespace, { collection })]));
+}
+
+/**
+ * Gets the bypass rule
+ *
+ * @returns {{param: string, adminOnly: boolean}} Parameter name and whether only admins may use it
+ */
+function getBypassRule() {
+    return {
+        param: 'nocache',
+        adminOnly: true,
+        ...cacheConfig.bypass
+    };
+}
+
+/**
+ * Checks whether a request asks to bypass the cache (nocache, nocache=true or
+ * nocache=1; nocache=false and nocache=0 do not)
+ *
+ * @param {Object} query - Raw request query
+ * @returns {boolean} Whether the bypass parameter is set
+ */
+function isBypassRequested(query) {
+    const { param } = getBypassRule();
+    const value = query?.[param];
+    if (value === undefined) return false;
+
+    const text = String(Array.isArray(value) ? value[0] : value).trim().toLowerCase();
+    return text !== 'false' && text !== '0';
+}
+
+/**
+ * Gets the query text of a request for the minimum length rule: the first
+ * free-text parameter with a value, trimmed
+ *
+ * @param {Object} params - Parameters the cache key is built from
+ * @returns {string} Query text, or '' when there is none
+ */
+function getPolicyQueryText(params = {}) {
+    for (const name of TEXT_PARAMS) {
+        const value = params?.[name];
+        if (typeof value === 'string' && value.trim() !== '') return value.trim();
+    }
+    return '';
+}
+
+module.exports = {
+    getCachePolicy,
+    getCollectionPolicies,
+    getBypassRule,
+    isBypassRequested,
+    getPolicyQueryText
+};
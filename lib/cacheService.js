@@ -5,31 +5,110 @@
  * and reduce latency for search and suggestion endpoints.
  * 
  * Features:
- * - Configurable TTL for different cache types
- * - Cache key generation based on query parameters
+ * - Per-namespace policy from cache.config.json (see cachePolicy), enforced
+ *   on every read and write: TTLs, minimum query length, maximum entry size,
+ *   negative caching of zero-result responses and the nocache bypass
+ * - Canonical, hashed cache keys (see cacheKey) with the request params stored alongside
  * - Connection to Redis via redisClient
  * - Standardized debug logging support
+ * - Stale reads past TTL for serving the last good response during outages
+ * - Stale-while-revalidate: soft and hard TTLs per namespace, with a Redis
+ *   lock so only one background refresh runs per key
+ * - Admin operations: SCAN-based key listing, entry inspection and purges by
+ *   namespace, glob pattern or query term
+ * - Named Redis locks for jobs that must run once across instances
+ * - In-process LRU tier (L1, see memoryCache) in front of Redis (L2), with
+ *   separate hit/miss counters per tier
+ * - Redis health check cached for a few seconds instead of a PING per request
+ * - gzip/brotli compression of large values (see cacheCompression), with
+ *   raw and stored sizes in the logs
+ * - Persistent per-namespace metrics in Redis (see cacheMetrics): hits,
+ *   misses, sets, errors, timeouts, bytes and GET/SET latency
+ * - Redis rotation (see redisRotation): writes and deletes also go to the
+ *   previous instance, and misses fall back to it
+ * - Versioned namespaces (see cacheVersions): keys carry the response schema
+ *   version, and entries of older versions are removed in the background
  * 
  * Debug version with extra logging and error handling
  * 
  * @author Victor Chimenti
- * @version 3.1.0
+ * @version 3.14.2
  * @namespace cacheService
  * @environment production
  * @requires redisClient
+ * @requires cacheKey
+ * @requires memoryCache
+ * @requires cacheCompression
+ * @requires cacheMetrics
+ * @requires redisRotation
+ * @requires cacheVersions
+ * @requires cachePolicy
  * @license MIT
- * @lastModified 2025-03-26
+ * @lastModified 2026-10-19
  */
 
-const { getRedisClient, getRedisStatus } = require('./redisClient');
+const { getRedisClient, getPreviousRedisClient, getRedisStatus } = require('./redisClient');
+const {
+  buildCacheKey,
+  parseCacheKey,
+  getSchemaVersion,
+  slugifyQuery,
+  NAMESPACE_ENDPOINTS
+} = require('./cacheKey');
+const {
+  getMemoryEntry,
+  setMemoryEntry,
+  deleteMemoryEntry,
+  clearMemoryCache,
+  getMemoryCacheStats
+} = require('./memoryCache');
+const { encodeCacheValue, decodeCacheValue } = require('./cacheCompression');
+const { recordCacheEvent, recordCacheLatency } = require('./cacheMetrics');
+const {
+  readFromPrevious,
+  writeToPrevious,
+  deleteFromPrevious,
+  startRotationCopier
+} = require('./redisRotation');
+const { startVersionCollector } = require('./cacheVersions');
+const { getCachePolicy, getBypassRule, getPolicyQueryText } = require('./cachePolicy');
 
-// Cache TTL configuration (in seconds)
-const CACHE_TTL = {
-  suggestions: 14400,    // 4 hours for suggestions (extended from 1 hour)
-  programs: 259200,      // 3 days for programs (extended from 1 day)
-  people: 86400,         // 24 hours for people (extended from 12 hours)
-  default: 1800          // 30 minutes default (unchanged)
-};
+// TTLs, query length and size limits per namespace are in cache.config.json.
+// The hard TTL ends a normal hit; past the soft TTL an entry is still served
+// but refreshed from Funnelback in the background.
+
+// How long a background refresh may hold its lock before another instance
+// can take over (in seconds)
+const REVALIDATION_LOCK_TTL = 30;
+
+// Prefix for revalidation lock keys
+const REVALIDATION_LOCK_PREFIX = 'lock:revalidate:';
+
+// Releases a lock only if it is still held by the same owner
+const RELEASE_LOCK_SCRIPT =
+  "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+
+// How long entries stay in Redis after their TTL so they can be served stale
+// while Funnelback is down (in seconds)
+const STALE_GRACE_TTL = 259200; // 3 days
+
+// Format version of the stored cache envelope
+const CACHE_ENVELOPE_VERSION = 1;
+
+// Namespaces that hold cached responses (lock and audit keys live elsewhere)
+const CACHE_NAMESPACES = Object.keys(NAMESPACE_ENDPOINTS);
+
+// Keys requested per SCAN call, and deleted per UNLINK call
+const SCAN_BATCH_SIZE = 500;
+
+// How long a Redis health check result is reused (in milliseconds)
+const HEALTH_CHECK_TTL_MS = parseInt(process.env.CACHE_HEALTH_CHECK_TTL_MS, 10) || 5000;
+
+// Last Redis health check; pending is shared by concurrent callers
+const healthCheck = { healthy: false, checkedAt: 0, pending: null };
+
+// Redis (L2) lookup counters by namespace; the L1 tier keeps its own
+const redisLookups = new Map();
 
 /**
  * Logs cache operation details consistently across suggestion handlers
@@ -131,11 +210,114 @@ function logCacheError(endpoint, cacheKey, metadata = {}) {
 }
 
 /**
- * Checks if caching is enabled by verifying Redis client connection
+ * Counts a Redis (L2) lookup
+ * 
+ * @param {string} endpoint - The cache namespace
+ * @param {string} outcome - 'hits', 'misses' or 'errors'
+ * @private
+ */
+function recordRedisLookup(endpoint, outcome) {
+  if (!redisLookups.has(endpoint)) {
+    redisLookups.set(endpoint, { hits: 0, misses: 0, errors: 0 });
+  }
+  redisLookups.get(endpoint)[outcome]++;
+}
+
+/**
+ * Gets hit and miss counters for both cache tiers since this instance started,
+ * with the Redis connection status (including any rotation in progress)
+ * 
+ * @returns {{l1: Object, l2: Object, healthCheck: Object, redis: Object}} Counters by tier and namespace
+ */
+function getCacheMetrics() {
+  const withHitRate = (counts) => {
+    const lookups = counts.hits + counts.misses;
+    return { ...counts, hitRate: lookups > 0 ? Math.round((counts.hits / lookups) * 1000) / 1000 : null };
+  };
+
+  const l1 = {};
+  for (const [namespace, stats] of Object.entries(getMemoryCacheStats())) {
+    l1[namespace] = withHitRate(stats);
+  }
+
+  const l2 = {};
+  for (const [namespace, counts] of redisLookups) {
+    l2[namespace] = withHitRate(counts);
+  }
+
+  return {
+    l1,
+    l2,
+    healthCheck: {
+      healthy: healthCheck.healthy,
+      checkedAt: healthCheck.checkedAt ? new Date(healthCheck.checkedAt).toISOString() : null,
+      ttlMs: HEALTH_CHECK_TTL_MS
+    },
+    redis: getRedisStatus()
+  };
+}
+
+/**
+ * Records a failed Redis call in the metrics as a timeout or an error
+ * 
+ * @param {string} endpoint - The cache namespace
+ * @param {Error} error - The error
+ * @private
+ */
+function recordRedisFailure(endpoint, error) {
+  recordCacheEvent(endpoint, /timed out/.test(error?.message) ? { timeouts: 1 } : { errors: 1 });
+}
+
+/**
+ * Describes a value's size for cache logs: the raw (JSON) size, plus the
+ * size stored in Redis and its format when the value was compressed
+ * 
+ * @param {number} rawBytes - Serialized size
+ * @param {number} [storedBytes] - Size in Redis
+ * @param {string} [encoding='none'] - Compression format
+ * @returns {string} Size, e.g. '12.0KB' or '12.0KB raw, 3.1KB br'
+ * @private
+ */
+function describeDataSize(rawBytes, storedBytes = rawBytes, encoding = 'none') {
+  const kb = (bytes) => `${(bytes / 1024).toFixed(1)}KB`;
+  return encoding === 'none' ? kb(rawBytes) : `${kb(rawBytes)} raw, ${kb(storedBytes)} ${encoding}`;
+}
+
+/**
+ * Checks if caching is enabled. The result of a Redis PING is reused for
+ * HEALTH_CHECK_TTL_MS, so requests do not pay a round trip for it; a client
+ * that has dropped its connection is reported at once.
  * 
  * @returns {Promise<boolean>} Whether caching is enabled
  */
 async function isCachingEnabled() {
+  const age = Date.now() - healthCheck.checkedAt;
+  if (age < HEALTH_CHECK_TTL_MS) {
+    return healthCheck.healthy && getRedisStatus().isReady;
+  }
+
+  if (!healthCheck.pending) {
+    healthCheck.pending = pingRedis()
+      .then((healthy) => {
+        healthCheck.healthy = healthy;
+        healthCheck.checkedAt = Date.now();
+        return healthy;
+      })
+      .finally(() => {
+        healthCheck.pending = null;
+      });
+  }
+
+  return healthCheck.pending;
+}
+
+/**
+ * Checks the Redis connection with a PING
+ * 
+ * @returns {Promise<boolean>} Whether Redis answered
+ * @private
+ */
+async function pingRedis() {
   try {
     // Get current Redis status for logging
     const status = getRedisStatus();
@@ -152,7 +334,14 @@ async function isCachingEnabled() {
     try {
       const pingResult = await redis.ping();
       console.log('DEBUG - Redis ping result:', pingResult);
-      return pingResult === 'PONG';
+      if (pingResult !== 'PONG') {
+        return false;
+      }
+      // Copies entries from the previous instance while a rotation is in progress
+      startRotationCopier();
+      // Removes entries left behind by a schema version bump
+      startVersionCollector();
+      return true;
     } catch (pingError) {
       console.error('DEBUG - Redis ping failed:', pingError.message);
       return false;
@@ -164,51 +353,202 @@ async function isCachingEnabled() {
 }
 
 /**
- * Generates a cache key based on endpoint and query parameters
+ * Generates a cache key based on endpoint and query parameters. Parameters
+ * are canonicalized per namespace, so equivalent requests share a key of the
+ * form <namespace>:v<schema version>:<query slug>:<hash>.
  * 
- * @param {string} endpoint - The API endpoint (e.g., 'suggest', 'suggestPrograms')
+ * @param {string} endpoint - The cache namespace (e.g., 'suggestions', 'programs')
  * @param {Object} params - The query parameters
  * @returns {string} A unique cache key
  */
 function generateCacheKey(endpoint, params) {
-  // Filter out session-specific parameters
-  const relevantParams = { ...params };
-  delete relevantParams.sessionId;
-  
-  // Sort keys for consistent ordering
-  const sortedParams = Object.keys(relevantParams)
-    .sort()
-    .reduce((acc, key) => {
-      acc[key] = relevantParams[key];
-      return acc;
-    }, {});
-  
-  // Create cache key
-  const cacheKey = `${endpoint}:${JSON.stringify(sortedParams)}`;
-  console.log(`DEBUG - Generated cache key: ${cacheKey}`);
-  return cacheKey;
+  const { key, canonical } = buildCacheKey(endpoint, params);
+  console.log(`DEBUG - Generated cache key: ${key}`, canonical);
+  return key;
+}
+
+/**
+ * Copies the request parameters stored next to a cached value for
+ * debugging, without session-specific parameters
+ * 
+ * @param {Object} params - The query parameters
+ * @returns {Object} Parameters to store
+ * @private
+ */
+function getStoredParams(params) {
+  const stored = { ...params };
+  delete stored.sessionId;
+  return stored;
+}
+
+/**
+ * Resolves the soft and hard TTLs for a namespace, or for the request's
+ * collection when the policy overrides it. The soft TTL never exceeds the
+ * hard TTL, so a TTL of 0 stays fallback-only.
+ * 
+ * @param {string} endpoint - The cache namespace
+ * @param {Object} [params] - Parameters the cache key is built from
+ * @param {Object} [options] - Cache options
+ * @param {number} [options.ttl] - Overrides the hard TTL (seconds)
+ * @param {number} [options.softTtl] - Overrides the soft TTL (seconds)
+ * @returns {{ttl: number, softTtl: number}} TTLs in seconds
+ * @private
+ */
+function resolveTtls(endpoint, params = {}, options = {}) {
+  const policy = getCachePolicy(endpoint, params);
+  const ttl = options.ttl ?? policy.ttl;
+  const softTtl = options.softTtl ?? policy.softTtl;
+  return { ttl, softTtl: Math.min(softTtl, ttl) };
+}
+
+/**
+ * Checks a request against its namespace's cache policy before the cache is
+ * used. The bypass parameter only counts for admins unless the rule allows
+ * everyone.
+ * 
+ * @param {string} endpoint - The cache namespace
+ * @param {Object} params - Parameters the cache key is built from
+ * @param {Object} [options] - Request details
+ * @param {boolean} [options.bypass=false] - Whether the request asked to bypass the cache
+ * @param {boolean} [options.admin=false] - Whether the request was made with an admin key
+ * @returns {{cacheable: boolean, bypass: boolean, reason: string|null}} Whether the
+ *   cache may be used; reason is 'bypass' or 'query_too_short' when it may not
+ */
+function checkCachePolicy(endpoint, params, { bypass = false, admin = false } = {}) {
+  if (bypass && (admin || !getBypassRule().adminOnly)) {
+    return { cacheable: false, bypass: true, reason: 'bypass' };
+  }
+
+  if (getPolicyQueryText(params).length < getCachePolicy(endpoint, params).minQueryLength) {
+    return { cacheable: false, bypass: false, reason: 'query_too_short' };
+  }
+
+  return { cacheable: true, bypass: false, reason: null };
+}
+
+/**
+ * Gets the default soft and hard TTLs of a namespace
+ * 
+ * @param {string} endpoint - The cache namespace
+ * @returns {{ttl: number, softTtl: number}} TTLs in seconds
+ */
+function getCacheTtls(endpoint) {
+  return resolveTtls(endpoint);
+}
+
+/**
+ * Wraps data in the stored cache envelope. The envelope records when the
+ * value was written and its TTLs so expired entries can still be read stale.
+ * 
+ * @param {Object} data - The data to cache
+ * @param {number} ttl - Hard lifetime in seconds
+ * @param {number} softTtl - Lifetime before a background refresh, in seconds
+ * @param {boolean} [revalidated] - Whether a background refresh wrote the value
+ * @param {Object} [params] - Request parameters the key was built from
+ * @param {boolean} [negative] - Whether the value is a zero-result response
+ * @returns {Object} The cache envelope
+ * @private
+ */
+function createCacheEnvelope(data, ttl, softTtl, revalidated = false, params = undefined, negative = false) {
+  const envelope = {
+    v: CACHE_ENVELOPE_VERSION,
+    storedAt: Date.now(),
+    ttl,
+    softTtl,
+    data
+  };
+
+  if (params) envelope.params = params;
+
+  if (revalidated) envelope.revalidated = true;
+  if (negative) envelope.negative = true;
+  return envelope;
 }
 
 /**
- * Gets data from cache if available - Debug version with extra logging
+ * Unwraps a parsed cache value. Values written before the envelope format
+ * are treated as fresh data with unknown age, and envelopes without a soft
+ * TTL are refreshed only at their hard TTL.
+ * 
+ * @param {Object} parsed - Parsed Redis value
+ * @returns {{data: Object, storedAt: number|null, ageSeconds: number|null, expired: boolean, softExpired: boolean, revalidated: boolean, negative: boolean}} Cache entry
+ * @private
+ */
+function unwrapCacheEnvelope(parsed) {
+  const isEnvelope = parsed && typeof parsed === 'object' && !Array.isArray(parsed) &&
+    parsed.v === CACHE_ENVELOPE_VERSION && 'storedAt' in parsed && 'data' in parsed;
+
+  if (!isEnvelope) {
+    return {
+      data: parsed,
+      storedAt: null,
+      ageSeconds: null,
+      expired: false,
+      softExpired: false,
+      revalidated: false,
+      negative: false
+    };
+  }
+
+  const ageSeconds = Math.max(0, Math.round((Date.now() - parsed.storedAt) / 1000));
+  return {
+    data: parsed.data,
+    storedAt: parsed.storedAt,
+    ageSeconds,
+    expired: ageSeconds >= parsed.ttl,
+    softExpired: ageSeconds >= (parsed.softTtl ?? parsed.ttl),
+    revalidated: Boolean(parsed.revalidated),
+    negative: Boolean(parsed.negative)
+  };
+}
+
+/**
+ * Reads and unwraps a cache entry, fresh or expired - Debug version with extra logging
  * 
  * @param {string} endpoint - The API endpoint
  * @param {Object} params - The query parameters
  * @param {string} [requestId] - Optional request ID for tracking
- * @returns {Promise<Object|null>} The cached data or null if not found
+ * @returns {Promise<Object|null>} The unwrapped cache entry or null if not found
+ * @private
  */
-async function getCachedData(endpoint, params, requestId = null) {
-  console.log(`DEBUG - getCachedData called for ${endpoint}`, {
+async function readCacheEntry(endpoint, params, requestId = null) {
+  console.log(`DEBUG - readCacheEntry called for ${endpoint}`, {
     requestId,
     paramsExist: !!params,
     queryLength: params?.query?.length
   });
   
   try {
+    const cacheKey = generateCacheKey(endpoint, params);
+    
+    // Log cache check operation
+    logCacheCheck(endpoint, cacheKey, { 
+      requestId, 
+      query: params 
+    });
+    
+    // L1: values past their soft TTL are left to Redis, which may hold a
+    // newer value written by another instance
+    const memoryValue = getMemoryEntry(endpoint, cacheKey);
+    if (memoryValue) {
+      const entry = unwrapCacheEnvelope(JSON.parse(memoryValue));
+      if (!entry.softExpired) {
+        return {
+          ...entry,
+          cacheKey,
+          tier: 'l1',
+          dataSize: Buffer.byteLength(memoryValue, 'utf8'),
+          storedSize: null,
+          encoding: 'none'
+        };
+      }
+      deleteMemoryEntry(endpoint, cacheKey);
+    }
+    
     // Get Redis client with await to ensure connection is ready
     const redis = await getRedisClient();
     if (!redis) {
-      console.log('DEBUG - Redis client not available in getCachedData');
+      console.log('DEBUG - Redis client not available in readCacheEntry');
       return null;
     }
     
@@ -219,18 +559,11 @@ async function getCachedData(endpoint, params, requestId = null) {
       return null;
     }
     
-    const cacheKey = generateCacheKey(endpoint, params);
-    
-    // Log cache check operation
-    logCacheCheck(endpoint, cacheKey, { 
-      requestId, 
-      query: params 
-    });
-    
     console.log(`DEBUG - Attempting to get data for key: ${cacheKey}`);
     
     // Get data with timeout protection
     let cachedData;
+    const getStart = Date.now();
     try {
       cachedData = await Promise.race([
         redis.get(cacheKey),
@@ -238,57 +571,63 @@ async function getCachedData(endpoint, params, requestId = null) {
           setTimeout(() => reject(new Error('Redis get operation timed out')), 3000)
         )
       ]);
+      recordCacheLatency(endpoint, 'get', Date.now() - getStart);
     } catch (timeoutError) {
       console.error('DEBUG - Redis get operation error:', timeoutError);
+      recordRedisLookup(endpoint, 'errors');
+      recordRedisFailure(endpoint, timeoutError);
       return null;
     }
     
+    // During a rotation, entries not yet copied are still in the previous instance
+    if (!cachedData) {
+      cachedData = await readFromPrevious(cacheKey);
+    }
+    
     console.log(`DEBUG - Cache lookup result:`, {
       found: !!cachedData,
       dataLength: cachedData?.length
     });
     
-    if (cachedData) {
-      // Calculate approximate data size
-      const dataSize = Buffer.byteLength(cachedData, 'utf8');
-      
-      // Log cache hit operation
-      logCacheHit(endpoint, cacheKey, {
+    recordRedisLookup(endpoint, cachedData ? 'hits' : 'misses');
+    if (!cachedData) {
+      return null;
+    }
+    
+    try {
+      console.log(`DEBUG - Parsing cached data`);
+      const decoded = await decodeCacheValue(cachedData);
+      const entry = unwrapCacheEnvelope(JSON.parse(decoded.value));
+      console.log(`DEBUG - Successfully parsed cached data`);
+      if (!entry.softExpired) {
+        setMemoryEntry(endpoint, cacheKey, decoded.value);
+      }
+      return {
+        ...entry,
+        cacheKey,
+        tier: 'l2',
+        dataSize: decoded.rawBytes,
+        storedSize: decoded.storedBytes,
+        encoding: decoded.encoding
+      };
+    } catch (parseError) {
+      console.error(`DEBUG - Error parsing cached data:`, parseError);
+      recordCacheEvent(endpoint, { errors: 1 });
+      logCacheError(endpoint, cacheKey, {
         requestId,
         query: params,
-        dataSize: `${Math.round(dataSize / 1024)}KB`
+        errorType: 'ParseError',
+        errorMessage: parseError.message
       });
-      
-      try {
-        console.log(`DEBUG - Parsing cached data`);
-        const parsedData = JSON.parse(cachedData);
-        console.log(`DEBUG - Successfully parsed cached data`);
-        return parsedData;
-      } catch (parseError) {
-        console.error(`DEBUG - Error parsing cached data:`, parseError);
-        logCacheError(endpoint, cacheKey, {
-          requestId,
-          query: params,
-          errorType: 'ParseError',
-          errorMessage: parseError.message
-        });
-        return null;
-      }
+      return null;
     }
-    
-    // Log cache miss operation
-    logCacheMiss(endpoint, cacheKey, {
-      requestId,
-      query: params
-    });
-    
-    return null;
   } catch (error) {
-    console.error('DEBUG - Error in getCachedData:', {
+    console.error('DEBUG - Error in readCacheEntry:', {
       message: error.message,
       stack: error.stack,
       name: error.name
     });
+    recordCacheEvent(endpoint, { errors: 1 });
     
     // Log cache error operation
     logCacheError(endpoint, generateCacheKey(endpoint, params), {
@@ -302,16 +641,159 @@ async function getCachedData(endpoint, params, requestId = null) {
   }
 }
 
+/**
+ * Gets a cache entry if available and still within its hard TTL, with its
+ * state for stale-while-revalidate:
+ * - fresh: within the soft TTL
+ * - revalidated: within the soft TTL, written by a background refresh
+ * - stale: past the soft TTL; serve it and call revalidateCachedData
+ * 
+ * Requests the namespace's policy does not cache (queries that are too
+ * short) always miss, without a lookup.
+ * 
+ * @param {string} endpoint - The API endpoint
+ * @param {Object} params - The query parameters
+ * @param {string} [requestId] - Optional request ID for tracking
+ * @param {Object} [options] - Lookup options
+ * @param {boolean} [options.probe=false] - Leaves the lookup out of the persistent
+ *   metrics (e.g. looking for a shorter prefix after a miss was already counted)
+ * @returns {Promise<{data: Object, state: string, tier: string, storedAt: number|null, ageSeconds: number|null, negative: boolean}|null>}
+ *   The cache entry or null if not found or expired; tier is 'l1' (memory) or 'l2' (Redis),
+ *   and negative marks a cached zero-result response
+ */
+async function getCachedEntry(endpoint, params, requestId = null, options = {}) {
+  if (!checkCachePolicy(endpoint, params).cacheable) {
+    return null;
+  }
+
+  const entry = await readCacheEntry(endpoint, params, requestId);
+  
+  if (entry && !entry.expired) {
+    let state = 'fresh';
+    if (entry.softExpired) {
+      state = 'stale';
+    } else if (entry.revalidated) {
+      state = 'revalidated';
+    }
+
+    if (!options.probe) {
+      recordCacheEvent(endpoint, {
+        hits: 1,
+        l1Hits: entry.tier === 'l1' ? 1 : 0,
+        staleHits: state === 'stale' ? 1 : 0,
+        negativeHits: entry.negative ? 1 : 0,
+        bytesRead: entry.dataSize
+      });
+    }
+
+    // Log cache hit operation
+    logCacheHit(endpoint, entry.cacheKey, {
+      requestId,
+      query: params,
+      state,
+      tier: entry.tier,
+      negative: entry.negative,
+      ageSeconds: entry.ageSeconds,
+      dataSize: describeDataSize(entry.dataSize, entry.storedSize, entry.encoding)
+    });
+    return {
+      data: entry.data,
+      state,
+      tier: entry.tier,
+      storedAt: entry.storedAt,
+      ageSeconds: entry.ageSeconds,
+      negative: entry.negative
+    };
+  }
+  
+  if (!options.probe) {
+    recordCacheEvent(endpoint, { misses: 1 });
+  }
+
+  // Log cache miss operation (expired entries are kept only for stale reads)
+  logCacheMiss(endpoint, entry?.cacheKey || generateCacheKey(endpoint, params), {
+    requestId,
+    query: params,
+    expired: !!entry
+  });
+  
+  return null;
+}
+
+/**
+ * Gets data from cache if available and still within its hard TTL
+ * 
+ * @param {string} endpoint - The API endpoint
+ * @param {Object} params - The query parameters
+ * @param {string} [requestId] - Optional request ID for tracking
+ * @returns {Promise<Object|null>} The cached data or null if not found or expired
+ */
+async function getCachedData(endpoint, params, requestId = null) {
+  const entry = await getCachedEntry(endpoint, params, requestId);
+  return entry ? entry.data : null;
+}
+
+/**
+ * Gets the last good cached data regardless of TTL. Used to keep serving
+ * results while Funnelback is unavailable.
+ * 
+ * @param {string} endpoint - The API endpoint
+ * @param {Object} params - The query parameters
+ * @param {string} [requestId] - Optional request ID for tracking
+ * @returns {Promise<{data: Object, storedAt: number|null, ageSeconds: number|null, expired: boolean}|null>} The cache entry or null if none
+ */
+async function getStaleCachedData(endpoint, params, requestId = null) {
+  const entry = await readCacheEntry(endpoint, params, requestId);
+  
+  if (!entry) {
+    logCacheMiss(endpoint, generateCacheKey(endpoint, params), {
+      requestId,
+      query: params,
+      stale: true
+    });
+    return null;
+  }
+  
+  logCacheOperation('stale-hit', endpoint, entry.cacheKey, {
+    requestId,
+    query: params,
+    ageSeconds: entry.ageSeconds,
+    expired: entry.expired,
+    dataSize: describeDataSize(entry.dataSize, entry.storedSize, entry.encoding)
+  });
+  
+  return {
+    data: entry.data,
+    storedAt: entry.storedAt,
+    ageSeconds: entry.ageSeconds,
+    expired: entry.expired
+  };
+}
+
 /**
  * Sets data in cache with appropriate TTL - Debug version with extra logging
  * 
+ * Entries are kept in Redis for STALE_GRACE_TTL beyond their TTL so they
+ * can be served stale during an upstream outage. A TTL of 0 stores a
+ * fallback-only copy that is never returned as a fresh hit.
+ * 
+ * The namespace's policy decides what is stored: queries that are too short
+ * and entries over the size limit are skipped. A zero-result response
+ * (options.resultCount of 0) is stored for the policy's negative TTL, without
+ * a stale grace period, or skipped when the negative TTL is 0.
+ * 
  * @param {string} endpoint - The API endpoint
  * @param {Object} params - The query parameters
  * @param {Object} data - The data to cache
  * @param {string} [requestId] - Optional request ID for tracking
+ * @param {Object} [options] - Cache options
+ * @param {number} [options.ttl] - Overrides the endpoint hard TTL (seconds)
+ * @param {number} [options.softTtl] - Overrides the endpoint soft TTL (seconds)
+ * @param {boolean} [options.revalidated] - Marks the value as written by a background refresh
+ * @param {number} [options.resultCount] - Number of results in the data; 0 makes it a negative entry
  * @returns {Promise<boolean>} Whether the data was successfully cached
  */
-async function setCachedData(endpoint, params, data, requestId = null) {
+async function setCachedData(endpoint, params, data, requestId = null, options = {}) {
   console.log(`DEBUG - setCachedData called for ${endpoint}`, {
     requestId,
     paramsExist: !!params,
@@ -335,14 +817,37 @@ async function setCachedData(endpoint, params, data, requestId = null) {
     }
     
     const cacheKey = generateCacheKey(endpoint, params);
-    // Determine TTL based on endpoint
-    const ttl = CACHE_TTL[endpoint] || CACHE_TTL.default;
+    const policy = getCachePolicy(endpoint, params);
+    const skip = (reason, metadata = {}) => {
+      logCacheOperation('set-skipped', endpoint, cacheKey, { requestId, query: params, reason, ...metadata });
+      return false;
+    };
+    
+    if (!checkCachePolicy(endpoint, params).cacheable) {
+      return skip('query_too_short');
+    }
+    
+    // Zero-result responses are kept briefly so junk queries do not reach Funnelback every time
+    const negative = options.resultCount === 0;
+    if (negative && !(policy.negativeTtl > 0)) {
+      return skip('no_results');
+    }
+    
+    // Determine TTLs based on endpoint; a negative entry is never refreshed or served stale
+    let { ttl, softTtl } = resolveTtls(endpoint, params, options);
+    if (negative) {
+      ttl = Math.min(ttl, policy.negativeTtl);
+      softTtl = ttl;
+    }
+    const redisTtl = negative ? ttl : ttl + STALE_GRACE_TTL;
     
     console.log(`DEBUG - Attempting to serialize data for key: ${cacheKey}`);
     let stringData;
     
     try {
-      stringData = JSON.stringify(data);
+      stringData = JSON.stringify(
+        createCacheEnvelope(data, ttl, softTtl, options.revalidated, getStoredParams(params), negative)
+      );
       console.log(`DEBUG - Data serialized successfully, length: ${stringData.length}`);
     } catch (serializeError) {
       console.error(`DEBUG - Error serializing data:`, serializeError);
@@ -355,30 +860,57 @@ async function setCachedData(endpoint, params, data, requestId = null) {
       return false;
     }
     
-    const dataSize = Buffer.byteLength(stringData, 'utf8');
+    // The size limit applies to the serialized value, before compression
+    const rawBytes = Buffer.byteLength(stringData, 'utf8');
+    if (policy.maxEntryBytes > 0 && rawBytes > policy.maxEntryBytes) {
+      recordCacheEvent(endpoint, { oversized: 1 });
+      return skip('too_large', { rawBytes, maxEntryBytes: policy.maxEntryBytes });
+    }
+    
+    // Values over the compression threshold are stored compressed
+    const encoded = await encodeCacheValue(stringData);
     
     // Log cache set operation
     logCacheSet(endpoint, cacheKey, {
       requestId,
       query: params,
       ttl: `${ttl}s`,
-      dataSize: `${Math.round(dataSize / 1024)}KB`
+      softTtl: `${softTtl}s`,
+      revalidated: !!options.revalidated,
+      negative,
+      dataSize: describeDataSize(encoded.rawBytes, encoded.storedBytes, encoded.encoding),
+      rawBytes: encoded.rawBytes,
+      storedBytes: encoded.storedBytes,
+      encoding: encoded.encoding
     });
     
-    console.log(`DEBUG - Setting cache with TTL: ${ttl}s`);
+    console.log(`DEBUG - Setting cache with TTL: ${ttl}s (kept ${redisTtl}s for stale reads)`);
+    
+    // Keep the previous instance current during a rotation (not awaited)
+    writeToPrevious(cacheKey, encoded.value, redisTtl);
     
     // Set cache with timeout protection
+    const setStart = Date.now();
     try {
       await Promise.race([
-        redis.set(cacheKey, stringData, { EX: ttl }),
+        redis.set(cacheKey, encoded.value, { EX: redisTtl }),
         new Promise((_, reject) => 
           setTimeout(() => reject(new Error('Redis set operation timed out')), 3000)
         )
       ]);
       console.log(`DEBUG - Cache set successfully`);
+      recordCacheLatency(endpoint, 'set', Date.now() - setStart);
+      recordCacheEvent(endpoint, {
+        sets: 1,
+        negativeSets: negative ? 1 : 0,
+        bytesWritten: encoded.storedBytes,
+        rawBytesWritten: encoded.rawBytes
+      });
+      setMemoryEntry(endpoint, cacheKey, stringData);
       return true;
     } catch (timeoutError) {
       console.error('DEBUG - Redis set operation error:', timeoutError);
+      recordRedisFailure(endpoint, timeoutError);
       return false;
     }
   } catch (error) {
@@ -387,6 +919,7 @@ async function setCachedData(endpoint, params, data, requestId = null) {
       stack: error.stack,
       name: error.name
     });
+    recordCacheEvent(endpoint, { errors: 1 });
     
     // Log cache error operation
     logCacheError(endpoint, generateCacheKey(endpoint, params), {
@@ -400,6 +933,127 @@ async function setCachedData(endpoint, params, data, requestId = null) {
   }
 }
 
+/**
+ * Takes a named Redis lock (SET NX with an expiry)
+ * 
+ * @param {string} lockKey - Lock key (e.g. 'lock:warm')
+ * @param {string} owner - Value identifying the holder; needed to release the lock
+ * @param {number} ttlSeconds - Expiry, so a crashed holder cannot keep the lock
+ * @returns {Promise<boolean>} Whether the lock was taken (false when Redis is not ready)
+ */
+async function acquireLock(lockKey, owner, ttlSeconds) {
+  const redis = await getRedisClient();
+  if (!redis || !redis.isReady) {
+    return false;
+  }
+
+  return (await redis.set(lockKey, owner, { NX: true, EX: ttlSeconds })) === 'OK';
+}
+
+/**
+ * Checks whether a named Redis lock is held by anyone
+ * 
+ * @param {string} lockKey - Lock key
+ * @returns {Promise<boolean>} Whether the lock exists (false when Redis is not ready)
+ */
+async function isLockHeld(lockKey) {
+  try {
+    const redis = await getRedisClient();
+    if (!redis || !redis.isReady) {
+      return false;
+    }
+
+    return (await redis.exists(lockKey)) === 1;
+  } catch (error) {
+    console.error('DEBUG - Error checking lock:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Releases a named Redis lock if it is still held by the same owner
+ * 
+ * @param {string} lockKey - Lock key
+ * @param {string} owner - Value the lock was taken with
+ * @returns {Promise<boolean>} Whether the lock was released
+ */
+async function releaseLock(lockKey, owner) {
+  try {
+    const redis = await getRedisClient();
+    if (!redis || !redis.isReady) {
+      return false;
+    }
+
+    return (await redis.eval(RELEASE_LOCK_SCRIPT, { keys: [lockKey], arguments: [owner] })) === 1;
+  } catch (error) {
+    // The lock expires on its own after its TTL
+    console.error('DEBUG - Error releasing lock:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Refreshes a stale cache entry. A Redis lock (SET NX with an expiry) makes
+ * sure only one refresh per key runs across all instances; callers that do
+ * not get the lock return straight away and keep serving the stale value.
+ * 
+ * @param {string} endpoint - The API endpoint
+ * @param {Object} params - The query parameters
+ * @param {function(): Promise<Object|null>} refresh - Fetches the new value; null skips the write
+ * @param {string} [requestId] - Optional request ID for tracking
+ * @param {Object} [options] - Cache options passed to setCachedData
+ * @returns {Promise<boolean>} Whether the entry was refreshed
+ */
+async function revalidateCachedData(endpoint, params, refresh, requestId = null, options = {}) {
+  const cacheKey = generateCacheKey(endpoint, params);
+  const lockKey = `${REVALIDATION_LOCK_PREFIX}${cacheKey}`;
+  const lockOwner = requestId || `rev_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+
+  const redis = await getRedisClient();
+  if (!redis || !redis.isReady) {
+    console.log('DEBUG - Redis client is not ready, skipping revalidation');
+    return false;
+  }
+
+  if (!(await acquireLock(lockKey, lockOwner, REVALIDATION_LOCK_TTL))) {
+    logCacheOperation('revalidate-skipped', endpoint, cacheKey, {
+      requestId,
+      query: params,
+      reason: 'lock_held'
+    });
+    return false;
+  }
+
+  logCacheOperation('revalidate-start', endpoint, cacheKey, {
+    requestId,
+    query: params
+  });
+
+  try {
+    const data = await refresh();
+    if (data === null || data === undefined) {
+      logCacheOperation('revalidate-skipped', endpoint, cacheKey, {
+        requestId,
+        query: params,
+        reason: 'not_cacheable'
+      });
+      return false;
+    }
+
+    return await setCachedData(endpoint, params, data, requestId, { ...options, revalidated: true });
+  } catch (error) {
+    logCacheError(endpoint, cacheKey, {
+      requestId,
+      query: params,
+      errorType: 'RevalidationError',
+      errorMessage: error.message
+    });
+    throw error;
+  } finally {
+    await releaseLock(lockKey, lockOwner);
+  }
+}
+
 /**
  * Invalidates cache for a specific endpoint and query parameters
  * 
@@ -424,7 +1078,9 @@ async function invalidateCache(endpoint, params, requestId = null) {
       query: params
     });
     
+    deleteMemoryEntry(endpoint, cacheKey);
     await redis.del(cacheKey);
+    await deleteFromPrevious([cacheKey]);
     
     return true;
   } catch (error) {
@@ -441,11 +1097,232 @@ async function invalidateCache(endpoint, params, requestId = null) {
   }
 }
 
+/**
+ * Gets a ready Redis client or fails. Admin operations report an outage
+ * instead of silently doing nothing.
+ * 
+ * @returns {Promise<Object>} Redis client
+ * @throws {Error} CACHE_UNAVAILABLE when Redis is not available
+ * @private
+ */
+async function requireRedis() {
+  const redis = await getRedisClient();
+  if (!redis || !redis.isReady) {
+    const error = new Error('Redis is not available');
+    error.code = 'CACHE_UNAVAILABLE';
+    throw error;
+  }
+  return redis;
+}
+
+/**
+ * Checks whether a key belongs to a cache namespace
+ * 
+ * @param {string} key - Redis key
+ * @returns {boolean} Whether the key holds a cached response
+ */
+function isCacheKey(key) {
+  return CACHE_NAMESPACES.some((namespace) => key.startsWith(`${namespace}:`));
+}
+
+/**
+ * Lists cache keys in a namespace with SCAN, one page at a time
+ * 
+ * @param {string} namespace - Cache namespace (one of CACHE_NAMESPACES)
+ * @param {Object} [options] - Listing options
+ * @param {string} [options.match='*'] - Glob applied after the namespace and version prefix
+ * @param {number} [options.version] - Schema version to list; the current one when omitted
+ * @param {string|number} [options.cursor='0'] - Cursor from the previous page
+ * @param {number} [options.count=100] - SCAN count hint
+ * @returns {Promise<{cursor: string, keys: Array<string>, done: boolean}>} One page of keys
+ */
+async function listCacheKeys(namespace, { match = '*', version, cursor = '0', count = 100 } = {}) {
+  const redis = await requireRedis();
+  // Keys from before versioning have no version segment
+  const prefix = version === 0 ? namespace : `${namespace}:v${version ?? getSchemaVersion(namespace)}`;
+  const reply = await redis.scan(Number(cursor) || 0, {
+    MATCH: `${prefix}:${match}`,
+    COUNT: count
+  });
+  const nextCursor = String(reply.cursor);
+
+  return {
+    cursor: nextCursor,
+    keys: version === 0 ? reply.keys.filter((key) => parseCacheKey(key)?.version === 0) : reply.keys,
+    done: nextCursor === '0'
+  };
+}
+
+/**
+ * Reads a cache entry with its Redis TTL and size, for inspection
+ * 
+ * @param {string} key - Full cache key
+ * @returns {Promise<Object|null>} Entry details or null if the key does not exist
+ */
+async function inspectCacheEntry(key) {
+  const redis = await requireRedis();
+  const [raw, redisTtl] = await Promise.all([redis.get(key), redis.ttl(key)]);
+  if (raw === null || raw === undefined) {
+    return null;
+  }
+
+  const parts = parseCacheKey(key);
+  const schema = {
+    version: parts ? parts.version : null,
+    currentVersion: parts ? getSchemaVersion(parts.namespace) : null
+  };
+
+  let parsed;
+  let decoded = { encoding: 'none', rawBytes: Buffer.byteLength(raw, 'utf8') };
+  try {
+    decoded = await decodeCacheValue(raw);
+    parsed = JSON.parse(decoded.value);
+  } catch (parseError) {
+    return {
+      key,
+      ...schema,
+      sizeBytes: Buffer.byteLength(raw, 'utf8'),
+      encoding: decoded.encoding,
+      redisTtl,
+      parseError: parseError.message
+    };
+  }
+
+  const entry = unwrapCacheEnvelope(parsed);
+  let state = entry.expired ? 'expired' : 'fresh';
+  if (!entry.expired && entry.softExpired) {
+    state = 'stale';
+  } else if (!entry.expired && entry.revalidated) {
+    state = 'revalidated';
+  }
+
+  return {
+    key,
+    ...schema,
+    sizeBytes: decoded.storedBytes,
+    rawBytes: decoded.rawBytes,
+    encoding: decoded.encoding,
+    redisTtl,
+    storedAt: entry.storedAt ? new Date(entry.storedAt).toISOString() : null,
+    ageSeconds: entry.ageSeconds,
+    ttl: parsed?.ttl ?? null,
+    softTtl: parsed?.softTtl ?? null,
+    state,
+    params: parsed?.params || null,
+    data: entry.data
+  };
+}
+
+/**
+ * Deletes every key matching a pattern, scanning in batches
+ * 
+ * @param {Object} redis - Redis client
+ * @param {string} pattern - Redis glob pattern (must start with a cache namespace)
+ * @returns {Promise<{pattern: string, deleted: number, keys: Array<string>}>} Deleted keys (first 100 listed)
+ * @private
+ */
+async function purgeByPattern(redis, pattern) {
+  const deletedKeys = [];
+  let deleted = 0;
+  let cursor = 0;
+
+  do {
+    const reply = await redis.scan(cursor, { MATCH: pattern, COUNT: SCAN_BATCH_SIZE });
+    cursor = Number(reply.cursor);
+
+    // SCAN can return a key twice; only cache keys are ever deleted
+    const keys = [...new Set(reply.keys)].filter(isCacheKey);
+    if (keys.length > 0) {
+      deleted += await redis.unlink(keys);
+      deletedKeys.push(...keys.slice(0, Math.max(0, 100 - deletedKeys.length)));
+    }
+  } while (cursor !== 0);
+
+  return { pattern, deleted, keys: deletedKeys };
+}
+
+/**
+ * Purges cache entries by namespace, by glob pattern within a namespace, or
+ * by query term across namespaces
+ * 
+ * @param {Object} target - What to purge
+ * @param {string} [target.namespace] - Cache namespace; all namespaces when omitted
+ * @param {string} [target.pattern='*'] - Glob applied after the namespace and version
+ *   prefix; the whole namespace, every version included, when omitted
+ * @param {string} [target.query] - Query term; purges keys whose query slug contains it.
+ *   Terms shorter than the namespaces' minimum query length are rejected, as they
+ *   would match far more than their own entries
+ * @param {string} [requestId] - Optional request ID for tracking
+ * @returns {Promise<{deleted: number, patterns: Array<Object>}>} Purge result; during a
+ *   rotation each pattern also has previousDeleted, the keys deleted from the previous instance
+ * @throws {Error} When the query term has no letters or digits or is too short
+ *   (code INVALID_QUERY_TERM, with minLength for a short term)
+ */
+async function purgeCache({ namespace, pattern = '*', query } = {}, requestId = null) {
+  const namespaces = namespace ? [namespace] : CACHE_NAMESPACES;
+  // Patterns apply to the slug and hash of any version
+  let match = pattern === '*' ? '*' : `v*:${pattern}`;
+
+  if (query !== undefined) {
+    const slug = slugifyQuery(query);
+    const minLength = Math.min(...namespaces.map((name) => getCachePolicy(name).minQueryLength));
+    if (slug.length < minLength) {
+      const error = new Error(slug
+        ? `Query term must be at least ${minLength} characters`
+        : 'Query term has no letters or digits');
+      error.code = 'INVALID_QUERY_TERM';
+      if (slug) error.minLength = minLength;
+      throw error;
+    }
+    // Anchored to the slug segment, so terms such as "v1" do not match the version
+    match = `v*:*${slug}*:*`;
+  }
+
+  const redis = await requireRedis();
+  // During a rotation the previous instance is purged too, or fallback reads would bring entries back
+  const previous = await getPreviousRedisClient();
+  
+  const patterns = [];
+  for (const name of namespaces) {
+    const result = await purgeByPattern(redis, `${name}:${match}`);
+    if (previous && previous.isReady) {
+      result.previousDeleted = (await purgeByPattern(previous, `${name}:${match}`)).deleted;
+    }
+    patterns.push(result);
+    // Only this instance's L1 can be cleared; other instances expire theirs within the L1 TTL
+    clearMemoryCache(name);
+  }
+
+  const deleted = patterns.reduce((sum, result) => sum + result.deleted, 0);
+  logCacheOperation('purge', namespace || 'all', match, {
+    requestId,
+    deleted,
+    namespaces
+  });
+
+  return { deleted, patterns };
+}
+
 module.exports = {
   isCachingEnabled,
+  generateCacheKey,
   getCachedData,
+  getCachedEntry,
+  getStaleCachedData,
+  revalidateCachedData,
   setCachedData,
   invalidateCache,
+  listCacheKeys,
+  inspectCacheEntry,
+  purgeCache,
+  isCacheKey,
+  getCacheMetrics,
+  getCacheTtls,
+  checkCachePolicy,
+  acquireLock,
+  releaseLock,
+  isLockHeld,
+  CACHE_NAMESPACES,
   logCacheOperation,
   logCacheCheck,
   logCacheHit,
@@ -0,0 +1,271 @@
+/**
+ * @fileoverview Cache Schema Versions and Lazy Cleanup of Old Entries
+ *
+ * Cache keys carry the schema version of their namespace (see cacheKey), so
+ * bumping a version makes every old-shape entry unreachable at once. The
+ * entries themselves are left in Redis; this module removes them in the
+ * background instead of waiting days for their TTLs:
+ * - A collector scans each namespace in batches and unlinks keys older than
+ *   the current version, including keys written before versions existed
+ * - Progress is kept in Redis per namespace, so whichever instance runs
+ *   carries on where another stopped, and a short lease makes sure only one
+ *   collects at a time
+ * - Keys of a newer version are never touched, so an instance still running
+ *   the previous release cannot remove entries of the next one
+ *
+ * It also counts the keys of each live version for the admin API.
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @namespace cacheVersions
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+const commonUtils = require('./commonUtils');
+const { getRedisClient } = require('./redisClient');
+const { NAMESPACE_ENDPOINTS, getSchemaVersion, parseCacheKey } = require('./cacheKey');
+
+/**
+ * Collector settings, overridable through the environment
+ * @type {{batchSize: number, intervalMs: number}}
+ * @constant
+ */
+const VERSION_GC_DEFAULTS = {
+    batchSize: parseInt(process.env.CACHE_VERSION_GC_BATCH, 10) || 200,
+    // Pause between batches, so cleanup never competes with live traffic
+    intervalMs: parseInt(process.env.CACHE_VERSION_GC_INTERVAL_MS, 10) || 250
+};
+
+/**
+ * Namespaces in the order they are collected
+ * @type {Array<string>}
+ * @constant
+ * @private
+ */
+const GC_NAMESPACES = Object.keys(NAMESPACE_ENDPOINTS);
+
+/**
+ * Hash holding collector progress: <namespace>:done is the version cleaned up
+ * to, <namespace>:version, :cursor and :deleted describe the run in progress
+ * @type {string}
+ * @constant
+ */
+const GC_STATE_KEY = 'cache-versions:gc';
+
+/**
+ * Lease held by the instance that is collecting
+ * @type {string}
+ * @constant
+ * @private
+ */
+const GC_LEASE_KEY = 'lock:cache-versions-gc';
+
+/**
+ * Lease length in seconds; also how long to wait when another instance holds it
+ * @type {number}
+ * @constant
+ * @private
+ */
+const GC_LEASE_TTL = 30;
+
+/**
+ * Service name used in logs
+ * @type {string}
+ * @constant
+ * @private
+ */
+const SERVICE = 'cache-versions';
+
+/**
+ * Collector state for this instance
+ * @type {{running: boolean, done: boolean, owner: string}}
+ * @private
+ */
+const collector = { running: false, done: false, owner: commonUtils.generateRequestId() };
+
+/**
+ * Gets a ready Redis client or fails
+ *
+ * @returns {Promise<Object>} Redis client
+ * @throws {Error} With code CACHE_UNAVAILABLE when Redis is not connected
+ * @private
+ */
+async function requireRedis() {
+    const redis = await getRedisClient();
+    if (!redis || !redis.isReady) {
+        const error = new Error('Redis is not available');
+        error.code = 'CACHE_UNAVAILABLE';
+        throw error;
+    }
+    return redis;
+}
+
+/**
+ * Finds the first namespace whose old versions still need collecting
+ *
+ * @param {Object} state - Stored progress (hGetAll of GC_STATE_KEY)
+ * @returns {string|undefined} Namespace, or undefined when all are clean
+ * @private
+ */
+function findPendingNamespace(state) {
+    return GC_NAMESPACES.find(
+        (namespace) => (parseInt(state[`${namespace}:done`], 10) || 0) < getSchemaVersion(namespace)
+    );
+}
+
+/**
+ * Runs one collection batch while holding the lease
+ *
+ * @returns {Promise<number|null>} Delay before the next batch in milliseconds,
+ *   or null when every namespace is clean
+ * @private
+ */
+async function collectStep() {
+    const redis = await getRedisClient();
+    if (!redis || !redis.isReady) return GC_LEASE_TTL * 1000;
+
+    const state = (await redis.hGetAll(GC_STATE_KEY)) || {};
+    const namespace = findPendingNamespace(state);
+    if (!namespace) return null;
+
+    // Take the lease, or extend it when this instance already holds it
+    let leased = (await redis.set(GC_LEASE_KEY, collector.owner, { NX: true, EX: GC_LEASE_TTL })) === 'OK';
+    if (!leased && (await redis.get(GC_LEASE_KEY)) === collector.owner) {
+        await redis.expire(GC_LEASE_KEY, GC_LEASE_TTL);
+        leased = true;
+    }
+    // Another instance is collecting; check again once its lease could have lapsed
+    if (!leased) return GC_LEASE_TTL * 1000;
+
+    const version = getSchemaVersion(namespace);
+    const resuming = parseInt(state[`${namespace}:version`], 10) === version;
+    const cursor = resuming ? parseInt(state[`${namespace}:cursor`], 10) || 0 : 0;
+    let deleted = resuming ? parseInt(state[`${namespace}:deleted`], 10) || 0 : 0;
+
+    if (!resuming) {
+        commonUtils.logEvent('info', 'cache_version_gc_started', SERVICE, { namespace, version });
+    }
+
+    const reply = await redis.scan(cursor, {
+        MATCH: `${namespace}:*`,
+        COUNT: VERSION_GC_DEFAULTS.batchSize
+    });
+    // SCAN can return a key twice; only cache keys of an older version are removed
+    const stale = [...new Set(reply.keys)].filter((key) => {
+        const parsed = parseCacheKey(key);
+        return parsed && parsed.namespace === namespace && parsed.version < version;
+    });
+    if (stale.length > 0) {
+        deleted += await redis.unlink(stale);
+    }
+
+    const nextCursor = Number(reply.cursor);
+    const progress = {
+        [`${namespace}:version`]: String(version),
+        [`${namespace}:cursor`]: String(nextCursor),
+        [`${namespace}:deleted`]: String(deleted)
+    };
+    if (nextCursor === 0) {
+        progress[`${namespace}:done`] = String(version);
+        progress[`${namespace}:finishedAt`] = new Date().toISOString();
+        commonUtils.logEvent('info', 'cache_version_gc_finished', SERVICE, { namespace, version, deleted });
+    }
+    await redis.hSet(GC_STATE_KEY, progress);
+
+    return VERSION_GC_DEFAULTS.intervalMs;
+}
+
+/**
+ * Runs collection batches until every namespace is clean
+ *
+ * @private
+ */
+async function runCollector() {
+    let delay;
+    try {
+        delay = await collectStep();
+    } catch (error) {
+        commonUtils.logEvent('warn', 'cache_version_gc_failed', SERVICE, { error: error.message });
+        delay = GC_LEASE_TTL * 1000;
+    }
+
+    if (delay === null) {
+        collector.running = false;
+        collector.done = true;
+        return;
+    }
+
+    const timer = setTimeout(runCollector, delay);
+    // Never keep a process alive just for the collector
+    if (timer.unref) timer.unref();
+}
+
+/**
+ * Starts the background collector. Safe to call often: it does nothing while
+ * the collector runs or once this instance has seen every namespace clean.
+ */
+function startVersionCollector() {
+    if (collector.running || collector.done) return;
+
+    collector.running = true;
+    runCollector();
+}
+
+/**
+ * Counts the keys of every live version in each namespace with SCAN. Meant
+ * for the admin API: it walks the whole keyspace of the namespaces asked for.
+ *
+ * @param {Array<string>} [namespaces] - Namespaces to count; all when omitted
+ * @returns {Promise<Object<string, Object>>} Per namespace: current version,
+ *   live versions with their key counts (version 0 is keys from before
+ *   versioning) and collector progress
+ * @throws {Error} With code CACHE_UNAVAILABLE when Redis is not connected
+ */
+async function getNamespaceVersions(namespaces = GC_NAMESPACES) {
+    const redis = await requireRedis();
+    const state = (await redis.hGetAll(GC_STATE_KEY)) || {};
+    const result = {};
+
+    for (const namespace of namespaces) {
+        const currentVersion = getSchemaVersion(namespace);
+        const counts = new Map();
+        const seen = new Set();
+        let cursor = 0;
+
+        do {
+            const reply = await redis.scan(cursor, { MATCH: `${namespace}:*`, COUNT: 1000 });
+            cursor = Number(reply.cursor);
+
+            for (const key of reply.keys) {
+                const parsed = parseCacheKey(key);
+                if (!parsed || parsed.namespace !== namespace || seen.has(key)) continue;
+                seen.add(key);
+                counts.set(parsed.version, (counts.get(parsed.version) || 0) + 1);
+            }
+        } while (cursor !== 0);
+
+        const doneVersion = parseInt(state[`${namespace}:done`], 10) || 0;
+        result[namespace] = {
+            currentVersion,
+            versions: [...counts.entries()]
+                .sort(([a], [b]) => b - a)
+                .map(([version, keys]) => ({ version, keys, current: version === currentVersion })),
+            gc: {
+                state: doneVersion >= currentVersion ? 'done' : 'pending',
+                doneVersion,
+                deleted: parseInt(state[`${namespace}:deleted`], 10) || 0,
+                finishedAt: state[`${namespace}:finishedAt`] || null
+            }
+        };
+    }
+
+    return result;
+}
+
+module.exports = {
+    startVersionCollector,
+    getNamespaceVersions,
+    VERSION_GC_DEFAULTS,
+    GC_STATE_KEY
+};
@@ -0,0 +1,328 @@
+/**
+ * @fileoverview Cache Warming from Analytics Top Queries
+ *
+ * The cache starts cold after a Redis rotation or purge, while the Query
+ * collection already knows the most frequent suggestion, people and program
+ * queries. This module reads the top queries per handler over a time window
+ * and replays them through the handlers' own stages (see
+ * handlerPipeline.warmCacheEntry), so Redis is filled with the same keys,
+ * bodies and TTLs as live traffic would write. Used by the warming CLI
+ * (scripts/warmCache.js) and the admin endpoint (api/admin/warm.js).
+ *
+ * Features:
+ * - Top N queries per handler from MongoDB over the last N days
+ * - Replayed as the documented frontend request (query plus collection)
+ * - Rate limit and concurrency limit toward Funnelback
+ * - Entries still within their soft TTL are skipped unless forced
+ * - Progress callback per query and a summary report per handler
+ * - Stops early when Funnelback's circuit opens or the time budget runs out
+ * - One run at a time across instances (Redis lock)
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @namespace cacheWarmer
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+const commonUtils = require('./commonUtils');
+const { warmCacheEntry } = require('./handlerPipeline');
+const { isCachingEnabled, acquireLock, releaseLock } = require('./cacheService');
+const { Query, connectToMongoDB } = require('./queryAnalytics');
+
+/**
+ * Handlers whose cache can be warmed, keyed by the handler name recorded in analytics
+ * @type {Object<string, Function>}
+ * @constant
+ */
+const WARMABLE_HANDLERS = {
+    suggest: require('../api/suggest'),
+    suggestPeople: require('../api/suggestPeople'),
+    suggestPrograms: require('../api/suggestPrograms')
+};
+
+/**
+ * Default warming settings, overridable through the environment
+ * @type {{limit: number, days: number, rate: number, concurrency: number}}
+ * @constant
+ */
+const WARM_DEFAULTS = {
+    limit: parseInt(process.env.CACHE_WARM_LIMIT, 10) || 100,
+    days: parseInt(process.env.CACHE_WARM_DAYS, 10) || 7,
+    rate: parseFloat(process.env.CACHE_WARM_RATE) || 5,
+    concurrency: parseInt(process.env.CACHE_WARM_CONCURRENCY, 10) || 2
+};
+
+/**
+ * Service name used in logs
+ * @type {string}
+ * @constant
+ * @private
+ */
+const SERVICE = 'cache-warmer';
+
+/**
+ * Redis lock held while a warming run is in progress
+ * @type {string}
+ * @constant
+ */
+const WARM_LOCK_KEY = 'lock:warm';
+
+/**
+ * Longest a run may hold the lock, in seconds (a crashed run frees it after this)
+ * @type {number}
+ * @constant
+ * @private
+ */
+const WARM_LOCK_TTL = 3600;
+
+/**
+ * Maximum number of failures listed in a report
+ * @type {number}
+ * @constant
+ * @private
+ */
+const MAX_REPORTED_ERRORS = 20;
+
+/**
+ * Reads the most frequent queries for a handler. Queries differing only in
+ * case or surrounding spaces are counted together, as they share a cache key.
+ *
+ * @param {string} handler - Handler name recorded in analytics
+ * @param {Object} options - Query options
+ * @param {Date} options.since - Start of the window
+ * @param {number} options.limit - Maximum number of queries
+ * @returns {Promise<Array<{query: string, collection: string|null, count: number}>>} Top queries, most frequent first
+ */
+async function getTopQueries(handler, { since, limit }) {
+    await connectToMongoDB();
+
+    const rows = await Query.aggregate([
+        {
+            $match: {
+                handler,
+                timestamp: { $gte: since },
+                query: { $nin: ['', '[empty query]'] }
+            }
+        },
+        {
+            $group: {
+                _id: {
+                    query: { $toLower: { $trim: { input: '$query' } } },
+                    collection: '$searchCollection'
+                },
+                count: { $sum: 1 }
+            }
+        },
+        { $sort: { count: -1, '_id.query': 1 } },
+        { $limit: limit }
+    ]);
+
+    return rows.map((row) => ({
+        query: row._id.query,
+        collection: row._id.collection || null,
+        count: row.count
+    }));
+}
+
+/**
+ * Creates a limiter that spaces calls evenly at a rate per second
+ *
+ * @param {number} perSecond - Maximum calls per second
+ * @returns {function(): Promise<void>} Resolves when the next call may start
+ * @private
+ */
+function createRateLimiter(perSecond) {
+    const interval = 1000 / perSecond;
+    let nextSlot = 0;
+
+    return async function throttle() {
+        const now = Date.now();
+        const start = Math.max(now, nextSlot);
+        nextSlot = start + interval;
+        if (start > now) {
+            await new Promise((resolve) => setTimeout(resolve, start - now));
+        }
+    };
+}
+
+/**
+ * Creates an empty per-handler counter
+ *
+ * @param {number} total - Number of queries to warm
+ * @returns {Object} Counter
+ * @private
+ */
+function createCounts(total) {
+    return { total, warmed: 0, fresh: 0, skipped: 0, failed: 0 };
+}
+
+/**
+ * Warms the cache for the top queries of each handler
+ *
+ * @param {Object} [options] - Warming options (defaults from WARM_DEFAULTS)
+ * @param {Array<string>} [options.handlers] - Handlers to warm (defaults to all)
+ * @param {number} [options.limit] - Top queries per handler
+ * @param {number} [options.days] - Window of analytics to read, in days
+ * @param {number} [options.rate] - Maximum Funnelback requests per second
+ * @param {number} [options.concurrency] - Maximum Funnelback requests in flight
+ * @param {boolean} [options.force=false] - Refresh entries still within their soft TTL
+ * @param {number} [options.deadline] - Time (ms since epoch) after which no new query is started
+ * @param {string} [options.requestId] - Request ID for tracking
+ * @param {function(Object): void} [options.onProgress] - Called after every query
+ * @returns {Promise<Object>} Report: counts per handler and in total, errors, and whether it completed
+ * @throws {Error} When a handler is unknown, MongoDB or the cache is unavailable
+ *   (code CACHE_UNAVAILABLE), or another run is in progress (code WARM_IN_PROGRESS)
+ */
+async function warmCache(options = {}) {
+    const settings = { ...WARM_DEFAULTS, force: false, ...options };
+    const handlers = settings.handlers || Object.keys(WARMABLE_HANDLERS);
+    const requestId = settings.requestId || commonUtils.generateRequestId();
+    const startTime = Date.now();
+
+    const unknown = handlers.filter((name) => !WARMABLE_HANDLERS[name]);
+    if (unknown.length > 0) {
+        throw new Error(`Cannot warm unknown handlers: ${unknown.join(', ')}`);
+    }
+    if (!process.env.MONGODB_URI) {
+        throw new Error('MONGODB_URI is not configured');
+    }
+    if (!(await isCachingEnabled())) {
+        const error = new Error('Cache is not available');
+        error.code = 'CACHE_UNAVAILABLE';
+        throw error;
+    }
+    if (!(await acquireLock(WARM_LOCK_KEY, requestId, WARM_LOCK_TTL))) {
+        const error = new Error('Another cache warming run is in progress');
+        error.code = 'WARM_IN_PROGRESS';
+        throw error;
+    }
+
+    try {
+        return await runWarming(handlers, settings, requestId, startTime);
+    } finally {
+        await releaseLock(WARM_LOCK_KEY, requestId);
+    }
+}
+
+/**
+ * Reads the top queries and warms them, holding the warming lock
+ *
+ * @param {Array<string>} handlers - Handlers to warm
+ * @param {Object} settings - Warming options with defaults applied
+ * @param {string} requestId - Request ID for tracking
+ * @param {number} startTime - Start of the run (ms since epoch)
+ * @returns {Promise<Object>} Report
+ * @private
+ */
+async function runWarming(handlers, settings, requestId, startTime) {
+    const since = new Date(startTime - settings.days * 24 * 60 * 60 * 1000);
+    const throttle = createRateLimiter(settings.rate);
+    const report = {
+        requestId,
+        startedAt: new Date(startTime).toISOString(),
+        window: { days: settings.days, since: since.toISOString() },
+        handlers: {},
+        totals: createCounts(0),
+        errors: [],
+        complete: true,
+        stoppedReason: null
+    };
+
+    commonUtils.logEvent('info', 'cache_warm_started', SERVICE, {
+        requestId,
+        handlers,
+        limit: settings.limit,
+        days: settings.days,
+        rate: settings.rate,
+        force: settings.force
+    });
+
+    // Queue every handler's top queries, then work through them with a fixed pool
+    const queue = [];
+    for (const name of handlers) {
+        const topQueries = await getTopQueries(name, { since, limit: settings.limit });
+        report.handlers[name] = createCounts(topQueries.length);
+        report.totals.total += topQueries.length;
+        topQueries.forEach((entry) => queue.push({ handler: name, ...entry }));
+    }
+
+    let done = 0;
+    const stop = (reason) => {
+        if (!report.stoppedReason) {
+            report.complete = false;
+            report.stoppedReason = reason;
+        }
+    };
+
+    async function worker() {
+        while (queue.length > 0 && !report.stoppedReason) {
+            if (settings.deadline && Date.now() >= settings.deadline) {
+                stop('time_budget');
+                return;
+            }
+
+            const item = queue.shift();
+            const counts = report.handlers[item.handler];
+            const query = item.collection
+                ? { query: item.query, collection: item.collection }
+                : { query: item.query };
+
+            let outcome;
+            try {
+                outcome = await warmCacheEntry(WARMABLE_HANDLERS[item.handler], query, {
+                    requestId,
+                    force: settings.force,
+                    throttle
+                });
+            } catch (error) {
+                outcome = { status: 'failed', reason: error.code || error.message };
+                if (report.errors.length < MAX_REPORTED_ERRORS) {
+                    report.errors.push({ handler: item.handler, query: item.query, error: error.message });
+                }
+                // Back off entirely once Funnelback's breaker has opened
+                if (error.code === 'CIRCUIT_OPEN') stop('upstream_unavailable');
+            }
+
+            counts[outcome.status] += 1;
+            report.totals[outcome.status] += 1;
+            done += 1;
+
+            if (settings.onProgress) {
+                settings.onProgress({
+                    handler: item.handler,
+                    query: item.query,
+                    count: item.count,
+                    status: outcome.status,
+                    reason: outcome.reason || null,
+                    done,
+                    total: report.totals.total
+                });
+            }
+        }
+    }
+
+    const workers = Math.max(1, Math.min(settings.concurrency, queue.length));
+    await Promise.all(Array.from({ length: workers }, worker));
+
+    report.finishedAt = new Date().toISOString();
+    report.durationMs = Date.now() - startTime;
+
+    commonUtils.logEvent(report.complete ? 'info' : 'warn', 'cache_warm_finished', SERVICE, {
+        requestId,
+        totals: report.totals,
+        complete: report.complete,
+        stoppedReason: report.stoppedReason,
+        durationMs: report.durationMs
+    });
+
+    return report;
+}
+
+module.exports = {
+    warmCache,
+    getTopQueries,
+    WARMABLE_HANDLERS,
+    WARM_DEFAULTS,
+    WARM_LOCK_KEY
+};
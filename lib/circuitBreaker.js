@@ -0,0 +1,253 @@
+/**
+ * @fileoverview Circuit Breaker for Funnelback Upstream Calls
+ *
+ * Stops hammering Funnelback once it is clearly failing. After a run of
+ * consecutive upstream failures (timeouts, network errors, 5xx) the circuit
+ * opens and calls fail fast with a CircuitOpenError, giving handlers the
+ * chance to serve the last good cached response instead. After a cooldown a
+ * single trial request is let through (half-open); success closes the
+ * circuit, failure re-opens it.
+ *
+ * State is kept in memory, so each serverless instance trips independently.
+ *
+ * Features:
+ * - Closed / open / half-open states per upstream endpoint
+ * - Configurable failure threshold and cooldown
+ * - Shared failure classification for handlers (isUpstreamFailure)
+ * - Structured logging of state transitions
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @namespace circuitBreaker
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+const commonUtils = require('./commonUtils');
+
+/**
+ * Circuit states
+ * @type {{CLOSED: string, OPEN: string, HALF_OPEN: string}}
+ * @constant
+ */
+const STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open'
+};
+
+/**
+ * Default breaker settings, overridable through the environment
+ * @type {{failureThreshold: number, cooldownMs: number}}
+ * @constant
+ * @private
+ */
+const DEFAULTS = {
+    failureThreshold: parseInt(process.env.FUNNELBACK_BREAKER_THRESHOLD, 10) || 5,
+    cooldownMs: parseInt(process.env.FUNNELBACK_BREAKER_COOLDOWN_MS, 10) || 30000
+};
+
+/**
+ * Error thrown when a call is rejected because the circuit is open
+ */
+class CircuitOpenError extends Error {
+    /**
+     * @param {string} name - Breaker name (upstream endpoint)
+     * @param {number} retryAfter - Seconds until a trial request is allowed
+     */
+    constructor(name, retryAfter) {
+        super(`Upstream ${name} is unavailable (circuit open)`);
+        this.name = 'CircuitOpenError';
+        this.code = 'CIRCUIT_OPEN';
+        this.status = 503;
+        this.breaker = name;
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Determines whether an error means Funnelback itself is failing, as opposed
+ * to rejecting a bad request. Timeouts, network errors, 5xx responses and
+ * open circuits count; 4xx responses do not.
+ *
+ * @param {Error} error - Error from an upstream call
+ * @returns {boolean} Whether the error is an upstream failure
+ */
+function isUpstreamFailure(error) {
+    if (!error) return false;
+    if (error instanceof CircuitOpenError) return true;
+    if (error.response) return error.response.status >= 500;
+    return Boolean(error.request) || Boolean(error.code);
+}
+
+/**
+ * Breakers by name
+ * @type {Map<string, Object>}
+ * @private
+ */
+const breakers = new Map();
+
+/**
+ * Gets or creates the breaker state for a name
+ *
+ * @param {string} name - Breaker name
+ * @returns {Object} Mutable breaker state
+ * @private
+ */
+function getBreaker(name) {
+    if (!breakers.has(name)) {
+        breakers.set(name, {
+            name,
+            state: STATES.CLOSED,
+            consecutiveFailures: 0,
+            openedAt: null,
+            trialInFlight: false,
+            ...DEFAULTS
+        });
+    }
+    return breakers.get(name);
+}
+
+/**
+ * Moves a breaker to a new state and logs the transition
+ *
+ * @param {Object} breaker - Breaker state
+ * @param {string} state - New state
+ * @private
+ */
+function transition(breaker, state) {
+    const previous = breaker.state;
+    breaker.state = state;
+    breaker.openedAt = state === STATES.OPEN ? Date.now() : breaker.openedAt;
+
+    commonUtils.logEvent(state === STATES.OPEN ? 'warn' : 'info', 'circuit_state_changed', 'circuit-breaker', {
+        breaker: breaker.name,
+        from: previous,
+        to: state,
+        consecutiveFailures: breaker.consecutiveFailures
+    });
+}
+
+/**
+ * Checks whether a call may proceed. Throws when the circuit is open; lets
+ * exactly one trial call through once the cooldown has elapsed.
+ *
+ * @param {string} name - Breaker name
+ * @throws {CircuitOpenError} When the circuit is open
+ */
+function beforeCall(name) {
+    const breaker = getBreaker(name);
+
+    if (breaker.state === STATES.OPEN) {
+        const elapsed = Date.now() - breaker.openedAt;
+        if (elapsed < breaker.cooldownMs) {
+            throw new CircuitOpenError(name, Math.ceil((breaker.cooldownMs - elapsed) / 1000));
+        }
+        transition(breaker, STATES.HALF_OPEN);
+    }
+
+    if (breaker.state === STATES.HALF_OPEN) {
+        if (breaker.trialInFlight) {
+            throw new CircuitOpenError(name, Math.ceil(breaker.cooldownMs / 1000));
+        }
+        breaker.trialInFlight = true;
+    }
+}
+
+/**
+ * Records a successful call, closing the circuit if it was half-open
+ *
+ * @param {string} name - Breaker name
+ */
+function recordSuccess(name) {
+    const breaker = getBreaker(name);
+    breaker.consecutiveFailures = 0;
+    breaker.trialInFlight = false;
+
+    if (breaker.state !== STATES.CLOSED) {
+        transition(breaker, STATES.CLOSED);
+    }
+}
+
+/**
+ * Records a failed call. Only upstream failures count toward opening the
+ * circuit; a client error still ends a half-open trial as a success.
+ *
+ * @param {string} name - Breaker name
+ * @param {Error} error - The error from the call
+ */
+function recordFailure(name, error) {
+    if (!isUpstreamFailure(error)) {
+        recordSuccess(name);
+        return;
+    }
+
+    const breaker = getBreaker(name);
+    breaker.consecutiveFailures++;
+    breaker.trialInFlight = false;
+
+    if (breaker.state === STATES.HALF_OPEN ||
+        (breaker.state === STATES.CLOSED && breaker.consecutiveFailures >= breaker.failureThreshold)) {
+        transition(breaker, STATES.OPEN);
+    }
+}
+
+/**
+ * Runs an upstream call through the named breaker
+ *
+ * @param {string} name - Breaker name
+ * @param {Function} fn - Async function performing the call
+ * @returns {Promise<*>} The call's result
+ * @throws {CircuitOpenError|Error} When the circuit is open or the call fails
+ */
+async function execute(name, fn) {
+    beforeCall(name);
+
+    try {
+        const result = await fn();
+        recordSuccess(name);
+        return result;
+    } catch (error) {
+        recordFailure(name, error);
+        throw error;
+    }
+}
+
+/**
+ * Gets a snapshot of every breaker for diagnostics
+ *
+ * @returns {Object<string, Object>} Breaker states by name
+ */
+function getBreakerStatus() {
+    const status = {};
+    for (const [name, breaker] of breakers) {
+        status[name] = {
+            state: breaker.state,
+            consecutiveFailures: breaker.consecutiveFailures,
+            openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null
+        };
+    }
+    return status;
+}
+
+/**
+ * Resets one breaker, or all breakers when no name is given
+ *
+ * @param {string} [name] - Breaker name
+ */
+function resetBreaker(name) {
+    if (name) {
+        breakers.delete(name);
+    } else {
+        breakers.clear();
+    }
+}
+
+module.exports = {
+    execute,
+    isUpstreamFailure,
+    getBreakerStatus,
+    resetBreaker,
+    CircuitOpenError,
+    STATES
+};
@@ -11,15 +11,20 @@
  * - Session ID extraction and generation
  * - Structured logging with standardized formats
  * - Request type detection (browser vs server-side)
+ * - Stale response headers for cache fallback during upstream outages
+ * - CORS headers from the shared policy in corsPolicy
+ * - Error classification into stable codes and statuses (see errorResponse)
  * 
  * @author Victor Chimenti
- * @version 1.1.0
+ * @version 1.4.0
  * @namespace commonUtils
  * @license MIT
- * @lastModified 2025-04-30
+ * @lastModified 2026-10-19
  */
 
 const os = require('os');
+const corsPolicy = require('./corsPolicy');
+const errorResponse = require('./errorResponse');
 
 /**
  * Extracts the most reliable client IP from request headers.
@@ -363,7 +368,9 @@ function extractLocationData(req, locationData = null) {
 }
 
 /**
- * Adds common error handling and provides useful context
+ * Adds common error handling and provides useful context. The status comes
+ * from the error's code (upstream 404s, timeouts and outages are no longer
+ * reported as 500).
  * 
  * @param {Error} error - The error object
  * @param {string} handlerName - Name of the handler where error occurred
@@ -373,15 +380,18 @@ function extractLocationData(req, locationData = null) {
  */
 function formatError(error, handlerName, context, requestId = null) {
     const reqId = requestId || 'unknown';
+    const code = errorResponse.classifyError(error);
 
     const errorInfo = {
         timestamp: new Date().toISOString(),
         service: handlerName,
         requestId: reqId,
         context,
+        code,
         error: {
             name: error.name,
             message: error.message,
+            upstreamStatus: error.response?.status,
             stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
         }
     };
@@ -389,34 +399,56 @@ function formatError(error, handlerName, context, requestId = null) {
     // Log the error
     console.error(JSON.stringify(errorInfo));
 
-    // Return a client-safe version
+    // Return a client-safe version: only ApiError messages are meant for clients
     return {
         error: true,
-        message: error.message,
+        code,
+        message: error instanceof errorResponse.ApiError
+            ? error.message
+            : errorResponse.ERROR_CODES[code].message,
         context,
         requestId: reqId,
-        status: error.status || 500
+        status: errorResponse.getErrorStatus(code)
     };
 }
 
 /**
- * Sets consistent CORS headers for all responses
+ * Sets CORS headers from the shared policy (cors.config.json). The request
+ * origin is echoed back only when it is on the allowlist; route rules are
+ * picked from the request path.
  * 
  * @param {Object} res - Express response object
- * @param {boolean} [isAnalyticsEndpoint=false] - Whether endpoint is an analytics endpoint
+ * @param {boolean} [isAnalyticsEndpoint=false] - Force the analytics route rules regardless of path
+ * @param {Object} [req=res.req] - Express request object
  */
-function setCorsHeaders(res, isAnalyticsEndpoint = false) {
-    // Base CORS headers for all endpoints
-    res.setHeader('Access-Control-Allow-Origin', 'https://www.seattleu.edu');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-
-    // Add analytics-specific headers if needed
-    if (isAnalyticsEndpoint) {
-        res.setHeader('Access-Control-Allow-Credentials', 'true');
-        res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Origin');
-    } else {
-        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Origin');
+function setCorsHeaders(res, isAnalyticsEndpoint = false, req = res.req) {
+    const headers = corsPolicy.getCorsHeaders({
+        origin: req?.headers?.origin,
+        path: req?.originalUrl || req?.url,
+        route: isAnalyticsEndpoint ? 'analytics' : null,
+        preflight: req?.method === 'OPTIONS'
+    });
+
+    for (const [name, value] of Object.entries(headers)) {
+        res.setHeader(name, value);
+    }
+}
+
+/**
+ * Marks a response as served from a stale cache entry because the upstream
+ * was unavailable
+ * 
+ * @param {Object} res - Express response object
+ * @param {Object} staleEntry - Entry returned by cacheService.getStaleCachedData
+ * @param {number|null} staleEntry.ageSeconds - Age of the cached entry in seconds
+ */
+function setStaleHeaders(res, staleEntry) {
+    res.setHeader('X-Cache-Stale', 'true');
+    if (staleEntry.ageSeconds !== null && staleEntry.ageSeconds !== undefined) {
+        res.setHeader('X-Cache-Age', String(staleEntry.ageSeconds));
+        res.setHeader('Age', String(staleEntry.ageSeconds));
     }
+    res.setHeader('Warning', '110 - "Response is Stale"');
 }
 
 module.exports = {
@@ -434,5 +466,6 @@ module.exports = {
     getServerInfo,
     extractLocationData,
     formatError,
-    setCorsHeaders
+    setCorsHeaders,
+    setStaleHeaders
 };
\ No newline at end of file
@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Shared CORS Policy
+ *
+ * Single source of truth for cross-origin rules, used by the edge middleware
+ * (including its 429 responses) and by every handler through
+ * commonUtils.setCorsHeaders. Rules live in cors.config.json at the project
+ * root and can be overridden per environment.
+ *
+ * Features:
+ * - Origin allowlist with wildcard subdomains (https://*.seattleu.edu) and ports (http://localhost:*)
+ * - Echoes the matching request origin with Vary: Origin instead of a fixed value
+ * - Per-route methods, headers and credentials (analytics routes send credentials)
+ * - Preflight max-age and exposed response headers
+ * - Environment overrides: CORS_ALLOWED_ORIGINS (comma-separated), CORS_MAX_AGE
+ *
+ * Kept free of Node-only APIs so the edge runtime can bundle it.
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @namespace corsPolicy
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+const corsConfig = require('../cors.config.json');
+
+/**
+ * Converts an origin pattern into a regular expression. A leading `*.` in
+ * the host matches one or more subdomain labels (not the bare domain) and a
+ * `:*` port matches any port.
+ *
+ * @param {string} pattern - Origin pattern, e.g. 'https://*.seattleu.edu'
+ * @returns {RegExp} Anchored, case-insensitive expression
+ */
+function compileOriginPattern(pattern) {
+    const escaped = pattern
+        .trim()
+        .replace(/\/+$/, '')
+        .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/:\*$/, ':\\d+')
+        .replace('://*\\.', '://(?:[a-z0-9-]+\\.)+')
+        .replace(/\*/g, '\\*');
+
+    return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Origin patterns in effect, from CORS_ALLOWED_ORIGINS or the config file
+ *
+ * @returns {Array<string>} Origin patterns
+ * @private
+ */
+function getOriginPatterns() {
+    const fromEnv = process.env.CORS_ALLOWED_ORIGINS;
+    if (fromEnv) {
+        return fromEnv.split(',').map((origin) => origin.trim()).filter(Boolean);
+    }
+    return corsConfig.origins || [];
+}
+
+/**
+ * Compiled origin matchers, rebuilt only when the pattern list changes
+ * @type {{key: string|null, matchers: Array<RegExp>}}
+ * @private
+ */
+const compiled = { key: null, matchers: [] };
+
+/**
+ * Checks a request origin against the allowlist
+ *
+ * @param {string|null|undefined} origin - Value of the Origin header
+ * @returns {boolean} Whether the origin is allowed
+ */
+function isOriginAllowed(origin) {
+    if (!origin || origin === 'null') return false;
+
+    const patterns = getOriginPatterns();
+    const key = patterns.join(',');
+    if (compiled.key !== key) {
+        compiled.key = key;
+        compiled.matchers = patterns.map(compileOriginPattern);
+    }
+
+    return compiled.matchers.some((matcher) => matcher.test(origin));
+}
+
+/**
+ * Gets the CORS rules for a route. A named route can be requested directly
+ * (handlers that know they are analytics endpoints); otherwise the path is
+ * matched against each route's path prefixes.
+ *
+ * @param {string} [path] - Request path
+ * @param {string} [routeName] - Route name from cors.config.json, e.g. 'analytics'
+ * @returns {{name: string, methods: Array<string>, headers: Array<string>, credentials: boolean}} Route rules
+ */
+function getRoutePolicy(path = '', routeName = null) {
+    const pathname = String(path).split('?')[0];
+    const route = (corsConfig.routes || []).find((candidate) =>
+        routeName
+            ? candidate.name === routeName
+            : (candidate.paths || []).some((prefix) => pathname === prefix || pathname.startsWith(`${prefix}/`))
+    );
+
+    return {
+        name: route?.name || 'default',
+        ...corsConfig.default,
+        ...route
+    };
+}
+
+/**
+ * Gets the preflight max-age in seconds
+ *
+ * @returns {number} Max-age
+ * @private
+ */
+function getMaxAge() {
+    const fromEnv = parseInt(process.env.CORS_MAX_AGE, 10);
+    return Number.isNaN(fromEnv) ? corsConfig.maxAge || 0 : fromEnv;
+}
+
+/**
+ * Builds the CORS response headers for a request. Disallowed or missing
+ * origins get only `Vary: Origin`, so the browser blocks the response.
+ *
+ * @param {Object} options - Request details
+ * @param {string|null} options.origin - Value of the Origin header
+ * @param {string} [options.path] - Request path
+ * @param {string} [options.route] - Route name overriding path matching
+ * @param {boolean} [options.preflight] - Whether this answers an OPTIONS preflight
+ * @returns {Object<string, string>} Header names and values
+ */
+function getCorsHeaders({ origin, path, route = null, preflight = false }) {
+    const headers = { Vary: 'Origin' };
+
+    if (!isOriginAllowed(origin)) {
+        return headers;
+    }
+
+    const policy = getRoutePolicy(path, route);
+
+    headers['Access-Control-Allow-Origin'] = origin;
+    headers['Access-Control-Allow-Methods'] = policy.methods.join(', ');
+    headers['Access-Control-Allow-Headers'] = policy.headers.join(', ');
+
+    if (policy.credentials) {
+        headers['Access-Control-Allow-Credentials'] = 'true';
+    }
+
+    if (preflight) {
+        headers['Access-Control-Max-Age'] = String(getMaxAge());
+    } else if (corsConfig.exposeHeaders?.length) {
+        headers['Access-Control-Expose-Headers'] = corsConfig.exposeHeaders.join(', ');
+    }
+
+    return headers;
+}
+
+module.exports = {
+    isOriginAllowed,
+    getRoutePolicy,
+    getCorsHeaders,
+    compileOriginPattern
+};
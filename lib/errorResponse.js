@@ -0,0 +1,249 @@
+/**
+ * @fileoverview Error Envelope and Stable Error Codes
+ *
+ * One error model for every proxy endpoint and the edge middleware. Errors
+ * are classified into stable, machine-readable codes with a fixed HTTP
+ * status, and sent as a JSON envelope (or a small HTML fragment for clients
+ * of the HTML endpoints). Client-facing messages come from the code, so
+ * upstream bodies, hostnames and stack traces never reach the browser.
+ *
+ * Features:
+ * - Stable codes: INVALID_PARAM, RATE_LIMITED, UPSTREAM_TIMEOUT, UPSTREAM_ERROR, ...
+ * - Status mapping from the code, including upstream 404s and timeouts
+ * - ApiError for handlers and hooks that fail with a known code
+ * - Content negotiation between the JSON envelope and an HTML fragment
+ * - Request ID and Retry-After on every error response
+ *
+ * Kept free of Node-only APIs so the edge middleware can bundle it.
+ *
+ * @author Victor Chimenti
+ * @version 1.1.0
+ * @namespace errorResponse
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+/**
+ * Error codes with their HTTP status and default client-facing message
+ * @type {Object<string, {status: number, message: string}>}
+ * @constant
+ */
+const ERROR_CODES = {
+    INVALID_PARAM: { status: 400, message: 'One or more request parameters are not allowed' },
+    INVALID_REQUEST: { status: 400, message: 'The request could not be processed' },
+    UNAUTHORIZED: { status: 401, message: 'Authentication is required' },
+    NOT_FOUND: { status: 404, message: 'The requested resource was not found' },
+    METHOD_NOT_ALLOWED: { status: 405, message: 'Method not allowed' },
+    CONFLICT: { status: 409, message: 'The request conflicts with an operation in progress' },
+    RATE_LIMITED: { status: 429, message: 'Too many requests, please try again later' },
+    INTERNAL_ERROR: { status: 500, message: 'An unexpected error occurred' },
+    UPSTREAM_ERROR: { status: 502, message: 'The search service returned an error' },
+    UPSTREAM_UNAVAILABLE: { status: 503, message: 'The search service is temporarily unavailable' },
+    UPSTREAM_TIMEOUT: { status: 504, message: 'The search service did not respond in time' }
+};
+
+/**
+ * Network error codes that mean the upstream did not answer in time
+ * @type {Array<string>}
+ * @constant
+ * @private
+ */
+const TIMEOUT_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+/**
+ * Error raised with a known error code. The message is client-safe and is
+ * sent as-is; details are added to the envelope.
+ */
+class ApiError extends Error {
+    /**
+     * @param {string} code - Key of ERROR_CODES
+     * @param {string} [message] - Client-safe message (defaults to the code's message)
+     * @param {Object} [options] - Extra envelope fields
+     * @param {Object} [options.details] - Structured details, e.g. rejected parameters
+     * @param {number} [options.retryAfter] - Seconds before the client should retry
+     */
+    constructor(code, message, { details, retryAfter } = {}) {
+        const definition = ERROR_CODES[code] || ERROR_CODES.INTERNAL_ERROR;
+        super(message || definition.message);
+        this.name = 'ApiError';
+        this.code = ERROR_CODES[code] ? code : 'INTERNAL_ERROR';
+        this.status = definition.status;
+        this.details = details;
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Classifies any error into an error code
+ *
+ * @param {Error} error - Error thrown by a handler, hook or the upstream client
+ * @returns {string} Key of ERROR_CODES
+ */
+function classifyError(error) {
+    if (!error) return 'INTERNAL_ERROR';
+    if (error instanceof ApiError) return error.code;
+
+    // Circuit breaker fast-fail (see circuitBreaker.CircuitOpenError)
+    if (error.code === 'CIRCUIT_OPEN') return 'UPSTREAM_UNAVAILABLE';
+
+    if (TIMEOUT_ERROR_CODES.includes(error.code)) return 'UPSTREAM_TIMEOUT';
+
+    if (error.response) {
+        return error.response.status === 404 ? 'NOT_FOUND' : 'UPSTREAM_ERROR';
+    }
+
+    // Request sent but no response: refused, reset or DNS failure
+    if (error.request || error.isAxiosError) return 'UPSTREAM_UNAVAILABLE';
+
+    return 'INTERNAL_ERROR';
+}
+
+/**
+ * Gets the HTTP status for an error code
+ *
+ * @param {string} code - Key of ERROR_CODES
+ * @returns {number} HTTP status
+ */
+function getErrorStatus(code) {
+    return (ERROR_CODES[code] || ERROR_CODES.INTERNAL_ERROR).status;
+}
+
+/**
+ * Builds the JSON error envelope
+ *
+ * @param {string} code - Key of ERROR_CODES
+ * @param {Object} [options] - Envelope fields
+ * @param {string} [options.message] - Client-safe message (defaults to the code's message)
+ * @param {string} [options.requestId] - Request ID for tracking
+ * @param {Object} [options.details] - Structured details
+ * @param {number} [options.retryAfter] - Seconds before the client should retry
+ * @returns {{error: Object}} Error envelope
+ */
+function createErrorBody(code, { message, requestId = null, details, retryAfter } = {}) {
+    const known = ERROR_CODES[code] ? code : 'INTERNAL_ERROR';
+    const error = {
+        code: known,
+        status: getErrorStatus(known),
+        message: message || ERROR_CODES[known].message,
+        requestId
+    };
+
+    if (details !== undefined) error.details = details;
+    if (retryAfter !== undefined) error.retryAfter = retryAfter;
+
+    return { error };
+}
+
+/**
+ * Escapes text for HTML output
+ *
+ * @param {*} value - Text to escape
+ * @returns {string} Escaped text
+ * @private
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Renders an error envelope as an HTML fragment for the partial-HTML endpoints
+ *
+ * @param {{error: Object}} body - Envelope from createErrorBody
+ * @returns {string} HTML fragment
+ */
+function renderErrorHtml(body) {
+    const { code, message, requestId } = body.error;
+
+    return `<div class="search-error" role="alert" data-error-code="${escapeHtml(code)}"` +
+        ` data-request-id="${escapeHtml(requestId || '')}">` +
+        `<p class="search-error__message">${escapeHtml(message)}</p></div>`;
+}
+
+/**
+ * Picks JSON or HTML from the Accept header. A client that asks only for one
+ * of them gets it; otherwise the endpoint's own format is used.
+ *
+ * @param {string} [accept] - Accept header
+ * @param {string} [fallback] - Endpoint format: 'json' or 'html'
+ * @returns {string} 'json' or 'html'
+ */
+function negotiateFormat(accept = '', fallback = 'json') {
+    const value = String(accept || '').toLowerCase();
+    const wantsJson = value.includes('application/json');
+    const wantsHtml = value.includes('text/html');
+
+    if (wantsJson && !wantsHtml) return 'json';
+    if (wantsHtml && !wantsJson) return 'html';
+    return fallback === 'html' ? 'html' : 'json';
+}
+
+/**
+ * Sends an error response in the negotiated format
+ *
+ * @param {Object} res - Express response object
+ * @param {string} code - Key of ERROR_CODES
+ * @param {Object} [options] - Response options
+ * @param {Object} [options.req] - Request, for the Accept header (defaults to res.req)
+ * @param {string} [options.format] - Endpoint format: 'json' (default) or 'html'
+ * @param {string} [options.message] - Client-safe message
+ * @param {string} [options.requestId] - Request ID for tracking
+ * @param {Object} [options.details] - Structured details
+ * @param {number} [options.retryAfter] - Seconds before the client should retry
+ * @returns {number} The HTTP status sent
+ */
+function sendError(res, code, { req = res.req, format = 'json', ...fields } = {}) {
+    const body = createErrorBody(code, fields);
+    const { status, requestId, retryAfter } = body.error;
+
+    if (requestId) res.setHeader('X-Request-ID', requestId);
+    if (retryAfter !== undefined) res.setHeader('Retry-After', String(retryAfter));
+
+    res.status(status);
+    if (negotiateFormat(req?.headers?.accept, format) === 'html') {
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        res.send(renderErrorHtml(body));
+    } else {
+        res.setHeader('Content-Type', 'application/json');
+        res.send(JSON.stringify(body));
+    }
+
+    return status;
+}
+
+/**
+ * Sends the error response for a caught error. Only ApiError messages reach
+ * the client; everything else gets the code's default message.
+ *
+ * @param {Object} res - Express response object
+ * @param {Error} error - Caught error
+ * @param {Object} [options] - Same options as sendError (message and details are taken from ApiError)
+ * @returns {number} The HTTP status sent
+ */
+function sendErrorFor(res, error, options = {}) {
+    const code = classifyError(error);
+    const isApiError = error instanceof ApiError;
+
+    return sendError(res, code, {
+        ...options,
+        message: isApiError ? error.message : undefined,
+        details: isApiError ? error.details : undefined,
+        retryAfter: error?.retryAfter
+    });
+}
+
+module.exports = {
+    ApiError,
+    ERROR_CODES,
+    classifyError,
+    getErrorStatus,
+    createErrorBody,
+    renderErrorHtml,
+    negotiateFormat,
+    sendError,
+    sendErrorFor
+};
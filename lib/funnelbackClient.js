@@ -0,0 +1,303 @@
+/**
+ * @fileoverview Funnelback Upstream Client
+ *
+ * Single point of contact between the proxy handlers and the Funnelback
+ * search service. Centralizes the upstream base URL, per-endpoint timeouts,
+ * retry behaviour and the standard header block (client IP, GeoIP, request ID)
+ * that every handler previously built by hand.
+ *
+ * Features:
+ * - Configurable base URL via FUNNELBACK_BASE_URL (staging, other regions)
+ * - Per-endpoint timeouts for search.html, search.json and suggest.json
+ * - Retry with exponential backoff and full jitter for idempotent GETs
+ * - Standard header injection (X-Forwarded-For, X-Geo-*, X-Request-ID)
+ * - Structured logging of upstream calls and retries
+ * - Circuit breaker per endpoint so a failing upstream is not hammered
+ *
+ * @author Victor Chimenti
+ * @version 1.1.0
+ * @namespace funnelbackClient
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+const axios = require('axios');
+const commonUtils = require('./commonUtils');
+const circuitBreaker = require('./circuitBreaker');
+
+/**
+ * Default Funnelback base URL (Squiz cloud, US region)
+ * @type {string}
+ * @constant
+ */
+const DEFAULT_BASE_URL = 'https://dxp-us-search.funnelback.squiz.cloud/s';
+
+/**
+ * Per-endpoint request settings, keyed by path relative to the base URL.
+ * Suggest endpoints are called on every keystroke, so they get short
+ * timeouts and a single retry; full searches can afford to wait longer.
+ * @type {Object<string, {timeout: number, retries: number, accept: string}>}
+ * @constant
+ */
+const ENDPOINT_CONFIG = {
+    'search.html': { timeout: 10000, retries: 2, accept: 'text/html' },
+    'search.json': { timeout: 8000, retries: 2, accept: 'application/json' },
+    'suggest.json': { timeout: 3000, retries: 1, accept: 'application/json' },
+    default: { timeout: 10000, retries: 1, accept: 'text/html' }
+};
+
+/**
+ * Backoff settings for retries (milliseconds)
+ * @type {{baseDelay: number, maxDelay: number}}
+ * @constant
+ * @private
+ */
+const RETRY_BACKOFF = {
+    baseDelay: 150,
+    maxDelay: 2000
+};
+
+/**
+ * Upstream status codes that are worth retrying
+ * @type {Array<number>}
+ * @constant
+ * @private
+ */
+const RETRYABLE_STATUS_CODES = [502, 503, 504];
+
+/**
+ * Network error codes that are worth retrying
+ * @type {Array<string>}
+ * @constant
+ * @private
+ */
+const RETRYABLE_ERROR_CODES = ['ECONNABORTED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED'];
+
+/**
+ * Returns the configured Funnelback base URL without a trailing slash
+ *
+ * @returns {string} The base URL
+ */
+function getBaseUrl() {
+    return (process.env.FUNNELBACK_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+}
+
+/**
+ * Builds the full upstream URL for an endpoint path
+ *
+ * @param {string} endpoint - Path relative to the base URL (e.g. 'search.json')
+ * @returns {string} Absolute upstream URL
+ */
+function getUpstreamUrl(endpoint) {
+    return `${getBaseUrl()}/${String(endpoint || '').replace(/^\/+/, '')}`;
+}
+
+/**
+ * Gets the request settings for an endpoint
+ *
+ * @param {string} endpoint - Path relative to the base URL
+ * @returns {{timeout: number, retries: number, accept: string}} Endpoint settings
+ */
+function getEndpointConfig(endpoint) {
+    const maxRetries = parseInt(process.env.FUNNELBACK_MAX_RETRIES, 10);
+    const config = { ...(ENDPOINT_CONFIG[endpoint] || ENDPOINT_CONFIG.default) };
+
+    if (!Number.isNaN(maxRetries)) {
+        config.retries = Math.min(config.retries, Math.max(maxRetries, 0));
+    }
+
+    return config;
+}
+
+/**
+ * Builds the standard header block sent to Funnelback. The true end-user IP
+ * goes in X-Forwarded-For so Funnelback's location features see the client,
+ * not our server.
+ *
+ * @param {Object} context - Request context
+ * @param {string} [context.clientIp] - The end-user IP
+ * @param {Object} [context.locationData] - GeoIP data for the client
+ * @param {string} [context.requestId] - Request ID for tracing
+ * @param {string} [context.accept] - Accept header value
+ * @returns {Object} Outgoing headers
+ */
+function buildUpstreamHeaders({ clientIp, locationData, requestId, accept } = {}) {
+    const location = locationData || {};
+
+    const headers = {
+        Accept: accept || 'text/html',
+        'X-Forwarded-For': clientIp || '',
+        'X-Original-Client-Ip': clientIp || '',
+        'X-Real-Ip': clientIp || '',
+        'X-Geo-City': location.city || '',
+        'X-Geo-Region': location.region || '',
+        'X-Geo-Country': location.country || '',
+        'X-Geo-Timezone': location.timezone || ''
+    };
+
+    if (requestId) {
+        headers['X-Request-ID'] = requestId;
+    }
+
+    return headers;
+}
+
+/**
+ * Determines whether a failed upstream call may be retried
+ *
+ * @param {Error} error - The axios error
+ * @returns {boolean} Whether the error is transient
+ */
+function isRetryableError(error) {
+    if (axios.isCancel(error)) return false;
+
+    if (error.response) {
+        return RETRYABLE_STATUS_CODES.includes(error.response.status);
+    }
+
+    // No response: retry known transient network failures, or a sent request with no error code
+    return RETRYABLE_ERROR_CODES.includes(error.code) || (Boolean(error.request) && !error.code);
+}
+
+/**
+ * Computes the delay before a retry using exponential backoff with full jitter
+ *
+ * @param {number} attempt - Retry number, starting at 1
+ * @returns {number} Delay in milliseconds
+ * @private
+ */
+function getRetryDelay(attempt) {
+    const ceiling = Math.min(RETRY_BACKOFF.maxDelay, RETRY_BACKOFF.baseDelay * 2 ** (attempt - 1));
+    return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Sleeps for the given number of milliseconds
+ *
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ * @private
+ */
+function delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Gets the circuit breaker name for an endpoint. Configured endpoints get
+ * their own breaker; tool paths share the default one.
+ *
+ * @param {string} endpoint - Path relative to the base URL
+ * @returns {string} Breaker name
+ * @private
+ */
+function getBreakerName(endpoint) {
+    return ENDPOINT_CONFIG[endpoint] ? endpoint : 'default';
+}
+
+/**
+ * Performs a GET request against Funnelback with the endpoint's timeout,
+ * retry policy and the standard header block. Calls go through the
+ * endpoint's circuit breaker: once it opens, requests fail immediately with
+ * a CircuitOpenError until the cooldown has passed.
+ *
+ * @param {string} endpoint - Path relative to the base URL (e.g. 'search.html')
+ * @param {Object} [options] - Request options
+ * @param {Object|URLSearchParams} [options.params] - Query parameters
+ * @param {string} [options.clientIp] - The end-user IP
+ * @param {Object} [options.locationData] - GeoIP data for the client
+ * @param {string} [options.requestId] - Request ID for tracing
+ * @param {string} [options.service] - Calling handler name, used in logs
+ * @param {Object} [options.headers] - Extra headers merged over the standard block
+ * @param {number} [options.timeout] - Overrides the endpoint timeout (ms)
+ * @param {number} [options.retries] - Overrides the endpoint retry count
+ * @returns {Promise<Object>} The axios response
+ * @throws {CircuitOpenError} When the endpoint's circuit is open
+ * @throws {Error} The last axios error once retries are exhausted
+ */
+async function get(endpoint, options = {}) {
+    const {
+        params,
+        clientIp,
+        locationData,
+        requestId,
+        service = 'funnelback-client',
+        headers = {}
+    } = options;
+
+    const config = getEndpointConfig(endpoint);
+    const timeout = options.timeout ?? config.timeout;
+    const retries = options.retries ?? config.retries;
+    const url = getUpstreamUrl(endpoint);
+
+    const requestHeaders = {
+        ...buildUpstreamHeaders({ clientIp, locationData, requestId, accept: config.accept }),
+        ...headers
+    };
+
+    try {
+        return await circuitBreaker.execute(getBreakerName(endpoint), async () => {
+            for (let attempt = 0; ; attempt++) {
+                const attemptStart = Date.now();
+
+                try {
+                    const response = await axios.get(url, {
+                        params,
+                        headers: requestHeaders,
+                        timeout
+                    });
+
+                    commonUtils.logEvent('info', 'upstream_response', service, {
+                        requestId,
+                        endpoint,
+                        status: response.status,
+                        attempt: attempt + 1,
+                        duration: `${Date.now() - attemptStart}ms`
+                    });
+
+                    return response;
+                } catch (error) {
+                    const retryable = attempt < retries && isRetryableError(error);
+
+                    commonUtils.logEvent(retryable ? 'warn' : 'error', 'upstream_request_failed', service, {
+                        requestId,
+                        endpoint,
+                        attempt: attempt + 1,
+                        status: error.response?.status || null,
+                        code: error.code || null,
+                        error: error.message,
+                        duration: `${Date.now() - attemptStart}ms`,
+                        willRetry: retryable
+                    });
+
+                    if (!retryable) {
+                        error.attempts = attempt + 1;
+                        throw error;
+                    }
+
+                    await delay(getRetryDelay(attempt + 1));
+                }
+            }
+        });
+    } catch (error) {
+        if (error instanceof circuitBreaker.CircuitOpenError) {
+            commonUtils.logEvent('warn', 'upstream_circuit_open', service, {
+                requestId,
+                endpoint,
+                retryAfter: error.retryAfter
+            });
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    get,
+    getBaseUrl,
+    getUpstreamUrl,
+    getEndpointConfig,
+    buildUpstreamHeaders,
+    isRetryableError,
+    isUpstreamFailure: circuitBreaker.isUpstreamFailure,
+    CircuitOpenError: circuitBreaker.CircuitOpenError,
+    ENDPOINT_CONFIG
+};
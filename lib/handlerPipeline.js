@@ -0,0 +1,1036 @@
+/**
+ * @fileoverview Declarative Handler Pipeline for Funnelback Proxy Endpoints
+ *
+ * Every proxy endpoint runs the same sequence: request ID and client IP,
+ * session tracking, CORS, OPTIONS short-circuit, parameter allowlisting,
+ * GeoIP lookup, cache read, upstream call, formatting, cache write, response,
+ * background refresh of stale cache entries and analytics. This module runs
+ * that sequence once; an endpoint only declares what differs (upstream,
+ * formatter, cache namespace, analytics mapping) and exports the handler
+ * built by createHandler.
+ *
+ * Features:
+ * - One implementation of the request lifecycle shared by all handlers
+ * - Declarative upstream, parameter policy, formatter and response type
+ * - Cache read/write with stale fallback while Funnelback is unavailable
+ * - Stale-while-revalidate: entries past their soft TTL are served at once
+ *   and refreshed in the background, reported in X-Cache-Status
+ * - Analytics mapping merged into the standard request analytics record,
+ *   awaited before the handler returns (and before the response is sent for
+ *   endpoints with analyticsBeforeResponse), as serverless runtimes may
+ *   freeze work left running after the response
+ * - before/after hooks around every stage, plus a before hook on errors
+ * - Errors sent as the shared error envelope (JSON, or HTML for HTML endpoints)
+ * - Cache warming: replays a query through a handler's stages without a response
+ * - Request coalescing: identical concurrent misses share one upstream call
+ *   (see requestCoalescer), reported as X-Cache-Status: coalesced
+ * - Prefix reuse: a miss can be answered by filtering the cached results of
+ *   a shorter prefix (see prefixReuse), reported as X-Cache-Status: prefix
+ * - Cache policy per namespace (see cachePolicy), enforced by cacheService:
+ *   zero-result responses are cached briefly, and admins can skip the cache
+ *   with nocache, reported as X-Cache-Status: bypass
+ *
+ * @author Victor Chimenti
+ * @version 1.8.0
+ * @namespace handlerPipeline
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+const funnelbackClient = require('./funnelbackClient');
+const { getLocationData } = require('./geoIpService');
+const { recordQuery } = require('./queryAnalytics');
+const commonUtils = require('./commonUtils');
+const {
+    createStandardAnalyticsData,
+    createRequestAnalytics,
+    logAnalyticsData
+} = require('./schemaHandler');
+const {
+    getCachedEntry,
+    getStaleCachedData,
+    setCachedData,
+    revalidateCachedData,
+    isCachingEnabled,
+    generateCacheKey,
+    checkCachePolicy
+} = require('./cacheService');
+const { getCachePolicy, isBypassRequested } = require('./cachePolicy');
+const { authenticateAdmin } = require('./adminAuth');
+const {
+    isCoalescingEnabled,
+    getFlight,
+    startFlight,
+    acquireFillLock,
+    releaseFillLock,
+    waitForFillLock
+} = require('./requestCoalescer');
+const {
+    isPrefixReuseEnabled,
+    getShorterPrefixes,
+    createQueryMatcher,
+    PREFIX_REUSE_DEFAULTS
+} = require('./prefixReuse');
+const { sanitizeParams, sendInvalidParams } = require('./paramRegistry');
+const { ApiError, sendErrorFor } = require('./errorResponse');
+
+/**
+ * Pipeline stages in execution order. Hooks are keyed by these names.
+ * @type {Array<string>}
+ * @constant
+ */
+const STAGES = [
+    'init',
+    'cors',
+    'options',
+    'params',
+    'location',
+    'cacheRead',
+    'upstream',
+    'format',
+    'cacheWrite',
+    'respond',
+    'revalidate',
+    'analytics'
+];
+
+/**
+ * Stages skipped when the response comes from the cache
+ * @type {Array<string>}
+ * @constant
+ * @private
+ */
+const CACHE_HIT_SKIPPED_STAGES = ['upstream', 'format', 'cacheWrite'];
+
+/**
+ * Normalized definitions of the handlers built by createHandler, so the
+ * cache warmer can replay queries through the same stages
+ * @type {WeakMap<Function, Object>}
+ * @private
+ */
+const HANDLER_DEFINITIONS = new WeakMap();
+
+/**
+ * Location used when the GeoIP lookup fails
+ * @type {Object}
+ * @constant
+ * @private
+ */
+const EMPTY_LOCATION = {
+    city: null,
+    region: null,
+    country: null,
+    timezone: null
+};
+
+/**
+ * Resolves a definition value that may be given per request as a function
+ *
+ * @param {*} value - Static value or function of the context
+ * @param {Object} ctx - Pipeline context
+ * @returns {*} Resolved value
+ * @private
+ */
+function resolve(value, ctx) {
+    return typeof value === 'function' ? value(ctx) : value;
+}
+
+/**
+ * Applies defaults to an endpoint definition
+ *
+ * @param {Object} definition - Endpoint definition passed to createHandler
+ * @returns {Object} Complete definition
+ * @private
+ */
+function normalizeDefinition(definition) {
+    if (!definition.name || !definition.service || !definition.upstream) {
+        throw new Error('Handler definitions need a name, service and upstream');
+    }
+
+    const normalized = {
+        params: definition.name,
+        queryParams: ['query'],
+        responseType: 'json',
+        format: (data) => data,
+        upstreamParams: (ctx) => ctx.params,
+        resultCount: () => 0,
+        analytics: () => ({}),
+        analyticsBeforeResponse: false,
+        ...definition,
+        hooks: {
+            before: {},
+            after: {},
+            ...definition.hooks
+        }
+    };
+
+    if (definition.cache) {
+        normalized.cache = {
+            readFresh: true,
+            key: (ctx) => ctx.req.query,
+            cacheable: () => true,
+            ttl: undefined,
+            softTtl: undefined,
+            shouldStore: () => true,
+            staleBody: (data) => data,
+            prefixReuse: null,
+            ...definition.cache
+        };
+    }
+
+    return normalized;
+}
+
+/**
+ * Creates the per-request context shared by stages and hooks
+ *
+ * @param {Object} definition - Normalized endpoint definition
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Pipeline context
+ * @private
+ */
+function createContext(definition, req, res) {
+    const queryText = definition.queryParams
+        .map((name) => req.query?.[name])
+        .find((value) => typeof value === 'string' && value !== '') || '';
+
+    const ctx = {
+        definition,
+        req,
+        res,
+        service: definition.service,
+        startTime: Date.now(),
+        requestId: commonUtils.getRequestId(req),
+        clientIp: null,
+        sessionInfo: null,
+        queryText,
+        params: null,
+        locationData: EMPTY_LOCATION,
+        cache: {
+            enabled: false,
+            usable: false,
+            hit: false,
+            state: 'miss',
+            key: null,
+            stored: null,
+            stale: null,
+            flight: null,
+            fillLock: null,
+            prefix: null
+        },
+        upstreamResponse: null,
+        body: null,
+        stopped: false,
+        responded: false,
+        analyticsRecorded: false,
+        skipped: new Set(),
+        stop() {
+            ctx.stopped = true;
+        }
+    };
+
+    return ctx;
+}
+
+/**
+ * TTL options for cacheService from the endpoint's cache definition;
+ * anything left undefined comes from the namespace's policy
+ *
+ * @param {Object} cache - Normalized cache definition
+ * @param {Object} ctx - Pipeline context
+ * @returns {Object} Options for setCachedData
+ * @private
+ */
+function getCacheOptions(cache, ctx) {
+    const options = {};
+    const ttl = resolve(cache.ttl, ctx);
+    const softTtl = resolve(cache.softTtl, ctx);
+
+    if (ttl !== undefined) options.ttl = ttl;
+    if (softTtl !== undefined) options.softTtl = softTtl;
+    return options;
+}
+
+/**
+ * Stage implementations, keyed by stage name
+ * @type {Object<string, function(Object): Promise<void>|void>}
+ * @constant
+ * @private
+ */
+const STAGE_RUNNERS = {
+    init(ctx) {
+        const { req, service, requestId } = ctx;
+
+        // CRITICAL: Extract the true end-user IP with highest priority
+        ctx.clientIp = commonUtils.extractClientIp(req);
+        commonUtils.logFullIpInfo(req, service, requestId);
+
+        commonUtils.logEvent('info', 'request_received', service, {
+            requestId,
+            path: req.path,
+            query: ctx.queryText || null,
+            clientIp: ctx.clientIp // Will be redacted in standard logs
+        });
+
+        ctx.sessionInfo = commonUtils.extractSessionInfo(req);
+        commonUtils.logSessionHandling(req, ctx.sessionInfo, service, requestId);
+    },
+
+    cors(ctx) {
+        commonUtils.setCorsHeaders(ctx.res);
+    },
+
+    options(ctx) {
+        if (ctx.req.method !== 'OPTIONS') return;
+
+        commonUtils.logEvent('info', 'options_request', ctx.service, {
+            requestId: ctx.requestId
+        });
+        ctx.res.status(200).end();
+        ctx.stop();
+    },
+
+    params(ctx) {
+        const paramCheck = sanitizeParams(resolve(ctx.definition.params, ctx), ctx.req.query);
+        if (!paramCheck.valid) {
+            sendInvalidParams(
+                ctx.res,
+                paramCheck,
+                ctx.service,
+                ctx.requestId,
+                resolve(ctx.definition.responseType, ctx)
+            );
+            ctx.stop();
+            return;
+        }
+        ctx.params = paramCheck.params;
+    },
+
+    async location(ctx) {
+        try {
+            // Use true user IP for location lookup, not server/edge IPs
+            ctx.locationData = await getLocationData(ctx.clientIp);
+            commonUtils.logEvent('debug', 'location_data_retrieved', ctx.service, {
+                requestId: ctx.requestId,
+                clientIp: ctx.clientIp,
+                location: {
+                    city: ctx.locationData.city,
+                    region: ctx.locationData.region,
+                    country: ctx.locationData.country
+                }
+            });
+        } catch (geoError) {
+            commonUtils.logEvent('warn', 'location_data_failed', ctx.service, {
+                requestId: ctx.requestId,
+                error: geoError.message
+            });
+            ctx.locationData = EMPTY_LOCATION;
+        }
+    },
+
+    async cacheRead(ctx) {
+        const { cache } = ctx.definition;
+        if (!cache) return;
+
+        try {
+            ctx.cache.enabled = await isCachingEnabled();
+        } catch (cacheError) {
+            commonUtils.logEvent('warn', 'cache_check_failed', ctx.service, {
+                requestId: ctx.requestId,
+                error: cacheError.message
+            });
+        }
+
+        // The namespace's policy rules out short queries and honors nocache from admins
+        ctx.cache.key = cache.key(ctx);
+        const bypassRequested = isBypassRequested(ctx.req.query);
+        const policy = checkCachePolicy(cache.namespace, ctx.cache.key, {
+            bypass: bypassRequested,
+            admin: bypassRequested && Boolean(authenticateAdmin(ctx.req))
+        });
+        ctx.cache.usable = ctx.cache.enabled && policy.cacheable && cache.cacheable(ctx);
+
+        if (policy.bypass) {
+            ctx.cache.state = 'bypass';
+            commonUtils.logEvent('info', 'cache_bypassed', ctx.service, {
+                requestId: ctx.requestId,
+                query: ctx.queryText,
+                reason: 'nocache'
+            });
+        } else if (bypassRequested) {
+            commonUtils.logEvent('warn', 'cache_bypass_denied', ctx.service, {
+                requestId: ctx.requestId,
+                clientIp: ctx.clientIp
+            });
+        }
+
+        commonUtils.logEvent('debug', 'cache_parameters', ctx.service, {
+            requestId: ctx.requestId,
+            namespace: cache.namespace,
+            cachingEnabled: ctx.cache.enabled,
+            queryLength: ctx.queryText.length,
+            canUseCache: ctx.cache.usable,
+            policyReason: policy.reason
+        });
+
+        if (!ctx.cache.usable || !cache.readFresh) return;
+
+        try {
+            const cachedEntry = await getCachedEntry(cache.namespace, ctx.cache.key, ctx.requestId);
+            if (!cachedEntry) {
+                commonUtils.logEvent('debug', 'cache_miss', ctx.service, {
+                    requestId: ctx.requestId,
+                    query: ctx.queryText
+                });
+                if (cache.prefixReuse && isPrefixReuseEnabled() && await serveFromPrefix(ctx)) return;
+                if (isCoalescingEnabled()) await coalesceMiss(ctx);
+                return;
+            }
+
+            serveFromCache(ctx, cachedEntry.data, cachedEntry.state);
+
+            commonUtils.logEvent('info', 'cache_hit', ctx.service, {
+                requestId: ctx.requestId,
+                processingTime: `${Date.now() - ctx.startTime}ms`,
+                resultCount: ctx.definition.resultCount(cachedEntry.data, ctx),
+                query: ctx.queryText,
+                cacheState: cachedEntry.state,
+                cacheTier: cachedEntry.tier,
+                negative: cachedEntry.negative,
+                ageSeconds: cachedEntry.ageSeconds
+            });
+        } catch (cacheError) {
+            commonUtils.logEvent('error', 'cache_error', ctx.service, {
+                requestId: ctx.requestId,
+                error: cacheError.message
+            });
+        }
+    },
+
+    async upstream(ctx) {
+        const endpoint = resolve(ctx.definition.upstream, ctx);
+
+        // Log outgoing request with IP verification
+        commonUtils.logEvent('info', 'outgoing_request', ctx.service, {
+            requestId: ctx.requestId,
+            url: funnelbackClient.getUpstreamUrl(endpoint),
+            query: ctx.queryText,
+            outgoingClientIp: ctx.clientIp
+        });
+
+        // The client sends the TRUE USER IP in X-Forwarded-For along with geo headers
+        ctx.upstreamResponse = await funnelbackClient.get(endpoint, {
+            params: ctx.definition.upstreamParams(ctx),
+            clientIp: ctx.clientIp,
+            locationData: ctx.locationData,
+            requestId: ctx.requestId,
+            service: ctx.service
+        });
+
+        commonUtils.logEvent('info', 'funnelback_response', ctx.service, {
+            requestId: ctx.requestId,
+            status: ctx.upstreamResponse.status
+        });
+    },
+
+    format(ctx) {
+        ctx.body = ctx.definition.format(ctx.upstreamResponse.data, ctx);
+    },
+
+    async cacheWrite(ctx) {
+        const { cache } = ctx.definition;
+        if (!cache) return;
+
+        if (!ctx.cache.usable || !cache.shouldStore(ctx.body, ctx)) {
+            commonUtils.logEvent('debug', 'cache_skipped', ctx.service, {
+                requestId: ctx.requestId,
+                canUseCache: ctx.cache.usable
+            });
+            await endFlight(ctx);
+            return;
+        }
+
+        // Followers on this instance get the body at once; other instances read it from the cache
+        if (ctx.cache.flight) ctx.cache.flight.settle(ctx.body);
+
+        try {
+            // A zero result count makes it a short-lived negative entry
+            ctx.cache.stored = await setCachedData(
+                cache.namespace,
+                ctx.cache.key,
+                ctx.body,
+                ctx.requestId,
+                { ...getCacheOptions(cache, ctx), resultCount: ctx.definition.resultCount(ctx.body, ctx) }
+            );
+        } catch (cacheSetError) {
+            commonUtils.logEvent('error', 'cache_set_error', ctx.service, {
+                requestId: ctx.requestId,
+                error: cacheSetError.message
+            });
+            ctx.cache.stored = false;
+        }
+        await endFlight(ctx);
+    },
+
+    async respond(ctx) {
+        const { res, definition } = ctx;
+
+        if (definition.analyticsBeforeResponse) await recordAnalytics(ctx);
+
+        commonUtils.logEvent('info', 'request_completed', ctx.service, {
+            requestId: ctx.requestId,
+            processingTime: `${Date.now() - ctx.startTime}ms`,
+            resultCount: definition.resultCount(ctx.body, ctx),
+            query: ctx.queryText,
+            cacheHit: ctx.cache.hit,
+            cacheState: ctx.cache.state,
+            stale: Boolean(ctx.cache.stale)
+        });
+
+        res.setHeader('X-Request-ID', ctx.requestId);
+        if (definition.cache) res.setHeader('X-Cache-Status', ctx.cache.state);
+        if (ctx.cache.prefix) res.setHeader('X-Cache-Prefix', ctx.cache.prefix);
+        if (resolve(definition.responseType, ctx) === 'html') {
+            res.setHeader('Content-Type', 'text/html; charset=utf-8');
+            res.send(typeof ctx.body === 'string' ? ctx.body : String(ctx.body ?? ''));
+        } else {
+            res.setHeader('Content-Type', 'application/json');
+            res.send(ctx.body);
+        }
+        ctx.responded = true;
+    },
+
+    revalidate(ctx) {
+        if (ctx.cache.state !== 'stale') return;
+
+        // Refreshed in the background; the stale response has already been sent
+        revalidateInBackground(ctx);
+    },
+
+    async analytics(ctx) {
+        // Awaited so the record is written before the handler returns
+        await recordAnalytics(ctx);
+    }
+};
+
+/**
+ * Answers the request from a cache entry: the upstream, format and
+ * cacheWrite stages are skipped
+ *
+ * @param {Object} ctx - Pipeline context
+ * @param {*} body - Cached response body
+ * @param {string} state - Cache state for X-Cache-Status
+ * @private
+ */
+function serveFromCache(ctx, body, state) {
+    ctx.cache.hit = true;
+    ctx.cache.state = state;
+    ctx.body = body;
+    CACHE_HIT_SKIPPED_STAGES.forEach((stage) => ctx.skipped.add(stage));
+}
+
+/**
+ * Answers a miss from the longest cached shorter prefix of the query, with
+ * its results filtered by the endpoint's prefixReuse.filter. Only a fresh
+ * prefix entry is used, and only when enough results are left; otherwise
+ * the request goes on to Funnelback. The filtered body is not cached.
+ *
+ * @param {Object} ctx - Pipeline context
+ * @returns {Promise<boolean>} Whether the request was answered from a prefix
+ * @private
+ */
+async function serveFromPrefix(ctx) {
+    const { cache } = ctx.definition;
+    const queryParam = ctx.definition.queryParams.find((name) => ctx.cache.key?.[name] === ctx.queryText);
+    if (!queryParam) return false;
+
+    const matches = createQueryMatcher(ctx.queryText);
+    const minResults = cache.prefixReuse.minResults ?? PREFIX_REUSE_DEFAULTS.minResults;
+
+    for (const prefix of getShorterPrefixes(ctx.queryText, getCachePolicy(cache.namespace).minQueryLength)) {
+        const entry = await getCachedEntry(
+            cache.namespace,
+            { ...ctx.cache.key, [queryParam]: prefix },
+            ctx.requestId,
+            { probe: true }
+        );
+        if (!entry) continue;
+
+        // Only the longest cached prefix is considered; a stale one may lack newer results
+        const body = entry.state === 'stale' ? null : cache.prefixReuse.filter(entry.data, matches, ctx, prefix);
+        const resultCount = body ? ctx.definition.resultCount(body, ctx) : 0;
+
+        if (resultCount < minResults) {
+            commonUtils.logEvent('debug', 'cache_prefix_skipped', ctx.service, {
+                requestId: ctx.requestId,
+                query: ctx.queryText,
+                prefix,
+                reason: body ? 'too_few_results' : 'stale',
+                resultCount
+            });
+            return false;
+        }
+
+        ctx.cache.prefix = prefix;
+        serveFromCache(ctx, body, 'prefix');
+
+        commonUtils.logEvent('info', 'cache_prefix_hit', ctx.service, {
+            requestId: ctx.requestId,
+            processingTime: `${Date.now() - ctx.startTime}ms`,
+            query: ctx.queryText,
+            prefix,
+            resultCount,
+            prefixResultCount: ctx.definition.resultCount(entry.data, ctx)
+        });
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * Coalesces a cache miss with identical ones in flight. A request that finds
+ * another on this instance fetching the same key waits for its body. The
+ * first one leads: it takes a short Redis lock, or, when another instance
+ * holds it, waits for that instance to cache the entry. Whoever ends up
+ * without a body calls Funnelback as usual.
+ *
+ * @param {Object} ctx - Pipeline context
+ * @returns {Promise<void>}
+ * @private
+ */
+async function coalesceMiss(ctx) {
+    const { cache } = ctx.definition;
+    const key = generateCacheKey(cache.namespace, ctx.cache.key);
+    const waitStart = Date.now();
+
+    const pending = getFlight(key);
+    if (pending) {
+        const body = await pending;
+        if (body !== null) {
+            logCoalesced(ctx, 'local', waitStart);
+            serveFromCache(ctx, body, 'coalesced');
+        }
+        return;
+    }
+
+    ctx.cache.flight = startFlight(key);
+
+    try {
+        if (await acquireFillLock(key, ctx.requestId)) {
+            ctx.cache.fillLock = { key, owner: ctx.requestId };
+            return;
+        }
+
+        // Another instance is fetching this key; its entry shows up when it releases the lock
+        if (!(await waitForFillLock(key))) return;
+
+        const entry = await getCachedEntry(cache.namespace, ctx.cache.key, ctx.requestId);
+        if (entry) {
+            logCoalesced(ctx, 'remote', waitStart);
+            serveFromCache(ctx, entry.data, 'coalesced');
+            ctx.cache.flight.settle(entry.data);
+        }
+    } catch (coalesceError) {
+        commonUtils.logEvent('warn', 'cache_coalesce_failed', ctx.service, {
+            requestId: ctx.requestId,
+            error: coalesceError.message
+        });
+    }
+}
+
+/**
+ * Logs a response taken from another request's upstream call
+ *
+ * @param {Object} ctx - Pipeline context
+ * @param {string} source - 'local' (same instance) or 'remote' (another instance)
+ * @param {number} waitStart - When the wait began (ms since epoch)
+ * @private
+ */
+function logCoalesced(ctx, source, waitStart) {
+    commonUtils.logEvent('info', 'cache_coalesced', ctx.service, {
+        requestId: ctx.requestId,
+        query: ctx.queryText,
+        source,
+        waitedMs: Date.now() - waitStart
+    });
+}
+
+/**
+ * Ends a led flight: followers still waiting get nothing and call Funnelback
+ * themselves, and the Redis lock is released. Safe to call more than once.
+ *
+ * @param {Object} ctx - Pipeline context
+ * @returns {Promise<void>}
+ * @private
+ */
+async function endFlight(ctx) {
+    if (ctx.cache.flight) ctx.cache.flight.settle(null);
+
+    const { fillLock } = ctx.cache;
+    if (fillLock) {
+        ctx.cache.fillLock = null;
+        await releaseFillLock(fillLock.key, fillLock.owner);
+    }
+}
+
+/**
+ * Refreshes a cache entry served past its soft TTL. Runs the upstream and
+ * format stages on a copy of the context so the sent response is untouched;
+ * cacheService holds a Redis lock so only one refresh per key runs.
+ *
+ * @param {Object} ctx - Pipeline context
+ * @returns {Promise<boolean>} Whether the entry was refreshed
+ * @private
+ */
+async function revalidateInBackground(ctx) {
+    const { cache } = ctx.definition;
+    const refreshCtx = { ...ctx, upstreamResponse: null, body: null, cache: { ...ctx.cache } };
+    const startTime = Date.now();
+
+    try {
+        const refreshed = await revalidateCachedData(
+            cache.namespace,
+            ctx.cache.key,
+            async () => {
+                await STAGE_RUNNERS.upstream(refreshCtx);
+                STAGE_RUNNERS.format(refreshCtx);
+                // An empty refresh keeps the entry that had results rather than replacing it
+                const storable = cache.shouldStore(refreshCtx.body, refreshCtx) &&
+                    ctx.definition.resultCount(refreshCtx.body, refreshCtx) > 0;
+                return storable ? refreshCtx.body : null;
+            },
+            ctx.requestId,
+            getCacheOptions(cache, ctx)
+        );
+
+        commonUtils.logEvent('info', 'cache_revalidated', ctx.service, {
+            requestId: ctx.requestId,
+            query: ctx.queryText,
+            refreshed,
+            processingTime: `${Date.now() - startTime}ms`
+        });
+
+        return refreshed;
+    } catch (revalidateError) {
+        // The stale entry stays until its hard TTL; the next request retries
+        commonUtils.logEvent('warn', 'cache_revalidation_failed', ctx.service, {
+            requestId: ctx.requestId,
+            query: ctx.queryText,
+            error: revalidateError.message
+        });
+        return false;
+    }
+}
+
+/**
+ * Records the analytics entry for a completed request. The endpoint's
+ * analytics mapping is merged over the standard request analytics. A
+ * request is recorded once, whether before or after the response.
+ *
+ * @param {Object} ctx - Pipeline context
+ * @returns {Promise<Object|null>} The analytics record, or null
+ * @private
+ */
+async function recordAnalytics(ctx) {
+    const { definition, req, requestId, service } = ctx;
+    if (ctx.analyticsRecorded) return null;
+    ctx.analyticsRecorded = true;
+
+    try {
+        if (!process.env.MONGODB_URI) {
+            commonUtils.logEvent('info', 'analytics_skipped', service, {
+                requestId,
+                reason: 'mongodb_uri_not_configured'
+            });
+            return null;
+        }
+
+        const baseData = createRequestAnalytics(req, ctx.locationData, definition.name, ctx.startTime);
+        const resultCount = definition.resultCount(ctx.body, ctx);
+
+        const standardData = createStandardAnalyticsData({
+            ...baseData,
+            resultCount,
+            hasResults: resultCount > 0,
+            cacheHit: ctx.cache.hit,
+            cacheState: ctx.cache.state,
+            cacheSet: ctx.cache.stored,
+            ...definition.analytics(ctx)
+        });
+
+        // Log analytics data (excluding sensitive information)
+        logAnalyticsData(standardData, service);
+
+        try {
+            const recordResult = await recordQuery(standardData);
+
+            commonUtils.logEvent('info', 'analytics_recorded', service, {
+                requestId,
+                recordId: recordResult?._id?.toString(),
+                success: !!recordResult
+            });
+
+            return recordResult;
+        } catch (recordError) {
+            commonUtils.logEvent('error', 'analytics_record_failed', service, {
+                requestId,
+                error: recordError.message,
+                query: ctx.queryText
+            });
+            return null;
+        }
+    } catch (analyticsError) {
+        commonUtils.logEvent('error', 'analytics_processing_failed', service, {
+            requestId,
+            error: analyticsError.message,
+            stack: analyticsError.stack
+        });
+        return null;
+    }
+}
+
+/**
+ * Runs one stage with its hooks. Returns false once the response has been
+ * handled early (OPTIONS, invalid parameters, or a hook that sent a response).
+ *
+ * @param {Object} ctx - Pipeline context
+ * @param {string} stage - Stage name
+ * @returns {Promise<boolean>} Whether the pipeline should continue
+ * @private
+ */
+async function runStage(ctx, stage) {
+    const { hooks } = ctx.definition;
+    const finished = () => ctx.stopped || (ctx.res.headersSent && !ctx.responded);
+
+    if (hooks.before[stage]) await hooks.before[stage](ctx);
+    if (finished()) return false;
+
+    if (!ctx.skipped.has(stage)) {
+        await STAGE_RUNNERS[stage](ctx);
+        if (finished()) return false;
+
+        if (hooks.after[stage]) await hooks.after[stage](ctx);
+    }
+
+    return !finished();
+}
+
+/**
+ * Tries to answer a failed upstream call with the last good cached response
+ *
+ * @param {Object} ctx - Pipeline context
+ * @param {Error} error - Upstream error
+ * @returns {Promise<boolean>} Whether a stale response was sent
+ * @private
+ */
+async function serveStale(ctx, error) {
+    const { cache } = ctx.definition;
+    const upstreamFailure = !(error instanceof ApiError) && funnelbackClient.isUpstreamFailure(error);
+    if (!cache || !ctx.cache.usable || !upstreamFailure) {
+        return false;
+    }
+
+    let staleEntry = null;
+    try {
+        staleEntry = await getStaleCachedData(cache.namespace, ctx.cache.key, ctx.requestId);
+    } catch (cacheError) {
+        commonUtils.logEvent('error', 'stale_cache_error', ctx.service, {
+            requestId: ctx.requestId,
+            error: cacheError.message
+        });
+    }
+
+    if (!staleEntry) return false;
+
+    commonUtils.logEvent('warn', 'stale_response_served', ctx.service, {
+        requestId: ctx.requestId,
+        query: ctx.queryText,
+        ageSeconds: staleEntry.ageSeconds,
+        upstreamError: error.code || error.message
+    });
+
+    ctx.cache.hit = true;
+    ctx.cache.state = 'stale';
+    ctx.cache.stale = staleEntry;
+    ctx.body = cache.staleBody(staleEntry.data);
+
+    commonUtils.setStaleHeaders(ctx.res, staleEntry);
+    await STAGE_RUNNERS.respond(ctx);
+    await STAGE_RUNNERS.analytics(ctx);
+    return true;
+}
+
+/**
+ * Handles an error thrown by a stage or hook: stale fallback first, then the
+ * shared error envelope, which never echoes the upstream body.
+ *
+ * @param {Object} ctx - Pipeline context
+ * @param {Error} error - The error
+ * @returns {Promise<void>}
+ * @private
+ */
+async function handleError(ctx, error) {
+    const { definition, res, requestId, service } = ctx;
+
+    if (res.headersSent) {
+        commonUtils.logEvent('error', 'pipeline_error_after_response', service, {
+            requestId,
+            error: error.message
+        });
+        return;
+    }
+
+    if (await serveStale(ctx, error)) return;
+
+    const errorInfo = commonUtils.formatError(error, service, `${definition.name}_request_failed`, requestId);
+
+    commonUtils.logEvent('error', 'request_failed', service, {
+        requestId,
+        query: ctx.queryText,
+        code: errorInfo.code,
+        status: errorInfo.status,
+        errorDetails: {
+            message: error.message,
+            responseStatus: error.response?.status,
+            axiosError: error.isAxiosError
+        }
+    });
+
+    if (definition.hooks.before.error) {
+        await definition.hooks.before.error(ctx, error);
+        if (res.headersSent) return;
+    }
+
+    sendErrorFor(res, error, {
+        req: ctx.req,
+        requestId,
+        format: resolve(definition.responseType, ctx)
+    });
+}
+
+/**
+ * Fills the cache for one query without sending a response or recording
+ * analytics. Runs the handler's params, upstream, format and cacheWrite
+ * stages (hooks are not run), so the entry has the same key, body and TTLs
+ * as one written by live traffic. Entries within their soft TTL are left
+ * alone unless force is set.
+ *
+ * @param {Function} handler - Handler built by createHandler with a cache definition
+ * @param {Object} query - Request query parameters, as a client would send them
+ * @param {Object} [options] - Warming options
+ * @param {string} [options.requestId] - Request ID for tracking
+ * @param {boolean} [options.force=false] - Refresh entries that are still fresh
+ * @param {function(): Promise<void>} [options.throttle] - Awaited before the upstream call
+ * @returns {Promise<{status: string, reason: string|null, key: Object, resultCount: number}>}
+ *   status is 'warmed', 'fresh' (already cached) or 'skipped'
+ * @throws {Error} Upstream errors, and handlers that cannot be warmed
+ */
+async function warmCacheEntry(handler, query, { requestId, force = false, throttle } = {}) {
+    const definition = HANDLER_DEFINITIONS.get(handler);
+    if (!definition?.cache) {
+        throw new Error('Only cached handlers built by createHandler can be warmed');
+    }
+
+    const { cache } = definition;
+    const req = {
+        method: 'GET',
+        path: `/${definition.name}`,
+        query,
+        headers: requestId ? { 'x-request-id': requestId } : {}
+    };
+    const ctx = createContext(definition, req, null);
+    const result = (status, reason = null) => ({
+        status,
+        reason,
+        key: ctx.cache.key,
+        resultCount: ctx.body ? definition.resultCount(ctx.body, ctx) : 0
+    });
+
+    const paramCheck = sanitizeParams(resolve(definition.params, ctx), query);
+    if (!paramCheck.valid) return result('skipped', 'invalid_params');
+    ctx.params = paramCheck.params;
+
+    ctx.cache.key = cache.key(ctx);
+    if (!checkCachePolicy(cache.namespace, ctx.cache.key).cacheable || !cache.cacheable(ctx)) {
+        return result('skipped', 'not_cacheable');
+    }
+
+    if (!force) {
+        const existing = await getCachedEntry(cache.namespace, ctx.cache.key, ctx.requestId);
+        if (existing && existing.state !== 'stale') return result('fresh');
+    }
+
+    if (throttle) await throttle();
+
+    ctx.cache.usable = true;
+    await STAGE_RUNNERS.upstream(ctx);
+    STAGE_RUNNERS.format(ctx);
+    await STAGE_RUNNERS.cacheWrite(ctx);
+
+    if (ctx.cache.stored) return result('warmed');
+    return result('skipped', ctx.cache.stored === false ? 'cache_write_failed' : 'not_stored');
+}
+
+/**
+ * Builds a Vercel/Express handler from an endpoint definition.
+ *
+ * Definition fields:
+ * - name: handler name for analytics and the paramRegistry entry
+ * - service: service name used in logs
+ * - upstream: Funnelback endpoint (or function of the context)
+ * - params: paramRegistry entry name or policy (or function); defaults to name
+ * - queryParams: query parameters holding the search text, in priority order
+ * - responseType: 'json' or 'html' (or function of the context)
+ * - format(data, ctx): builds the response body from the upstream data
+ * - upstreamParams(ctx): parameters sent upstream; defaults to the sanitized params
+ * - resultCount(body, ctx): number of results, for logs and analytics
+ * - analytics(ctx): fields merged into the analytics record
+ * - analyticsBeforeResponse: records analytics before the response is sent
+ *   rather than right after it; the handler awaits the record either way
+ * - cache: { namespace, key, cacheable, readFresh, ttl, softTtl, shouldStore,
+ *   staleBody, prefixReuse }; key(ctx) gives the parameters the cache key is
+ *   built from (defaults to the request query). TTLs, the minimum query length, the
+ *   size limit and negative caching come from the namespace's policy in
+ *   cache.config.json (per collection when the key has a collection the policy
+ *   lists); ttl and softTtl (values or functions of the context) override it.
+ *   cacheable(ctx) and shouldStore(body, ctx) can opt a request or a response
+ *   out of the cache.
+ *   prefixReuse: { filter(body, matches, ctx, prefix), minResults } answers a miss
+ *   from a shorter prefix's cached body; filter keeps the items for which
+ *   matches([field, ...]) is true
+ * - hooks: { before: { [stage]: fn(ctx) }, after: { [stage]: fn(ctx) } }; a
+ *   hook may send a response, call ctx.stop(), or throw an ApiError to end the
+ *   request. before.error receives (ctx, error) before the error response is sent.
+ *
+ * @param {Object} definition - Endpoint definition
+ * @returns {function(Object, Object): Promise<void>} Request handler
+ */
+function createHandler(definition) {
+    const normalized = normalizeDefinition(definition);
+
+    async function handler(req, res) {
+        const ctx = createContext(normalized, req, res);
+
+        try {
+            for (const stage of STAGES) {
+                if (!(await runStage(ctx, stage))) return;
+            }
+        } catch (error) {
+            await handleError(ctx, error);
+        } finally {
+            // Requests that stopped or failed before cacheWrite
+            await endFlight(ctx);
+        }
+    }
+
+    HANDLER_DEFINITIONS.set(handler, normalized);
+    return handler;
+}
+
+module.exports = {
+    createHandler,
+    warmCacheEntry,
+    STAGES
+};
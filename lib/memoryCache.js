@@ -0,0 +1,235 @@
+/**
+ * @fileoverview In-Process LRU Cache (L1) in Front of Redis
+ *
+ * Keystroke endpoints read the same few keys many times a second. This
+ * module keeps recently used cache values in memory so a hit needs no
+ * Redis round trip. It is a short-lived tier: Redis (L2) stays the source
+ * of truth, and every instance has its own copy.
+ *
+ * Features:
+ * - One LRU per cache namespace, enabled per namespace
+ * - Size limit in bytes per namespace, with least recently used eviction
+ * - Short TTL per entry, so changes made by other instances show up quickly
+ * - Hit, miss, set and eviction counters per namespace
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @namespace memoryCache
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+/**
+ * L1 settings per namespace (TTL in milliseconds, sizes in bytes). Only
+ * these namespaces are cached in memory unless CACHE_L1_NAMESPACES says otherwise.
+ * @type {Object<string, {ttlMs: number, maxBytes: number}>}
+ * @constant
+ */
+const MEMORY_CACHE_NAMESPACES = {
+    suggestions: { ttlMs: 30000, maxBytes: 8 * 1024 * 1024 },
+    programs: { ttlMs: 60000, maxBytes: 4 * 1024 * 1024 },
+    people: { ttlMs: 60000, maxBytes: 4 * 1024 * 1024 }
+};
+
+/**
+ * Settings for namespaces enabled through the environment without an entry above
+ * @type {{ttlMs: number, maxBytes: number}}
+ * @constant
+ * @private
+ */
+const DEFAULT_SETTINGS = { ttlMs: 30000, maxBytes: 4 * 1024 * 1024 };
+
+/**
+ * Largest share of a namespace's budget a single entry may take
+ * @type {number}
+ * @constant
+ * @private
+ */
+const MAX_ENTRY_SHARE = 1 / 16;
+
+/**
+ * LRU state by namespace. Map iteration order is insertion order, so the
+ * first entry is the least recently used.
+ * @type {Map<string, Object>}
+ * @private
+ */
+const tiers = new Map();
+
+/**
+ * Gets the enabled namespaces, from CACHE_L1_NAMESPACES when set
+ * ('none' disables the tier)
+ *
+ * @returns {Array<string>} Enabled namespaces
+ */
+function getEnabledNamespaces() {
+    const configured = process.env.CACHE_L1_NAMESPACES;
+    if (configured === undefined) return Object.keys(MEMORY_CACHE_NAMESPACES);
+    if (configured.trim() === 'none') return [];
+
+    return configured.split(',').map((name) => name.trim()).filter(Boolean);
+}
+
+/**
+ * Checks whether a namespace is cached in memory
+ *
+ * @param {string} namespace - Cache namespace
+ * @returns {boolean} Whether the L1 tier is enabled for it
+ */
+function isMemoryCacheEnabled(namespace) {
+    return getEnabledNamespaces().includes(namespace);
+}
+
+/**
+ * Gets or creates the LRU state for a namespace
+ *
+ * @param {string} namespace - Cache namespace
+ * @returns {Object} Mutable tier state
+ * @private
+ */
+function getTier(namespace) {
+    if (!tiers.has(namespace)) {
+        const settings = MEMORY_CACHE_NAMESPACES[namespace] || DEFAULT_SETTINGS;
+        const maxBytes = parseInt(process.env.CACHE_L1_MAX_BYTES, 10) || settings.maxBytes;
+
+        tiers.set(namespace, {
+            ttlMs: parseInt(process.env.CACHE_L1_TTL_MS, 10) || settings.ttlMs,
+            maxBytes,
+            maxEntryBytes: Math.floor(maxBytes * MAX_ENTRY_SHARE),
+            entries: new Map(),
+            bytes: 0,
+            hits: 0,
+            misses: 0,
+            sets: 0,
+            evictions: 0
+        });
+    }
+    return tiers.get(namespace);
+}
+
+/**
+ * Removes one entry and its bytes from a tier
+ *
+ * @param {Object} tier - Tier state
+ * @param {string} key - Cache key
+ * @private
+ */
+function removeEntry(tier, key) {
+    const entry = tier.entries.get(key);
+    if (!entry) return;
+
+    tier.entries.delete(key);
+    tier.bytes -= entry.size;
+}
+
+/**
+ * Reads a value from the L1 tier
+ *
+ * @param {string} namespace - Cache namespace
+ * @param {string} key - Cache key
+ * @returns {string|null} The stored value, or null on a miss (or when disabled)
+ */
+function getMemoryEntry(namespace, key) {
+    if (!isMemoryCacheEnabled(namespace)) return null;
+
+    const tier = getTier(namespace);
+    const entry = tier.entries.get(key);
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+        if (entry) removeEntry(tier, key);
+        tier.misses++;
+        return null;
+    }
+
+    // Move to the most recently used end
+    tier.entries.delete(key);
+    tier.entries.set(key, entry);
+    tier.hits++;
+    return entry.value;
+}
+
+/**
+ * Stores a value in the L1 tier, evicting least recently used entries to
+ * stay within the namespace's byte limit. Values larger than a sixteenth
+ * of the limit are not kept.
+ *
+ * @param {string} namespace - Cache namespace
+ * @param {string} key - Cache key
+ * @param {string} value - Serialized value
+ * @returns {boolean} Whether the value was stored
+ */
+function setMemoryEntry(namespace, key, value) {
+    if (!isMemoryCacheEnabled(namespace)) return false;
+
+    const tier = getTier(namespace);
+    const size = Buffer.byteLength(key, 'utf8') + Buffer.byteLength(value, 'utf8');
+
+    removeEntry(tier, key);
+    if (size > tier.maxEntryBytes) return false;
+
+    while (tier.bytes + size > tier.maxBytes && tier.entries.size > 0) {
+        removeEntry(tier, tier.entries.keys().next().value);
+        tier.evictions++;
+    }
+
+    tier.entries.set(key, { value, size, expiresAt: Date.now() + tier.ttlMs });
+    tier.bytes += size;
+    tier.sets++;
+    return true;
+}
+
+/**
+ * Removes a value from the L1 tier
+ *
+ * @param {string} namespace - Cache namespace
+ * @param {string} key - Cache key
+ */
+function deleteMemoryEntry(namespace, key) {
+    if (tiers.has(namespace)) removeEntry(tiers.get(namespace), key);
+}
+
+/**
+ * Empties the L1 tier for one namespace, or for all when none is given.
+ * Counters are kept.
+ *
+ * @param {string} [namespace] - Cache namespace
+ */
+function clearMemoryCache(namespace) {
+    for (const [name, tier] of tiers) {
+        if (namespace && name !== namespace) continue;
+        tier.entries.clear();
+        tier.bytes = 0;
+    }
+}
+
+/**
+ * Gets a snapshot of the L1 tier for diagnostics
+ *
+ * @returns {Object<string, Object>} Size, limits and counters by namespace
+ */
+function getMemoryCacheStats() {
+    const stats = {};
+    for (const namespace of getEnabledNamespaces()) {
+        const tier = getTier(namespace);
+        stats[namespace] = {
+            entries: tier.entries.size,
+            bytes: tier.bytes,
+            maxBytes: tier.maxBytes,
+            ttlMs: tier.ttlMs,
+            hits: tier.hits,
+            misses: tier.misses,
+            sets: tier.sets,
+            evictions: tier.evictions
+        };
+    }
+    return stats;
+}
+
+module.exports = {
+    getMemoryEntry,
+    setMemoryEntry,
+    deleteMemoryEntry,
+    clearMemoryCache,
+    isMemoryCacheEnabled,
+    getMemoryCacheStats,
+    MEMORY_CACHE_NAMESPACES
+};
@@ -0,0 +1,352 @@
+/**
+ * @fileoverview Allowlisted Parameter Registry for Funnelback Requests
+ *
+ * Declares, per proxy endpoint, which query parameters may be forwarded to
+ * Funnelback and which collections, profiles and forms a client may select.
+ * Handlers run the incoming query through sanitizeParams before calling
+ * funnelbackClient, so a client can no longer pick an arbitrary collection or
+ * profile, and our own internal parameters (sessionId, tool path) never
+ * reach the upstream.
+ *
+ * Features:
+ * - Allowed collections, profiles and forms per endpoint
+ * - Forwarded parameter allowlist with facet/metadata patterns (f.*, meta_*)
+ * - Defaults the client may override and fixed values it may not
+ * - Internal parameters stripped before forwarding
+ * - Standard INVALID_PARAM error (400) naming the rejected parameter and allowed values
+ * - Ad-hoc policies for callers with their own registry (see toolRegistry)
+ * - Bounded paging (start_rank, num_ranks) for the JSON results endpoint
+ *
+ * @author Victor Chimenti
+ * @version 1.3.1
+ * @namespace paramRegistry
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+const commonUtils = require('./commonUtils');
+const { sendError } = require('./errorResponse');
+
+/**
+ * Collections clients may search
+ * @type {Object<string, string>}
+ * @constant
+ */
+const COLLECTIONS = {
+    SEARCH: 'seattleu~sp-search',
+    PROGRAMS: 'seattleu~ds-programs'
+};
+
+/**
+ * Search profiles clients may select
+ * @type {Array<string>}
+ * @constant
+ */
+const PROFILES = ['_default'];
+
+/**
+ * Result forms clients may select
+ * @type {Array<string>}
+ * @constant
+ */
+const FORMS = ['partial'];
+
+/**
+ * Proxy-only parameters that are never forwarded upstream
+ * @type {Array<string>}
+ * @constant
+ */
+const INTERNAL_PARAMS = ['sessionId', 'path', 'nocache'];
+
+/**
+ * Funnelback parameters accepted for full searches
+ * @type {Array<string>}
+ * @constant
+ */
+const SEARCH_PARAMS = [
+    'query',
+    'collection',
+    'profile',
+    'form',
+    'start_rank',
+    'num_ranks',
+    'sort',
+    'facetScope',
+    'gscope1',
+    'query_and',
+    'query_or',
+    'query_not',
+    'query_phrase'
+];
+
+/**
+ * Patterns for facet and metadata constraint parameters (f.Tabs|..., meta_x_orsand)
+ * @type {Array<RegExp>}
+ * @constant
+ */
+const SEARCH_PARAM_PATTERNS = [/^f\.[\w.~|-]+$/, /^meta_\w+$/];
+
+/**
+ * Shared registry entry for endpoints that proxy search.html
+ * @type {Object}
+ * @constant
+ * @private
+ */
+const HTML_SEARCH_ENTRY = {
+    upstream: 'search.html',
+    params: SEARCH_PARAMS,
+    patterns: SEARCH_PARAM_PATTERNS,
+    allowedValues: {
+        collection: [COLLECTIONS.SEARCH],
+        profile: PROFILES,
+        form: FORMS
+    },
+    defaults: {
+        collection: COLLECTIONS.SEARCH,
+        profile: '_default',
+        form: 'partial'
+    },
+    fixed: {}
+};
+
+/**
+ * Per-endpoint parameter policy, keyed by handler name.
+ *
+ * - params / patterns: parameter names forwarded upstream; anything else is stripped
+ * - allowedValues: values (or a pattern) a client may choose for a forwarded parameter; anything else is a 400
+ * - required: parameters that must be present
+ * - defaults: applied when the client does not send the parameter
+ * - fixed: always sent, replacing whatever the client sent
+ *
+ * @type {Object<string, Object>}
+ * @constant
+ */
+const PARAM_REGISTRY = {
+    search: HTML_SEARCH_ENTRY,
+    server: HTML_SEARCH_ENTRY,
+    searchResults: {
+        upstream: 'search.json',
+        params: SEARCH_PARAMS.filter((name) => name !== 'form'),
+        patterns: SEARCH_PARAM_PATTERNS,
+        allowedValues: {
+            collection: [COLLECTIONS.SEARCH],
+            profile: PROFILES,
+            start_rank: /^[1-9]\d{0,4}$/,
+            num_ranks: /^(?:[1-9]|[1-4]\d|50)$/
+        },
+        defaults: {
+            collection: COLLECTIONS.SEARCH,
+            profile: '_default',
+            num_ranks: '10'
+        },
+        fixed: {}
+    },
+    spelling: {
+        ...HTML_SEARCH_ENTRY,
+        fixed: HTML_SEARCH_ENTRY.defaults,
+        defaults: {}
+    },
+    suggest: {
+        upstream: 'suggest.json',
+        params: ['partial_query', 'query', 'collection', 'profile', 'show', 'sort', 'alpha', 'fmt'],
+        patterns: [],
+        allowedValues: {
+            collection: [COLLECTIONS.SEARCH],
+            profile: PROFILES
+        },
+        defaults: {},
+        fixed: {}
+    },
+    suggestPeople: {
+        upstream: 'search.json',
+        params: ['query'],
+        patterns: [],
+        allowedValues: {},
+        defaults: {},
+        fixed: {
+            form: 'partial',
+            profile: '_default',
+            'f.Tabs|seattleu~ds-staff': 'Faculty & Staff',
+            collection: COLLECTIONS.SEARCH,
+            num_ranks: '5'
+        }
+    },
+    suggestPrograms: {
+        upstream: 'search.json',
+        params: ['query'],
+        patterns: [],
+        allowedValues: {},
+        defaults: {},
+        fixed: {
+            collection: COLLECTIONS.PROGRAMS,
+            profile: '_default',
+            num_ranks: '5',
+            form: 'partial'
+        }
+    }
+};
+
+/**
+ * Gets the registry entry for an endpoint
+ *
+ * @param {string} endpoint - Handler name (e.g. 'search', 'suggestPeople')
+ * @returns {Object} Registry entry
+ * @throws {Error} When the endpoint is not registered
+ */
+function getEndpointPolicy(endpoint) {
+    const policy = PARAM_REGISTRY[endpoint];
+    if (!policy) {
+        throw new Error(`No parameter policy registered for endpoint: ${endpoint}`);
+    }
+    return policy;
+}
+
+/**
+ * Checks whether a parameter name is forwarded for an endpoint
+ *
+ * @param {Object} policy - Registry entry
+ * @param {string} name - Parameter name
+ * @returns {boolean} Whether the parameter is forwarded
+ * @private
+ */
+function isForwardedParam(policy, name) {
+    return policy.params.includes(name) || (policy.patterns || []).some((pattern) => pattern.test(name));
+}
+
+/**
+ * Checks a single parameter value against its allowlist
+ *
+ * @param {Array<string>|RegExp} allowed - Allowed values or a pattern the value must match
+ * @param {*} value - Parameter value
+ * @returns {boolean} Whether the value is allowed
+ * @private
+ */
+function isAllowedValue(allowed, value) {
+    if (typeof value !== 'string') return false;
+    return allowed instanceof RegExp ? allowed.test(value) : allowed.includes(value);
+}
+
+/**
+ * Describes an allowlist for error responses. Value lists are returned as-is;
+ * patterns are not echoed back to the client.
+ *
+ * @param {Array<string>|RegExp} allowed - Allowed values or pattern
+ * @returns {Array<string>|undefined} Serializable description
+ * @private
+ */
+function describeAllowed(allowed) {
+    return allowed instanceof RegExp ? undefined : allowed;
+}
+
+/**
+ * Filters an incoming query down to what an endpoint may forward upstream.
+ * Internal and unknown parameters are stripped; a forwarded parameter whose
+ * value is outside its allowlist, or a missing required parameter, makes the
+ * request invalid.
+ *
+ * @param {string|Object} endpoint - Handler name, or a policy object shaped like a registry entry
+ * @param {Object} query - Incoming query parameters (req.query)
+ * @returns {{valid: boolean, params: Object, errors: Array<Object>, stripped: Array<string>}} Result
+ */
+function sanitizeParams(endpoint, query = {}) {
+    const policy = typeof endpoint === 'string' ? getEndpointPolicy(endpoint) : endpoint;
+    const fixed = policy.fixed || {};
+    const allowedValues = policy.allowedValues || {};
+    const params = { ...policy.defaults };
+    const errors = [];
+    const stripped = [];
+
+    for (const [name, value] of Object.entries(query || {})) {
+        if (INTERNAL_PARAMS.includes(name) || name in fixed || !isForwardedParam(policy, name)) {
+            stripped.push(name);
+            continue;
+        }
+
+        const allowed = allowedValues[name];
+        if (allowed) {
+            const values = Array.isArray(value) ? value : [value];
+            const invalid = values.find((item) => !isAllowedValue(allowed, item));
+
+            if (invalid !== undefined || values.length !== 1) {
+                errors.push({
+                    param: name,
+                    reason: 'not_allowed',
+                    value: values.length === 1 ? invalid : values,
+                    allowed: describeAllowed(allowed)
+                });
+                continue;
+            }
+        }
+
+        params[name] = value;
+    }
+
+    for (const name of policy.required || []) {
+        const alreadyRejected = errors.some((error) => error.param === name);
+        if (!alreadyRejected && (params[name] === undefined || params[name] === '')) {
+            errors.push({ param: name, reason: 'missing' });
+        }
+    }
+
+    Object.assign(params, fixed);
+
+    return {
+        valid: errors.length === 0,
+        params,
+        errors,
+        stripped
+    };
+}
+
+/**
+ * Builds a readable message for a parameter error
+ *
+ * @param {Object} error - Error entry from sanitizeParams
+ * @returns {string} Message
+ * @private
+ */
+function describeParamError(error) {
+    if (error.reason === 'missing') {
+        return `${error.param} is required`;
+    }
+    return Array.isArray(error.allowed)
+        ? `${error.param} must be one of: ${error.allowed.join(', ')}`
+        : `${error.param} is not an allowed value`;
+}
+
+/**
+ * Sends the standard INVALID_PARAM error for a request rejected by sanitizeParams
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} result - Result returned by sanitizeParams
+ * @param {string} handlerName - Handler name used in logs
+ * @param {string} [requestId] - Request ID for tracking
+ * @param {string} [format='json'] - Endpoint format: 'json' or 'html'
+ */
+function sendInvalidParams(res, result, handlerName, requestId = null, format = 'json') {
+    commonUtils.logEvent('warn', 'invalid_params', handlerName, {
+        requestId,
+        errors: result.errors,
+        stripped: result.stripped
+    });
+
+    sendError(res, 'INVALID_PARAM', {
+        format,
+        message: result.errors.map(describeParamError).join('; '),
+        details: { params: result.errors },
+        requestId
+    });
+}
+
+module.exports = {
+    sanitizeParams,
+    sendInvalidParams,
+    getEndpointPolicy,
+    PARAM_REGISTRY,
+    COLLECTIONS,
+    PROFILES,
+    FORMS,
+    INTERNAL_PARAMS,
+    SEARCH_PARAMS,
+    SEARCH_PARAM_PATTERNS
+};
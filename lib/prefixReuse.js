@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Prefix Reuse for Autocomplete Caches
+ *
+ * Each keystroke ("nurs", "nursi", "nursin") is a new cache key, yet the
+ * results for a longer prefix are mostly a subset of those already cached
+ * for a shorter one. The handler pipeline uses these helpers to answer a
+ * miss by filtering the cached results of a shorter prefix locally; the
+ * handlers declare which fields are matched (see cache.prefixReuse in
+ * handlerPipeline.createHandler).
+ *
+ * Prefix reuse is opt-in (CACHE_PREFIX_REUSE=on), as a filtered answer can
+ * differ from what Funnelback would return for the longer query.
+ *
+ * Features:
+ * - Shorter prefixes to look up, longest first, within a lookback limit
+ * - Word-prefix matching of every query term, ignoring case and punctuation
+ * - Minimum result count below which Funnelback is asked instead
+ *
+ * @author Victor Chimenti
+ * @version 1.1.0
+ * @namespace prefixReuse
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+/**
+ * Default settings, overridable through the environment
+ * @type {{maxLookback: number, minResults: number}}
+ * @constant
+ */
+const PREFIX_REUSE_DEFAULTS = {
+    // Characters dropped from the end of the query when looking for a cached prefix
+    maxLookback: parseInt(process.env.CACHE_PREFIX_LOOKBACK, 10) || 3,
+    // Fewer filtered results than this and Funnelback is asked instead
+    minResults: parseInt(process.env.CACHE_PREFIX_MIN_RESULTS, 10) || 3
+};
+
+/**
+ * Checks whether prefix reuse is enabled (off unless CACHE_PREFIX_REUSE=on)
+ *
+ * @returns {boolean} Whether misses may be answered from a shorter prefix
+ */
+function isPrefixReuseEnabled() {
+    return process.env.CACHE_PREFIX_REUSE === 'on';
+}
+
+/**
+ * Splits text into lowercase words of letters and digits
+ *
+ * @param {string} text - Text
+ * @returns {Array<string>} Words
+ * @private
+ */
+function toWords(text) {
+    return String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Lists the shorter prefixes of a query to look up, longest first
+ *
+ * @param {string} query - Query text
+ * @param {number} minLength - Shortest prefix that can be cached
+ * @param {number} [maxLookback] - Most characters to drop
+ * @returns {Array<string>} Prefixes, trimmed and without duplicates
+ */
+function getShorterPrefixes(query, minLength, maxLookback = PREFIX_REUSE_DEFAULTS.maxLookback) {
+    const text = String(query || '').trim();
+    const prefixes = [];
+
+    for (let length = text.length - 1; length >= Math.max(minLength, text.length - maxLookback); length--) {
+        const prefix = text.slice(0, length).trim();
+        if (prefix.length >= minLength && prefix !== text && !prefixes.includes(prefix)) {
+            prefixes.push(prefix);
+        }
+    }
+    return prefixes;
+}
+
+/**
+ * Creates a predicate telling whether an item's fields match a query: every
+ * query term must start a word in one of the fields
+ *
+ * @param {string} query - Query text
+ * @returns {function(Array<string|null>): boolean} Predicate over field values
+ */
+function createQueryMatcher(query) {
+    const terms = toWords(query);
+
+    return (fields) => {
+        const words = fields.flatMap(toWords);
+        return terms.every((term) => words.some((word) => word.startsWith(term)));
+    };
+}
+
+module.exports = {
+    isPrefixReuseEnabled,
+    getShorterPrefixes,
+    createQueryMatcher,
+    PREFIX_REUSE_DEFAULTS
+};
@@ -12,15 +12,18 @@
  * - Query attribution
  * - Automatic MongoDB connection handling
  * - Enhanced IP tracking for consistency
+ * - Cache state per query (miss, fresh, stale, revalidated, coalesced, prefix, bypass),
+ *   next to the cacheHit boolean
  *
  * @author Victor Chimenti
- * @version 4.3.0
+ * @version 4.5.3
  * @namespace queryAnalytics
- * @lastModified 2025-05-17
+ * @lastModified 2026-10-19
  * @license MIT
  */
 
 const mongoose = require("mongoose");
+const { CACHE_STATES } = require("./schemaHandler");
 const { Schema } = mongoose;
 
 // Connect to MongoDB if not already connected
@@ -68,6 +71,8 @@ const QuerySchema = new Schema({
     resultCount: { type: Number, default: 0 },
     hasResults: { type: Boolean, default: false },
     cacheHit: { type: Boolean, default: null },
+    // Cache state: 'miss', 'fresh', 'stale', 'revalidated', 'coalesced', 'prefix' or 'bypass'
+    cacheState: { type: String, enum: [...CACHE_STATES, null], default: null },
     cacheSet: { type: Boolean, default: null },
 
     // Tab-specific information
@@ -401,6 +406,7 @@ async function recordClicks(clicksData) {
 
 module.exports = {
     Query,
+    connectToMongoDB,
     recordQuery,
     recordClick,
     recordClicks,
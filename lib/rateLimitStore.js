@@ -0,0 +1,271 @@
+/**
+ * @fileoverview Rate Limit Stores for the Edge Middleware
+ *
+ * The middleware counts requests per client IP through a store, so the count
+ * can be shared by every edge instance instead of kept per instance. A store
+ * is any object with hit(key, options) resolving to the count in the current
+ * window and when the window resets.
+ *
+ * Stores:
+ * - Memory: a Map per instance with fixed windows (the original behaviour)
+ * - Redis: shared counts in Redis over its REST API (Upstash / Vercel KV),
+ *   as the edge runtime cannot open TCP connections. Each hit is one atomic
+ *   script: a fixed window (INCR with expiry) or a sliding window (sorted set)
+ *
+ * The Redis store falls back to the memory store when Redis fails or is slow,
+ * then leaves Redis alone for a while so requests do not wait on it.
+ *
+ * Kept free of Node-only APIs so the edge runtime can bundle it.
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @namespace rateLimitStore
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+/**
+ * Store settings, overridable through the environment
+ * @type {{algorithm: string, timeoutMs: number, retryDelayMs: number, keyPrefix: string}}
+ * @constant
+ */
+const RATE_LIMIT_STORE_DEFAULTS = {
+    // fixed or sliding
+    algorithm: process.env.RATE_LIMIT_ALGORITHM === 'sliding' ? 'sliding' : 'fixed',
+    // A Redis call slower than this counts as a failure
+    timeoutMs: parseInt(process.env.RATE_LIMIT_STORE_TIMEOUT_MS, 10) || 300,
+    // After a failure Redis is not tried again for this long
+    retryDelayMs: parseInt(process.env.RATE_LIMIT_STORE_RETRY_MS, 10) || 30000,
+    keyPrefix: 'ratelimit:'
+};
+
+/**
+ * Fixed window: counts the hit and starts the window's expiry on the first
+ * one. Also repairs a counter left without an expiry. Returns {count, ttl in ms}.
+ * @type {string}
+ * @constant
+ * @private
+ */
+const FIXED_WINDOW_SCRIPT = [
+    "local count = redis.call('INCR', KEYS[1])",
+    "local ttl = redis.call('PTTL', KEYS[1])",
+    'if ttl < 0 then',
+    "  redis.call('PEXPIRE', KEYS[1], ARGV[1])",
+    '  ttl = tonumber(ARGV[1])',
+    'end',
+    'return {count, ttl}'
+].join('\n');
+
+/**
+ * Sliding window: drops hits older than the window, then records this one
+ * unless the limit is already reached, so a blocked client is let back in as
+ * its old hits age out. Uses the Redis clock, so edge instances agree on the
+ * window. Returns {count including this hit, reset time in ms since epoch}.
+ * @type {string}
+ * @constant
+ * @private
+ */
+const SLIDING_WINDOW_SCRIPT = [
+    "local time = redis.call('TIME')",
+    'local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)',
+    'local window = tonumber(ARGV[1])',
+    "redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - window)",
+    "local count = redis.call('ZCARD', KEYS[1]) + 1",
+    'if count <= tonumber(ARGV[2]) then',
+    "  redis.call('ZADD', KEYS[1], now, ARGV[3])",
+    'end',
+    "redis.call('PEXPIRE', KEYS[1], window)",
+    "local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')",
+    'local reset = now + window',
+    'if oldest[2] then reset = tonumber(oldest[2]) + window end',
+    'return {count, reset}'
+].join('\n');
+
+/**
+ * Store used by the middleware, created from the environment on first use
+ * @type {Object|null}
+ * @private
+ */
+let currentStore = null;
+
+/**
+ * Creates a store that counts in memory, per instance, with fixed windows
+ *
+ * @returns {{name: string, hit: function(string, Object): Promise<{count: number, resetTime: number}>}} Store
+ */
+function createMemoryStore() {
+    const entries = new Map();
+
+    return {
+        name: 'memory',
+        async hit(key, { windowMs }) {
+            const now = Date.now();
+
+            // Drop expired windows so long-running instances do not grow without bound
+            for (const [entryKey, entry] of entries.entries()) {
+                if (now > entry.resetTime) {
+                    entries.delete(entryKey);
+                }
+            }
+
+            let entry = entries.get(key);
+            if (!entry) {
+                entry = { count: 0, resetTime: now + windowMs };
+                entries.set(key, entry);
+            }
+            entry.count++;
+
+            return { count: entry.count, resetTime: entry.resetTime };
+        }
+    };
+}
+
+/**
+ * Creates a store that counts in Redis through its REST API
+ *
+ * @param {Object} options - Store options
+ * @param {string} options.url - REST endpoint
+ * @param {string} options.token - Bearer token
+ * @param {string} [options.algorithm] - fixed or sliding
+ * @param {number} [options.timeoutMs] - Time limit for each call
+ * @returns {{name: string, algorithm: string, hit: function(string, Object): Promise<{count: number, resetTime: number}>}} Store
+ */
+function createRedisStore({
+    url,
+    token,
+    algorithm = RATE_LIMIT_STORE_DEFAULTS.algorithm,
+    timeoutMs = RATE_LIMIT_STORE_DEFAULTS.timeoutMs
+}) {
+    /**
+     * Sends one command
+     *
+     * @param {Array<string>} args - Command and arguments
+     * @returns {Promise<*>} Result
+     * @throws {Error} When Redis answers with an error, an HTTP error or not in time
+     */
+    async function command(args) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    Authorization: `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(args),
+                signal: controller.signal
+            });
+            const payload = await response.json().catch(() => ({}));
+            if (!response.ok || payload.error) {
+                throw new Error(payload.error || `Redis REST API answered ${response.status}`);
+            }
+            return payload.result;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`Redis REST API did not answer within ${timeoutMs}ms`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    return {
+        name: 'redis',
+        algorithm,
+        async hit(key, { limit, windowMs, id }) {
+            const redisKey = `${RATE_LIMIT_STORE_DEFAULTS.keyPrefix}${key}`;
+
+            if (algorithm === 'sliding') {
+                const [count, resetTime] = await command([
+                    'EVAL', SLIDING_WINDOW_SCRIPT, '1', redisKey, String(windowMs), String(limit), id
+                ]);
+                return { count: Number(count), resetTime: Number(resetTime) };
+            }
+
+            const [count, ttl] = await command(['EVAL', FIXED_WINDOW_SCRIPT, '1', redisKey, String(windowMs)]);
+            return { count: Number(count), resetTime: Date.now() + Number(ttl) };
+        }
+    };
+}
+
+/**
+ * Wraps a shared store so failures fall back to another store. After a
+ * failure the shared store is skipped until the retry delay has passed.
+ *
+ * @param {Object} primary - Shared store
+ * @param {Object} fallback - Store used while the shared one is unavailable
+ * @param {number} [retryDelayMs] - How long to skip the shared store after a failure
+ * @returns {Object} Store whose hits also report which store counted them
+ *   (store) and, on the hit that failed over, the error
+ */
+function createFallbackStore(primary, fallback, retryDelayMs = RATE_LIMIT_STORE_DEFAULTS.retryDelayMs) {
+    let retryAt = 0;
+
+    return {
+        name: primary.name,
+        async hit(key, options) {
+            if (Date.now() >= retryAt) {
+                try {
+                    return { ...(await primary.hit(key, options)), store: primary.name };
+                } catch (error) {
+                    retryAt = Date.now() + retryDelayMs;
+                    return { ...(await fallback.hit(key, options)), store: fallback.name, error: error.message };
+                }
+            }
+            return { ...(await fallback.hit(key, options)), store: fallback.name };
+        }
+    };
+}
+
+/**
+ * Creates the store configured through the environment: Redis when a REST
+ * endpoint and token are set (unless RATE_LIMIT_STORE=memory), memory otherwise
+ *
+ * @returns {Object} Store
+ * @private
+ */
+function createConfiguredStore() {
+    const memory = createMemoryStore();
+    const url = process.env.RATE_LIMIT_REDIS_REST_URL || process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL;
+    const token = process.env.RATE_LIMIT_REDIS_REST_TOKEN || process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN;
+
+    if (process.env.RATE_LIMIT_STORE === 'memory' || !url || !token) {
+        return memory;
+    }
+    return createFallbackStore(createRedisStore({ url, token }), memory);
+}
+
+/**
+ * Gets the store the middleware counts with
+ *
+ * @returns {Object} Store
+ */
+function getRateLimitStore() {
+    if (!currentStore) {
+        currentStore = createConfiguredStore();
+    }
+    return currentStore;
+}
+
+/**
+ * Replaces the store, e.g. with one built on another backend. Passing null
+ * goes back to the store configured through the environment.
+ *
+ * @param {Object|null} store - Object with hit(key, {limit, windowMs, id})
+ *   resolving to {count, resetTime}
+ */
+function setRateLimitStore(store) {
+    currentStore = store;
+}
+
+module.exports = {
+    createMemoryStore,
+    createRedisStore,
+    createFallbackStore,
+    getRateLimitStore,
+    setRateLimitStore,
+    RATE_LIMIT_STORE_DEFAULTS
+};
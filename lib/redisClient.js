@@ -4,20 +4,110 @@
  * Provides a singleton Redis client instance for use across the application.
  * Supports versioned Redis instances for seamless rotation/cycling.
  * 
+ * During a rotation (REDIS_URL_PREVIOUS names the instance being retired),
+ * a second client to the previous instance is available so cached entries
+ * can be read from it and copied over (see redisRotation).
+ * 
+ * Any of the URLs may name a single instance, a Sentinel-managed primary or
+ * a Redis Cluster:
+ * - redis://[user:pass@]host:6379 (or rediss:// for TLS)
+ * - redis-sentinel://[user:pass@]host:26379,host:26379/<master name>[?db=&tls=&sentinelUsername=&sentinelPassword=]
+ * - redis-cluster://[user:pass@]host:6379,host:6379[?tls=]
+ * 
+ * A connection that runs out of reconnect attempts is not given up for good:
+ * it is opened again after a recovery delay that doubles with each failure in
+ * a row. With Sentinel the primary is looked up on every connect and a
+ * +switch-master announcement drops the client, so the next call follows the
+ * failover.
+ * 
  * @author Victor Chimenti
- * @version 3.0.0
+ * @version 3.2.0
  * @namespace redisClient
  * @environment production
  * @requires redis
  * @license MIT
- * @lastModified 2025-03-23
+ * @lastModified 2026-10-19
  */
 
-const { createClient } = require('redis');
+const { createClient, createCluster } = require('redis');
+const { wrapCluster } = require('./redisCluster');
 
-let redis;
-let isConnecting = false;
-let connectionPromise = null;
+/**
+ * How long to wait before connecting to the previous instance again after a
+ * failure, so an unreachable old instance does not slow down every cache miss
+ * @type {number}
+ * @constant
+ * @private
+ */
+const PREVIOUS_RETRY_DELAY_MS = 30000;
+
+/**
+ * Reconnect and recovery settings, overridable through the environment
+ * @type {{maxAttempts: number, sentinelMaxAttempts: number, recoveryDelayMs: number, maxRecoveryDelayMs: number, sentinelTimeoutMs: number}}
+ * @constant
+ */
+const RECONNECT_DEFAULTS = {
+  // Reconnect attempts after a dropped connection before the client is given up
+  maxAttempts: parseInt(process.env.REDIS_MAX_RECONNECT_ATTEMPTS, 10) || 5,
+  // With Sentinel a dropped primary has probably moved; giving up sooner means
+  // the sentinels are asked where it went
+  sentinelMaxAttempts: 2,
+  // Wait before a given-up connection is opened again, doubled with each failure in a row
+  recoveryDelayMs: parseInt(process.env.REDIS_RECOVERY_DELAY_MS, 10) || 5000,
+  maxRecoveryDelayMs: parseInt(process.env.REDIS_MAX_RECOVERY_DELAY_MS, 10) || 60000,
+  // Connect timeout for sentinel queries, so one unreachable sentinel does not stall the lookup
+  sentinelTimeoutMs: 2000
+};
+
+/**
+ * Multi-node URL schemes: redis-sentinel:// and redis-cluster://
+ * @type {RegExp}
+ * @constant
+ * @private
+ */
+const MULTI_NODE_URL = /^(redis-sentinel|redis-cluster):\/\/(?:([^@/]*)@)?([^/?#]+)(?:\/([^?#]*))?(?:\?([^#]*))?$/;
+
+/**
+ * Creates the state of a connection
+ * 
+ * @param {string} label - Name used in logs (active or previous)
+ * @param {number} recoveryDelayMs - Base wait before a failed connection is retried
+ * @returns {Object} Connection state
+ * @private
+ */
+function createConnectionState(label, recoveryDelayMs) {
+  return {
+    label,
+    recoveryDelayMs,
+    client: null,
+    isConnecting: false,
+    connectionPromise: null,
+    // idle, connecting, ready, reconnecting or failed
+    state: 'idle',
+    retryAt: 0,
+    failures: 0,
+    failuresInRow: 0,
+    recoveries: 0,
+    lastError: null,
+    lastErrorAt: null,
+    // Primary, failovers and watcher, in Sentinel mode
+    sentinel: null
+  };
+}
+
+/**
+ * Connection to the active instance
+ * @type {Object}
+ * @private
+ */
+const active = createConnectionState('active', RECONNECT_DEFAULTS.recoveryDelayMs);
+
+/**
+ * Connection to the previous instance during a rotation
+ * @type {Object}
+ * @private
+ */
+const previous = createConnectionState('previous', PREVIOUS_RETRY_DELAY_MS);
 
 /**
  * Determines which Redis URL to use based on version-based environment variables
@@ -44,6 +134,88 @@ function getRedisUrl() {
   return process.env.REDIS_URL;
 }
 
+/**
+ * Determines the URL of the instance being rotated out. REDIS_URL_PREVIOUS
+ * points to a variable name, like REDIS_URL_ACTIVE.
+ * 
+ * @returns {string|null} The previous Redis URL, or null when no rotation is configured
+ */
+function getPreviousRedisUrl() {
+  const url = process.env.REDIS_URL_PREVIOUS ? process.env[process.env.REDIS_URL_PREVIOUS] : null;
+  // Pointing both at the same instance is not a rotation
+  return url && url !== getRedisUrl() ? url : null;
+}
+
+/**
+ * Describes the rotation configured through the environment
+ * 
+ * @returns {{active: boolean, from: string|null, to: string}} Whether a rotation is
+ *   in progress and the variable names of the previous and active instances
+ */
+function getRotationConfig() {
+  const isActive = !!getPreviousRedisUrl();
+  return {
+    active: isActive,
+    from: isActive ? process.env.REDIS_URL_PREVIOUS : null,
+    to: process.env.REDIS_URL_ACTIVE || 'default'
+  };
+}
+
+/**
+ * Parses a host:port list entry
+ * 
+ * @param {string} entry - host or host:port
+ * @param {number} defaultPort - Port when none is given
+ * @returns {{host: string, port: number}} Node address
+ * @private
+ */
+function parseNode(entry, defaultPort) {
+  const [host, port] = entry.trim().split(':');
+  return { host, port: parseInt(port, 10) || defaultPort };
+}
+
+/**
+ * Parses a Redis URL into connection settings. redis:// and rediss:// URLs are
+ * passed to node-redis as they are; Sentinel and Cluster URLs list their nodes.
+ * 
+ * @param {string} redisUrl - Redis URL
+ * @returns {Object} Settings with mode standalone ({url}), sentinel ({nodes,
+ *   masterName, database, username, password, sentinelUsername,
+ *   sentinelPassword, tls}) or cluster ({nodes, username, password, tls})
+ */
+function parseRedisUrl(redisUrl) {
+  const match = MULTI_NODE_URL.exec(redisUrl);
+  if (!match) {
+    return { mode: 'standalone', url: redisUrl };
+  }
+  
+  const [, scheme, auth, hosts, path, query] = match;
+  const params = new URLSearchParams(query || '');
+  const isSentinel = scheme === 'redis-sentinel';
+  
+  // user:password, :password or user, as in redis:// URLs
+  const separator = auth ? auth.indexOf(':') : -1;
+  const username = auth ? decodeURIComponent(separator === -1 ? auth : auth.slice(0, separator)) : '';
+  const password = separator === -1 ? '' : decodeURIComponent(auth.slice(separator + 1));
+  
+  const config = {
+    mode: isSentinel ? 'sentinel' : 'cluster',
+    nodes: hosts.split(',').filter((entry) => entry.trim()).map((entry) => parseNode(entry, isSentinel ? 26379 : 6379)),
+    username: username || undefined,
+    password: password || undefined,
+    tls: params.get('tls') === 'true' || params.get('tls') === '1'
+  };
+  
+  if (isSentinel) {
+    config.masterName = decodeURIComponent(path || '') || 'mymaster';
+    config.database = parseInt(params.get('db'), 10) || 0;
+    config.sentinelUsername = params.get('sentinelUsername') || undefined;
+    config.sentinelPassword = params.get('sentinelPassword') || undefined;
+  }
+  
+  return config;
+}
+
 /**
  * Gets or initializes the Redis client and ensures connection
  * Supports versioned Redis URLs for instance rotation
@@ -52,8 +224,8 @@ function getRedisUrl() {
  */
 async function getRedisClient() {
   // Return existing client if already connected and ready
-  if (redis && redis.isReady) {
-    return redis;
+  if (active.client && active.client.isReady) {
+    return active.client;
   }
   
   // Get appropriate Redis URL based on versioning system
@@ -65,102 +237,500 @@ async function getRedisClient() {
     return null;
   }
   
-  // If we're in the process of connecting, wait for that to finish
-  if (isConnecting && connectionPromise) {
+  return connect(active, redisUrl);
+}
+
+/**
+ * Gets or initializes the client for the instance being rotated out
+ * 
+ * @returns {Promise<Object|null>} Redis client, or null when no rotation is
+ *   configured or the previous instance cannot be reached
+ */
+async function getPreviousRedisClient() {
+  const redisUrl = getPreviousRedisUrl();
+  if (!redisUrl) {
+    return null;
+  }
+  
+  return connect(previous, redisUrl);
+}
+
+/**
+ * Records the last error of a connection
+ * 
+ * @param {Object} connection - Connection state
+ * @param {Error} err - Error
+ * @private
+ */
+function recordError(connection, err) {
+  connection.lastError = err?.message || String(err);
+  connection.lastErrorAt = new Date().toISOString();
+}
+
+/**
+ * Gives up a connection: closes its client and schedules the next attempt
+ * after the recovery delay
+ * 
+ * @param {Object} connection - Connection state
+ * @param {Object|null} redis - Client being given up, null when none was created
+ * @param {Error} err - Why
+ * @private
+ */
+function markFailed(connection, redis, err) {
+  // A client already replaced (after a failover, say) is not this connection's concern
+  if (redis && connection.client !== redis) return;
+  
+  connection.client = null;
+  connection.state = 'failed';
+  connection.failures++;
+  connection.failuresInRow++;
+  recordError(connection, err);
+  
+  const delay = Math.min(
+    connection.recoveryDelayMs * 2 ** (connection.failuresInRow - 1),
+    Math.max(RECONNECT_DEFAULTS.maxRecoveryDelayMs, connection.recoveryDelayMs)
+  );
+  connection.retryAt = Date.now() + delay;
+  console.error(`Redis connection (${connection.label}) failed, next attempt in ${delay}ms`);
+  
+  if (redis) {
+    // A client that stopped reconnecting is closed already, so this may reject
+    Promise.resolve().then(() => redis.disconnect()).catch(() => {});
+  }
+}
+
+/**
+ * Creates the reconnect strategy of a client: backs off, then gives the
+ * connection up after the maximum number of attempts
+ * 
+ * @param {Object} connection - Connection state
+ * @param {number} maxAttempts - Attempts before giving up
+ * @param {function(): Object} getClient - Returns the client the strategy belongs to
+ * @returns {function(number, Error): (number|Error)} node-redis reconnectStrategy
+ * @private
+ */
+function createReconnectStrategy(connection, maxAttempts, getClient) {
+  return (retries, cause) => {
+    console.log(`Redis reconnect attempt #${retries} (${connection.label})`);
+    if (retries > maxAttempts) {
+      console.error(`Max Redis reconnect attempts reached (${connection.label})`);
+      markFailed(connection, getClient(), cause || new Error('Max Redis reconnect attempts reached'));
+      return new Error('Max Redis reconnect attempts reached');
+    }
+    return Math.min(retries * 100, 3000); // Increase delay with each retry, max 3s
+  };
+}
+
+/**
+ * Sends one command to a sentinel over a short-lived connection
+ * 
+ * @param {Object} config - Sentinel settings (see parseRedisUrl)
+ * @param {{host: string, port: number}} node - Sentinel address
+ * @param {Array<string>} args - Command and arguments
+ * @returns {Promise<*>} Reply
+ * @private
+ */
+async function querySentinel(config, node, args) {
+  const client = createClient({
+    username: config.sentinelUsername,
+    password: config.sentinelPassword,
+    socket: {
+      host: node.host,
+      port: node.port,
+      tls: config.tls,
+      connectTimeout: RECONNECT_DEFAULTS.sentinelTimeoutMs,
+      reconnectStrategy: false
+    }
+  });
+  // Failures reach the caller through the rejected promise
+  client.on('error', () => {});
+  
+  try {
+    await client.connect();
+    return await client.sendCommand(args);
+  } finally {
+    client.disconnect().catch(() => {});
+  }
+}
+
+/**
+ * Asks the sentinels, in turn, for the address of the primary
+ * 
+ * @param {Object} config - Sentinel settings (see parseRedisUrl)
+ * @returns {Promise<{host: string, port: number}>} Primary address
+ * @throws {Error} When no sentinel can name the primary
+ * @private
+ */
+async function resolveSentinelPrimary(config) {
+  for (const node of config.nodes) {
     try {
-      await connectionPromise;
-      return redis;
+      const reply = await querySentinel(config, node, ['SENTINEL', 'GET-MASTER-ADDR-BY-NAME', config.masterName]);
+      if (Array.isArray(reply) && reply.length === 2) {
+        return { host: String(reply[0]), port: parseInt(reply[1], 10) };
+      }
+      console.warn(`Sentinel ${node.host}:${node.port} does not know master ${config.masterName}`);
     } catch (err) {
-      console.error('Waiting for Redis connection failed:', err);
-      return null;
+      console.warn(`Sentinel ${node.host}:${node.port} could not be asked for ${config.masterName}:`, err.message);
     }
   }
+  throw new Error(`No sentinel could name the primary of ${config.masterName}`);
+}
+
+/**
+ * Drops the client of a connection whose primary moved, so the next call
+ * connects to the new one
+ * 
+ * @param {Object} connection - Connection state
+ * @param {string} address - host:port of the new primary
+ * @private
+ */
+function handleFailover(connection, address) {
+  const sentinel = connection.sentinel;
+  if (address === sentinel.primary) return;
+  
+  console.warn(`Redis primary of ${sentinel.masterName} moved from ${sentinel.primary} to ${address} (${connection.label})`);
+  sentinel.failovers++;
+  sentinel.lastFailoverAt = new Date().toISOString();
+  
+  const redis = connection.client;
+  connection.client = null;
+  connection.state = 'idle';
+  connection.retryAt = 0;
+  if (redis) {
+    redis.disconnect().catch(() => {});
+  }
+}
+
+/**
+ * Subscribes to +switch-master on the first sentinel that answers, so
+ * failovers are followed as soon as they are announced. The watcher checks
+ * the primary again whenever it reconnects, in case it missed the
+ * announcement. Does nothing while a watcher is running or starting.
+ * 
+ * @param {Object} connection - Connection state
+ * @param {Object} config - Sentinel settings (see parseRedisUrl)
+ * @private
+ */
+async function watchSentinels(connection, config) {
+  const sentinel = connection.sentinel;
+  if (sentinel.watcher || sentinel.watcherStarting) return;
+  sentinel.watcherStarting = true;
   
-  // Create new client and connect
   try {
-    isConnecting = true;
-    
-    // Create connection promise that we can await
-    connectionPromise = new Promise((resolve, reject) => {
-      console.log('Creating new Redis client...');
-      console.log('Using Redis version identifier:', process.env.REDIS_URL_ACTIVE || 'default');
-      
-      // Create Redis client
-      redis = createClient({
-        url: redisUrl,
+    for (const node of config.nodes) {
+      let readyCount = 0;
+      const watcher = createClient({
+        username: config.sentinelUsername,
+        password: config.sentinelPassword,
         socket: {
+          host: node.host,
+          port: node.port,
+          tls: config.tls,
+          connectTimeout: RECONNECT_DEFAULTS.sentinelTimeoutMs,
           reconnectStrategy: (retries) => {
-            console.log(`Redis reconnect attempt #${retries}`);
-            if (retries > 5) {
-              console.error('Max Redis reconnect attempts reached');
-              return new Error('Max Redis reconnect attempts reached');
+            if (retries >= RECONNECT_DEFAULTS.sentinelMaxAttempts) {
+              // Started again, on any sentinel, by the next call that finds the client ready
+              if (sentinel.watcher === watcher) sentinel.watcher = null;
+              return new Error('Sentinel watcher gave up');
             }
-            return Math.min(retries * 100, 3000); // Increase delay with each retry, max 3s
+            return Math.min(retries * 100, 3000);
           }
         }
       });
       
-      // Handle connection events
-      redis.on('error', (err) => {
-        console.error('Redis Client Error:', err);
-        reject(err);
-      });
-      
-      redis.on('connect', () => {
-        console.log('Redis client connected');
+      watcher.on('error', (err) => {
+        console.warn(`Sentinel watcher error (${connection.label}):`, err.message);
       });
-      
-      redis.on('ready', () => {
-        console.log('Redis client ready');
-        resolve(redis);
-      });
-      
-      redis.on('reconnecting', () => {
-        console.log('Redis client reconnecting');
+      watcher.on('ready', () => {
+        readyCount++;
+        if (readyCount === 1) return;
+        resolveSentinelPrimary(config)
+          .then((primary) => handleFailover(connection, `${primary.host}:${primary.port}`))
+          .catch(() => {});
       });
       
-      redis.on('end', () => {
-        console.log('Redis client connection ended');
-        redis = null;
-      });
-      
-      // Connect to Redis
-      redis.connect().catch(err => {
-        console.error('Failed to connect to Redis:', err);
-        redis = null;
-        reject(err);
-      });
+      try {
+        await watcher.connect();
+        await watcher.subscribe('+switch-master', (message) => {
+          // <master name> <old ip> <old port> <new ip> <new port>
+          const [name, , , host, port] = String(message).split(' ');
+          if (name === config.masterName) {
+            handleFailover(connection, `${host}:${port}`);
+          }
+        });
+        sentinel.watcher = watcher;
+        sentinel.watching = `${node.host}:${node.port}`;
+        return;
+      } catch (err) {
+        console.warn(`Sentinel ${node.host}:${node.port} cannot be watched (${connection.label}):`, err.message);
+        watcher.disconnect().catch(() => {});
+      }
+    }
+  } finally {
+    sentinel.watcherStarting = false;
+  }
+}
+
+/**
+ * Creates a client for the configured mode and waits until it is ready
+ * 
+ * @param {Object} connection - Connection state
+ * @param {Object} config - Settings (see parseRedisUrl)
+ * @returns {Promise<Object>} Ready client, also stored on the connection
+ * @private
+ */
+async function openClient(connection, config) {
+  let redis;
+  const maxAttempts = config.mode === 'sentinel'
+    ? Math.min(RECONNECT_DEFAULTS.maxAttempts, RECONNECT_DEFAULTS.sentinelMaxAttempts)
+    : RECONNECT_DEFAULTS.maxAttempts;
+  const reconnectStrategy = createReconnectStrategy(connection, maxAttempts, () => redis);
+  
+  if (config.mode === 'cluster') {
+    redis = wrapCluster(createCluster({
+      rootNodes: config.nodes.map(({ host, port }) => ({ socket: { host, port } })),
+      defaults: {
+        username: config.username,
+        password: config.password,
+        socket: { tls: config.tls, reconnectStrategy }
+      }
+    }));
+  } else if (config.mode === 'sentinel') {
+    if (!connection.sentinel) {
+      connection.sentinel = {
+        masterName: config.masterName,
+        sentinels: config.nodes.map(({ host, port }) => `${host}:${port}`),
+        primary: null,
+        failovers: 0,
+        lastFailoverAt: null,
+        watcher: null,
+        watcherStarting: false,
+        watching: null
+      };
+    }
+    
+    const primary = await resolveSentinelPrimary(config);
+    connection.sentinel.primary = `${primary.host}:${primary.port}`;
+    redis = createClient({
+      username: config.username,
+      password: config.password,
+      database: config.database,
+      socket: { host: primary.host, port: primary.port, tls: config.tls, reconnectStrategy }
     });
+  } else {
+    redis = createClient({
+      url: config.url,
+      socket: { reconnectStrategy }
+    });
+  }
+  connection.client = redis;
+  
+  // Handle connection events
+  redis.on('error', (err) => {
+    console.error(`Redis Client Error (${connection.label}):`, err);
+    if (connection.client === redis) recordError(connection, err);
+  });
+  
+  redis.on('connect', () => {
+    console.log(`Redis client connected (${connection.label})`);
+  });
+  
+  redis.on('ready', () => {
+    console.log(`Redis client ready (${connection.label})`);
+    if (connection.client === redis) connection.state = 'ready';
+  });
+  
+  redis.on('reconnecting', () => {
+    console.log(`Redis client reconnecting (${connection.label})`);
+    if (connection.client === redis) connection.state = 'reconnecting';
+  });
+  
+  redis.on('end', () => {
+    console.log(`Redis client connection ended (${connection.label})`);
+    if (connection.client === redis) {
+      connection.client = null;
+      connection.state = 'idle';
+    }
+  });
+  
+  // The first error fails the attempt, instead of node-redis retrying in the
+  // background while callers wait
+  await new Promise((resolve, reject) => {
+    const onError = (err) => reject(err);
+    redis.once('error', onError);
+    redis.connect().then(() => {
+      redis.off('error', onError);
+      resolve();
+    }, reject);
+  });
+  
+  if (config.mode === 'sentinel') {
+    // A sentinel can briefly name a primary that was just demoted
+    const [role] = await redis.sendCommand(['ROLE']);
+    if (String(role) !== 'master') {
+      throw new Error(`${connection.sentinel.primary} is a ${role}, not the primary of ${config.masterName}`);
+    }
+    watchSentinels(connection, config);
+  }
+  
+  connection.state = 'ready';
+  connection.failuresInRow = 0;
+  connection.retryAt = 0;
+  return redis;
+}
+
+/**
+ * Returns a connection's client, connecting first when needed. A connection
+ * that failed is only opened again once its recovery delay has passed.
+ * 
+ * @param {Object} connection - Connection state (active or previous)
+ * @param {string} redisUrl - URL to connect to
+ * @returns {Promise<Object|null>} Redis client instance or null if connection failed
+ * @private
+ */
+async function connect(connection, redisUrl) {
+  // Return existing client if already connected and ready
+  if (connection.client && connection.client.isReady) {
+    // Restart the failover watcher if it gave up
+    if (connection.sentinel && !connection.sentinel.watcher) {
+      watchSentinels(connection, parseRedisUrl(redisUrl));
+    }
+    return connection.client;
+  }
+  
+  // If we're in the process of connecting, wait for that to finish
+  if (connection.isConnecting && connection.connectionPromise) {
+    try {
+      await connection.connectionPromise;
+      return connection.client;
+    } catch (err) {
+      console.error(`Waiting for Redis connection (${connection.label}) failed:`, err);
+      return null;
+    }
+  }
+  
+  // node-redis is reconnecting this client; run without it until it is back or gives up
+  if (connection.client) {
+    return null;
+  }
+  
+  // Back off after a failure instead of retrying on every call
+  if (connection.state === 'failed' && Date.now() < connection.retryAt) {
+    return null;
+  }
+  
+  // Create new client and connect
+  const recovering = connection.state === 'failed';
+  try {
+    connection.isConnecting = true;
+    connection.state = 'connecting';
+    
+    const config = parseRedisUrl(redisUrl);
+    console.log(`Creating new Redis client (${connection.label}, ${config.mode})...`);
+    console.log('Using Redis version identifier:', connection === active
+      ? process.env.REDIS_URL_ACTIVE || 'default'
+      : process.env.REDIS_URL_PREVIOUS);
+    
+    // Create connection promise that we can await
+    connection.connectionPromise = openClient(connection, config);
     
     // Wait for connection to be established
-    await connectionPromise;
-    return redis;
+    await connection.connectionPromise;
+    if (recovering) {
+      connection.recoveries++;
+      console.log(`Redis connection recovered (${connection.label})`);
+    }
+    return connection.client;
   } catch (err) {
-    console.error('Redis connection failed:', err);
-    redis = null;
+    console.error(`Redis connection failed (${connection.label}):`, err);
+    markFailed(connection, connection.client, err);
     return null;
   } finally {
-    isConnecting = false;
-    connectionPromise = null;
+    connection.isConnecting = false;
+    connection.connectionPromise = null;
+  }
+}
+
+/**
+ * Describes the health of a connection
+ * 
+ * @param {Object} connection - Connection state
+ * @param {string|null} redisUrl - URL the connection uses
+ * @returns {Object} Connection details
+ * @private
+ */
+function describeConnection(connection, redisUrl) {
+  const isReady = connection.client?.isReady || false;
+  let state = connection.state;
+  if (isReady) {
+    state = 'ready';
+  } else if (connection.client && state === 'ready') {
+    // A cluster node reconnecting leaves the client open but not ready
+    state = 'reconnecting';
+  }
+  
+  const details = {
+    exists: !!connection.client,
+    isReady,
+    isConnecting: connection.isConnecting,
+    mode: redisUrl ? parseRedisUrl(redisUrl).mode : null,
+    state,
+    failures: connection.failures,
+    recoveries: connection.recoveries,
+    lastError: connection.lastError,
+    lastErrorAt: connection.lastErrorAt,
+    nextRetryAt: state === 'failed' && connection.retryAt > Date.now()
+      ? new Date(connection.retryAt).toISOString()
+      : null
+  };
+  
+  if (connection.sentinel) {
+    const { masterName, sentinels, primary, watching, failovers, lastFailoverAt } = connection.sentinel;
+    details.sentinel = { masterName, sentinels, primary, watching, failovers, lastFailoverAt };
   }
+  if (connection.client?.isCluster) {
+    details.cluster = {
+      primaries: connection.client.masters.length,
+      replicas: connection.client.replicas.length
+    };
+  }
+  
+  return details;
 }
 
 /**
  * Gets Redis client connection status including version information
  * 
- * @returns {Object} Status object with connection details
+ * @returns {Object} Status object with connection details: mode (standalone,
+ *   sentinel or cluster), state (idle, connecting, ready, reconnecting or
+ *   failed), failure and recovery counts, the last error, when a failed
+ *   connection is retried, and Sentinel or Cluster details
  */
 function getRedisStatus() {
+  const rotation = getRotationConfig();
+  if (rotation.active) {
+    // Required here: redisRotation itself requires this module
+    const { getRotationStats } = require('./redisRotation');
+    Object.assign(rotation, {
+      previous: describeConnection(previous, getPreviousRedisUrl()),
+      ...getRotationStats()
+    });
+  }
+  
+  const redisUrl = getRedisUrl();
   return {
-    exists: !!redis,
-    isReady: redis?.isReady || false,
-    isConnecting,
+    ...describeConnection(active, redisUrl),
     versionIdentifier: process.env.REDIS_URL_ACTIVE || 'default',
-    hasUrl: !!getRedisUrl()
+    hasUrl: !!redisUrl,
+    rotation
   };
 }
 
 module.exports = {
   getRedisClient,
-  getRedisStatus
+  getPreviousRedisClient,
+  getRotationConfig,
+  getRedisStatus,
+  parseRedisUrl,
+  RECONNECT_DEFAULTS
 };
\ No newline at end of file
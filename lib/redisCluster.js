@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Redis Cluster Adapter
+ *
+ * The rest of the application talks to Redis through the single-node client
+ * API. A node-redis cluster client covers most of it, routing each command by
+ * its first key, but not everything the cache relies on. This module wraps a
+ * cluster client so it can stand in for a single-node client:
+ * - isReady, true once every primary has a ready connection
+ * - PING, answered by a primary
+ * - SCAN across all primaries, with a single numeric cursor
+ * - DEL, UNLINK and EXISTS over keys in different hash slots
+ * - MULTI, queued and run command by command on exec (not atomic, as the keys
+ *   may live on different nodes)
+ *
+ * Every other command goes to the cluster client unchanged.
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @namespace redisCluster
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+/**
+ * Commands whose keys are counted one by one, since multi-key commands fail
+ * with CROSSSLOT when the keys hash to different slots
+ * @type {Array<string>}
+ * @constant
+ * @private
+ */
+const PER_KEY_COMMANDS = ['del', 'unlink', 'exists'];
+
+/**
+ * Gets the primaries in a stable order, so scan cursors keep pointing at the
+ * same node between calls
+ *
+ * @param {Object} cluster - node-redis cluster client
+ * @returns {Array<Object>} Primary nodes, sorted by address
+ * @private
+ */
+function getPrimaries(cluster) {
+    return [...cluster.masters].sort((a, b) => a.address.localeCompare(b.address));
+}
+
+/**
+ * Checks whether every primary has a ready connection
+ *
+ * @param {Object} cluster - node-redis cluster client
+ * @returns {boolean} Whether commands can be sent to any slot
+ * @private
+ */
+function isClusterReady(cluster) {
+    const primaries = cluster.masters;
+    return cluster.isOpen && primaries.length > 0 &&
+        primaries.every((node) => node.client && node.client.isReady === true);
+}
+
+/**
+ * Scans the whole cluster one primary at a time. The cursor encodes both the
+ * primary and its own SCAN cursor (nodeCursor * primaries + nodeIndex), so 0
+ * still means "start" and "done". A scan that spans a topology change may
+ * repeat or miss keys, which SCAN allows anyway.
+ *
+ * @param {Object} cluster - node-redis cluster client
+ * @param {number|string} cursor - Cursor from the previous call, 0 to start
+ * @param {Object} [options] - SCAN options (MATCH, COUNT, TYPE)
+ * @returns {Promise<{cursor: number, keys: Array<string>}>} Next cursor and keys
+ * @private
+ */
+async function scanCluster(cluster, cursor, options) {
+    const primaries = getPrimaries(cluster);
+    if (primaries.length === 0) return { cursor: 0, keys: [] };
+
+    const position = Number(cursor) || 0;
+    const nodeIndex = position % primaries.length;
+    const nodeCursor = Math.floor(position / primaries.length);
+
+    const client = await cluster.nodeClient(primaries[nodeIndex]);
+    const reply = await client.scan(nodeCursor, options);
+    const next = Number(reply.cursor);
+
+    if (next !== 0) {
+        return { cursor: next * primaries.length + nodeIndex, keys: reply.keys };
+    }
+    // This primary is done; carry on with the next one, or finish
+    return {
+        cursor: nodeIndex + 1 < primaries.length ? nodeIndex + 1 : 0,
+        keys: reply.keys
+    };
+}
+
+/**
+ * Runs a multi-key command key by key and adds up the replies
+ *
+ * @param {Object} cluster - node-redis cluster client
+ * @param {string} command - Command method (del, unlink or exists)
+ * @param {string|Array<string>} keys - Keys
+ * @returns {Promise<number>} Sum of the replies
+ * @private
+ */
+async function runPerKey(cluster, command, keys) {
+    if (!Array.isArray(keys)) return cluster[command](keys);
+
+    const replies = await Promise.all(keys.map((key) => cluster[command](key)));
+    return replies.reduce((sum, reply) => sum + Number(reply), 0);
+}
+
+/**
+ * Creates a MULTI stand-in: commands are queued, then run on exec. Replies come
+ * back in order; when any command fails, exec throws with the replies (failed
+ * ones as errors) on error.replies.
+ *
+ * @param {Object} adapter - Wrapped cluster client the commands run on
+ * @returns {Object} Chainable command queue with exec()
+ * @private
+ */
+function createMulti(adapter) {
+    const queue = [];
+
+    const multi = new Proxy({}, {
+        get(target, prop) {
+            if (prop === 'exec' || prop === 'execAsPipeline') {
+                return async () => {
+                    const results = await Promise.allSettled(
+                        queue.map(([command, args]) => adapter[command](...args))
+                    );
+                    const replies = results.map((result) =>
+                        result.status === 'fulfilled' ? result.value : result.reason
+                    );
+
+                    const failed = results.find((result) => result.status === 'rejected');
+                    if (failed) {
+                        const error = new Error(`Cluster multi failed: ${failed.reason.message}`);
+                        error.replies = replies;
+                        throw error;
+                    }
+                    return replies;
+                };
+            }
+            // Not a thenable, so it can be returned from async functions
+            if (typeof prop !== 'string' || prop === 'then') return undefined;
+
+            return (...args) => {
+                queue.push([prop, args]);
+                return multi;
+            };
+        }
+    });
+    return multi;
+}
+
+/**
+ * Wraps a cluster client so it can be used like a single-node client
+ *
+ * @param {Object} cluster - node-redis cluster client (createCluster)
+ * @returns {Object} Adapter exposing the single-node client API
+ */
+function wrapCluster(cluster) {
+    const adapter = new Proxy(cluster, {
+        get(target, prop) {
+            if (prop === 'isReady') return isClusterReady(target);
+            if (prop === 'isCluster') return true;
+            if (prop === 'ping') {
+                return async () => {
+                    const client = await target.nodeClient(getPrimaries(target)[0]);
+                    return client.ping();
+                };
+            }
+            if (prop === 'scan') return (cursor, options) => scanCluster(target, cursor, options);
+            if (prop === 'multi') return () => createMulti(adapter);
+            if (PER_KEY_COMMANDS.includes(prop)) return (keys) => runPerKey(target, prop, keys);
+
+            const value = Reflect.get(target, prop, target);
+            // The cluster client keeps its state in private fields, so methods
+            // must run on it and not on the proxy
+            return typeof value === 'function' ? value.bind(target) : value;
+        }
+    });
+    return adapter;
+}
+
+module.exports = {
+    wrapCluster
+};
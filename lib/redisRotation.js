@@ -0,0 +1,449 @@
+/**
+ * @fileoverview Zero-Downtime Redis Instance Rotation
+ *
+ * Pointing REDIS_URL_ACTIVE at a new instance used to be a hard cut that
+ * started with an empty cache. Setting REDIS_URL_PREVIOUS to the instance
+ * being retired turns on rotation mode until the variable is removed:
+ * - Cache writes and deletes go to both instances, so switching back stays possible
+ * - Reads that miss the new instance fall back to the old one, and entries
+ *   found there are promoted to the new instance with their remaining TTL
+ * - A background copier moves recently used entries across, keystroke
+ *   namespaces first, so the old instance can be retired without a cold cache
+ *
+ * Copy progress is kept in the new instance, so whichever instance is running
+ * carries on where another stopped; a short lease makes sure only one copies
+ * at a time. Progress and counters are reported by redisClient.getRedisStatus().
+ *
+ * @author Victor Chimenti
+ * @version 1.0.1
+ * @namespace redisRotation
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+const commonUtils = require('./commonUtils');
+const { getRedisClient, getPreviousRedisClient, getRotationConfig } = require('./redisClient');
+const { NAMESPACE_ENDPOINTS, getSchemaVersion } = require('./cacheKey');
+
+/**
+ * Rotation settings, overridable through the environment
+ * @type {{readTimeoutMs: number, copyBatchSize: number, copyIntervalMs: number, minTtlSeconds: number, maxIdleSeconds: number}}
+ * @constant
+ */
+const ROTATION_DEFAULTS = {
+    // Fallback reads happen on cache misses, so they must give up quickly
+    readTimeoutMs: parseInt(process.env.REDIS_ROTATION_READ_TIMEOUT_MS, 10) || 500,
+    copyBatchSize: parseInt(process.env.REDIS_ROTATION_COPY_BATCH, 10) || 200,
+    copyIntervalMs: parseInt(process.env.REDIS_ROTATION_COPY_INTERVAL_MS, 10) || 250,
+    // Entries about to expire, or not read for a day, are not worth copying
+    minTtlSeconds: parseInt(process.env.REDIS_ROTATION_MIN_TTL, 10) || 60,
+    maxIdleSeconds: parseInt(process.env.REDIS_ROTATION_MAX_IDLE, 10) || 86400
+};
+
+/**
+ * Namespaces in the order they are copied (keystroke namespaces first)
+ * @type {Array<string>}
+ * @constant
+ * @private
+ */
+const COPY_NAMESPACES = Object.keys(NAMESPACE_ENDPOINTS);
+
+/**
+ * Hash in the new instance holding copy progress
+ * @type {string}
+ * @constant
+ */
+const COPY_STATE_KEY = 'rotation:copy';
+
+/**
+ * Lease held by the instance that is copying
+ * @type {string}
+ * @constant
+ * @private
+ */
+const COPY_LEASE_KEY = 'lock:rotation-copy';
+
+/**
+ * Lease length in seconds; also how long to wait when another instance holds it
+ * @type {number}
+ * @constant
+ * @private
+ */
+const COPY_LEASE_TTL = 30;
+
+/**
+ * How long copy progress is kept after the last step, in seconds
+ * @type {number}
+ * @constant
+ * @private
+ */
+const COPY_STATE_TTL = 31 * 24 * 60 * 60;
+
+/**
+ * Service name used in logs
+ * @type {string}
+ * @constant
+ * @private
+ */
+const SERVICE = 'redis-rotation';
+
+/**
+ * Counters for this instance and the last copy progress it has seen
+ * @type {Object}
+ * @private
+ */
+const stats = {
+    fallbackReads: 0,
+    fallbackHits: 0,
+    promoted: 0,
+    dualWrites: 0,
+    dualWriteErrors: 0,
+    copy: { state: 'idle' }
+};
+
+/**
+ * Copier state for this instance
+ * @type {{running: boolean, owner: string}}
+ * @private
+ */
+const copier = { running: false, owner: commonUtils.generateRequestId() };
+
+/**
+ * Rejects when a promise takes longer than a limit
+ *
+ * @param {Promise} promise - Operation
+ * @param {number} ms - Limit in milliseconds
+ * @param {string} label - Operation name for the error message
+ * @returns {Promise} The operation's result
+ * @private
+ */
+function withTimeout(promise, ms, label) {
+    let timer;
+    return Promise.race([
+        promise,
+        new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error(`${label} timed out`)), ms);
+        })
+    ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Checks whether a rotation is in progress
+ *
+ * @returns {boolean} Whether REDIS_URL_PREVIOUS names an instance other than the active one
+ */
+function isRotationActive() {
+    return getRotationConfig().active;
+}
+
+/**
+ * Reads a key from the previous instance after a miss on the active one.
+ * A value found there is promoted to the active instance with its remaining
+ * TTL, without waiting for the write.
+ *
+ * @param {string} key - Cache key
+ * @returns {Promise<string|null>} Stored value, or null when not found, not
+ *   rotating, or the previous instance is unavailable or slow
+ */
+async function readFromPrevious(key) {
+    if (!isRotationActive()) return null;
+    stats.fallbackReads++;
+
+    try {
+        const previous = await getPreviousRedisClient();
+        if (!previous || !previous.isReady) return null;
+
+        const [value, ttlMs] = await withTimeout(
+            Promise.all([previous.get(key), previous.pTTL(key)]),
+            ROTATION_DEFAULTS.readTimeoutMs,
+            'Previous Redis read'
+        );
+        if (!value) return null;
+
+        stats.fallbackHits++;
+        promote(key, value, ttlMs);
+        return value;
+    } catch (error) {
+        console.error('DEBUG - Rotation fallback read failed:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Copies a value to the active instance unless it already has the key
+ *
+ * @param {string} key - Cache key
+ * @param {string} value - Stored value
+ * @param {number} ttlMs - Remaining TTL in milliseconds
+ * @returns {Promise<boolean>} Whether the value was written
+ * @private
+ */
+async function promote(key, value, ttlMs) {
+    // -1 (no expiry) never happens for cache keys; -2 means it expired meanwhile
+    if (!(ttlMs > 0)) return false;
+
+    try {
+        const redis = await getRedisClient();
+        if (!redis || !redis.isReady) return false;
+
+        // NX: never replace a newer value written since the miss
+        const written = (await redis.set(key, value, { NX: true, PX: ttlMs })) === 'OK';
+        if (written) stats.promoted++;
+        return written;
+    } catch (error) {
+        console.error('DEBUG - Rotation promotion failed:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Writes a value to the previous instance as well, so it stays current
+ * until the rotation ends. Never rejects.
+ *
+ * @param {string} key - Cache key
+ * @param {string} value - Stored value
+ * @param {number} ttlSeconds - TTL in seconds
+ * @returns {Promise<boolean>} Whether the value was written (false when not rotating)
+ */
+async function writeToPrevious(key, value, ttlSeconds) {
+    if (!isRotationActive()) return false;
+
+    try {
+        const previous = await getPreviousRedisClient();
+        if (!previous || !previous.isReady) return false;
+
+        await withTimeout(previous.set(key, value, { EX: ttlSeconds }), 3000, 'Previous Redis set');
+        stats.dualWrites++;
+        return true;
+    } catch (error) {
+        stats.dualWriteErrors++;
+        console.error('DEBUG - Rotation dual write failed:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Deletes keys from the previous instance as well, so a fallback read cannot
+ * bring back an invalidated entry
+ *
+ * @param {Array<string>} keys - Cache keys
+ * @returns {Promise<number>} Number of keys deleted (0 when not rotating)
+ */
+async function deleteFromPrevious(keys) {
+    if (!isRotationActive() || keys.length === 0) return 0;
+
+    const previous = await getPreviousRedisClient();
+    if (!previous || !previous.isReady) return 0;
+
+    return previous.del(keys);
+}
+
+/**
+ * Reads copy progress from the active instance, starting over when it
+ * belongs to an earlier rotation
+ *
+ * @param {Object} redis - Active Redis client
+ * @param {string} from - Previous instance's variable name
+ * @returns {Promise<Object>} Copy progress
+ * @private
+ */
+async function readCopyState(redis, from) {
+    const stored = await redis.hGetAll(COPY_STATE_KEY);
+    if (stored && stored.from === from) {
+        return {
+            ...stored,
+            namespaceIndex: parseInt(stored.namespaceIndex, 10) || 0,
+            cursor: parseInt(stored.cursor, 10) || 0,
+            copied: parseInt(stored.copied, 10) || 0,
+            existing: parseInt(stored.existing, 10) || 0,
+            skipped: parseInt(stored.skipped, 10) || 0
+        };
+    }
+
+    commonUtils.logEvent('info', 'rotation_copy_started', SERVICE, { from, to: getRotationConfig().to });
+    return {
+        from,
+        state: 'running',
+        namespaceIndex: 0,
+        cursor: 0,
+        copied: 0,
+        existing: 0,
+        skipped: 0,
+        startedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Copies one batch of keys. Keys close to expiry or idle for too long are
+ * skipped; keys the active instance already has are left alone.
+ *
+ * @param {Object} redis - Active Redis client
+ * @param {Object} previous - Previous Redis client
+ * @param {Array<string>} keys - Keys to copy
+ * @returns {Promise<{copied: number, existing: number, skipped: number}>} Counts
+ * @private
+ */
+async function copyKeys(redis, previous, keys) {
+    const counts = { copied: 0, existing: 0, skipped: 0 };
+    if (keys.length === 0) return counts;
+
+    // Idle time first, as GET resets it
+    const reads = previous.multi();
+    keys.forEach((key) => reads.objectIdleTime(key).get(key).pTTL(key));
+    // OBJECT IDLETIME fails under an LFU eviction policy; treat those keys as hot
+    const replies = await reads.exec().catch((error) => {
+        if (error.replies) return error.replies;
+        throw error;
+    });
+
+    const writes = redis.multi();
+    let queued = 0;
+    keys.forEach((key, index) => {
+        const [idleSeconds, value, ttlMs] = replies.slice(index * 3, index * 3 + 3);
+        const idle = typeof idleSeconds === 'number' ? idleSeconds : 0;
+
+        if (typeof value !== 'string' || !(ttlMs > ROTATION_DEFAULTS.minTtlSeconds * 1000) ||
+            idle > ROTATION_DEFAULTS.maxIdleSeconds) {
+            counts.skipped++;
+            return;
+        }
+        writes.set(key, value, { NX: true, PX: ttlMs });
+        queued++;
+    });
+
+    if (queued > 0) {
+        for (const reply of await writes.exec()) {
+            if (reply === 'OK') counts.copied++;
+            else counts.existing++;
+        }
+    }
+    return counts;
+}
+
+/**
+ * Runs one copy step while holding the lease
+ *
+ * @returns {Promise<number|null>} Delay before the next step in milliseconds,
+ *   or null when the copy is finished
+ * @private
+ */
+async function copyStep() {
+    const { from } = getRotationConfig();
+    const [redis, previous] = await Promise.all([getRedisClient(), getPreviousRedisClient()]);
+    if (!redis || !redis.isReady || !previous || !previous.isReady) {
+        return COPY_LEASE_TTL * 1000;
+    }
+
+    // Take the lease, or extend it when this instance already holds it
+    let leased = (await redis.set(COPY_LEASE_KEY, copier.owner, { NX: true, EX: COPY_LEASE_TTL })) === 'OK';
+    if (!leased && (await redis.get(COPY_LEASE_KEY)) === copier.owner) {
+        await redis.expire(COPY_LEASE_KEY, COPY_LEASE_TTL);
+        leased = true;
+    }
+
+    const state = await readCopyState(redis, from);
+    stats.copy = { ...state, copyingHere: leased };
+    if (state.state === 'done') return null;
+    // Another instance is copying; check again once its lease could have lapsed
+    if (!leased) return COPY_LEASE_TTL * 1000;
+
+    // Entries of an older schema version are never read again, so only the current one is copied
+    const namespace = COPY_NAMESPACES[state.namespaceIndex];
+    const reply = await previous.scan(state.cursor, {
+        MATCH: `${namespace}:v${getSchemaVersion(namespace)}:*`,
+        COUNT: ROTATION_DEFAULTS.copyBatchSize
+    });
+
+    // SCAN can return a key twice; NX makes a second copy harmless
+    const counts = await copyKeys(redis, previous, [...new Set(reply.keys)]);
+    state.copied += counts.copied;
+    state.existing += counts.existing;
+    state.skipped += counts.skipped;
+    state.namespace = namespace;
+    state.cursor = Number(reply.cursor);
+
+    if (state.cursor === 0) {
+        state.namespaceIndex++;
+        if (state.namespaceIndex >= COPY_NAMESPACES.length) {
+            state.state = 'done';
+            state.finishedAt = new Date().toISOString();
+            commonUtils.logEvent('info', 'rotation_copy_finished', SERVICE, {
+                from,
+                copied: state.copied,
+                existing: state.existing,
+                skipped: state.skipped
+            });
+        }
+    }
+    state.updatedAt = new Date().toISOString();
+
+    await redis.hSet(COPY_STATE_KEY, Object.fromEntries(
+        Object.entries(state).map(([name, value]) => [name, String(value)])
+    ));
+    await redis.expire(COPY_STATE_KEY, COPY_STATE_TTL);
+    stats.copy = { ...state, copyingHere: true };
+
+    return state.state === 'done' ? null : ROTATION_DEFAULTS.copyIntervalMs;
+}
+
+/**
+ * Runs copy steps until the copy is finished or the rotation ends
+ *
+ * @private
+ */
+async function runCopier() {
+    let delay;
+    try {
+        delay = await copyStep();
+    } catch (error) {
+        commonUtils.logEvent('warn', 'rotation_copy_failed', SERVICE, { error: error.message });
+        delay = COPY_LEASE_TTL * 1000;
+    }
+
+    if (delay === null || !isRotationActive()) {
+        copier.running = false;
+        return;
+    }
+
+    const timer = setTimeout(runCopier, delay);
+    // Never keep a process alive just for the copier
+    if (timer.unref) timer.unref();
+}
+
+/**
+ * Starts the background copier when a rotation is in progress. Safe to call
+ * often: it does nothing while the copier runs or once the copy has finished.
+ */
+function startRotationCopier() {
+    if (!isRotationActive() || copier.running || stats.copy.state === 'done') return;
+
+    copier.running = true;
+    runCopier();
+}
+
+/**
+ * Gets this instance's rotation counters and the copy progress it last saw
+ *
+ * @returns {Object} Fallback reads and hits, promotions, dual writes and copy progress
+ */
+function getRotationStats() {
+    return {
+        fallbackReads: stats.fallbackReads,
+        fallbackHits: stats.fallbackHits,
+        promoted: stats.promoted,
+        dualWrites: stats.dualWrites,
+        dualWriteErrors: stats.dualWriteErrors,
+        copy: { ...stats.copy, running: copier.running }
+    };
+}
+
+module.exports = {
+    isRotationActive,
+    readFromPrevious,
+    writeToPrevious,
+    deleteFromPrevious,
+    startRotationCopier,
+    getRotationStats,
+    ROTATION_DEFAULTS,
+    COPY_STATE_KEY
+};
@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Request Coalescing for Identical Cache Misses
+ *
+ * When many users type the same program name at once, every cache miss
+ * called Funnelback before the first response had been cached. This module
+ * lets identical misses, identified by their canonical cache key, share one
+ * upstream call (single flight):
+ * - Within an instance, followers await the leader's in-flight promise
+ * - Across instances, the leader holds a short Redis lock; followers on other
+ *   instances wait while it is held, then read the entry the leader cached
+ *
+ * Followers only get a body the leader would cache. When the leader fails or
+ * its body is not cacheable, followers call Funnelback themselves. The
+ * pipeline (see handlerPipeline) decides who leads and serves the followers.
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @namespace requestCoalescer
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+const { acquireLock, releaseLock, isLockHeld } = require('./cacheService');
+
+/**
+ * Coalescing settings, overridable through the environment
+ * @type {{lockTtl: number, waitMs: number, pollMs: number}}
+ * @constant
+ */
+const COALESCE_DEFAULTS = {
+    // Covers a full search with its retry; a crashed leader frees the lock after this
+    lockTtl: parseInt(process.env.CACHE_COALESCE_LOCK_TTL, 10) || 10,
+    // Followers on other instances call Funnelback themselves after this
+    waitMs: parseInt(process.env.CACHE_COALESCE_WAIT_MS, 10) || 2000,
+    pollMs: 100
+};
+
+/**
+ * Prefix of the Redis locks held by leaders
+ * @type {string}
+ * @constant
+ */
+const FILL_LOCK_PREFIX = 'lock:fill:';
+
+/**
+ * In-flight misses on this instance, by cache key
+ * @type {Map<string, Promise<*>>}
+ * @private
+ */
+const flights = new Map();
+
+/**
+ * Checks whether coalescing is enabled (CACHE_COALESCING=off disables it)
+ *
+ * @returns {boolean} Whether identical misses are coalesced
+ */
+function isCoalescingEnabled() {
+    return process.env.CACHE_COALESCING !== 'off';
+}
+
+/**
+ * Gets the in-flight miss for a key on this instance
+ *
+ * @param {string} key - Canonical cache key
+ * @returns {Promise<*>|null} Resolves with the leader's body, or null when it
+ *   has none to share (never rejects); null when no miss is in flight
+ */
+function getFlight(key) {
+    return flights.get(key) || null;
+}
+
+/**
+ * Registers this request as the leader for a key on this instance
+ *
+ * @param {string} key - Canonical cache key
+ * @returns {{key: string, settled: boolean, settle: function(*): void}} Flight;
+ *   settle(body) hands the body to followers (null when there is none) and
+ *   ends the flight. Only the first call counts.
+ */
+function startFlight(key) {
+    let resolveFlight;
+    const promise = new Promise((resolve) => {
+        resolveFlight = resolve;
+    });
+    flights.set(key, promise);
+
+    const flight = {
+        key,
+        settled: false,
+        settle(body) {
+            if (flight.settled) return;
+            flight.settled = true;
+            if (flights.get(key) === promise) flights.delete(key);
+            resolveFlight(body ?? null);
+        }
+    };
+    return flight;
+}
+
+/**
+ * Takes the cross-instance lock for a key
+ *
+ * @param {string} key - Canonical cache key
+ * @param {string} owner - Value identifying the leader (its request ID)
+ * @returns {Promise<boolean>} Whether this request leads across instances
+ */
+async function acquireFillLock(key, owner) {
+    return acquireLock(`${FILL_LOCK_PREFIX}${key}`, owner, COALESCE_DEFAULTS.lockTtl);
+}
+
+/**
+ * Releases the cross-instance lock for a key once the entry is cached
+ *
+ * @param {string} key - Canonical cache key
+ * @param {string} owner - Value the lock was taken with
+ * @returns {Promise<boolean>} Whether the lock was released
+ */
+async function releaseFillLock(key, owner) {
+    return releaseLock(`${FILL_LOCK_PREFIX}${key}`, owner);
+}
+
+/**
+ * Waits while another instance holds the lock for a key
+ *
+ * @param {string} key - Canonical cache key
+ * @returns {Promise<boolean>} Whether the lock was released within the wait;
+ *   false when the wait ran out
+ */
+async function waitForFillLock(key) {
+    const deadline = Date.now() + COALESCE_DEFAULTS.waitMs;
+
+    while (Date.now() < deadline) {
+        await new Promise((resolve) => setTimeout(resolve, COALESCE_DEFAULTS.pollMs));
+        if (!(await isLockHeld(`${FILL_LOCK_PREFIX}${key}`))) return true;
+    }
+    return false;
+}
+
+module.exports = {
+    isCoalescingEnabled,
+    getFlight,
+    startFlight,
+    acquireFillLock,
+    releaseFillLock,
+    waitForFillLock,
+    COALESCE_DEFAULTS,
+    FILL_LOCK_PREFIX
+};
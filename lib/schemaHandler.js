@@ -6,14 +6,43 @@
  * IP tracking. Now includes integration with commonUtils for improved consistency.
  *
  * @author Victor Chimenti
- * @version 3.1.0
+ * @version 3.4.1
  * @namespace schemaHandler
  * @license MIT
- * @lastmodified 2025-04-30
+ * @lastmodified 2026-10-19
  */
 
 const commonUtils = require("./commonUtils");
 
+/**
+ * Cache states recorded in the cacheState field
+ * @type {Array<string>}
+ * @constant
+ */
+const CACHE_STATES = ["miss", "fresh", "stale", "revalidated", "coalesced", "prefix", "bypass"];
+
+/**
+ * Cache states in which the response was served from the cache. The boolean
+ * cacheHit field is true for these, as it was before cache states existed.
+ * @type {Array<string>}
+ * @constant
+ */
+const CACHE_HIT_STATES = ["fresh", "stale", "revalidated", "prefix"];
+
+/**
+ * Normalizes a cache state. Booleans from older clients map to
+ * fresh (true) and miss (false).
+ *
+ * @param {string|boolean} cacheState - Cache state or legacy boolean
+ * @returns {string|null} Cache state, or null when unknown
+ */
+function normalizeCacheState(cacheState) {
+    if (typeof cacheState === "boolean") {
+        return cacheState ? "fresh" : "miss";
+    }
+    return CACHE_STATES.includes(cacheState) ? cacheState : null;
+}
+
 /**
  * Creates a standardized analytics data object with consistent schema
  * Ensures all properties have proper null checks and default values
@@ -35,6 +64,9 @@ function createStandardAnalyticsData(data) {
         })
     );
 
+    // Cache state, falling back to a legacy cacheHit value (boolean or state)
+    const cacheState = normalizeCacheState(data.cacheState ?? data.cacheHit);
+
     // Basic required fields with defaults
     const standardData = {
         // Required fields - these should never be null
@@ -66,7 +98,13 @@ function createStandardAnalyticsData(data) {
         hasResults: Boolean(
             data.hasResults || (data.resultCount && data.resultCount > 0)
         ),
-        cacheHit: typeof data.cacheHit === "boolean" ? data.cacheHit : null,
+        cacheHit:
+            typeof data.cacheHit === "boolean"
+                ? data.cacheHit
+                : cacheState
+                  ? CACHE_HIT_STATES.includes(cacheState)
+                  : null,
+        cacheState,
         cacheSet: typeof data.cacheSet === "boolean" ? data.cacheSet : null,
 
         // Tab information
@@ -114,6 +152,7 @@ function createStandardAnalyticsData(data) {
             totalSuggestions: data.resultCount || 0,
             suggestionsData: [],
             cacheHit: standardData.cacheHit || false,
+            cacheState: standardData.cacheState || "miss",
             cacheSet: standardData.cacheSet || false,
         };
     } else if (data.handler === "suggestPeople" && !data.enrichmentData) {
@@ -121,6 +160,7 @@ function createStandardAnalyticsData(data) {
             resultCount: data.resultCount || 0,
             staffData: [],
             cacheHit: standardData.cacheHit || false,
+            cacheState: standardData.cacheState || "miss",
             cacheSet: standardData.cacheSet || false,
         };
     } else if (data.handler === "suggestPrograms" && !data.enrichmentData) {
@@ -129,6 +169,7 @@ function createStandardAnalyticsData(data) {
             programData: [],
             queryTime: 0,
             cacheHit: standardData.cacheHit || false,
+            cacheState: standardData.cacheState || "miss",
             cacheSet: standardData.cacheSet || false,
         };
     }
@@ -413,4 +454,7 @@ module.exports = {
     extractTabInfo,
     createRequestAnalytics,
     validateAnalyticsData,
+    normalizeCacheState,
+    CACHE_STATES,
+    CACHE_HIT_STATES,
 };
@@ -0,0 +1,159 @@
+/**
+ * @fileoverview Cache Policy for HTML Search Results
+ *
+ * Decides which search.html responses may be cached and under which key.
+ * The search pages are the most expensive upstream calls, so search.js and
+ * server.js cache them in Redis like the suggestion handlers do. A page is
+ * only reused for a request that would get exactly the same HTML.
+ *
+ * Features:
+ * - Facet-aware cache key: query, collection, profile, form, f.* facets, start_rank and sort
+ * - Per-collection soft/hard TTL and maximum entry size, set under
+ *   namespaces.search.collections in cache.config.json (see cachePolicy)
+ * - Requests with parameters outside the key are not cached
+ * - Personalized and location-sensitive requests and pages are never cached
+ *
+ * @author Victor Chimenti
+ * @version 1.3.0
+ * @namespace searchCachePolicy
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+const commonUtils = require('./commonUtils');
+
+/**
+ * Parameters that make up the cache key. f.* facet parameters are added
+ * by pattern.
+ * @type {Array<string>}
+ * @constant
+ */
+const SEARCH_CACHE_KEY_PARAMS = ['query', 'collection', 'profile', 'form', 'start_rank', 'sort'];
+
+/**
+ * Facet parameters included in the cache key
+ * @type {RegExp}
+ * @constant
+ * @private
+ */
+const FACET_PARAM_PATTERN = /^f\./;
+
+/**
+ * Parameters and sort modes whose results depend on the user or their location
+ * @type {{params: Array<string>, sorts: Array<string>}}
+ * @constant
+ */
+const PERSONALIZED_REQUEST = {
+    params: ['origin', 'maxdist', 'userKeys'],
+    sorts: ['prox']
+};
+
+/**
+ * Markup that only appears in personalized or location-triggered pages:
+ * session history and cart blocks, and blocks the template marks explicitly
+ * (e.g. curator messages with a location trigger)
+ * @type {Array<RegExp>}
+ * @constant
+ */
+const PERSONALIZED_MARKUP = [
+    /\bdata-fb-(?:personali[sz]ed|geo)\b/i,
+    /\bid=["']search-(?:history|cart)["']/i
+];
+
+/**
+ * Builds the cache key parameters for a sanitized search request.
+ * cacheService canonicalizes them (case, whitespace, facet value order).
+ *
+ * @param {Object} params - Sanitized parameters (with defaults applied)
+ * @returns {Object} Parameters identifying the cached page
+ */
+function getSearchCacheKey(params = {}) {
+    const key = {};
+
+    for (const [name, value] of Object.entries(params)) {
+        if (SEARCH_CACHE_KEY_PARAMS.includes(name) || FACET_PARAM_PATTERN.test(name)) {
+            key[name] = value;
+        }
+    }
+
+    return key;
+}
+
+/**
+ * Checks whether a search request may use the cache. Requests with
+ * constraints outside the cache key (meta_*, gscope1, query_and, ...) or
+ * with personalized or location-sensitive parameters are not cached.
+ *
+ * @param {Object} params - Sanitized parameters
+ * @returns {{cacheable: boolean, reason: string|null}} Result
+ */
+function checkSearchCacheable(params = {}) {
+    for (const name of Object.keys(params)) {
+        if (PERSONALIZED_REQUEST.params.includes(name)) {
+            return { cacheable: false, reason: 'personalized_param' };
+        }
+        if (!SEARCH_CACHE_KEY_PARAMS.includes(name) && !FACET_PARAM_PATTERN.test(name)) {
+            return { cacheable: false, reason: 'param_outside_key' };
+        }
+    }
+
+    if (PERSONALIZED_REQUEST.sorts.includes(params.sort)) {
+        return { cacheable: false, reason: 'personalized_sort' };
+    }
+
+    return { cacheable: true, reason: null };
+}
+
+/**
+ * Checks whether a rendered page contains personalized or location-triggered markup
+ *
+ * @param {string} html - search.html response
+ * @returns {boolean} Whether the page is personalized
+ */
+function isPersonalizedPage(html) {
+    return PERSONALIZED_MARKUP.some((pattern) => pattern.test(String(html || '')));
+}
+
+/**
+ * Builds the pipeline cache definition shared by the HTML search handlers
+ *
+ * @returns {Object} Cache definition for createHandler
+ */
+function createSearchCache() {
+    return {
+        namespace: 'search',
+        // The key carries the collection, which picks the collection's policy
+        key: (ctx) => getSearchCacheKey(ctx.params),
+        cacheable(ctx) {
+            const { cacheable, reason } = checkSearchCacheable(ctx.params);
+            if (!cacheable) {
+                commonUtils.logEvent('debug', 'cache_bypassed', ctx.service, {
+                    requestId: ctx.requestId,
+                    reason
+                });
+            }
+            return cacheable;
+        },
+        // Zero-result pages are cached briefly and oversized ones skipped by cacheService
+        shouldStore(body, ctx) {
+            if (isPersonalizedPage(body)) {
+                commonUtils.logEvent('debug', 'cache_store_skipped', ctx.service, {
+                    requestId: ctx.requestId,
+                    reason: 'personalized_page'
+                });
+                return false;
+            }
+            return true;
+        }
+    };
+}
+
+module.exports = {
+    createSearchCache,
+    getSearchCacheKey,
+    checkSearchCacheable,
+    isPersonalizedPage,
+    SEARCH_CACHE_KEY_PARAMS,
+    PERSONALIZED_REQUEST,
+    PERSONALIZED_MARKUP
+};
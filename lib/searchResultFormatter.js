@@ -0,0 +1,248 @@
+/**
+ * @fileoverview Search Result Formatter for Funnelback search.json Responses
+ *
+ * Reshapes a raw Funnelback search.json response into the stable JSON schema
+ * served by /proxy/funnelback/results, so frontends no longer need to scrape
+ * the partial HTML. Also normalizes the facets block for the tools facets view.
+ *
+ * Features:
+ * - Cleaned titles and summaries (HTML tags, entities and site suffix removed)
+ * - Result metadata flattened from listMetadata, always as arrays of strings
+ * - Pagination derived from resultsSummary (pages, previous/next start ranks)
+ * - Spelling suggestion and best bets (curator exhibits and legacy best bets)
+ * - Normalized facets with the parameter needed to select each value
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @namespace searchResultFormatter
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+/**
+ * Version of the response schema; bumped on breaking changes to the shape
+ * @type {number}
+ * @constant
+ */
+const RESULTS_SCHEMA_VERSION = 1;
+
+/**
+ * Site name Funnelback appends to page titles
+ * @type {RegExp}
+ * @constant
+ * @private
+ */
+const TITLE_SUFFIX_PATTERN = /\s*[|\-–]\s*Seattle University\s*$/i;
+
+/**
+ * Named HTML entities that appear in Funnelback titles and summaries
+ * @type {Object<string, string>}
+ * @constant
+ * @private
+ */
+const HTML_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' ',
+    ndash: '–',
+    mdash: '—',
+    hellip: '…'
+};
+
+/**
+ * Removes HTML tags, decodes common entities and collapses whitespace
+ *
+ * @param {*} value - Raw text from Funnelback
+ * @returns {string} Plain text
+ */
+function cleanText(value) {
+    if (value === null || value === undefined) return '';
+
+    return String(value)
+        .replace(/<[^>]+>/g, '')
+        .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+            if (code[0] === '#') {
+                const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+                return Number.isNaN(point) ? entity : String.fromCodePoint(point);
+            }
+            return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+        })
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Cleans a result title: plain text without the trailing site name
+ *
+ * @param {string} title - Raw title from Funnelback
+ * @returns {string} Cleaned title
+ */
+function cleanTitle(title) {
+    return cleanText(title).replace(TITLE_SUFFIX_PATTERN, '');
+}
+
+/**
+ * Flattens listMetadata into cleaned string arrays, dropping empty values
+ *
+ * @param {Object} listMetadata - Result listMetadata from Funnelback
+ * @returns {Object<string, Array<string>>} Metadata by field name
+ * @private
+ */
+function formatMetadata(listMetadata = {}) {
+    const metadata = {};
+
+    for (const [field, values] of Object.entries(listMetadata || {})) {
+        const cleaned = (Array.isArray(values) ? values : [values])
+            .map(cleanText)
+            .filter(Boolean);
+
+        if (cleaned.length > 0) {
+            metadata[field] = cleaned;
+        }
+    }
+
+    return metadata;
+}
+
+/**
+ * Formats a single search result
+ *
+ * @param {Object} result - Result from resultPacket.results
+ * @returns {Object} Normalized result
+ * @private
+ */
+function formatResult(result) {
+    return {
+        rank: result.rank ?? null,
+        title: cleanTitle(result.title),
+        url: result.liveUrl || null,
+        displayUrl: result.displayUrl || result.liveUrl || null,
+        summary: cleanText(result.summary || result.listMetadata?.c?.[0]) || null,
+        date: result.date ? new Date(result.date).toISOString() : null,
+        fileType: result.fileType || null,
+        metadata: formatMetadata(result.listMetadata)
+    };
+}
+
+/**
+ * Builds pagination from resultsSummary
+ *
+ * @param {Object} summary - resultPacket.resultsSummary
+ * @returns {Object} Pagination block
+ * @private
+ */
+function formatPagination(summary = {}) {
+    const totalResults = summary.totalMatching || 0;
+    const pageSize = summary.numRanks || 0;
+    const start = summary.currStart || 0;
+
+    return {
+        totalResults,
+        start,
+        end: summary.currEnd || 0,
+        pageSize,
+        currentPage: pageSize > 0 && start > 0 ? Math.floor((start - 1) / pageSize) + 1 : 1,
+        totalPages: pageSize > 0 ? Math.ceil(totalResults / pageSize) : 0,
+        previousStart: summary.prevStart || null,
+        nextStart: summary.nextStart || null
+    };
+}
+
+/**
+ * Extracts the spelling suggestion, if Funnelback offered one
+ *
+ * @param {Object} resultPacket - Funnelback resultPacket
+ * @returns {{suggestion: string}|null} Spelling block
+ * @private
+ */
+function formatSpelling(resultPacket = {}) {
+    const suggestion = cleanText(resultPacket.spell?.text);
+    return suggestion ? { suggestion } : null;
+}
+
+/**
+ * Collects best bets from curator exhibits and the legacy bestBets list
+ *
+ * @param {Object} response - Funnelback response object
+ * @returns {Array<Object>} Best bets
+ * @private
+ */
+function formatBestBets(response = {}) {
+    const exhibits = (response.curator?.exhibits || [])
+        .filter((exhibit) => exhibit.linkUrl || exhibit.displayUrl)
+        .map((exhibit) => ({
+            title: cleanText(exhibit.titleHtml || exhibit.title),
+            url: exhibit.linkUrl || exhibit.displayUrl,
+            description: cleanText(exhibit.descriptionHtml || exhibit.description) || null
+        }));
+
+    const legacy = (response.resultPacket?.bestBets || []).map((bestBet) => ({
+        title: cleanText(bestBet.title),
+        url: bestBet.link || bestBet.clickTrackingUrl || null,
+        description: cleanText(bestBet.description) || null
+    }));
+
+    return [...exhibits, ...legacy].filter((bestBet) => bestBet.url);
+}
+
+/**
+ * Normalizes the facets block of a Funnelback search.json response
+ *
+ * @param {Object} data - Parsed search.json response
+ * @returns {Object} Normalized facet payload
+ */
+function formatFacets(data) {
+    const response = data?.response || {};
+
+    return {
+        totalResults: response.resultPacket?.resultsSummary?.totalMatching || 0,
+        facets: (response.facets || []).map((facet) => ({
+            name: facet.name,
+            values: (facet.allValues || facet.values || []).map((value) => ({
+                label: value.label,
+                count: value.count ?? null,
+                selected: Boolean(value.selected),
+                param: value.queryStringParamName || null,
+                value: value.queryStringParamValue ?? value.data ?? null
+            }))
+        }))
+    };
+}
+
+/**
+ * Formats a full search.json response into the results schema
+ *
+ * @param {Object} data - Parsed search.json response
+ * @param {Object} params - Parameters sent upstream
+ * @returns {Object} Normalized search results
+ */
+function formatSearchResults(data, params = {}) {
+    const response = data?.response || {};
+    const resultPacket = response.resultPacket || {};
+
+    return {
+        schemaVersion: RESULTS_SCHEMA_VERSION,
+        query: {
+            text: params.query || '',
+            collection: params.collection || null,
+            profile: params.profile || null
+        },
+        pagination: formatPagination(resultPacket.resultsSummary),
+        queryTime: resultPacket.resultsSummary?.queryTime || 0,
+        spelling: formatSpelling(resultPacket),
+        bestBets: formatBestBets(response),
+        results: (resultPacket.results || []).map(formatResult),
+        facets: formatFacets(data).facets
+    };
+}
+
+module.exports = {
+    formatSearchResults,
+    formatFacets,
+    cleanTitle,
+    cleanText,
+    RESULTS_SCHEMA_VERSION
+};
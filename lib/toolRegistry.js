@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Funnelback Tool Registry
+ *
+ * Declares the Funnelback tool views that /proxy/funnelback/tools may reach.
+ * The tools handler used to append the client's `path` parameter to the
+ * Funnelback base URL verbatim; now the path must name a registered tool,
+ * which fixes the upstream path, the parameters that may be forwarded and
+ * the shape of the response returned to the client.
+ *
+ * Features:
+ * - Allowlist of tool names mapped to fixed upstream paths
+ * - Per-tool parameter policies enforced through paramRegistry
+ * - Rejection of traversal, encoded and absolute paths before lookup
+ * - Response contract per tool: raw HTML, or a normalized JSON envelope
+ *
+ * @author Victor Chimenti
+ * @version 1.1.0
+ * @namespace toolRegistry
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+const { COLLECTIONS, PROFILES, SEARCH_PARAM_PATTERNS } = require('./paramRegistry');
+const { formatFacets } = require('./searchResultFormatter');
+
+/**
+ * Shape a tool name must have: lower-case words separated by '-' or '.'
+ * @type {RegExp}
+ * @constant
+ * @private
+ */
+const TOOL_NAME_PATTERN = /^[a-z][a-z0-9]*(?:[.-][a-z0-9]+)*$/;
+
+/**
+ * Pages the cache tool may show: our own sites only
+ * @type {RegExp}
+ * @constant
+ * @private
+ */
+const CACHE_URL_PATTERN = /^https?:\/\/(?:[a-z0-9-]+\.)*seattleu\.edu(?:[/?#]|$)/i;
+
+/**
+ * Registered tools, keyed by the value clients send as `path`.
+ *
+ * - upstream: path relative to the Funnelback base URL
+ * - responseType: 'html' (passed through) or 'json' (wrapped by format)
+ * - policy: paramRegistry policy for the tool's query parameters
+ * - format: builds the `data` field of a JSON response
+ *
+ * @type {Object<string, Object>}
+ * @constant
+ */
+const TOOLS = {
+    cache: {
+        description: 'Cached copy of an indexed page',
+        upstream: 'cache',
+        responseType: 'html',
+        policy: {
+            params: ['url', 'collection', 'profile', 'hl'],
+            allowedValues: {
+                url: CACHE_URL_PATTERN,
+                collection: [COLLECTIONS.SEARCH],
+                profile: PROFILES
+            },
+            required: ['url'],
+            defaults: {
+                collection: COLLECTIONS.SEARCH,
+                profile: '_default'
+            }
+        }
+    },
+    facets: {
+        description: 'Facet values and counts for a query',
+        upstream: 'search.json',
+        responseType: 'json',
+        policy: {
+            params: ['query', 'collection', 'profile'],
+            patterns: SEARCH_PARAM_PATTERNS,
+            allowedValues: {
+                collection: [COLLECTIONS.SEARCH],
+                profile: PROFILES
+            },
+            defaults: {
+                collection: COLLECTIONS.SEARCH,
+                profile: '_default'
+            },
+            fixed: {
+                num_ranks: '0'
+            }
+        },
+        format: formatFacets
+    }
+};
+
+/**
+ * Resolves the `path` parameter to a registered tool. Anything that is not a
+ * plain tool name (slashes, dots used for traversal, encoded characters,
+ * absolute URLs) is rejected before the lookup.
+ *
+ * @param {*} path - Raw `path` query parameter
+ * @returns {{valid: boolean, tool?: Object, name?: string, error?: string}} Resolution result
+ */
+function resolveTool(path) {
+    if (typeof path !== 'string' || path.trim() === '') {
+        return { valid: false, error: 'path is required' };
+    }
+
+    const name = path.trim();
+
+    if (!TOOL_NAME_PATTERN.test(name) || name.includes('..')) {
+        return { valid: false, error: 'path is not a valid tool name' };
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(TOOLS, name)) {
+        return { valid: false, error: `Unknown tool: ${name}` };
+    }
+
+    return { valid: true, name, tool: TOOLS[name] };
+}
+
+/**
+ * Lists the registered tools for error responses and documentation
+ *
+ * @returns {Array<string>} Tool names
+ */
+function listTools() {
+    return Object.keys(TOOLS);
+}
+
+module.exports = {
+    resolveTool,
+    listTools,
+    TOOLS
+};
@@ -4,10 +4,15 @@
  * This middleware intercepts requests before they reach the API handlers and
  * provides critical infrastructure-level functionality:
  *
- * - Rate limiting to prevent abuse and DDoS attacks
+ * - Rate limiting to prevent abuse and DDoS attacks, counted in a store
+ *   shared by every edge instance (lib/rateLimitStore.js) with an in-memory
+ *   fallback when it is unreachable
  * - IP address preservation for accurate analytics
  * - Session ID generation and tracking
  * - Request header augmentation
+ * - CORS preflight answers and CORS headers on every response (including 429s)
+ *   from the shared policy in lib/corsPolicy.js
+ * - RATE_LIMITED responses in the shared error envelope (lib/errorResponse.js)
  *
  * The middleware uses different rate limits for different endpoint types,
  * with higher limits for suggestion endpoints that are called during typing
@@ -19,18 +24,15 @@
  * at the edge before requests reach serverless functions.
  *
  * @author Victor Chimenti
- * @version 3.1.0
- * @lastModified 2025-04-30
+ * @version 3.5.0
+ * @lastModified 2026-10-19
  * @module middleware
  * @license MIT
  */
 
-/**
- * In-memory cache mapping IP addresses to their rate limiting data
- * @type {Map<string, Object>}
- * @private
- */
-const ipCache = new Map();
+import corsPolicy from "./lib/corsPolicy.js";
+import errorResponse from "./lib/errorResponse.js";
+import rateLimitStore from "./lib/rateLimitStore.js";
 
 /**
  * Time window for rate limiting in milliseconds
@@ -62,20 +64,20 @@ const LIMITS = {
 };
 
 /**
- * Cleans up expired entries from the IP cache
- * This helps prevent memory leaks in long-running edge functions
+ * Sets the X-RateLimit-* headers from the count in the store
  *
+ * @param {Headers} headers - Response headers to modify
+ * @param {number} rateLimit - Limit for the endpoint
+ * @param {{count: number, resetTime: number}} rateData - Count and window reset time
  * @private
- * @function
- * @returns {void}
  */
-function cleanupCache() {
-  const now = Date.now();
-  for (const [key, value] of ipCache.entries()) {
-    if (now > value.resetTime) {
-      ipCache.delete(key);
-    }
-  }
+function setRateLimitHeaders(headers, rateLimit, rateData) {
+  headers.set("X-RateLimit-Limit", rateLimit.toString());
+  headers.set(
+    "X-RateLimit-Remaining",
+    Math.max(rateLimit - rateData.count, 0).toString()
+  );
+  headers.set("X-RateLimit-Reset", rateData.resetTime.toString());
 }
 
 /**
@@ -179,6 +181,36 @@ function logSessionInfo(request, sessionId, wasGenerated, requestId) {
   );
 }
 
+/**
+ * Applies the shared CORS policy to a set of response headers. The matching
+ * request origin is echoed back; Vary: Origin is merged with any existing
+ * Vary value so caches keep per-origin variants apart.
+ *
+ * @param {Headers} headers - Response headers to modify
+ * @param {Request} request - The incoming request
+ * @param {string} path - Request path used to pick route rules
+ * @param {boolean} [preflight=false] - Whether this answers an OPTIONS preflight
+ * @private
+ */
+function applyCorsHeaders(headers, request, path, preflight = false) {
+  const corsHeaders = corsPolicy.getCorsHeaders({
+    origin: request.headers.get("origin"),
+    path,
+    preflight,
+  });
+
+  for (const [name, value] of Object.entries(corsHeaders)) {
+    if (name === "Vary" && headers.has("Vary")) {
+      const existing = headers.get("Vary");
+      if (!existing.toLowerCase().split(/\s*,\s*/).includes("origin")) {
+        headers.set("Vary", `${existing}, ${value}`);
+      }
+    } else {
+      headers.set(name, value);
+    }
+  }
+}
+
 /**
  * Middleware function that processes requests at the edge
  *
@@ -186,20 +218,40 @@ function logSessionInfo(request, sessionId, wasGenerated, requestId) {
  * @returns {Promise<Response>} The modified response
  */
 export default async function middleware(request) {
+  return processRequest(request, fetch);
+}
+
+/**
+ * Applies rate limiting, IP preservation and session handling to a request,
+ * then hands the augmented request to the supplied forwarder. On Vercel the
+ * forwarder is the platform fetch; the local server (index.js) passes one
+ * that targets its in-process origin.
+ *
+ * @param {Request} request - The incoming request object
+ * @param {function(Request): Promise<Response>} forward - Sends a request on to the origin
+ * @returns {Promise<Response>} The modified response
+ */
+export async function processRequest(request, forward) {
   // Generate request ID for tracing
   const requestId = `req_${Date.now()}_${Math.random()
     .toString(36)
     .substring(2, 10)}`;
 
-  // Clean up expired entries
-  cleanupCache();
-
   const url = new URL(request.url);
   const path = url.pathname;
 
-  // Handle OPTIONS requests specially to maintain CORS
+  // Answer CORS preflights here so they never count against rate limits;
+  // other OPTIONS requests go to the handler as before
   if (request.method === "OPTIONS") {
-    return fetch(request);
+    if (
+      request.headers.has("origin") &&
+      request.headers.has("access-control-request-method")
+    ) {
+      const preflightResponse = new Response(null, { status: 204 });
+      applyCorsHeaders(preflightResponse.headers, request, path, true);
+      return preflightResponse;
+    }
+    return forward(request);
   }
 
   // Start with logging the incoming request
@@ -234,6 +286,7 @@ export default async function middleware(request) {
     rateLimit = LIMITS.suggestPrograms;
   } else if (
     path.includes("/proxy/funnelback/search") ||
+    path.includes("/proxy/funnelback/results") ||
     path.includes("/proxy/funnelback/spelling")
   ) {
     rateLimit = LIMITS.search;
@@ -244,73 +297,62 @@ export default async function middleware(request) {
     rateLimit = LIMITS.analytics;
   }
 
-  // Initialize or get current rate limit data
-  if (!ipCache.has(clientIp)) {
-    ipCache.set(clientIp, {
-      count: 0,
-      resetTime: now + WINDOW_MS,
-    });
-  }
-
-  const rateData = ipCache.get(clientIp);
+  // Count the request in the shared store (in memory when it is unavailable)
+  const store = rateLimitStore.getRateLimitStore();
+  const rateData = await store.hit(clientIp, {
+    limit: rateLimit,
+    windowMs: WINDOW_MS,
+    id: requestId,
+  });
 
-  // Reset counter if time window has elapsed
-  if (now > rateData.resetTime) {
-    rateData.count = 0;
-    rateData.resetTime = now + WINDOW_MS;
+  if (rateData.error) {
+    console.log(
+      JSON.stringify({
+        timestamp: new Date().toISOString(),
+        service: "edge-middleware",
+        requestId,
+        event: "rate_limit_store_fallback",
+        store: rateData.store,
+        error: rateData.error,
+      })
+    );
   }
 
-  // Increment counter
-  rateData.count++;
-
   // Check if rate limit is exceeded
   if (rateData.count > rateLimit) {
+    const retryAfter = Math.max(
+      Math.ceil((rateData.resetTime - now) / 1000),
+      1
+    );
+    const body = errorResponse.createErrorBody("RATE_LIMITED", {
+      requestId,
+      retryAfter,
+    });
+    const format = errorResponse.negotiateFormat(
+      request.headers.get("accept")
+    );
+
     const response = new Response(
-      JSON.stringify({
-        error: "Too many requests",
-        retryAfter: Math.ceil((rateData.resetTime - now) / 1000),
-      }),
+      format === "html"
+        ? errorResponse.renderErrorHtml(body)
+        : JSON.stringify(body),
       {
-        status: 429,
+        status: body.error.status,
         headers: {
-          "Content-Type": "application/json",
-          "Retry-After": Math.ceil(
-            (rateData.resetTime - now) / 1000
-          ).toString(),
+          "Content-Type":
+            format === "html"
+              ? "text/html; charset=utf-8"
+              : "application/json",
+          "Retry-After": retryAfter.toString(),
+          "X-Request-ID": requestId,
         },
       }
     );
 
-    // Add CORS headers to error responses
-    if (path.includes("/proxy/analytics")) {
-      response.headers.set(
-        "Access-Control-Allow-Origin",
-        "https://www.seattleu.edu"
-      );
-      response.headers.set(
-        "Access-Control-Allow-Methods",
-        "GET,OPTIONS,PATCH,DELETE,POST,PUT"
-      );
-      response.headers.set("Access-Control-Allow-Credentials", "true");
-      response.headers.set(
-        "Access-Control-Allow-Headers",
-        "X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Origin"
-      );
-    } else {
-      // Default CORS headers for other paths
-      response.headers.set(
-        "Access-Control-Allow-Origin",
-        "https://www.seattleu.edu"
-      );
-      response.headers.set(
-        "Access-Control-Allow-Methods",
-        "GET, POST, OPTIONS"
-      );
-      response.headers.set(
-        "Access-Control-Allow-Headers",
-        "Content-Type, Origin"
-      );
-    }
+    setRateLimitHeaders(response.headers, rateLimit, rateData);
+
+    // Add CORS headers to error responses so the browser can read the 429
+    applyCorsHeaders(response.headers, request, path);
 
     // Log rate limit exceeded
     console.log(
@@ -324,6 +366,7 @@ export default async function middleware(request) {
         rateLimit,
         currentCount: rateData.count,
         resetTime: new Date(rateData.resetTime).toISOString(),
+        store: rateData.store || store.name,
       })
     );
 
@@ -413,6 +456,8 @@ export default async function middleware(request) {
     body: request.body,
     redirect: request.redirect,
     signal: request.signal,
+    // Required by Node's fetch for streamed bodies, ignored by the edge runtime
+    duplex: "half",
   });
 
   // Log the modified request
@@ -434,7 +479,7 @@ export default async function middleware(request) {
   );
 
   // For successful requests, proceed with the modified request
-  const response = await fetch(newRequest);
+  const response = await forward(newRequest);
 
   // Log response status
   console.log(
@@ -452,14 +497,12 @@ export default async function middleware(request) {
   const newResponse = new Response(response.body, response);
 
   // Add rate limit information to headers
-  newResponse.headers.set("X-RateLimit-Limit", rateLimit.toString());
-  newResponse.headers.set(
-    "X-RateLimit-Remaining",
-    (rateLimit - rateData.count).toString()
-  );
-  newResponse.headers.set("X-RateLimit-Reset", rateData.resetTime.toString());
+  setRateLimitHeaders(newResponse.headers, rateLimit, rateData);
   newResponse.headers.set("X-Request-ID", requestId);
 
+  // Apply the shared CORS policy so every route answers the same way
+  applyCorsHeaders(newResponse.headers, request, path);
+
   return newResponse;
 }
 
@@ -0,0 +1,332 @@
+/**
+ * @fileoverview Offline Mock Funnelback Server
+ *
+ * Stand-in for the Squiz-hosted Funnelback service so handlers and their
+ * formatters can be developed and exercised with no network access. Serves
+ * /s/search.html, /s/search.json, /s/suggest.json and the /s/cache tool from
+ * fixture files, and can record real upstream responses into new fixtures.
+ *
+ * Features:
+ * - Fixture matching on query parameters (most specific match wins)
+ * - HTML fixtures with the totalMatching and spelling markup the handlers parse
+ * - JSON fixtures with resultPacket.results[].listMetadata for people and programs
+ * - Record mode that proxies to the real Funnelback and saves each response
+ * - X-Mock-Fixture response header naming the fixture that was served
+ *
+ * Usage:
+ *   node mock/funnelbackServer.js            # replay fixtures on port 4000
+ *   node mock/funnelbackServer.js --record   # proxy upstream and save fixtures
+ *   FUNNELBACK_BASE_URL=http://localhost:4000/s npm start
+ *
+ * @author Victor Chimenti
+ * @version 1.1.0
+ * @namespace funnelbackMock
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const express = require('express');
+
+/**
+ * Directory holding the bundled fixtures
+ * @type {string}
+ * @constant
+ */
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+/**
+ * Real Funnelback base URL used when recording
+ * @type {string}
+ * @constant
+ */
+const DEFAULT_UPSTREAM = 'https://dxp-us-search.funnelback.squiz.cloud/s';
+
+/**
+ * Endpoints served by the mock
+ * @type {Array<string>}
+ * @constant
+ */
+const MOCK_ENDPOINTS = ['search.html', 'search.json', 'suggest.json', 'cache'];
+
+/**
+ * Parameters ignored when matching and recording fixtures
+ * @type {Array<string>}
+ * @constant
+ * @private
+ */
+const IGNORED_PARAMS = ['sessionId'];
+
+/**
+ * Logs an event for the mock server in the standard structured format
+ *
+ * @param {string} level - Log level
+ * @param {string} event - Event name
+ * @param {Object} [data] - Additional data
+ * @private
+ */
+function logMockEvent(level, event, data = {}) {
+    console.log(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        service: 'funnelback-mock',
+        level,
+        event,
+        ...data
+    }));
+}
+
+/**
+ * Normalizes a parameter value for comparison
+ *
+ * @param {*} value - Raw parameter value (string or array)
+ * @returns {string} Lower-cased, trimmed string
+ * @private
+ */
+function normalizeValue(value) {
+    const single = Array.isArray(value) ? value[0] : value;
+    return String(single ?? '').trim().toLowerCase();
+}
+
+/**
+ * Loads every fixture under a directory. Each fixture is a JSON envelope:
+ * { endpoint, match, status, contentType, body } where the body may instead
+ * be kept in a sibling file referenced by bodyFile (handy for HTML).
+ *
+ * @param {string} [dir] - Fixture directory
+ * @returns {Array<Object>} Loaded fixtures with their file names
+ */
+function loadFixtures(dir = FIXTURES_DIR) {
+    if (!fs.existsSync(dir)) return [];
+
+    const fixtures = [];
+
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+        const fullPath = path.join(dir, entry.name);
+
+        if (entry.isDirectory()) {
+            fixtures.push(...loadFixtures(fullPath));
+            continue;
+        }
+
+        if (path.extname(entry.name) !== '.json') continue;
+
+        try {
+            const fixture = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+            if (!fixture.endpoint) continue;
+
+            if (fixture.bodyFile) {
+                fixture.body = fs.readFileSync(path.join(dir, fixture.bodyFile), 'utf8');
+            }
+
+            fixtures.push({
+                ...fixture,
+                match: fixture.match || {},
+                file: path.relative(FIXTURES_DIR, fullPath)
+            });
+        } catch (error) {
+            logMockEvent('warn', 'fixture_load_failed', { file: fullPath, error: error.message });
+        }
+    }
+
+    return fixtures;
+}
+
+/**
+ * Finds the fixture for a request. A fixture matches when every key in its
+ * match block equals the request parameter (case-insensitive); among
+ * matches, the one with the most keys wins so recorded fixtures take
+ * precedence over the bundled defaults.
+ *
+ * @param {Array<Object>} fixtures - Loaded fixtures
+ * @param {string} endpoint - Requested endpoint (e.g. 'search.json')
+ * @param {Object} params - Request query parameters
+ * @returns {Object|null} The best fixture, or null
+ */
+function findFixture(fixtures, endpoint, params) {
+    let best = null;
+    let bestScore = -1;
+
+    for (const fixture of fixtures) {
+        if (fixture.endpoint !== endpoint) continue;
+
+        const keys = Object.keys(fixture.match);
+        const matches = keys.every((key) => normalizeValue(params[key]) === normalizeValue(fixture.match[key]));
+
+        if (matches && keys.length > bestScore) {
+            best = fixture;
+            bestScore = keys.length;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Builds the match block and file name for a recorded response
+ *
+ * @param {string} endpoint - Requested endpoint
+ * @param {Object} params - Request query parameters
+ * @returns {{match: Object, fileName: string}} Match block and file name
+ * @private
+ */
+function describeRecording(endpoint, params) {
+    const match = Object.keys(params)
+        .filter((key) => !IGNORED_PARAMS.includes(key))
+        .sort()
+        .reduce((acc, key) => {
+            acc[key] = Array.isArray(params[key]) ? params[key][0] : params[key];
+            return acc;
+        }, {});
+
+    const hash = crypto.createHash('sha1').update(JSON.stringify({ endpoint, match })).digest('hex').substring(0, 8);
+    const slug = normalizeValue(match.query || match.partial_query || 'empty')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '')
+        .substring(0, 40) || 'empty';
+
+    return {
+        match,
+        fileName: `${endpoint.replace('.', '-')}-${slug}-${hash}.json`
+    };
+}
+
+/**
+ * Fetches a response from the real Funnelback and saves it as a fixture
+ *
+ * @param {Object} options - Recording options
+ * @param {string} options.upstream - Real Funnelback base URL
+ * @param {string} options.fixturesDir - Fixture directory
+ * @param {string} options.endpoint - Requested endpoint
+ * @param {Object} options.params - Request query parameters
+ * @param {Object} options.headers - Incoming request headers
+ * @returns {Promise<Object>} The recorded fixture
+ */
+async function recordFixture({ upstream, fixturesDir, endpoint, params, headers }) {
+    const response = await axios.get(`${upstream.replace(/\/+$/, '')}/${endpoint}`, {
+        params,
+        headers: {
+            Accept: headers.accept || '*/*',
+            'X-Forwarded-For': headers['x-forwarded-for'] || ''
+        },
+        responseType: 'text',
+        transformResponse: [(data) => data],
+        validateStatus: () => true,
+        timeout: 15000
+    });
+
+    const contentType = response.headers['content-type'] || 'text/plain';
+    let body = response.data;
+
+    if (contentType.includes('json')) {
+        try {
+            body = JSON.parse(response.data);
+        } catch (parseError) {
+            // Keep the raw text if upstream mislabels the payload
+        }
+    }
+
+    const { match, fileName } = describeRecording(endpoint, params);
+    const fixture = {
+        endpoint,
+        match,
+        status: response.status,
+        contentType,
+        recordedAt: new Date().toISOString(),
+        body
+    };
+
+    const recordDir = path.join(fixturesDir, 'recorded');
+    fs.mkdirSync(recordDir, { recursive: true });
+    fs.writeFileSync(path.join(recordDir, fileName), `${JSON.stringify(fixture, null, 2)}\n`);
+
+    logMockEvent('info', 'fixture_recorded', { endpoint, file: `recorded/${fileName}`, status: response.status });
+
+    return { ...fixture, file: path.join('recorded', fileName) };
+}
+
+/**
+ * Creates the mock Funnelback Express app
+ *
+ * @param {Object} [options] - Mock options
+ * @param {string} [options.mode] - 'replay' (default) or 'record'
+ * @param {string} [options.upstream] - Real Funnelback base URL for record mode
+ * @param {string} [options.fixturesDir] - Fixture directory
+ * @returns {Object} Express application
+ */
+function createMockApp({ mode = 'replay', upstream = DEFAULT_UPSTREAM, fixturesDir = FIXTURES_DIR } = {}) {
+    const app = express();
+    app.set('query parser', 'simple');
+    app.disable('x-powered-by');
+
+    let fixtures = loadFixtures(fixturesDir);
+    logMockEvent('info', 'fixtures_loaded', { mode, count: fixtures.length });
+
+    app.get('/s/:endpoint', async (req, res) => {
+        const { endpoint } = req.params;
+
+        if (!MOCK_ENDPOINTS.includes(endpoint)) {
+            res.status(404).json({ error: `Endpoint not mocked: ${endpoint}` });
+            return;
+        }
+
+        try {
+            let fixture;
+
+            if (mode === 'record') {
+                fixture = await recordFixture({ upstream, fixturesDir, endpoint, params: req.query, headers: req.headers });
+                fixtures = loadFixtures(fixturesDir);
+            } else {
+                fixture = findFixture(fixtures, endpoint, req.query);
+            }
+
+            if (!fixture) {
+                logMockEvent('warn', 'fixture_not_found', { endpoint, params: req.query });
+                res.status(404).json({ error: `No fixture for ${endpoint}`, params: req.query });
+                return;
+            }
+
+            logMockEvent('info', 'fixture_served', { endpoint, fixture: fixture.file, query: req.query.query || null });
+
+            res.status(fixture.status || 200);
+            res.setHeader('Content-Type', fixture.contentType || 'application/json');
+            res.setHeader('X-Mock-Fixture', fixture.file);
+            res.send(typeof fixture.body === 'string' ? fixture.body : JSON.stringify(fixture.body));
+        } catch (error) {
+            logMockEvent('error', 'mock_request_failed', { endpoint, error: error.message });
+            res.status(502).json({ error: 'Mock upstream failure', message: error.message });
+        }
+    });
+
+    app.use((req, res) => {
+        res.status(404).json({ error: 'Not found', path: req.path });
+    });
+
+    return app;
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const portIndex = args.indexOf('--port');
+    const port = parseInt(portIndex >= 0 ? args[portIndex + 1] : process.env.MOCK_FUNNELBACK_PORT, 10) || 4000;
+    const mode = args.includes('--record') || process.env.MOCK_FUNNELBACK_MODE === 'record' ? 'record' : 'replay';
+    const upstream = process.env.MOCK_FUNNELBACK_UPSTREAM || DEFAULT_UPSTREAM;
+
+    createMockApp({ mode, upstream }).listen(port, () => {
+        logMockEvent('info', 'mock_started', {
+            mode,
+            baseUrl: `http://localhost:${port}/s`,
+            upstream: mode === 'record' ? upstream : undefined
+        });
+    });
+}
+
+module.exports = {
+    createMockApp,
+    loadFixtures,
+    findFixture,
+    recordFixture,
+    MOCK_ENDPOINTS
+};
@@ -0,0 +1,627 @@
+/**
+ * @fileoverview Redis Failover Check
+ *
+ * Starts local redis-server processes in a temporary directory, points the
+ * Redis client (lib/redisClient.js) at them and makes them fail, to show that
+ * the client follows a failover or recovers, and that getRedisStatus()
+ * reports it:
+ * - sentinel: a primary, a replica and one sentinel. The primary is killed;
+ *   the client must move to the promoted replica and keep the data
+ * - cluster: three primaries with a replica each. The primary holding a test
+ *   key is killed; the client must read the key from the promoted replica
+ * - standalone: one instance is killed until the client gives it up (state
+ *   failed), then started again; the client must recover
+ *
+ * Each topology runs in its own process, as the client is a singleton. Every
+ * redis-server started is stopped before the script exits.
+ *
+ * Usage:
+ *   npm run redis:failover
+ *   node scripts/redisFailover.js --topology sentinel --verbose
+ *   REDIS_SERVER_BIN=/opt/redis/bin/redis-server node scripts/redisFailover.js --port-base 6500
+ *
+ * Options:
+ *   --topology <name>     sentinel, cluster, standalone or all (default: all)
+ *   --port-base <n>       First port used (default: 6400); uses the next 16 ports
+ *                         and, for the cluster bus, the same ports + 10000
+ *   --verbose             Print the client's own logs
+ *
+ * Needs redis-server and redis-cli (Redis 6.2 or later) on the PATH, or set
+ * REDIS_SERVER_BIN and REDIS_CLI_BIN. Prints one line per check and the final
+ * health status. Exits with 1 when a check fails; the server logs are then
+ * kept in the temporary directory.
+ *
+ * @author Victor Chimenti
+ * @version 1.0.1
+ * @namespace redisFailoverCli
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const { createClient } = require('redis');
+
+/**
+ * Topologies, in the order they run with --topology all
+ * @type {Array<string>}
+ * @constant
+ * @private
+ */
+const TOPOLOGIES = ['sentinel', 'cluster', 'standalone'];
+
+/**
+ * Time limit for one topology, including starting and stopping the servers
+ * @type {number}
+ * @constant
+ * @private
+ */
+const TOPOLOGY_TIMEOUT_MS = 180000;
+
+/**
+ * Binaries, overridable through the environment
+ * @type {{server: string, cli: string}}
+ * @constant
+ * @private
+ */
+const BINARIES = {
+    server: process.env.REDIS_SERVER_BIN || 'redis-server',
+    cli: process.env.REDIS_CLI_BIN || 'redis-cli'
+};
+
+/**
+ * Servers started by this process
+ * @type {Array<{name: string, port: number, child: Object}>}
+ * @private
+ */
+const servers = [];
+
+/**
+ * Checks that failed
+ * @type {Array<string>}
+ * @private
+ */
+const failures = [];
+
+/**
+ * Reads the value following a flag
+ *
+ * @param {Array<string>} args - Command line arguments
+ * @param {string} flag - Flag name (e.g. '--topology')
+ * @returns {string|undefined} Value
+ * @private
+ */
+function getArg(args, flag) {
+    const index = args.indexOf(flag);
+    return index >= 0 ? args[index + 1] : undefined;
+}
+
+/**
+ * Prints a line, also when the client's logs are silenced
+ *
+ * @param {string} line - Text
+ * @private
+ */
+function print(line) {
+    process.stdout.write(`${line}\n`);
+}
+
+/**
+ * Records and prints the outcome of a check
+ *
+ * @param {string} description - What was checked
+ * @param {boolean} passed - Whether it held
+ * @param {*} [actual] - Value seen, printed when the check failed
+ * @private
+ */
+function check(description, passed, actual) {
+    if (passed) {
+        print(`  ok    ${description}`);
+        return;
+    }
+    failures.push(description);
+    print(`  FAIL  ${description} (got ${JSON.stringify(actual)})`);
+}
+
+/**
+ * Waits a while
+ *
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>} Resolves after the wait
+ * @private
+ */
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Calls a function until it returns a truthy value. Errors count as not yet.
+ *
+ * @param {string} description - What is waited for, used in the timeout error
+ * @param {function(): Promise<*>} probe - Returns a truthy value when done
+ * @param {number} timeoutMs - Time limit
+ * @returns {Promise<*>} The truthy value
+ * @throws {Error} When the time limit passes first
+ * @private
+ */
+async function waitFor(description, probe, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    let lastError = null;
+
+    while (Date.now() < deadline) {
+        try {
+            const value = await probe();
+            if (value) return value;
+        } catch (error) {
+            lastError = error;
+        }
+        await sleep(250);
+    }
+    const reason = lastError ? `, last error: ${lastError.message}` : '';
+    throw new Error(`Timed out after ${timeoutMs}ms waiting for ${description}${reason}`);
+}
+
+/**
+ * Runs commands on one server over a single short-lived connection
+ *
+ * @param {number} port - Server port on 127.0.0.1
+ * @param {Array<Array<string>>} commands - Commands and their arguments
+ * @returns {Promise<Array<*>>} Replies, in order
+ * @private
+ */
+async function runCommands(port, commands) {
+    const client = createClient({ socket: { host: '127.0.0.1', port, reconnectStrategy: false } });
+    client.on('error', () => {});
+
+    try {
+        await client.connect();
+        const replies = [];
+        for (const args of commands) {
+            replies.push(await client.sendCommand(args));
+        }
+        return replies;
+    } finally {
+        client.disconnect().catch(() => {});
+    }
+}
+
+/**
+ * Starts a redis-server and waits until it answers PING
+ *
+ * @param {string} dir - Working directory for its files
+ * @param {string} name - Name used in output and for its log file
+ * @param {number} port - Port
+ * @param {Array<string>} args - Arguments after the port (or the config file)
+ * @returns {Promise<Object>} Server entry
+ * @private
+ */
+async function startServer(dir, name, port, args) {
+    const child = spawn(BINARIES.server, args, { cwd: dir, stdio: 'ignore' });
+    const server = { name, port, child, exited: false };
+    child.on('exit', () => {
+        server.exited = true;
+    });
+    servers.push(server);
+
+    await waitFor(`${name} on port ${port}`, async () => {
+        if (server.exited) throw new Error(`${name} exited, see ${path.join(dir, `${name}.log`)}`);
+        const [reply] = await runCommands(port, [['PING']]);
+        return reply === 'PONG';
+    }, 10000);
+    return server;
+}
+
+/**
+ * Starts a data node (not a sentinel)
+ *
+ * @param {string} dir - Working directory
+ * @param {string} name - Server name
+ * @param {number} port - Port
+ * @param {Array<string>} [extra] - More arguments
+ * @returns {Promise<Object>} Server entry
+ * @private
+ */
+function startDataNode(dir, name, port, extra = []) {
+    return startServer(dir, name, port, [
+        '--port', String(port),
+        '--bind', '127.0.0.1',
+        '--save', '',
+        '--appendonly', 'no',
+        '--dir', dir,
+        '--logfile', `${name}.log`,
+        ...extra
+    ]);
+}
+
+/**
+ * Stops a server at once, as a crash would
+ *
+ * @param {Object} server - Server entry
+ * @returns {Promise<void>} Resolves once the process has exited
+ * @private
+ */
+async function killServer(server) {
+    if (server.exited) return;
+    const exited = new Promise((resolve) => server.child.once('exit', resolve));
+    server.child.kill('SIGKILL');
+    await exited;
+}
+
+/**
+ * Stops every server this process started
+ *
+ * @returns {Promise<void>} Resolves once all have exited
+ * @private
+ */
+async function stopServers() {
+    await Promise.all(servers.map(killServer));
+}
+
+/**
+ * Loads the Redis client for a URL. Reconnect settings are lowered so a
+ * failure is given up, and retried, within seconds; they are read when the
+ * module loads.
+ *
+ * @param {string} redisUrl - URL to connect to
+ * @returns {Object} lib/redisClient.js
+ * @private
+ */
+function loadRedisClient(redisUrl) {
+    process.env.REDIS_URL = redisUrl;
+    process.env.REDIS_MAX_RECONNECT_ATTEMPTS = process.env.REDIS_MAX_RECONNECT_ATTEMPTS || '3';
+    process.env.REDIS_RECOVERY_DELAY_MS = process.env.REDIS_RECOVERY_DELAY_MS || '1000';
+    process.env.REDIS_MAX_RECOVERY_DELAY_MS = process.env.REDIS_MAX_RECOVERY_DELAY_MS || '4000';
+    delete process.env.REDIS_URL_ACTIVE;
+    delete process.env.REDIS_URL_PREVIOUS;
+    return require('../lib/redisClient');
+}
+
+/**
+ * Prints the health status the client reports
+ *
+ * @param {Object} status - getRedisStatus() result
+ * @private
+ */
+function printStatus(status) {
+    const { mode, state, failures: failed, recoveries, lastError, nextRetryAt, sentinel, cluster } = status;
+    print(`  status ${JSON.stringify({ mode, state, failures: failed, recoveries, lastError, nextRetryAt, sentinel, cluster })}`);
+}
+
+/**
+ * Sentinel: kills the primary and checks the client moves to the promoted replica
+ *
+ * @param {string} dir - Working directory
+ * @param {number} base - First port
+ * @returns {Promise<void>} Resolves when the checks have run
+ * @private
+ */
+async function runSentinel(dir, base) {
+    const primaryPort = base + 1;
+    const replicaPort = base + 2;
+    const sentinelPort = base + 3;
+
+    const primary = await startDataNode(dir, 'primary', primaryPort);
+    await startDataNode(dir, 'replica', replicaPort, ['--replicaof', '127.0.0.1', String(primaryPort)]);
+    await waitFor('the replica to sync', async () => {
+        const [info] = await runCommands(replicaPort, [['INFO', 'replication']]);
+        return String(info).includes('master_link_status:up');
+    }, 15000);
+
+    const config = path.join(dir, 'sentinel.conf');
+    fs.writeFileSync(config, [
+        `port ${sentinelPort}`,
+        'bind 127.0.0.1',
+        `dir ${dir}`,
+        'logfile sentinel.log',
+        `sentinel monitor mymaster 127.0.0.1 ${primaryPort} 1`,
+        'sentinel down-after-milliseconds mymaster 1000',
+        'sentinel failover-timeout mymaster 5000',
+        ''
+    ].join('\n'));
+    await startServer(dir, 'sentinel', sentinelPort, [config, '--sentinel']);
+    // A sentinel finds replicas through the primary's INFO, every 10 seconds at first
+    await waitFor('the sentinel to see the replica', async () => {
+        const [replicas] = await runCommands(sentinelPort, [['SENTINEL', 'REPLICAS', 'mymaster']]);
+        return replicas.length > 0;
+    }, 30000);
+
+    const { getRedisClient, getRedisStatus } = loadRedisClient(`redis-sentinel://127.0.0.1:${sentinelPort}/mymaster`);
+    const client = await getRedisClient();
+    check('connects through the sentinel', !!client);
+    if (!client) return;
+
+    await client.set('failover:check', 'before');
+    // Make sure the replica has the key before the primary goes
+    await client.sendCommand(['WAIT', '1', '2000']);
+
+    let status = getRedisStatus();
+    check('reports sentinel mode', status.mode === 'sentinel', status.mode);
+    check('reports the primary', status.sentinel?.primary === `127.0.0.1:${primaryPort}`, status.sentinel?.primary);
+    await waitFor('the failover watcher', async () => getRedisStatus().sentinel?.watching, 5000).catch(() => {});
+    check('watches the sentinel for +switch-master', !!getRedisStatus().sentinel?.watching, getRedisStatus().sentinel);
+
+    print(`  killing the primary on port ${primaryPort}`);
+    await killServer(primary);
+
+    const started = Date.now();
+    const moved = await waitFor('the client to follow the failover', async () => {
+        const current = await getRedisClient();
+        if (!current || getRedisStatus().sentinel?.primary !== `127.0.0.1:${replicaPort}`) return null;
+        return current;
+    }, 60000).catch((error) => {
+        print(`  ${error.message}`);
+        return null;
+    });
+    check('moves to the promoted replica', !!moved, getRedisStatus().sentinel?.primary);
+    if (!moved) return;
+    print(`  followed the failover in ${Date.now() - started}ms`);
+
+    check('keeps the data written before the failover', await moved.get('failover:check') === 'before');
+    check('writes to the new primary', await moved.set('failover:check', 'after') === 'OK');
+
+    status = getRedisStatus();
+    check('reports the state as ready', status.state === 'ready', status.state);
+    // Counted when +switch-master arrives first; a reconnect may find the new primary before it does
+    check('records the failover or the failure it caused',
+        status.sentinel.failovers > 0 || status.failures > 0, status.sentinel);
+    printStatus(status);
+}
+
+/**
+ * Cluster: kills the primary holding a key and checks the client reads it
+ * from the promoted replica
+ *
+ * @param {string} dir - Working directory
+ * @param {number} base - First port
+ * @returns {Promise<void>} Resolves when the checks have run
+ * @private
+ */
+async function runCluster(dir, base) {
+    const ports = [0, 1, 2, 3, 4, 5].map((offset) => base + 10 + offset);
+    const nodes = {};
+    for (const port of ports) {
+        nodes[port] = await startDataNode(dir, `cluster-${port}`, port, [
+            '--cluster-enabled', 'yes',
+            '--cluster-config-file', `nodes-${port}.conf`,
+            '--cluster-node-timeout', '2000'
+        ]);
+    }
+
+    const create = spawnSync(BINARIES.cli, [
+        '--cluster', 'create', ...ports.map((port) => `127.0.0.1:${port}`),
+        '--cluster-replicas', '1', '--cluster-yes'
+    ], { encoding: 'utf8', timeout: 60000 });
+    if (create.status !== 0) {
+        throw new Error(`redis-cli --cluster create failed: ${create.stderr || create.stdout || create.error}`);
+    }
+    await waitFor('the cluster to be ok on every node', async () => {
+        const replies = await Promise.all(ports.map((port) => runCommands(port, [['CLUSTER', 'INFO']])));
+        return replies.every(([info]) => String(info).includes('cluster_state:ok'));
+    }, 30000);
+
+    const { getRedisClient, getRedisStatus } = loadRedisClient(
+        `redis-cluster://127.0.0.1:${ports[0]},127.0.0.1:${ports[1]},127.0.0.1:${ports[2]}`
+    );
+    const client = await getRedisClient();
+    check('connects to the cluster', !!client);
+    if (!client) return;
+
+    let status = getRedisStatus();
+    check('reports cluster mode', status.mode === 'cluster', status.mode);
+    check('reports three primaries', status.cluster?.primaries === 3, status.cluster);
+
+    const keys = Array.from({ length: 30 }, (unused, index) => `failover:${index}`);
+    for (const key of keys) {
+        await client.set(key, key);
+    }
+    let scanned = 0;
+    let cursor = 0;
+    do {
+        const reply = await client.scan(cursor, { MATCH: 'failover:*', COUNT: 100 });
+        cursor = reply.cursor;
+        scanned += reply.keys.length;
+    } while (cursor !== 0);
+    check('scans keys across every primary', scanned === keys.length, scanned);
+    check('deletes keys in different slots', await client.del(keys.slice(10)) === keys.length - 10);
+
+    // Find the primary and replica holding the test key
+    const key = keys[0];
+    const [slot, slots] = await runCommands(ports[0], [['CLUSTER', 'KEYSLOT', key], ['CLUSTER', 'SLOTS']]);
+    const range = slots.find(([start, end]) => slot >= start && slot <= end);
+    const primaryPort = Number(range[2][1]);
+    const replicaPort = Number(range[3][1]);
+    await waitFor('the replica to have the key', async () => {
+        const [, value] = await runCommands(replicaPort, [['READONLY'], ['GET', key]]);
+        return value === key;
+    }, 10000);
+
+    print(`  killing the primary on port ${primaryPort} (slot ${slot}, replica on ${replicaPort})`);
+    await killServer(nodes[primaryPort]);
+
+    const started = Date.now();
+    const value = await waitFor('the key to be served again', async () => {
+        const current = await getRedisClient();
+        return current ? current.get(key) : null;
+    }, 60000).catch((error) => {
+        print(`  ${error.message}`);
+        return null;
+    });
+    check('reads the key after the failover', value === key, value);
+    if (value !== key) return;
+    print(`  served the key again after ${Date.now() - started}ms`);
+
+    const survivor = ports.find((port) => port !== primaryPort);
+    const [after] = await runCommands(survivor, [['CLUSTER', 'SLOTS']]);
+    const owner = after.find(([start, end]) => slot >= start && slot <= end);
+    check('the replica was promoted', Number(owner[2][1]) === replicaPort, owner[2]);
+
+    const current = await getRedisClient();
+    check('writes after the failover', await current.set(key, 'after') === 'OK');
+    status = await waitFor('the status to be ready', async () => {
+        const latest = getRedisStatus();
+        return latest.state === 'ready' ? latest : null;
+    }, 10000).catch(() => getRedisStatus());
+    check('reports the state as ready', status.state === 'ready', status.state);
+    check('still reports three primaries', status.cluster?.primaries === 3, status.cluster);
+    printStatus(status);
+}
+
+/**
+ * Standalone: kills the instance until the client gives it up, starts it
+ * again and checks the client recovers
+ *
+ * @param {string} dir - Working directory
+ * @param {number} base - First port
+ * @returns {Promise<void>} Resolves when the checks have run
+ * @private
+ */
+async function runStandalone(dir, base) {
+    const port = base;
+    const server = await startDataNode(dir, 'standalone', port);
+
+    const { getRedisClient, getRedisStatus } = loadRedisClient(`redis://127.0.0.1:${port}`);
+    const client = await getRedisClient();
+    check('connects', !!client);
+    if (!client) return;
+    check('reports standalone mode', getRedisStatus().mode === 'standalone', getRedisStatus().mode);
+
+    print(`  killing the instance on port ${port}`);
+    await killServer(server);
+
+    const failed = await waitFor('the client to give up', async () => {
+        const status = getRedisStatus();
+        return status.state === 'failed' ? status : null;
+    }, 30000).catch(() => getRedisStatus());
+    check('reports the state as failed', failed.state === 'failed', failed.state);
+    check('reports the last error', !!failed.lastError, failed.lastError);
+    check('reports when it retries', !!failed.nextRetryAt, failed.nextRetryAt);
+    check('returns no client while failed', await getRedisClient() === null);
+    printStatus(failed);
+
+    print(`  starting the instance on port ${port} again`);
+    await startDataNode(dir, 'standalone-restarted', port);
+
+    const recovered = await waitFor('the client to recover', () => getRedisClient(), 30000).catch(() => null);
+    check('recovers once the instance is back', !!recovered);
+    if (!recovered) return;
+
+    const status = getRedisStatus();
+    check('reports the state as ready', status.state === 'ready', status.state);
+    check('counts the recovery', status.recoveries >= 1, status.recoveries);
+    check('clears the retry time', status.nextRetryAt === null, status.nextRetryAt);
+    check('serves commands', await recovered.ping() === 'PONG');
+    printStatus(status);
+}
+
+/**
+ * Runs one topology in this process
+ *
+ * @param {string} topology - sentinel, cluster or standalone
+ * @param {number} base - First port
+ * @param {boolean} verbose - Whether to print the client's own logs
+ * @returns {Promise<number>} Exit code
+ * @private
+ */
+async function runTopology(topology, base, verbose) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), `redis-failover-${topology}-`));
+    // The client logs through console; it is silenced for this run only
+    const originalConsole = { log: console.log, warn: console.warn, error: console.error };
+    if (!verbose) {
+        console.log = () => {};
+        console.warn = () => {};
+        console.error = () => {};
+    }
+
+    print(`${topology} (${dir})`);
+    try {
+        const run = { sentinel: runSentinel, cluster: runCluster, standalone: runStandalone }[topology];
+        await run(dir, base);
+    } catch (error) {
+        failures.push(error.message);
+        print(`  FAIL  ${error.message}`);
+    } finally {
+        await stopServers();
+        Object.assign(console, originalConsole);
+    }
+
+    if (failures.length > 0) {
+        print(`  ${failures.length} check(s) failed; server logs kept in ${dir}`);
+        return 1;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+    return 0;
+}
+
+/**
+ * Runs each topology in a child process, one after the other
+ *
+ * @param {Array<string>} topologies - Topologies to run
+ * @param {Array<string>} args - Arguments passed on to each child
+ * @returns {Promise<number>} Exit code: 1 when any topology failed
+ * @private
+ */
+async function runAll(topologies, args) {
+    let code = 0;
+    for (const topology of topologies) {
+        const child = spawn(process.execPath, [__filename, ...args, '--topology', topology], { stdio: 'inherit' });
+        const timer = setTimeout(() => {
+            print(`${topology} did not finish within ${TOPOLOGY_TIMEOUT_MS}ms`);
+            // Lets the child stop its servers before it exits
+            child.kill('SIGTERM');
+        }, TOPOLOGY_TIMEOUT_MS);
+
+        const exitCode = await new Promise((resolve) => child.on('exit', (status) => resolve(status)));
+        clearTimeout(timer);
+        if (exitCode !== 0) code = 1;
+    }
+    return code;
+}
+
+/**
+ * Checks that redis-server and redis-cli can be run
+ *
+ * @returns {string|null} Problem, null when both run
+ * @private
+ */
+function checkBinaries() {
+    for (const bin of [BINARIES.server, BINARIES.cli]) {
+        const result = spawnSync(bin, ['--version'], { encoding: 'utf8', timeout: 10000 });
+        if (result.error || result.status !== 0) {
+            return `${bin} cannot be run (${result.error ? result.error.code : result.stderr.trim()}); ` +
+                'install Redis or set REDIS_SERVER_BIN and REDIS_CLI_BIN';
+        }
+    }
+    return null;
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const topology = getArg(args, '--topology') || 'all';
+    const base = parseInt(getArg(args, '--port-base'), 10) || 6400;
+    const verbose = args.includes('--verbose');
+
+    if (topology !== 'all' && !TOPOLOGIES.includes(topology)) {
+        print(`Unknown topology ${topology}; use ${TOPOLOGIES.join(', ')} or all`);
+        process.exit(1);
+    }
+    const problem = checkBinaries();
+    if (problem) {
+        print(problem);
+        process.exit(1);
+    }
+
+    if (topology === 'all') {
+        const passOn = args.filter((arg, index) => arg !== '--topology' && args[index - 1] !== '--topology');
+        runAll(TOPOLOGIES, passOn).then((code) => process.exit(code));
+    } else {
+        // Stop the servers when interrupted, so none outlive the script
+        for (const signal of ['SIGINT', 'SIGTERM']) {
+            process.once(signal, () => {
+                stopServers().finally(() => process.exit(1));
+            });
+        }
+        runTopology(topology, base, verbose).then((code) => process.exit(code));
+    }
+}
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Cache Warming CLI
+ *
+ * Fills Redis with the most frequent suggestion, people and program queries
+ * from the analytics collection, e.g. after a Redis rotation or purge. Uses
+ * the same environment as the proxy (MONGODB_URI, REDIS_URL*, FUNNELBACK_BASE_URL).
+ *
+ * Usage:
+ *   npm run cache:warm
+ *   node scripts/warmCache.js --handlers suggestPrograms,suggestPeople --limit 200 --days 14
+ *   node scripts/warmCache.js --rate 2 --concurrency 1 --force
+ *
+ * Options:
+ *   --handlers <list>     Comma-separated handlers (default: all of suggest, suggestPeople, suggestPrograms)
+ *   --limit <n>           Top queries per handler
+ *   --days <n>            Window of analytics to read
+ *   --rate <n>            Maximum Funnelback requests per second
+ *   --concurrency <n>     Maximum Funnelback requests in flight
+ *   --force               Refresh entries that are still fresh
+ *
+ * Prints one progress line per query and the report as JSON. Exits with 1
+ * when the run failed or stopped early.
+ *
+ * @author Victor Chimenti
+ * @version 1.0.1
+ * @namespace warmCacheCli
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+require('dotenv').config();
+
+const { warmCache, WARM_DEFAULTS } = require('../lib/cacheWarmer');
+const { flushCacheMetrics } = require('../lib/cacheMetrics');
+
+/**
+ * Reads the value following a flag
+ *
+ * @param {Array<string>} args - Command line arguments
+ * @param {string} flag - Flag name (e.g. '--limit')
+ * @returns {string|undefined} Value
+ * @private
+ */
+function getArg(args, flag) {
+    const index = args.indexOf(flag);
+    return index >= 0 ? args[index + 1] : undefined;
+}
+
+/**
+ * Builds warming options from the command line
+ *
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Object} Options for cacheWarmer.warmCache
+ * @private
+ */
+function parseArgs(args) {
+    const handlers = getArg(args, '--handlers');
+
+    return {
+        handlers: handlers ? handlers.split(',').map((name) => name.trim()).filter(Boolean) : undefined,
+        limit: parseInt(getArg(args, '--limit'), 10) || WARM_DEFAULTS.limit,
+        days: parseInt(getArg(args, '--days'), 10) || WARM_DEFAULTS.days,
+        rate: parseFloat(getArg(args, '--rate')) || WARM_DEFAULTS.rate,
+        concurrency: parseInt(getArg(args, '--concurrency'), 10) || WARM_DEFAULTS.concurrency,
+        force: args.includes('--force')
+    };
+}
+
+/**
+ * Prints one progress line
+ *
+ * @param {Object} progress - Progress from cacheWarmer
+ * @private
+ */
+function printProgress(progress) {
+    const reason = progress.reason ? ` (${progress.reason})` : '';
+    console.log(
+        `[${progress.done}/${progress.total}] ${progress.handler} "${progress.query}" ` +
+        `x${progress.count}: ${progress.status}${reason}`
+    );
+}
+
+if (require.main === module) {
+    warmCache({ ...parseArgs(process.argv.slice(2)), onProgress: printProgress })
+        .then(async (report) => {
+            console.log(JSON.stringify(report, null, 2));
+            // Keep the writes counted during the run
+            await flushCacheMetrics();
+            process.exit(report.complete ? 0 : 1);
+        })
+        .catch((error) => {
+            console.error(`Cache warming failed: ${error.message}`);
+            process.exit(1);
+        });
+}
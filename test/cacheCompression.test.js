@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Tests for lib/cacheCompression.js
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    encodeCacheValue,
+    decodeCacheValue,
+    getCompressionSettings,
+    COMPRESSION_DEFAULTS
+} = require('../lib/cacheCompression');
+
+/**
+ * A serialized value well over the default threshold
+ * @type {string}
+ */
+const LARGE_VALUE = JSON.stringify({
+    results: Array.from({ length: 200 }, (unused, index) => ({
+        title: `Nursing program ${index}`,
+        url: `https://www.seattleu.edu/programs/nursing-${index}/`,
+        summary: 'Prepare for a career in nursing — café hours included'
+    }))
+});
+
+test.beforeEach(() => {
+    delete process.env.CACHE_COMPRESSION;
+    delete process.env.CACHE_COMPRESSION_THRESHOLD;
+});
+
+test('reads settings from the environment', () => {
+    assert.deepEqual(getCompressionSettings(), COMPRESSION_DEFAULTS);
+
+    process.env.CACHE_COMPRESSION = ' GZIP ';
+    process.env.CACHE_COMPRESSION_THRESHOLD = '0';
+    assert.deepEqual(getCompressionSettings(), { format: 'gzip', threshold: 0 });
+
+    process.env.CACHE_COMPRESSION = 'lz4';
+    process.env.CACHE_COMPRESSION_THRESHOLD = '-1';
+    assert.deepEqual(getCompressionSettings(), { format: 'none', threshold: COMPRESSION_DEFAULTS.threshold });
+});
+
+for (const format of ['br', 'gzip']) {
+    test(`${format} values round-trip`, async () => {
+        process.env.CACHE_COMPRESSION = format;
+        const encoded = await encodeCacheValue(LARGE_VALUE);
+
+        assert.equal(encoded.encoding, format);
+        assert.ok(encoded.storedBytes < encoded.rawBytes);
+        assert.equal(encoded.rawBytes, Buffer.byteLength(LARGE_VALUE, 'utf8'));
+        assert.match(encoded.value, format === 'br' ? /^br1:/ : /^gz1:/);
+
+        const decoded = await decodeCacheValue(encoded.value);
+        assert.equal(decoded.value, LARGE_VALUE);
+        assert.equal(decoded.encoding, format);
+        assert.equal(decoded.rawBytes, encoded.rawBytes);
+    });
+}
+
+test('small values and CACHE_COMPRESSION=none are stored plain', async () => {
+    const small = JSON.stringify({ query: 'nursing' });
+    assert.deepEqual(await encodeCacheValue(small), {
+        value: small,
+        encoding: 'none',
+        rawBytes: small.length,
+        storedBytes: small.length
+    });
+
+    process.env.CACHE_COMPRESSION = 'none';
+    assert.equal((await encodeCacheValue(LARGE_VALUE)).value, LARGE_VALUE);
+});
+
+test('values compression does not shrink are stored plain', async () => {
+    process.env.CACHE_COMPRESSION_THRESHOLD = '0';
+    const value = '"x"';
+
+    assert.equal((await encodeCacheValue(value)).encoding, 'none');
+});
+
+test('decodes every format whatever is configured', async () => {
+    process.env.CACHE_COMPRESSION = 'gzip';
+    const gzipped = (await encodeCacheValue(LARGE_VALUE)).value;
+
+    process.env.CACHE_COMPRESSION = 'none';
+    assert.equal((await decodeCacheValue(gzipped)).value, LARGE_VALUE);
+    assert.equal((await decodeCacheValue('{"a":1}')).encoding, 'none');
+});
+
+test('unknown markers and corrupt data throw', async () => {
+    await assert.rejects(decodeCacheValue('zz9:AAAA'), /Unknown cache value format: zz9/);
+    await assert.rejects(decodeCacheValue('gz1:bm90IGd6aXA='));
+});
@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Tests for lib/cacheKey.js
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    buildCacheKey,
+    parseCacheKey,
+    canonicalizeParams,
+    slugifyQuery
+} = require('../lib/cacheKey');
+
+test('equivalent queries share a key', () => {
+    const { key } = buildCacheKey('programs', { query: 'Nursing' });
+
+    assert.equal(buildCacheKey('programs', { query: '  nursing ' }).key, key);
+    assert.equal(buildCacheKey('programs', { query: 'NURSING', sessionId: 'sess_1', utm_source: 'x' }).key, key);
+    assert.match(key, /^programs:v1:nursing:[0-9a-f]{20}$/);
+});
+
+test('different queries get different keys', () => {
+    assert.notEqual(
+        buildCacheKey('programs', { query: 'nursing' }).key,
+        buildCacheKey('programs', { query: 'nurse' }).key
+    );
+});
+
+test('suggestions keep the tab of the request in the key', () => {
+    const programTab = buildCacheKey('suggestions', { partial_query: 'nur', 'f.Tabs|programMain': 'Programs' });
+    const staffTab = buildCacheKey('suggestions', { partial_query: 'nur', 'f.Tabs|seattleu~ds-staff': 'Faculty & Staff' });
+    const noTab = buildCacheKey('suggestions', { partial_query: 'nur' });
+
+    assert.notEqual(programTab.key, noTab.key);
+    assert.notEqual(staffTab.key, noTab.key);
+    assert.notEqual(programTab.key, staffTab.key);
+    assert.equal(programTab.canonical['f.Tabs|programMain'], 'Programs');
+});
+
+test('registry defaults and fixed values do not split a key', () => {
+    assert.equal(
+        buildCacheKey('results', { query: 'x' }).key,
+        buildCacheKey('results', { query: 'x', collection: 'seattleu~sp-search', profile: '_default' }).key
+    );
+    // Fixed values replace whatever the client sent, as they do upstream
+    assert.equal(
+        buildCacheKey('people', { query: 'x', num_ranks: '50' }).key,
+        buildCacheKey('people', { query: 'x' }).key
+    );
+});
+
+test('parameters outside the allowlist are dropped', () => {
+    assert.deepEqual(canonicalizeParams('programs', { query: 'x', foo: 'bar', nocache: 'true' }), {
+        collection: 'seattleu~ds-programs',
+        form: 'partial',
+        num_ranks: '5',
+        profile: '_default',
+        query: 'x'
+    });
+});
+
+test('array values are order independent and empty values dropped', () => {
+    const first = canonicalizeParams('results', { query: 'x', 'f.Type|type': ['b', 'a', ''] });
+    const second = canonicalizeParams('results', { query: 'x', 'f.Type|type': ['a', 'b'] });
+
+    assert.deepEqual(first, second);
+    assert.deepEqual(first['f.Type|type'], ['a', 'b']);
+});
+
+test('slugs keep letters and digits only', () => {
+    assert.equal(slugifyQuery('Café & Bar!'), 'cafe-bar');
+    assert.equal(slugifyQuery('   '), '');
+    assert.match(buildCacheKey('results', {}).key, /^results:v1:_:/);
+});
+
+test('parseCacheKey reads versioned and legacy keys', () => {
+    assert.deepEqual(parseCacheKey('programs:v2:nursing:abc'), {
+        namespace: 'programs', version: 2, slug: 'nursing', hash: 'abc'
+    });
+    assert.deepEqual(parseCacheKey('programs:nursing:abc'), {
+        namespace: 'programs', version: 0, slug: 'nursing', hash: 'abc'
+    });
+    assert.equal(parseCacheKey('lock:fill:programs:v1:x:y'), null);
+    assert.equal(parseCacheKey('programs:x2:nursing:abc'), null);
+});
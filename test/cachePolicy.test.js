@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Tests for lib/cachePolicy.js
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeRedis } = require('./helpers/fakeRedis');
+
+const redis = useFakeRedis();
+const {
+    getCachePolicy,
+    getCollectionPolicies,
+    isBypassRequested,
+    getPolicyQueryText
+} = require('../lib/cachePolicy');
+const { setCachedData, getCachedEntry, checkCachePolicy } = require('../lib/cacheService');
+
+const PARAMS = { query: 'nursing' };
+
+test.beforeEach(() => {
+    redis.store.clear();
+});
+
+test('namespace policies override the default policy', () => {
+    const policy = getCachePolicy('programs');
+
+    assert.equal(policy.ttl, 259200);
+    assert.equal(policy.negativeTtl, 900);
+    // Not overridden for programs
+    assert.equal(policy.minQueryLength, 3);
+    // Namespaces without overrides get the default policy
+    assert.equal(getCachePolicy('unknown').ttl, 1800);
+});
+
+test('collections listed under a namespace override its policy', () => {
+    const main = getCachePolicy('search', { collection: 'seattleu~sp-search' });
+    assert.equal(main.ttl, 1800);
+    assert.equal(main.maxEntryBytes, 262144);
+    assert.equal(main.negativeTtl, 300);
+    assert.equal(main.collections, undefined);
+
+    // Other collections get the namespace policy
+    assert.equal(getCachePolicy('search', { collection: 'seattleu~ds-staff' }).ttl, 600);
+    assert.equal(getCachePolicy('search').maxEntryBytes, 131072);
+    assert.deepEqual(Object.keys(getCollectionPolicies('search')), ['seattleu~sp-search']);
+    assert.deepEqual(getCollectionPolicies('programs'), {});
+});
+
+test('entries are stored with the TTLs and size limit of their collection', async () => {
+    const page = 'x'.repeat(200 * 1024);
+    const main = { query: 'nursing', collection: 'seattleu~sp-search' };
+    const other = { query: 'nursing', collection: 'seattleu~ds-staff' };
+
+    assert.equal(await setCachedData('search', main, page, 'req_1', { resultCount: 1 }), true);
+    assert.equal(await setCachedData('search', other, page, 'req_2', { resultCount: 1 }), false);
+    assert.equal(await setCachedData('search', other, 'page', 'req_3', { resultCount: 1 }), true);
+
+    assert.equal((await getCachedEntry('search', main)).data, page);
+    const [mainKey, otherKey] = redis.store.keys();
+    assert.ok(await redis.ttl(mainKey) > 1800);
+    assert.ok(await redis.ttl(mainKey) - await redis.ttl(otherKey) >= 1200);
+});
+
+test('zero-result responses are kept for the negative TTL only', async () => {
+    const stored = await setCachedData('results', PARAMS, { results: [] }, 'req_1', { resultCount: 0 });
+
+    assert.equal(stored, true);
+    const [key] = redis.store.keys();
+    // No stale grace period either
+    assert.ok(await redis.ttl(key) <= getCachePolicy('results').negativeTtl);
+
+    const entry = await getCachedEntry('results', PARAMS);
+    assert.equal(entry.negative, true);
+    assert.equal(entry.state, 'fresh');
+});
+
+test('responses with results keep the namespace TTL', async () => {
+    await setCachedData('results', PARAMS, { results: [1] }, 'req_1', { resultCount: 1 });
+
+    const [key] = redis.store.keys();
+    assert.ok(await redis.ttl(key) > getCachePolicy('results').ttl);
+    assert.equal((await getCachedEntry('results', PARAMS)).negative, false);
+});
+
+test('queries shorter than minQueryLength are not cached', async () => {
+    assert.deepEqual(checkCachePolicy('results', { query: ' nu ' }), {
+        cacheable: false,
+        bypass: false,
+        reason: 'query_too_short'
+    });
+    assert.equal(checkCachePolicy('results', { query: 'nur' }).cacheable, true);
+
+    assert.equal(await setCachedData('results', { query: 'nu' }, { results: [1] }, 'req_1'), false);
+    assert.equal(redis.store.size, 0);
+});
+
+test('the query text is the first free-text parameter with a value', () => {
+    assert.equal(getPolicyQueryText({ query: '  ', partial_query: ' nurs ' }), 'nurs');
+    assert.equal(getPolicyQueryText({ profile: '_default' }), '');
+    assert.equal(getPolicyQueryText(), '');
+});
+
+test('nocache is read as a flag', () => {
+    assert.equal(isBypassRequested({ nocache: '' }), true);
+    assert.equal(isBypassRequested({ nocache: 'true' }), true);
+    assert.equal(isBypassRequested({ nocache: ['1', '0'] }), true);
+    assert.equal(isBypassRequested({ nocache: 'false' }), false);
+    assert.equal(isBypassRequested({ nocache: '0' }), false);
+    assert.equal(isBypassRequested({ query: 'nursing' }), false);
+});
+
+test('only admins may bypass the cache', () => {
+    assert.deepEqual(checkCachePolicy('results', PARAMS, { bypass: true }), {
+        cacheable: true,
+        bypass: false,
+        reason: null
+    });
+    assert.deepEqual(checkCachePolicy('results', PARAMS, { bypass: true, admin: true }), {
+        cacheable: false,
+        bypass: true,
+        reason: 'bypass'
+    });
+});
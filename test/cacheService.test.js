@@ -0,0 +1,186 @@
+/**
+ * @fileoverview Tests for lib/cacheService.js
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeRedis, ageEntries } = require('./helpers/fakeRedis');
+
+const redis = useFakeRedis();
+const {
+    isCachingEnabled,
+    getCachedEntry,
+    getStaleCachedData,
+    setCachedData,
+    revalidateCachedData,
+    purgeCache
+} = require('../lib/cacheService');
+
+// Not in the in-memory tier, so every read goes to Redis
+const NAMESPACE = 'results';
+const PARAMS = { query: 'nursing' };
+const TTLS = { ttl: 100, softTtl: 10 };
+
+function lockKeys() {
+    return [...redis.store.keys()].filter((key) => key.startsWith('lock:revalidate:'));
+}
+
+test.beforeEach(() => {
+    redis.store.clear();
+});
+
+test('entries are fresh within the soft TTL', async () => {
+    assert.equal(await setCachedData(NAMESPACE, PARAMS, { n: 1 }, 'req_1', TTLS), true);
+
+    const entry = await getCachedEntry(NAMESPACE, PARAMS);
+    assert.equal(entry.state, 'fresh');
+    assert.deepEqual(entry.data, { n: 1 });
+});
+
+test('entries past the soft TTL are stale and past the hard TTL are a miss', async () => {
+    await setCachedData(NAMESPACE, PARAMS, { n: 1 }, 'req_1', TTLS);
+
+    ageEntries(redis, 11);
+    assert.equal((await getCachedEntry(NAMESPACE, PARAMS)).state, 'stale');
+
+    ageEntries(redis, 90);
+    assert.equal(await getCachedEntry(NAMESPACE, PARAMS), null);
+
+    // Still readable as an outage fallback
+    const fallback = await getStaleCachedData(NAMESPACE, PARAMS);
+    assert.equal(fallback.expired, true);
+    assert.deepEqual(fallback.data, { n: 1 });
+});
+
+test('entries are kept in Redis for a grace period past the hard TTL', async () => {
+    await setCachedData(NAMESPACE, PARAMS, { n: 1 }, 'req_1', TTLS);
+
+    const [key] = redis.store.keys();
+    assert.ok(await redis.ttl(key) > 100);
+});
+
+test('a refresh writes a revalidated entry and releases its lock', async () => {
+    await setCachedData(NAMESPACE, PARAMS, { n: 1 }, 'req_1', TTLS);
+    ageEntries(redis, 11);
+
+    const refreshed = await revalidateCachedData(NAMESPACE, PARAMS, async () => ({ n: 2 }), 'req_2', TTLS);
+
+    assert.equal(refreshed, true);
+    const entry = await getCachedEntry(NAMESPACE, PARAMS);
+    assert.equal(entry.state, 'revalidated');
+    assert.deepEqual(entry.data, { n: 2 });
+    assert.deepEqual(lockKeys(), []);
+});
+
+test('only one refresh per key runs at a time', async () => {
+    await setCachedData(NAMESPACE, PARAMS, { n: 1 }, 'req_1', TTLS);
+    let finish;
+    const first = revalidateCachedData(
+        NAMESPACE,
+        PARAMS,
+        () => new Promise((resolve) => {
+            finish = resolve;
+        }),
+        'req_2',
+        TTLS
+    );
+    await new Promise((resolve) => setImmediate(resolve));
+
+    assert.equal(lockKeys().length, 1);
+    let secondCalled = false;
+    const second = await revalidateCachedData(NAMESPACE, PARAMS, async () => {
+        secondCalled = true;
+        return { n: 3 };
+    }, 'req_3', TTLS);
+
+    assert.equal(second, false);
+    assert.equal(secondCalled, false);
+
+    finish({ n: 2 });
+    assert.equal(await first, true);
+    assert.deepEqual((await getCachedEntry(NAMESPACE, PARAMS)).data, { n: 2 });
+    assert.deepEqual(lockKeys(), []);
+});
+
+test('an empty refresh keeps the old entry', async () => {
+    await setCachedData(NAMESPACE, PARAMS, { n: 1 }, 'req_1', TTLS);
+    ageEntries(redis, 11);
+
+    const refreshed = await revalidateCachedData(NAMESPACE, PARAMS, async () => null, 'req_2', TTLS);
+
+    assert.equal(refreshed, false);
+    const entry = await getCachedEntry(NAMESPACE, PARAMS);
+    assert.equal(entry.state, 'stale');
+    assert.deepEqual(entry.data, { n: 1 });
+    assert.deepEqual(lockKeys(), []);
+});
+
+test('a failed refresh rethrows and releases the lock', async () => {
+    await setCachedData(NAMESPACE, PARAMS, { n: 1 }, 'req_1', TTLS);
+
+    await assert.rejects(
+        revalidateCachedData(NAMESPACE, PARAMS, async () => {
+            throw new Error('upstream down');
+        }, 'req_2', TTLS),
+        /upstream down/
+    );
+
+    assert.deepEqual((await getCachedEntry(NAMESPACE, PARAMS)).data, { n: 1 });
+    assert.deepEqual(lockKeys(), []);
+});
+
+test('the health check PING is reused for a few seconds', async (t) => {
+    const pings = () => redis.commands.filter((command) => command === 'ping').length;
+    const before = pings();
+
+    assert.equal(await isCachingEnabled(), true);
+    assert.equal(await isCachingEnabled(), true);
+    assert.equal(pings(), before + 1);
+
+    // A client that lost its connection is reported at once
+    redis.isReady = false;
+    t.after(() => {
+        redis.isReady = true;
+    });
+    assert.equal(await isCachingEnabled(), false);
+    assert.equal(pings(), before + 1);
+});
+
+test('L1 namespaces are read from memory after the first Redis read', async () => {
+    await setCachedData('programs', PARAMS, { n: 1 }, 'req_1', TTLS);
+    const reads = () => redis.commands.filter((command) => command === 'get').length;
+    const before = reads();
+
+    assert.deepEqual((await getCachedEntry('programs', PARAMS)).data, { n: 1 });
+    assert.deepEqual((await getCachedEntry('programs', PARAMS)).data, { n: 1 });
+    assert.equal(reads(), before);
+});
+
+test('query purges remove entries whose slug contains the term', async () => {
+    await setCachedData('results', { query: 'nursing' }, { n: 1 }, 'req_1', TTLS);
+    await setCachedData('results', { query: 'computer science' }, { n: 2 }, 'req_2', TTLS);
+
+    const { deleted } = await purgeCache({ query: 'Nurs' });
+
+    assert.equal(deleted, 1);
+    assert.equal(await getCachedEntry('results', { query: 'nursing' }), null);
+    assert.notEqual(await getCachedEntry('results', { query: 'computer science' }), null);
+});
+
+test('query purges reject terms without letters or shorter than the minimum', async () => {
+    await assert.rejects(purgeCache({ query: '!!' }), (error) => {
+        assert.equal(error.code, 'INVALID_QUERY_TERM');
+        assert.equal(error.minLength, undefined);
+        return true;
+    });
+    await assert.rejects(purgeCache({ query: 'nu' }), (error) => {
+        assert.equal(error.code, 'INVALID_QUERY_TERM');
+        assert.equal(error.minLength, 3);
+        return true;
+    });
+});
@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Tests for lib/circuitBreaker.js
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+// Read when the module loads
+process.env.FUNNELBACK_BREAKER_THRESHOLD = '3';
+process.env.FUNNELBACK_BREAKER_COOLDOWN_MS = '50';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    execute,
+    isUpstreamFailure,
+    getBreakerStatus,
+    resetBreaker,
+    CircuitOpenError,
+    STATES
+} = require('../lib/circuitBreaker');
+
+/**
+ * Builds an error shaped like an axios error
+ *
+ * @param {number} [status] - Response status; a network error when omitted
+ * @returns {Error} Error
+ */
+function upstreamError(status) {
+    const error = new Error('upstream');
+    if (status) {
+        error.response = { status };
+    } else {
+        error.code = 'ECONNRESET';
+        error.request = {};
+    }
+    return error;
+}
+
+const fail = (error) => () => Promise.reject(error);
+const succeed = () => Promise.resolve('ok');
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Opens the breaker with threshold upstream failures
+ *
+ * @param {string} name - Breaker name
+ */
+async function trip(name) {
+    for (let i = 0; i < 3; i++) {
+        await assert.rejects(execute(name, fail(upstreamError(502))), /upstream/);
+    }
+}
+
+test.beforeEach(() => resetBreaker());
+
+test('classifies upstream failures', () => {
+    assert.equal(isUpstreamFailure(upstreamError(500)), true);
+    assert.equal(isUpstreamFailure(upstreamError()), true);
+    assert.equal(isUpstreamFailure(new CircuitOpenError('x', 1)), true);
+    assert.equal(isUpstreamFailure(upstreamError(404)), false);
+    assert.equal(isUpstreamFailure(new Error('plain')), false);
+    assert.equal(isUpstreamFailure(null), false);
+});
+
+test('opens after the failure threshold and fails fast', async () => {
+    await execute('search', fail(upstreamError(503))).catch(() => {});
+    await execute('search', fail(upstreamError(503))).catch(() => {});
+    assert.equal(getBreakerStatus().search.state, STATES.CLOSED);
+
+    await execute('search', fail(upstreamError(503))).catch(() => {});
+    assert.equal(getBreakerStatus().search.state, STATES.OPEN);
+
+    let called = false;
+    const error = await execute('search', async () => {
+        called = true;
+    }).catch((thrown) => thrown);
+    assert.ok(error instanceof CircuitOpenError);
+    assert.equal(error.status, 503);
+    assert.equal(error.breaker, 'search');
+    assert.ok(error.retryAfter >= 1);
+    assert.equal(called, false);
+});
+
+test('client errors and successes reset the failure count', async () => {
+    await execute('people', fail(upstreamError(500))).catch(() => {});
+    await execute('people', fail(upstreamError(500))).catch(() => {});
+    await execute('people', fail(upstreamError(400))).catch(() => {});
+    await execute('people', fail(upstreamError(500))).catch(() => {});
+    assert.equal(getBreakerStatus().people.state, STATES.CLOSED);
+    assert.equal(getBreakerStatus().people.consecutiveFailures, 1);
+
+    assert.equal(await execute('people', succeed), 'ok');
+    assert.equal(getBreakerStatus().people.consecutiveFailures, 0);
+});
+
+test('a successful trial after the cooldown closes the circuit', async () => {
+    await trip('programs');
+    await sleep(60);
+
+    let release;
+    const trial = execute('programs', () => new Promise((resolve) => {
+        release = resolve;
+    }));
+    assert.equal(getBreakerStatus().programs.state, STATES.HALF_OPEN);
+    // Only one trial at a time
+    await assert.rejects(execute('programs', succeed), CircuitOpenError);
+
+    release('done');
+    assert.equal(await trial, 'done');
+    assert.equal(getBreakerStatus().programs.state, STATES.CLOSED);
+});
+
+test('a failed trial opens the circuit again', async () => {
+    await trip('suggest');
+    await sleep(60);
+
+    await assert.rejects(execute('suggest', fail(upstreamError())), /upstream/);
+    assert.equal(getBreakerStatus().suggest.state, STATES.OPEN);
+    await assert.rejects(execute('suggest', succeed), CircuitOpenError);
+});
+
+test('breakers are independent and can be reset', async () => {
+    await trip('a');
+    assert.equal(await execute('b', succeed), 'ok');
+    assert.equal(getBreakerStatus().b.state, STATES.CLOSED);
+
+    resetBreaker('a');
+    assert.equal(getBreakerStatus().a, undefined);
+    assert.equal(await execute('a', succeed), 'ok');
+});
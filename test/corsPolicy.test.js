@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Tests for lib/corsPolicy.js
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    isOriginAllowed,
+    getRoutePolicy,
+    getCorsHeaders,
+    compileOriginPattern
+} = require('../lib/corsPolicy');
+
+test.beforeEach(() => {
+    delete process.env.CORS_ALLOWED_ORIGINS;
+    delete process.env.CORS_MAX_AGE;
+});
+
+test('wildcard subdomains match subdomains only', () => {
+    const matcher = compileOriginPattern('https://*.seattleu.edu');
+
+    assert.equal(matcher.test('https://www.seattleu.edu'), true);
+    assert.equal(matcher.test('https://a.b.seattleu.edu'), true);
+    assert.equal(matcher.test('https://seattleu.edu'), false);
+    assert.equal(matcher.test('https://evil-seattleu.edu'), false);
+    assert.equal(matcher.test('https://www.seattleu.edu.evil.com'), false);
+    assert.equal(matcher.test('http://www.seattleu.edu'), false);
+});
+
+test('wildcard ports match any port', () => {
+    const matcher = compileOriginPattern('http://localhost:*');
+
+    assert.equal(matcher.test('http://localhost:3000'), true);
+    assert.equal(matcher.test('http://localhost'), false);
+    assert.equal(matcher.test('http://localhost:3000.evil.com'), false);
+});
+
+test('checks origins against the config or the environment', () => {
+    assert.equal(isOriginAllowed('https://www.seattleu.edu'), true);
+    assert.equal(isOriginAllowed('https://example.com'), false);
+    // Local origins are only allowed through CORS_ALLOWED_ORIGINS
+    assert.equal(isOriginAllowed('http://localhost:3000'), false);
+    assert.equal(isOriginAllowed('http://127.0.0.1:3000'), false);
+    assert.equal(isOriginAllowed('null'), false);
+    assert.equal(isOriginAllowed(undefined), false);
+
+    process.env.CORS_ALLOWED_ORIGINS = 'https://example.com, https://*.example.org';
+    assert.equal(isOriginAllowed('https://example.com'), true);
+    assert.equal(isOriginAllowed('https://a.example.org'), true);
+    assert.equal(isOriginAllowed('https://www.seattleu.edu'), false);
+});
+
+test('matches routes by path prefix or name', () => {
+    assert.equal(getRoutePolicy('/proxy/analytics/click?x=1').name, 'analytics');
+    assert.equal(getRoutePolicy('/proxy/analyticsx').name, 'default');
+    assert.equal(getRoutePolicy('/proxy/funnelback/search').name, 'default');
+    assert.equal(getRoutePolicy('/anything', 'analytics').credentials, true);
+});
+
+test('allowed origins are echoed with the route rules', () => {
+    const headers = getCorsHeaders({ origin: 'https://law.seattleu.edu', path: '/api/analytics' });
+
+    assert.equal(headers.Vary, 'Origin');
+    assert.equal(headers['Access-Control-Allow-Origin'], 'https://law.seattleu.edu');
+    assert.equal(headers['Access-Control-Allow-Credentials'], 'true');
+    assert.match(headers['Access-Control-Allow-Methods'], /DELETE/);
+    assert.match(headers['Access-Control-Expose-Headers'], /X-Request-ID/);
+    assert.equal(headers['Access-Control-Max-Age'], undefined);
+});
+
+test('preflights get the max-age', () => {
+    const headers = getCorsHeaders({ origin: 'https://www.seattleu.edu', path: '/proxy/funnelback', preflight: true });
+
+    assert.equal(headers['Access-Control-Max-Age'], '600');
+    assert.equal(headers['Access-Control-Allow-Credentials'], undefined);
+
+    process.env.CORS_MAX_AGE = '0';
+    assert.equal(getCorsHeaders({ origin: 'https://www.seattleu.edu', preflight: true })['Access-Control-Max-Age'], '0');
+});
+
+test('disallowed origins only get Vary', () => {
+    assert.deepEqual(getCorsHeaders({ origin: 'https://example.com', path: '/api/analytics' }), { Vary: 'Origin' });
+    assert.deepEqual(getCorsHeaders({ origin: null }), { Vary: 'Origin' });
+});
@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Tests for lib/errorResponse.js
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    ApiError,
+    classifyError,
+    getErrorStatus,
+    createErrorBody,
+    renderErrorHtml,
+    negotiateFormat,
+    sendError,
+    sendErrorFor
+} = require('../lib/errorResponse');
+
+/**
+ * Creates a response object that records what is sent
+ *
+ * @param {string} [accept] - Accept header of the request
+ * @returns {Object} Response with sent.status, sent.headers and sent.body
+ */
+function createResponse(accept) {
+    const sent = { headers: {} };
+    return {
+        sent,
+        req: { headers: accept ? { accept } : {} },
+        setHeader(name, value) {
+            sent.headers[name] = value;
+        },
+        status(status) {
+            sent.status = status;
+        },
+        send(body) {
+            sent.body = body;
+        }
+    };
+}
+
+test('classifies errors into stable codes', () => {
+    assert.equal(classifyError(new ApiError('RATE_LIMITED')), 'RATE_LIMITED');
+    assert.equal(classifyError(new ApiError('CONFLICT')), 'CONFLICT');
+    assert.equal(getErrorStatus('CONFLICT'), 409);
+    assert.equal(classifyError({ code: 'CIRCUIT_OPEN' }), 'UPSTREAM_UNAVAILABLE');
+    assert.equal(classifyError({ code: 'ECONNABORTED', request: {} }), 'UPSTREAM_TIMEOUT');
+    assert.equal(classifyError({ response: { status: 404 } }), 'NOT_FOUND');
+    assert.equal(classifyError({ response: { status: 500 } }), 'UPSTREAM_ERROR');
+    assert.equal(classifyError({ code: 'ECONNREFUSED', request: {} }), 'UPSTREAM_UNAVAILABLE');
+    assert.equal(classifyError(new TypeError('bug')), 'INTERNAL_ERROR');
+    assert.equal(classifyError(null), 'INTERNAL_ERROR');
+});
+
+test('unknown codes fall back to INTERNAL_ERROR', () => {
+    const error = new ApiError('NOPE', 'x');
+
+    assert.equal(error.code, 'INTERNAL_ERROR');
+    assert.equal(error.status, 500);
+    assert.equal(getErrorStatus('NOPE'), 500);
+    assert.equal(createErrorBody('NOPE').error.code, 'INTERNAL_ERROR');
+});
+
+test('builds the envelope with optional fields', () => {
+    assert.deepEqual(createErrorBody('INVALID_PARAM'), {
+        error: {
+            code: 'INVALID_PARAM',
+            status: 400,
+            message: 'One or more request parameters are not allowed',
+            requestId: null
+        }
+    });
+
+    const { error } = createErrorBody('RATE_LIMITED', { requestId: 'req_1', retryAfter: 30, details: { limit: 100 } });
+    assert.equal(error.retryAfter, 30);
+    assert.deepEqual(error.details, { limit: 100 });
+});
+
+test('escapes HTML fragments', () => {
+    const html = renderErrorHtml(createErrorBody('INVALID_PARAM', { message: '<script>"x"</script>', requestId: 'a&b' }));
+
+    assert.match(html, /data-error-code="INVALID_PARAM"/);
+    assert.match(html, /data-request-id="a&amp;b"/);
+    assert.match(html, /&lt;script&gt;&quot;x&quot;&lt;\/script&gt;/);
+    assert.doesNotMatch(html, /<script>/);
+});
+
+test('negotiates JSON or HTML', () => {
+    assert.equal(negotiateFormat('application/json', 'html'), 'json');
+    assert.equal(negotiateFormat('text/html', 'json'), 'html');
+    assert.equal(negotiateFormat('text/html,application/json', 'html'), 'html');
+    assert.equal(negotiateFormat('*/*', 'json'), 'json');
+    assert.equal(negotiateFormat(undefined, 'html'), 'html');
+});
+
+test('sendError sets the status, headers and body', () => {
+    const res = createResponse('application/json');
+
+    assert.equal(sendError(res, 'RATE_LIMITED', { requestId: 'req_1', retryAfter: 12 }), 429);
+    assert.equal(res.sent.status, 429);
+    assert.equal(res.sent.headers['X-Request-ID'], 'req_1');
+    assert.equal(res.sent.headers['Retry-After'], '12');
+    assert.equal(res.sent.headers['Content-Type'], 'application/json');
+    assert.equal(JSON.parse(res.sent.body).error.code, 'RATE_LIMITED');
+
+    const html = createResponse();
+    sendError(html, 'NOT_FOUND', { format: 'html' });
+    assert.equal(html.sent.headers['Content-Type'], 'text/html; charset=utf-8');
+    assert.match(html.sent.body, /search-error/);
+});
+
+test('sendErrorFor keeps upstream details away from the client', () => {
+    const upstream = createResponse();
+    const error = new Error('getaddrinfo ENOTFOUND internal.funnelback.host');
+    error.response = { status: 502, data: 'stack trace' };
+
+    assert.equal(sendErrorFor(upstream, error), 502);
+    const body = JSON.parse(upstream.sent.body);
+    assert.equal(body.error.message, 'The search service returned an error');
+    assert.equal(body.error.details, undefined);
+    assert.doesNotMatch(upstream.sent.body, /internal\.funnelback\.host|stack trace/);
+
+    const known = createResponse();
+    sendErrorFor(known, new ApiError('INVALID_PARAM', 'query is required', { details: { param: 'query' } }));
+    assert.deepEqual(JSON.parse(known.sent.body).error.details, { param: 'query' });
+    assert.equal(JSON.parse(known.sent.body).error.message, 'query is required');
+});
@@ -0,0 +1,407 @@
+/**
+ * @fileoverview Tests for lib/handlerPipeline.js
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mock } = test;
+const { useFakeRedis, ageEntries } = require('./helpers/fakeRedis');
+
+// Stages read these at require time, so they are replaced first
+const redis = useFakeRedis();
+const geoIpService = require('../lib/geoIpService');
+mock.method(geoIpService, 'getLocationData', async () => ({
+    city: 'Seattle',
+    region: 'WA',
+    country: 'US',
+    timezone: 'America/Los_Angeles'
+}));
+
+const queryAnalytics = require('../lib/queryAnalytics');
+const recordQuery = mock.method(queryAnalytics, 'recordQuery', async () => null);
+
+const funnelbackClient = require('../lib/funnelbackClient');
+const { createHandler, STAGES } = require('../lib/handlerPipeline');
+
+/**
+ * Ad-hoc parameter policy so the tests do not depend on the registry
+ * @type {Object}
+ */
+const POLICY = { params: ['query'], allowedValues: { query: /^[a-z ]+$/ }, defaults: {} };
+
+function createReq(query = {}, method = 'GET') {
+    return { method, query, headers: {}, path: '/api/test', url: '/api/test' };
+}
+
+function createRes(req) {
+    const res = {
+        req,
+        statusCode: 200,
+        headers: {},
+        body: undefined,
+        headersSent: false,
+        setHeader(name, value) {
+            res.headers[name] = value;
+        },
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        send(body) {
+            res.body = body;
+            res.headersSent = true;
+            return res;
+        },
+        json(body) {
+            return res.send(body);
+        },
+        end() {
+            return res.send(undefined);
+        }
+    };
+    return res;
+}
+
+async function run(definition, query, method) {
+    const req = createReq(query, method);
+    const res = createRes(req);
+    await createHandler(definition)(req, res);
+    return res;
+}
+
+/**
+ * Waits for background work started after the response (revalidation)
+ *
+ * @returns {Promise<void>}
+ */
+function settle() {
+    return new Promise((resolve) => setTimeout(resolve, 20));
+}
+
+function define(overrides = {}) {
+    return {
+        name: 'pipelineTest',
+        service: 'pipeline-test',
+        upstream: '/s/search.json',
+        params: POLICY,
+        format: (data) => ({ results: data.results }),
+        resultCount: (body) => body?.results?.length || 0,
+        ...overrides
+    };
+}
+
+test('runs every stage with its before and after hooks in order', async (t) => {
+    t.mock.method(funnelbackClient, 'get', async () => ({ status: 200, data: { results: [1, 2] } }));
+    const calls = [];
+    const before = {};
+    const after = {};
+    for (const stage of STAGES) {
+        before[stage] = () => calls.push(`before:${stage}`);
+        after[stage] = () => calls.push(`after:${stage}`);
+    }
+
+    const res = await run(define({ hooks: { before, after } }), { query: 'nursing' });
+
+    assert.deepEqual(calls, STAGES.flatMap((stage) => [`before:${stage}`, `after:${stage}`]));
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body, { results: [1, 2] });
+    assert.equal(res.headers['Content-Type'], 'application/json');
+});
+
+test('sends only the sanitized parameters upstream', async (t) => {
+    const get = t.mock.method(funnelbackClient, 'get', async () => ({ status: 200, data: { results: [] } }));
+
+    await run(define(), { query: 'nursing', sessionId: 'sess_1', debug: '1' });
+
+    assert.equal(get.mock.calls[0].arguments[0], '/s/search.json');
+    assert.deepEqual(get.mock.calls[0].arguments[1].params, { query: 'nursing' });
+});
+
+test('OPTIONS requests end after the options stage', async (t) => {
+    const get = t.mock.method(funnelbackClient, 'get', async () => ({ status: 200, data: {} }));
+    const calls = [];
+
+    const res = await run(
+        define({ hooks: { before: { params: () => calls.push('params') } } }),
+        {},
+        'OPTIONS'
+    );
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body, undefined);
+    assert.deepEqual(calls, []);
+    assert.equal(get.mock.callCount(), 0);
+});
+
+test('invalid parameters are rejected before the upstream call', async (t) => {
+    const get = t.mock.method(funnelbackClient, 'get', async () => ({ status: 200, data: {} }));
+
+    const res = await run(define(), { query: 'DROP;' });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(get.mock.callCount(), 0);
+});
+
+test('a hook can end the request by sending a response', async (t) => {
+    const get = t.mock.method(funnelbackClient, 'get', async () => ({ status: 200, data: {} }));
+    const hooks = {
+        before: {
+            upstream: (ctx) => ctx.res.status(204).end()
+        }
+    };
+
+    const res = await run(define({ hooks }), { query: 'nursing' });
+
+    assert.equal(res.statusCode, 204);
+    assert.equal(get.mock.callCount(), 0);
+});
+
+test('upstream errors send the error envelope without the upstream body', async (t) => {
+    t.mock.method(funnelbackClient, 'get', async () => {
+        const error = new Error('Request failed with status code 502');
+        error.response = { status: 502, data: '<html>upstream internals</html>' };
+        throw error;
+    });
+    const seen = [];
+
+    const res = await run(
+        define({ hooks: { before: { error: (ctx, error) => seen.push(error.message) } } }),
+        { query: 'nursing' }
+    );
+
+    const body = JSON.parse(res.body);
+    assert.equal(res.statusCode, 502);
+    assert.equal(body.error.code, 'UPSTREAM_ERROR');
+    assert.equal(body.error.requestId, res.headers['X-Request-ID']);
+    assert.deepEqual(seen, ['Request failed with status code 502']);
+    assert.doesNotMatch(res.body, /upstream internals/);
+});
+
+test('unreachable upstreams are reported as unavailable', async (t) => {
+    t.mock.method(funnelbackClient, 'get', async () => {
+        const error = new Error('connect ECONNREFUSED');
+        error.code = 'ECONNREFUSED';
+        error.request = {};
+        throw error;
+    });
+
+    const res = await run(define(), { query: 'nursing' });
+
+    assert.equal(res.statusCode, 503);
+    assert.equal(JSON.parse(res.body).error.code, 'UPSTREAM_UNAVAILABLE');
+});
+
+test('an upstream 404 is passed on as NOT_FOUND', async (t) => {
+    t.mock.method(funnelbackClient, 'get', async () => {
+        const error = new Error('Request failed with status code 404');
+        error.response = { status: 404, data: {} };
+        throw error;
+    });
+
+    const res = await run(define(), { query: 'nursing' });
+
+    assert.equal(res.statusCode, 404);
+    assert.equal(JSON.parse(res.body).error.code, 'NOT_FOUND');
+});
+
+test('definitions need a name, service and upstream', () => {
+    assert.throws(() => createHandler({ name: 'x', service: 'x' }), /need a name, service and upstream/);
+});
+
+test('cached endpoints report miss, fresh and stale in X-Cache-Status', async (t) => {
+    redis.store.clear();
+    let results = [1, 2];
+    const get = t.mock.method(funnelbackClient, 'get', async () => ({ status: 200, data: { results } }));
+    const definition = define({ cache: { namespace: 'results', ttl: 100, softTtl: 10 } });
+
+    const miss = await run(definition, { query: 'nursing' });
+    assert.equal(miss.headers['X-Cache-Status'], 'miss');
+    assert.equal(get.mock.callCount(), 1);
+
+    const fresh = await run(definition, { query: 'nursing' });
+    assert.equal(fresh.headers['X-Cache-Status'], 'fresh');
+    assert.equal(get.mock.callCount(), 1);
+
+    // Past the soft TTL the old entry is sent, then refreshed in the background
+    ageEntries(redis, 11);
+    results = [3];
+    const stale = await run(definition, { query: 'nursing' });
+    assert.equal(stale.headers['X-Cache-Status'], 'stale');
+    assert.deepEqual(stale.body, { results: [1, 2] });
+    await settle();
+    assert.equal(get.mock.callCount(), 2);
+
+    const revalidated = await run(definition, { query: 'nursing' });
+    assert.equal(revalidated.headers['X-Cache-Status'], 'revalidated');
+    assert.deepEqual(revalidated.body, { results: [3] });
+});
+
+test('a background refresh with no results keeps the old entry', async (t) => {
+    redis.store.clear();
+    let results = [1, 2];
+    t.mock.method(funnelbackClient, 'get', async () => ({ status: 200, data: { results } }));
+    const definition = define({ cache: { namespace: 'results', ttl: 100, softTtl: 10 } });
+
+    await run(definition, { query: 'nursing' });
+    ageEntries(redis, 11);
+    results = [];
+    await run(definition, { query: 'nursing' });
+    await settle();
+
+    const res = await run(definition, { query: 'nursing' });
+    assert.equal(res.headers['X-Cache-Status'], 'stale');
+    assert.deepEqual(res.body, { results: [1, 2] });
+});
+
+test('short queries skip the cache', async (t) => {
+    redis.store.clear();
+    const get = t.mock.method(funnelbackClient, 'get', async () => ({ status: 200, data: { results: [1] } }));
+    const definition = define({ cache: { namespace: 'results' } });
+
+    await run(definition, { query: 'nu' });
+    await run(definition, { query: 'nu' });
+
+    assert.equal(get.mock.callCount(), 2);
+    assert.equal(redis.store.size, 0);
+});
+
+test('identical concurrent misses share one upstream call', async (t) => {
+    redis.store.clear();
+    let respond;
+    const get = t.mock.method(funnelbackClient, 'get', () => new Promise((resolve) => {
+        respond = resolve;
+    }));
+    const definition = define({ cache: { namespace: 'results' } });
+
+    const leader = run(definition, { query: 'nursing' });
+    const follower = run(definition, { query: 'nursing' });
+    while (!respond) await settle();
+    respond({ status: 200, data: { results: [1] } });
+    const responses = await Promise.all([leader, follower]);
+
+    assert.equal(get.mock.callCount(), 1);
+    assert.deepEqual(responses.map((res) => res.headers['X-Cache-Status']).sort(), ['coalesced', 'miss']);
+    assert.deepEqual(responses.map((res) => res.body), [{ results: [1] }, { results: [1] }]);
+});
+
+test('followers call upstream themselves when the leader fails', async (t) => {
+    redis.store.clear();
+    let fail;
+    const get = t.mock.method(funnelbackClient, 'get', () => new Promise((resolve, reject) => {
+        fail = reject;
+    }));
+    const definition = define({ cache: { namespace: 'results' } });
+
+    const leader = run(definition, { query: 'nursing' });
+    const follower = run(definition, { query: 'nursing' });
+    while (!fail) await settle();
+    get.mock.mockImplementation(async () => ({ status: 200, data: { results: [1] } }));
+    const error = new Error('Request failed with status code 502');
+    error.response = { status: 502, data: {} };
+    fail(error);
+
+    assert.equal((await leader).statusCode, 502);
+    assert.equal((await follower).statusCode, 200);
+    assert.equal(get.mock.callCount(), 2);
+    // The failed leader released its fill lock
+    assert.deepEqual([...redis.store.keys()].filter((key) => key.startsWith('lock:fill:')), []);
+});
+
+test('misses can be answered from a cached shorter prefix, given enough results', async (t) => {
+    redis.store.clear();
+    process.env.CACHE_PREFIX_REUSE = 'on';
+    t.after(() => {
+        delete process.env.CACHE_PREFIX_REUSE;
+    });
+    const names = ['Nursing', 'Nurse Practitioner', 'Nutrition', 'Nursing Leadership'];
+    const get = t.mock.method(funnelbackClient, 'get', async () => ({ status: 200, data: { results: names } }));
+    const definition = define({
+        cache: {
+            namespace: 'results',
+            prefixReuse: {
+                filter: (body, matches) => ({ results: body.results.filter((name) => matches([name])) }),
+                minResults: 2
+            }
+        }
+    });
+
+    await run(definition, { query: 'nur' });
+    const prefix = await run(definition, { query: 'nurs' });
+
+    assert.equal(prefix.headers['X-Cache-Status'], 'prefix');
+    assert.equal(prefix.headers['X-Cache-Prefix'], 'nur');
+    assert.deepEqual(prefix.body, { results: ['Nursing', 'Nurse Practitioner', 'Nursing Leadership'] });
+    assert.equal(get.mock.callCount(), 1);
+
+    // Below minResults the request goes to Funnelback
+    const fallthrough = await run(definition, { query: 'nurse' });
+    assert.equal(fallthrough.headers['X-Cache-Status'], 'miss');
+    assert.equal(get.mock.callCount(), 2);
+});
+
+test('nocache bypasses the cache for admins and is ignored for everyone else', async (t) => {
+    redis.store.clear();
+    process.env.ADMIN_API_KEY = 'test-admin-key';
+    t.after(() => {
+        delete process.env.ADMIN_API_KEY;
+    });
+    const get = t.mock.method(funnelbackClient, 'get', async () => ({ status: 200, data: { results: [1] } }));
+    const definition = define({ cache: { namespace: 'results' } });
+
+    await run(definition, { query: 'nursing' });
+    const ignored = await run(definition, { query: 'nursing', nocache: '1' });
+    assert.equal(ignored.headers['X-Cache-Status'], 'fresh');
+    assert.equal(get.mock.callCount(), 1);
+
+    const req = createReq({ query: 'nursing', nocache: '1' });
+    req.headers['x-admin-key'] = 'test-admin-key';
+    const res = createRes(req);
+    await createHandler(definition)(req, res);
+
+    assert.equal(res.headers['X-Cache-Status'], 'bypass');
+    assert.equal(get.mock.callCount(), 2);
+});
+
+test('the handler returns only once analytics are recorded', async (t) => {
+    process.env.MONGODB_URI = 'mongodb://analytics.test';
+    t.after(() => {
+        delete process.env.MONGODB_URI;
+    });
+    t.mock.method(funnelbackClient, 'get', async () => ({ status: 200, data: { results: [1] } }));
+    const seen = [];
+    recordQuery.mock.mockImplementationOnce(async (data) => {
+        await settle();
+        seen.push(data.resultCount);
+        return { _id: 'rec_1' };
+    });
+
+    await run(define(), { query: 'nursing' });
+
+    assert.deepEqual(seen, [1]);
+});
+
+test('analyticsBeforeResponse records before the response is sent', async (t) => {
+    process.env.MONGODB_URI = 'mongodb://analytics.test';
+    t.after(() => {
+        delete process.env.MONGODB_URI;
+    });
+    t.mock.method(funnelbackClient, 'get', async () => ({ status: 200, data: { results: [1] } }));
+    const req = createReq({ query: 'nursing' });
+    const res = createRes(req);
+    const sentWhenRecorded = [];
+    recordQuery.mock.mockImplementationOnce(async () => {
+        sentWhenRecorded.push(res.headersSent);
+        return null;
+    });
+
+    await createHandler(define({ analyticsBeforeResponse: true }))(req, res);
+
+    // Recorded once, before the body went out
+    assert.deepEqual(sentWhenRecorded, [false]);
+    assert.deepEqual(res.body, { results: [1] });
+});
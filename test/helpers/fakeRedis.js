@@ -0,0 +1,231 @@
+/**
+ * @fileoverview In-memory Redis stand-in for the unit tests
+ *
+ * Implements the node-redis v4 commands the cache modules use, with key
+ * expiry, and installs itself in place of lib/redisClient's connection
+ * getters. Call useFakeRedis() before requiring the module under test, since
+ * modules destructure the redisClient exports when they load.
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+const { mock } = require('node:test');
+const redisClient = require('../../lib/redisClient');
+
+/**
+ * Converts a Redis glob (MATCH pattern) to a regular expression
+ *
+ * @param {string} pattern - Glob with * and ?
+ * @returns {RegExp} Equivalent expression
+ */
+function globToRegExp(pattern) {
+    const source = pattern
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Creates an in-memory client. `store` maps keys to { value, expiresAt }.
+ *
+ * @returns {Object} Fake node-redis client
+ */
+function createFakeRedis() {
+    const store = new Map();
+
+    function live(key) {
+        const entry = store.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+            store.delete(key);
+            return null;
+        }
+        return entry;
+    }
+
+    function hash(key) {
+        const entry = live(key) || { value: {}, expiresAt: null };
+        store.set(key, entry);
+        return entry.value;
+    }
+
+    const client = {
+        store,
+        isReady: true,
+        commands: [],
+
+        async ping() {
+            client.commands.push('ping');
+            return 'PONG';
+        },
+
+        async get(key) {
+            client.commands.push('get');
+            const entry = live(key);
+            if (entry) entry.accessedAt = Date.now();
+            return entry ? entry.value : null;
+        },
+
+        async set(key, value, options = {}) {
+            client.commands.push('set');
+            if (options.NX && live(key)) return null;
+
+            let expiresAt = null;
+            if (options.EX) expiresAt = Date.now() + options.EX * 1000;
+            if (options.PX) expiresAt = Date.now() + options.PX;
+
+            store.set(key, { value: String(value), expiresAt, accessedAt: Date.now() });
+            return 'OK';
+        },
+
+        async del(keys) {
+            let removed = 0;
+            for (const key of [].concat(keys)) {
+                if (live(key) && store.delete(key)) removed += 1;
+            }
+            return removed;
+        },
+
+        async unlink(keys) {
+            return client.del(keys);
+        },
+
+        async exists(key) {
+            return live(key) ? 1 : 0;
+        },
+
+        // Only the compare-and-delete lock release script is supported
+        async eval(script, { keys, arguments: args }) {
+            const entry = live(keys[0]);
+            if (entry && entry.value === args[0]) {
+                store.delete(keys[0]);
+                return 1;
+            }
+            return 0;
+        },
+
+        async ttl(key) {
+            const entry = live(key);
+            if (!entry) return -2;
+            return entry.expiresAt === null ? -1 : Math.ceil((entry.expiresAt - Date.now()) / 1000);
+        },
+
+        async pTTL(key) {
+            const entry = live(key);
+            if (!entry) return -2;
+            return entry.expiresAt === null ? -1 : entry.expiresAt - Date.now();
+        },
+
+        async expire(key, seconds) {
+            const entry = live(key);
+            if (!entry) return 0;
+            entry.expiresAt = Date.now() + seconds * 1000;
+            return 1;
+        },
+
+        async objectIdleTime(key) {
+            const entry = live(key);
+            return entry ? Math.floor((Date.now() - entry.accessedAt) / 1000) : null;
+        },
+
+        async scan(cursor, { MATCH = '*' } = {}) {
+            const pattern = globToRegExp(MATCH);
+            const keys = [...store.keys()].filter((key) => live(key) && pattern.test(key));
+            return { cursor: 0, keys };
+        },
+
+        async hIncrBy(key, field, amount) {
+            const fields = hash(key);
+            fields[field] = String(parseInt(fields[field] || '0', 10) + amount);
+            return parseInt(fields[field], 10);
+        },
+
+        async hSet(key, values) {
+            Object.assign(hash(key), values);
+            return 1;
+        },
+
+        async hGetAll(key) {
+            const entry = live(key);
+            return entry ? { ...entry.value } : {};
+        },
+
+        multi() {
+            const queued = [];
+            const transaction = new Proxy({}, {
+                get(target, name) {
+                    if (name === 'exec') {
+                        return async () => {
+                            const results = [];
+                            for (const [command, args] of queued) {
+                                results.push(await client[command](...args));
+                            }
+                            return results;
+                        };
+                    }
+                    return (...args) => {
+                        queued.push([name, args]);
+                        return transaction;
+                    };
+                }
+            });
+            return transaction;
+        }
+    };
+
+    return client;
+}
+
+/**
+ * Makes every cache envelope in the store older, as if it had been written
+ * `seconds` earlier. Redis expiry is left alone.
+ *
+ * @param {Object} client - Fake client
+ * @param {number} seconds - How much older the entries become
+ */
+function ageEntries(client, seconds) {
+    for (const entry of client.store.values()) {
+        if (typeof entry.value !== 'string' || !entry.value.startsWith('{')) continue;
+
+        const envelope = JSON.parse(entry.value);
+        if (typeof envelope.storedAt !== 'number') continue;
+
+        envelope.storedAt -= seconds * 1000;
+        entry.value = JSON.stringify(envelope);
+    }
+}
+
+/**
+ * Replaces lib/redisClient's getters with a fake client. With `rotation`, a
+ * second fake stands in for the previous instance (REDIS_URL_PREVIOUS) and is
+ * available as `client.previous`.
+ *
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.rotation=false] - Whether a rotation is in progress
+ * @returns {Object} The fake active client
+ */
+function useFakeRedis({ rotation = false } = {}) {
+    const client = createFakeRedis();
+    client.previous = rotation ? createFakeRedis() : null;
+
+    mock.method(redisClient, 'getRedisClient', async () => client);
+    mock.method(redisClient, 'getPreviousRedisClient', async () => client.previous);
+    mock.method(redisClient, 'getRotationConfig', () => ({
+        active: rotation,
+        from: rotation ? 'REDIS_URL_PREVIOUS' : null,
+        to: 'REDIS_URL_ACTIVE'
+    }));
+    mock.method(redisClient, 'getRedisStatus', () => ({ isConnected: true, isReady: client.isReady }));
+
+    return client;
+}
+
+module.exports = {
+    createFakeRedis,
+    useFakeRedis,
+    ageEntries
+};
@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Tests for lib/memoryCache.js
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Tier limits are read once per namespace: 1600 bytes, so at most 100 per entry
+process.env.CACHE_L1_MAX_BYTES = '1600';
+process.env.CACHE_L1_TTL_MS = '50';
+
+const {
+    getMemoryEntry,
+    setMemoryEntry,
+    deleteMemoryEntry,
+    clearMemoryCache,
+    isMemoryCacheEnabled,
+    getMemoryCacheStats
+} = require('../lib/memoryCache');
+
+/**
+ * Builds a value that makes key plus value exactly `size` bytes
+ *
+ * @param {string} key - Cache key
+ * @param {number} size - Total entry size in bytes
+ * @returns {string} Value
+ */
+function valueOfSize(key, size) {
+    return 'x'.repeat(size - Buffer.byteLength(key));
+}
+
+function keyAt(index) {
+    return `k${String(index).padStart(2, '0')}`;
+}
+
+test.beforeEach(() => {
+    clearMemoryCache();
+});
+
+test('stores and reads values in enabled namespaces only', () => {
+    assert.equal(isMemoryCacheEnabled('programs'), true);
+    assert.equal(isMemoryCacheEnabled('search'), false);
+
+    assert.equal(setMemoryEntry('programs', 'a', '{"n":1}'), true);
+    assert.equal(getMemoryEntry('programs', 'a'), '{"n":1}');
+    assert.equal(setMemoryEntry('search', 'a', '{"n":1}'), false);
+    assert.equal(getMemoryEntry('search', 'a'), null);
+});
+
+test('counts the bytes of keys and values', () => {
+    setMemoryEntry('people', 'k1', valueOfSize('k1', 60));
+    setMemoryEntry('people', 'k2', valueOfSize('k2', 40));
+    assert.equal(getMemoryCacheStats().people.bytes, 100);
+
+    // Replacing a value does not count the old one twice
+    setMemoryEntry('people', 'k1', valueOfSize('k1', 30));
+    assert.equal(getMemoryCacheStats().people.bytes, 70);
+
+    deleteMemoryEntry('people', 'k2');
+    assert.equal(getMemoryCacheStats().people.bytes, 30);
+
+    clearMemoryCache('people');
+    assert.equal(getMemoryCacheStats().people.bytes, 0);
+    assert.equal(getMemoryCacheStats().people.entries, 0);
+});
+
+test('evicts the least recently used entries to stay within the limit', () => {
+    for (let i = 0; i < 16; i++) {
+        setMemoryEntry('suggestions', keyAt(i), valueOfSize(keyAt(i), 100));
+    }
+    assert.equal(getMemoryCacheStats().suggestions.bytes, 1600);
+
+    // Reading k00 makes k01 the least recently used
+    getMemoryEntry('suggestions', keyAt(0));
+    setMemoryEntry('suggestions', keyAt(16), valueOfSize(keyAt(16), 100));
+
+    const stats = getMemoryCacheStats().suggestions;
+    assert.equal(stats.bytes, 1600);
+    assert.equal(stats.entries, 16);
+    assert.equal(stats.evictions, 1);
+    assert.notEqual(getMemoryEntry('suggestions', keyAt(0)), null);
+    assert.equal(getMemoryEntry('suggestions', keyAt(1)), null);
+    assert.notEqual(getMemoryEntry('suggestions', keyAt(16)), null);
+});
+
+test('entries over a sixteenth of the limit are not kept', () => {
+    setMemoryEntry('programs', 'big', valueOfSize('big', 50));
+    assert.equal(setMemoryEntry('programs', 'big', valueOfSize('big', 101)), false);
+
+    // The older, smaller value is dropped too rather than served out of date
+    assert.equal(getMemoryEntry('programs', 'big'), null);
+    assert.equal(getMemoryCacheStats().programs.bytes, 0);
+});
+
+test('entries expire after the L1 TTL', async () => {
+    setMemoryEntry('programs', 'a', '{"n":1}');
+    await new Promise((resolve) => setTimeout(resolve, 60));
+
+    assert.equal(getMemoryEntry('programs', 'a'), null);
+    assert.equal(getMemoryCacheStats().programs.bytes, 0);
+});
+
+test('CACHE_L1_NAMESPACES picks the namespaces', (t) => {
+    t.after(() => {
+        delete process.env.CACHE_L1_NAMESPACES;
+    });
+
+    process.env.CACHE_L1_NAMESPACES = 'search, results';
+    assert.equal(isMemoryCacheEnabled('search'), true);
+    assert.equal(isMemoryCacheEnabled('programs'), false);
+
+    process.env.CACHE_L1_NAMESPACES = 'none';
+    assert.equal(isMemoryCacheEnabled('suggestions'), false);
+    assert.deepEqual(getMemoryCacheStats(), {});
+});
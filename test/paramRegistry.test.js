@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Tests for lib/paramRegistry.js
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    sanitizeParams,
+    sendInvalidParams,
+    getEndpointPolicy,
+    COLLECTIONS
+} = require('../lib/paramRegistry');
+
+test('applies defaults and strips internal and unknown parameters', () => {
+    const result = sanitizeParams('search', {
+        query: 'nursing',
+        sessionId: 'sess_1',
+        nocache: 'true',
+        debug: '1',
+        'f.Tabs|programMain': 'Programs',
+        meta_type_orsand: 'x'
+    });
+
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.params, {
+        collection: COLLECTIONS.SEARCH,
+        profile: '_default',
+        form: 'partial',
+        query: 'nursing',
+        'f.Tabs|programMain': 'Programs',
+        meta_type_orsand: 'x'
+    });
+    assert.deepEqual(result.stripped.sort(), ['debug', 'nocache', 'sessionId']);
+});
+
+test('rejects values outside the allowlist', () => {
+    const result = sanitizeParams('search', { query: 'x', collection: 'other~collection' });
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.errors, [{
+        param: 'collection',
+        reason: 'not_allowed',
+        value: 'other~collection',
+        allowed: [COLLECTIONS.SEARCH]
+    }]);
+});
+
+test('rejects repeated values and values failing a pattern', () => {
+    assert.equal(sanitizeParams('search', { query: 'x', profile: ['_default', '_default'] }).valid, false);
+
+    const paging = sanitizeParams('searchResults', { query: 'x', num_ranks: '500', start_rank: '11' });
+    assert.equal(paging.valid, false);
+    assert.equal(paging.errors.length, 1);
+    assert.equal(paging.errors[0].param, 'num_ranks');
+    // Patterns are not echoed back
+    assert.equal(paging.errors[0].allowed, undefined);
+});
+
+test('fixed values replace what the client sent', () => {
+    const result = sanitizeParams('suggestPeople', { query: 'smith', num_ranks: '50', collection: 'other' });
+
+    assert.equal(result.valid, true);
+    assert.equal(result.params.num_ranks, '5');
+    assert.equal(result.params.collection, COLLECTIONS.SEARCH);
+    assert.equal(result.params['f.Tabs|seattleu~ds-staff'], 'Faculty & Staff');
+    assert.ok(result.stripped.includes('num_ranks'));
+});
+
+test('reports missing required parameters of ad-hoc policies', () => {
+    const policy = { params: ['query', 'id'], required: ['id'], allowedValues: {}, defaults: {} };
+
+    assert.deepEqual(sanitizeParams(policy, { query: 'x' }).errors, [{ param: 'id', reason: 'missing' }]);
+    assert.equal(sanitizeParams(policy, { query: 'x', id: '7' }).valid, true);
+});
+
+test('unknown endpoints throw', () => {
+    assert.throws(() => getEndpointPolicy('nope'), /No parameter policy registered/);
+});
+
+test('sendInvalidParams sends the INVALID_PARAM envelope', () => {
+    const sent = { headers: {} };
+    const res = {
+        req: { headers: {} },
+        setHeader: (name, value) => {
+            sent.headers[name] = value;
+        },
+        status: (status) => {
+            sent.status = status;
+        },
+        send: (body) => {
+            sent.body = body;
+        }
+    };
+
+    sendInvalidParams(res, sanitizeParams('search', { collection: 'bad' }), 'search', 'req_1');
+
+    const body = JSON.parse(sent.body);
+    assert.equal(sent.status, 400);
+    assert.equal(sent.headers['X-Request-ID'], 'req_1');
+    assert.equal(body.error.code, 'INVALID_PARAM');
+    assert.equal(body.error.message, `collection must be one of: ${COLLECTIONS.SEARCH}`);
+    assert.equal(body.error.details.params[0].param, 'collection');
+});
@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Tests for lib/prefixReuse.js
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    isPrefixReuseEnabled,
+    getShorterPrefixes,
+    createQueryMatcher
+} = require('../lib/prefixReuse');
+
+test('lists shorter prefixes longest first within the lookback', () => {
+    assert.deepEqual(getShorterPrefixes('nursing', 3), ['nursin', 'nursi', 'nurs']);
+    assert.deepEqual(getShorterPrefixes('nursing', 3, 1), ['nursin']);
+});
+
+test('never goes below the minimum query length', () => {
+    assert.deepEqual(getShorterPrefixes('nurs', 3), ['nur']);
+    assert.deepEqual(getShorterPrefixes('nur', 3), []);
+    assert.deepEqual(getShorterPrefixes('', 3), []);
+});
+
+test('trims prefixes and drops duplicates', () => {
+    // "data s" and "data " both trim to "data"
+    assert.deepEqual(getShorterPrefixes('data sc', 3), ['data s', 'data']);
+    assert.deepEqual(getShorterPrefixes('  nursing  ', 3, 1), ['nursin']);
+});
+
+test('every query term must start a word in one of the fields', () => {
+    const matches = createQueryMatcher('Nurs Prac');
+
+    assert.equal(matches(['Nurse Practitioner']), true);
+    assert.equal(matches(['Nursing', 'Family Practice']), true);
+    assert.equal(matches(['Nursing', null]), false);
+    // Terms match the start of a word, not the middle
+    assert.equal(matches(['Enursing Apractice']), false);
+});
+
+test('matching ignores case and punctuation', () => {
+    const matches = createQueryMatcher('o\'brien');
+
+    assert.equal(matches(['Mary O\'Brien']), true);
+    assert.equal(matches(['O. Brien']), true);
+    assert.equal(matches(['Obrien']), false);
+});
+
+test('prefix reuse is off unless CACHE_PREFIX_REUSE=on', (t) => {
+    t.after(() => {
+        delete process.env.CACHE_PREFIX_REUSE;
+    });
+
+    assert.equal(isPrefixReuseEnabled(), false);
+    process.env.CACHE_PREFIX_REUSE = 'on';
+    assert.equal(isPrefixReuseEnabled(), true);
+});
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Tests for lib/rateLimitStore.js
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    createMemoryStore,
+    createRedisStore,
+    createFallbackStore,
+    getRateLimitStore,
+    setRateLimitStore
+} = require('../lib/rateLimitStore');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('the memory store counts per key within a window', async () => {
+    const store = createMemoryStore();
+    const options = { limit: 2, windowMs: 1000 };
+
+    const first = await store.hit('1.1.1.1', options);
+    assert.equal(first.count, 1);
+    assert.ok(first.resetTime > Date.now());
+    assert.equal((await store.hit('1.1.1.1', options)).count, 2);
+    assert.equal((await store.hit('1.1.1.1', options)).count, 3);
+    assert.equal((await store.hit('2.2.2.2', options)).count, 1);
+    // The window does not move with each hit
+    assert.equal((await store.hit('1.1.1.1', options)).resetTime, first.resetTime);
+});
+
+test('the memory store starts a new window once the last one ends', async () => {
+    const store = createMemoryStore();
+    const options = { limit: 1, windowMs: 20 };
+
+    await store.hit('ip', options);
+    await store.hit('ip', options);
+    await sleep(30);
+
+    assert.equal((await store.hit('ip', options)).count, 1);
+});
+
+test('the fallback store uses the primary while it works', async () => {
+    const primary = { name: 'redis', hit: async () => ({ count: 7, resetTime: 1 }) };
+    const store = createFallbackStore(primary, createMemoryStore(), 1000);
+
+    assert.deepEqual(await store.hit('ip', { windowMs: 1000 }), { count: 7, resetTime: 1, store: 'redis' });
+});
+
+test('the fallback store counts in memory while the primary fails', async () => {
+    let calls = 0;
+    const primary = {
+        name: 'redis',
+        hit: async () => {
+            calls++;
+            throw new Error('Redis REST API answered 503');
+        }
+    };
+    const store = createFallbackStore(primary, createMemoryStore(), 30);
+    const options = { limit: 5, windowMs: 1000 };
+
+    const failedOver = await store.hit('ip', options);
+    assert.equal(failedOver.store, 'memory');
+    assert.equal(failedOver.count, 1);
+    assert.equal(failedOver.error, 'Redis REST API answered 503');
+
+    // Redis is left alone until the retry delay has passed
+    const next = await store.hit('ip', options);
+    assert.equal(next.count, 2);
+    assert.equal(next.error, undefined);
+    assert.equal(calls, 1);
+
+    await sleep(40);
+    await store.hit('ip', options);
+    assert.equal(calls, 2);
+});
+
+test('the Redis store sends one script per hit', async (t) => {
+    const requests = [];
+    t.mock.method(global, 'fetch', async (url, init) => {
+        requests.push({ url, init, body: JSON.parse(init.body) });
+        return { ok: true, json: async () => ({ result: [3, 1500] }) };
+    });
+
+    const fixed = createRedisStore({ url: 'https://kv.example', token: 'secret', algorithm: 'fixed' });
+    const before = Date.now();
+    const result = await fixed.hit('1.1.1.1', { limit: 10, windowMs: 60000, id: 'a' });
+
+    assert.equal(result.count, 3);
+    assert.ok(result.resetTime >= before + 1500);
+    assert.equal(requests[0].url, 'https://kv.example');
+    assert.equal(requests[0].init.headers.Authorization, 'Bearer secret');
+    assert.deepEqual(requests[0].body.slice(2), ['1', 'ratelimit:1.1.1.1', '60000']);
+
+    const sliding = createRedisStore({ url: 'https://kv.example', token: 'secret', algorithm: 'sliding' });
+    assert.deepEqual(await sliding.hit('1.1.1.1', { limit: 10, windowMs: 60000, id: 'b' }), { count: 3, resetTime: 1500 });
+    assert.deepEqual(requests[1].body.slice(2), ['1', 'ratelimit:1.1.1.1', '60000', '10', 'b']);
+    assert.equal(requests[1].body[0], 'EVAL');
+});
+
+test('the Redis store fails on errors and slow answers', async (t) => {
+    const fetch = t.mock.method(global, 'fetch', async () => ({
+        ok: false,
+        status: 401,
+        json: async () => ({ error: 'WRONGPASS invalid token' })
+    }));
+    const store = createRedisStore({ url: 'https://kv.example', token: 'bad', timeoutMs: 20 });
+    await assert.rejects(store.hit('ip', { limit: 1, windowMs: 1000 }), /WRONGPASS/);
+
+    fetch.mock.mockImplementation((url, init) => new Promise((resolve, reject) => {
+        init.signal.addEventListener('abort', () => {
+            const error = new Error('aborted');
+            error.name = 'AbortError';
+            reject(error);
+        });
+    }));
+    await assert.rejects(store.hit('ip', { limit: 1, windowMs: 1000 }), /did not answer within 20ms/);
+});
+
+test('the store comes from the environment unless one is set', () => {
+    const names = ['RATE_LIMIT_STORE', 'RATE_LIMIT_REDIS_REST_URL', 'RATE_LIMIT_REDIS_REST_TOKEN',
+        'KV_REST_API_URL', 'KV_REST_API_TOKEN', 'UPSTASH_REDIS_REST_URL', 'UPSTASH_REDIS_REST_TOKEN'];
+    const saved = Object.fromEntries(names.map((name) => [name, process.env[name]]));
+    names.forEach((name) => delete process.env[name]);
+
+    try {
+        setRateLimitStore(null);
+        assert.equal(getRateLimitStore().name, 'memory');
+
+        process.env.RATE_LIMIT_REDIS_REST_URL = 'https://kv.example';
+        process.env.RATE_LIMIT_REDIS_REST_TOKEN = 'secret';
+        setRateLimitStore(null);
+        assert.equal(getRateLimitStore().name, 'redis');
+
+        process.env.RATE_LIMIT_STORE = 'memory';
+        setRateLimitStore(null);
+        assert.equal(getRateLimitStore().name, 'memory');
+
+        const custom = { name: 'custom', hit: async () => ({ count: 1, resetTime: 0 }) };
+        setRateLimitStore(custom);
+        assert.equal(getRateLimitStore(), custom);
+    } finally {
+        for (const [name, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+        setRateLimitStore(null);
+    }
+});
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Tests for lib/redisRotation.js
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeRedis } = require('./helpers/fakeRedis');
+
+process.env.REDIS_ROTATION_COPY_INTERVAL_MS = '1';
+
+const redis = useFakeRedis({ rotation: true });
+const { previous } = redis;
+const {
+    isRotationActive,
+    readFromPrevious,
+    writeToPrevious,
+    deleteFromPrevious,
+    startRotationCopier,
+    getRotationStats,
+    COPY_STATE_KEY
+} = require('../lib/redisRotation');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Waits for work the module does without awaiting it
+ *
+ * @param {function(): boolean} done - Condition to wait for
+ * @returns {Promise<void>}
+ */
+async function waitFor(done) {
+    for (let i = 0; i < 200 && !done(); i++) {
+        await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+    assert.ok(done(), 'condition not reached');
+}
+
+test.beforeEach(() => {
+    redis.store.clear();
+    previous.store.clear();
+});
+
+test('a miss falls back to the previous instance and promotes with the remaining TTL', async () => {
+    await previous.set('programs:v1:nursing:abc', 'old', { PX: HOUR_MS });
+
+    assert.equal(isRotationActive(), true);
+    assert.equal(await readFromPrevious('programs:v1:nursing:abc'), 'old');
+
+    await waitFor(() => redis.store.has('programs:v1:nursing:abc'));
+    assert.equal(await redis.get('programs:v1:nursing:abc'), 'old');
+    const ttlMs = await redis.pTTL('programs:v1:nursing:abc');
+    assert.ok(ttlMs > HOUR_MS - 1000 && ttlMs <= HOUR_MS);
+    assert.ok(getRotationStats().promoted >= 1);
+});
+
+test('promotion never replaces a value written since the miss', async () => {
+    await previous.set('programs:v1:nursing:abc', 'old', { PX: HOUR_MS });
+    const promotedBefore = getRotationStats().promoted;
+
+    const read = readFromPrevious('programs:v1:nursing:abc');
+    await redis.set('programs:v1:nursing:abc', 'new', { EX: 60 });
+    assert.equal(await read, 'old');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    assert.equal(await redis.get('programs:v1:nursing:abc'), 'new');
+    assert.equal(getRotationStats().promoted, promotedBefore);
+});
+
+test('keys the previous instance does not have are a miss', async () => {
+    assert.equal(await readFromPrevious('programs:v1:missing:abc'), null);
+    assert.equal(redis.store.size, 0);
+});
+
+test('writes and deletes go to the previous instance too', async () => {
+    assert.equal(await writeToPrevious('people:v1:smith:abc', 'value', 60), true);
+    assert.equal(await previous.get('people:v1:smith:abc'), 'value');
+    assert.ok(await previous.ttl('people:v1:smith:abc') <= 60);
+
+    assert.equal(await deleteFromPrevious(['people:v1:smith:abc']), 1);
+    assert.equal(await previous.get('people:v1:smith:abc'), null);
+});
+
+test('the copier moves hot keys across without replacing newer values', async () => {
+    await previous.set('programs:v1:nursing:abc', 'hot', { PX: HOUR_MS });
+    await previous.set('people:v1:smith:abc', 'old', { PX: HOUR_MS });
+    await redis.set('people:v1:smith:abc', 'new', { EX: 3600 });
+    // Too close to expiry to be worth copying
+    await previous.set('suggestions:v1:nur:abc', 'expiring', { PX: 30000 });
+
+    startRotationCopier();
+    await waitFor(() => getRotationStats().copy.state === 'done');
+
+    assert.equal(await redis.get('programs:v1:nursing:abc'), 'hot');
+    assert.ok(await redis.pTTL('programs:v1:nursing:abc') > HOUR_MS - 1000);
+    assert.equal(await redis.get('people:v1:smith:abc'), 'new');
+    assert.equal(await redis.get('suggestions:v1:nur:abc'), null);
+
+    const { copy } = getRotationStats();
+    assert.equal(copy.copied, 1);
+    assert.equal(copy.existing, 1);
+    assert.equal(copy.skipped, 1);
+    // Progress is kept in the active instance for other instances to resume
+    assert.equal((await redis.hGetAll(COPY_STATE_KEY)).state, 'done');
+});
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Tests for lib/requestCoalescer.js
+ *
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @license MIT
+ * @lastModified 2026-10-19
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeRedis } = require('./helpers/fakeRedis');
+
+// Followers on other instances give up after a single poll
+process.env.CACHE_COALESCE_WAIT_MS = '150';
+
+const redis = useFakeRedis();
+const {
+    getFlight,
+    startFlight,
+    acquireFillLock,
+    releaseFillLock,
+    waitForFillLock,
+    FILL_LOCK_PREFIX
+} = require('../lib/requestCoalescer');
+
+const KEY = 'programs:nursing:abc';
+
+test.beforeEach(() => {
+    redis.store.clear();
+});
+
+test('followers on this instance share the leader body', async () => {
+    assert.equal(getFlight(KEY), null);
+
+    const flight = startFlight(KEY);
+    const followers = [getFlight(KEY), getFlight(KEY)];
+    flight.settle({ results: [1] });
+
+    assert.deepEqual(await Promise.all(followers), [{ results: [1] }, { results: [1] }]);
+    assert.equal(getFlight(KEY), null);
+});
+
+test('only the first settle counts', async () => {
+    const flight = startFlight(KEY);
+    const follower = getFlight(KEY);
+
+    flight.settle(null);
+    flight.settle({ results: [1] });
+
+    assert.equal(await follower, null);
+    assert.equal(flight.settled, true);
+});
+
+test('settling an old flight leaves a newer one in place', () => {
+    const old = startFlight(KEY);
+    const current = startFlight(KEY);
+
+    old.settle(null);
+
+    assert.notEqual(getFlight(KEY), null);
+    current.settle(null);
+    assert.equal(getFlight(KEY), null);
+});
+
+test('one leader holds the fill lock across instances', async () => {
+    assert.equal(await acquireFillLock(KEY, 'req_1'), true);
+    assert.equal(await acquireFillLock(KEY, 'req_2'), false);
+    assert.equal(await redis.exists(`${FILL_LOCK_PREFIX}${KEY}`), 1);
+
+    // Only the owner releases it
+    assert.equal(await releaseFillLock(KEY, 'req_2'), false);
+    assert.equal(await releaseFillLock(KEY, 'req_1'), true);
+    assert.equal(await acquireFillLock(KEY, 'req_2'), true);
+});
+
+test('followers stop waiting once the leader releases the lock', async () => {
+    await acquireFillLock(KEY, 'req_1');
+    setTimeout(() => releaseFillLock(KEY, 'req_1'), 20);
+
+    assert.equal(await waitForFillLock(KEY), true);
+});
+
+test('followers fall through when the lock outlives the wait', async () => {
+    await acquireFillLock(KEY, 'req_1');
+
+    assert.equal(await waitForFillLock(KEY), false);
+    assert.equal(await redis.exists(`${FILL_LOCK_PREFIX}${KEY}`), 1);
+});